@@ -0,0 +1,39 @@
+/**
+ * Lists the text spliced into a source by line, so the sandbox runtime can map the columns of
+ * the instrumented code back to the editor. Inserted text must not contain line breaks, since
+ * the instrumented lines have to keep the editor's line numbers.
+ * @param {string} code - Source before the insertions
+ * @param {Array<Object>} insertions - Inserted fragments ({ offset, text }), offsets into `code`
+ * @returns {Object} Insertions by line number: [[column, length], ...] sorted by column (1-based)
+ * @throws {Error} If an inserted fragment contains a line break
+ */
+export function getColumnMap(code, insertions) {
+  const lineStarts = [0];
+  for (let i = code.indexOf('\n'); i !== -1; i = code.indexOf('\n', i + 1)) {
+    lineStarts.push(i + 1);
+  }
+
+  const map = {};
+  insertions.forEach(({ offset, text }) => {
+    if (/[\r\n\u2028\u2029]/.test(text)) {
+      throw new Error(`Inserted text must stay on one line: ${JSON.stringify(text)}`);
+    }
+
+    // Last line starting at or before the offset
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (lineStarts[middle] <= offset) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    const line = low + 1;
+    (map[line] = map[line] || []).push([offset - lineStarts[low] + 1, text.length]);
+  });
+
+  Object.values(map).forEach(columns => columns.sort((a, b) => a[0] - b[0]));
+  return map;
+}
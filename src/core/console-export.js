@@ -0,0 +1,156 @@
+import { Logger } from './logger.js';
+
+/** Export formats: label, file extension and MIME type */
+export const EXPORT_FORMATS = {
+  text: { label: 'Text', extension: 'txt', mimeType: 'text/plain' },
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' }
+};
+
+/** Level tag per message type in text exports (plain logs have none) */
+const TYPE_TAGS = {
+  info: 'info',
+  warn: 'warn',
+  error: 'error',
+  debug: 'debug',
+  dir: 'dir',
+  table: 'table',
+  trace: 'trace'
+};
+
+/** Line prefixes for lines that did not come from a console method */
+const TYPE_PREFIXES = {
+  group: '▾ ',
+  groupCollapsed: '▸ ',
+  input: '› ',
+  result: '← '
+};
+
+/** Markdown code fence language per source language */
+const FENCE_LANGUAGES = {
+  javascript: 'js',
+  typescript: 'ts',
+  jsx: 'jsx'
+};
+
+/**
+ * Formats the console records of a run (see ConsoleOutput.getRunRecords) as plain text,
+ * a Markdown block with the code and the output, or JSON with the serialized arguments
+ * @author Joao Guilherme (Guinetik) <guinetik@gmail.com>
+ */
+export class ConsoleExporter {
+  /**
+   * Creates a new ConsoleExporter instance
+   * @param {Object} [options={}] - Configuration options
+   * @param {boolean} [options.debug=false] - Enable debug logging
+   */
+  constructor(options = {}) {
+    this.options = {
+      debug: false,
+      ...options
+    };
+
+    this.logger = new Logger({
+      enabled: this.options.debug,
+      level: 'info',
+      prefix: 'ConsoleExporter'
+    });
+  }
+
+  /**
+   * Exports a run in the given format
+   * @param {string} format - 'text', 'markdown' or 'json'
+   * @param {Object} run - The run to export
+   * @param {Array<Object>} run.records - Console records
+   * @param {string} [run.code] - The code that produced the output
+   * @param {string} [run.language='javascript'] - Source language of the code
+   * @returns {string} The exported content
+   */
+  export(format, run) {
+    this.logger.debug(`Exporting ${run.records.length} records as ${format}`);
+    switch (format) {
+      case 'markdown':
+        return this.toMarkdown(run);
+      case 'json':
+        return this.toJSON(run);
+      default:
+        return this.toText(run.records);
+    }
+  }
+
+  /**
+   * Formats records as plain text: one line per record with its timestamp and level tag,
+   * indented by group depth
+   * @param {Array<Object>} records - Console records
+   * @returns {string} Plain text output
+   */
+  toText(records) {
+    return records.map(record => {
+      const tag = TYPE_TAGS[record.type];
+      const prefix = [
+        record.timestamp ? `[${record.timestamp}]` : '',
+        tag ? `[${tag}]` : ''
+      ].filter(Boolean).join(' ');
+      const indent = '  '.repeat(record.depth || 0);
+      const repeat = record.repeat > 1 ? ` (×${record.repeat})` : '';
+      const text = `${TYPE_PREFIXES[record.type] || ''}${record.text}${repeat}`;
+
+      // Continuation lines (stacks, tables) align with the first line's text
+      const lead = prefix ? `${prefix} ${indent}` : indent;
+      const padding = ' '.repeat(lead.length);
+      return text.split('\n').map((line, index) => (index === 0 ? lead : padding) + line).join('\n');
+    }).join('\n');
+  }
+
+  /**
+   * Formats a run as Markdown: the code and the text output in fenced blocks
+   * @param {Object} run - The run ({ records, code, language })
+   * @returns {string} Markdown
+   */
+  toMarkdown({ records, code, language = 'javascript' }) {
+    const output = this.toText(records);
+    const sections = [];
+    if (code) {
+      sections.push('**Code**', this.fence(code, FENCE_LANGUAGES[language] || language));
+    }
+    sections.push('**Console output**', this.fence(output || '(no output)', 'text'));
+    return sections.join('\n\n') + '\n';
+  }
+
+  /**
+   * Formats a run as JSON with each record's level, timestamp, source position and arguments
+   * (sandbox values stay as their { kind, ... } descriptors)
+   * @param {Object} run - The run ({ records, code, language })
+   * @returns {string} Pretty-printed JSON
+   */
+  toJSON({ records, code = null, language = 'javascript' }) {
+    return JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      language,
+      code,
+      records
+    }, null, 2);
+  }
+
+  /**
+   * Wraps content in a Markdown code fence longer than any backtick run inside it
+   * @param {string} content - Fenced content
+   * @param {string} language - Info string
+   * @returns {string} Fenced block
+   */
+  fence(content, language) {
+    const longest = Math.max(0, ...(content.match(/`+/g) || []).map(run => run.length));
+    const ticks = '`'.repeat(Math.max(3, longest + 1));
+    return `${ticks}${language}\n${content.replace(/\n$/, '')}\n${ticks}`;
+  }
+
+  /**
+   * Builds a download file name for a format
+   * @param {string} format - 'text', 'markdown' or 'json'
+   * @returns {string} File name such as console-2024-05-01-12-30-00.md
+   */
+  getFileName(format) {
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+    return `console-${stamp}.${(EXPORT_FORMATS[format] || EXPORT_FORMATS.text).extension}`;
+  }
+}
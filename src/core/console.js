@@ -1,85 +1,1100 @@
-import { safeStringify } from './utils.js';
+import { safeStringify, STACK_FRAME_PATTERN } from './utils.js';
 import { Logger } from './logger.js';
+import { ObjectInspector } from './object-inspector.js';
+import { CONSOLE_MAX_LINES } from './constants.js';
+
+/** Filter level of each message type (types not listed are never filtered) */
+const MESSAGE_LEVELS = {
+  log: 'log',
+  debug: 'log',
+  dir: 'log',
+  table: 'log',
+  trace: 'log',
+  info: 'info',
+  warn: 'warn',
+  error: 'error'
+};
+
+/** Line decorations that are not part of the message text (skipped by search) */
+const DECORATION_CLASSES = ['console-timestamp', 'console-source', 'console-repeat'];
 
 /**
- * Console output renderer for displaying sandboxed code execution results
+ * Console output renderer for displaying sandboxed code execution results.
+ * Lines are kept as entries and rendered as a virtualized list: only the lines in (or near)
+ * the viewport are in the DOM, and a line's element is built the first time it is shown.
+ * The oldest lines are dropped past the line cap.
  * @author Joao Guilherme (Guinetik) <guinetik@gmail.com>
  */
 export class ConsoleOutput {
   /**
    * Creates a new ConsoleOutput instance
-   * @param {HTMLElement} container - The DOM element to render console output in
+   * @param {HTMLElement} container - The scrollable DOM element to render console output in
    * @param {Object} [options={}] - Configuration options
    * @param {boolean} [options.debug=false] - Enable debug logging
+   * @param {Function} [options.onChange] - Called after lines are added or the console is cleared
+   * @param {Function} [options.onNavigate] - Called with (line, column) when a stack frame or
+   *   source position is clicked
+   * @param {number} [options.maxLines=CONSOLE_MAX_LINES] - Line cap; older lines are removed
+   * @param {number} [options.lineHeight=20] - Estimated height of a line not measured yet (px)
+   * @param {number} [options.overscan=300] - Extra pixels rendered above and below the viewport
    */
   constructor(container, options = {}) {
     this.container = container;
+    this.onChange = options.onChange || (() => {});
+    this.onNavigate = options.onNavigate || null;
+    this.maxLines = Math.max(1, options.maxLines || CONSOLE_MAX_LINES);
+    this.lineHeight = options.lineHeight || 20;
+    this.overscan = options.overscan || 300;
     this.logger = new Logger({
       enabled: options.debug || false,
       level: 'warn',
       prefix: 'ConsoleOutput'
     });
+
+    // All lines, oldest first, and the ones currently shown (not filtered or in a collapsed group)
+    this.entries = [];
+    this.visible = [];
+    this.rendered = [];
+    this.nextId = 1;
+    this.removedLines = 0;
+
+    // Open console.group() entries, innermost last
+    this.groupStack = [];
+
+    // Line counts per filter level
+    this.counts = { log: 0, info: 0, warn: 0, error: 0 };
+
+    // When set, console.clear() from the user code is ignored
+    this.preserveLog = false;
+
+    // Last plain line, so identical consecutive messages collapse into a repeat counter
+    this.lastLine = null;
+
+    this.hiddenLevels = new Set();
+    this.searchPattern = null;
+    this.searchVersion = 0;
+    this.currentMatch = null;
+    this.currentMark = null;
+
+    // Stay scrolled to the newest line until the user scrolls up
+    this.followTail = true;
+    this.renderFrame = null;
+
+    this.inspector = new ObjectInspector({
+      formatValue: (value) => this.formatValue(value),
+      debug: options.debug || false
+    });
+
+    this.createList();
+  }
+
+  /**
+   * Creates the list structure: the removed-lines notice, spacers standing in for the lines
+   * above and below the rendered window, and the rendered rows
+   */
+  createList() {
+    this.container.innerHTML = '';
+
+    this.removedNotice = document.createElement('div');
+    this.removedNotice.className = 'console-line console-notice console-removed';
+    this.removedNotice.hidden = true;
+
+    this.topSpacer = document.createElement('div');
+    this.topSpacer.className = 'console-spacer';
+    this.rows = document.createElement('div');
+    this.rows.className = 'console-rows';
+    this.bottomSpacer = document.createElement('div');
+    this.bottomSpacer.className = 'console-spacer';
+
+    this.container.appendChild(this.removedNotice);
+    this.container.appendChild(this.topSpacer);
+    this.container.appendChild(this.rows);
+    this.container.appendChild(this.bottomSpacer);
+
+    if (!this.scrollHandler) {
+      this.scrollHandler = () => {
+        const { scrollTop, scrollHeight, clientHeight } = this.container;
+        this.followTail = scrollTop + clientHeight >= scrollHeight - 4;
+        this.scheduleRender();
+      };
+      this.container.addEventListener('scroll', this.scrollHandler);
+    }
+
+    if (!this.clickHandler) {
+      this.clickHandler = (event) => this.handleLinkClick(event);
+      this.container.addEventListener('click', this.clickHandler);
+    }
+
+    // Expanded trees, wrapping and panel resizes change line heights
+    if (typeof ResizeObserver !== 'undefined') {
+      if (this.resizeObserver) {
+        this.resizeObserver.disconnect();
+      }
+      this.resizeObserver = new ResizeObserver(() => this.scheduleRender());
+      this.resizeObserver.observe(this.container);
+      this.resizeObserver.observe(this.rows);
+    }
   }
 
   /**
    * Clears all console output
    */
   clear() {
-    this.container.innerHTML = '';
+    this.entries = [];
+    this.visible = [];
+    this.rendered = [];
+    this.removedLines = 0;
+    this.groupStack = [];
+    this.counts = { log: 0, info: 0, warn: 0, error: 0 };
+    this.lastLine = null;
+    this.currentMatch = null;
+    this.currentMark = null;
+    this.followTail = true;
+    this.createList();
+    this.onChange();
+  }
+
+  /**
+   * Shows or hides the per-line timestamps
+   * @param {boolean} enabled - Whether timestamps are shown
+   */
+  setShowTimestamps(enabled) {
+    this.container.classList.toggle('show-timestamps', Boolean(enabled));
+  }
+
+  /**
+   * Enables or disables "preserve log" (console.clear() from the user code is ignored)
+   * @param {boolean} enabled - Whether the log is preserved
+   */
+  setPreserveLog(enabled) {
+    this.preserveLog = Boolean(enabled);
+  }
+
+  /**
+   * Hides the lines of the given filter levels
+   * @param {Iterable<string>} levels - Hidden levels (log, info, warn, error)
+   */
+  setHiddenLevels(levels) {
+    this.hiddenLevels = new Set(levels);
+    this.updateVisible();
+  }
+
+  /**
+   * Marks the start of a new run when the log is preserved across runs
+   * @param {string} text - Separator label
+   */
+  addSeparator(text) {
+    // Groups left open by the previous run end with it
+    this.groupStack = [];
+    this.addEntry({
+      className: 'console-separator',
+      type: 'separator',
+      text,
+      build: (div) => { div.textContent = text; }
+    });
+  }
+
+  /**
+   * Renders a message from the sandbox, dispatching on the console method that sent it
+   * @param {string} type - Message type (log, info, warn, error, debug, dir, table, trace,
+   *   group, groupCollapsed, groupEnd, clear, suppressed)
+   * @param {Array} args - The message arguments
+   * @param {Object} [meta] - Message metadata { time, line?, column? } from the sandbox
+   */
+  addMessage(type, args = [], meta = null) {
+    switch (type) {
+      case 'clear':
+        if (this.preserveLog) {
+          this.addNotice('console.clear() was prevented due to "Preserve log"');
+        } else {
+          this.clear();
+          this.addNotice('Console was cleared');
+        }
+        break;
+      case 'suppressed': {
+        const [count, limit] = args;
+        this.addNotice(`${count} message${count === 1 ? '' : 's'} suppressed (limit: ${limit} per second)`);
+        break;
+      }
+      case 'group':
+      case 'groupCollapsed':
+        this.openGroup(args, type === 'groupCollapsed', meta);
+        break;
+      case 'groupEnd':
+        this.groupStack.pop();
+        break;
+      case 'table':
+        this.addTable(args[0], meta);
+        break;
+      case 'trace':
+        this.addTrace(args[0], args.slice(1), meta);
+        break;
+      default:
+        this.addLine(type, args, meta);
+    }
+  }
+
+  /**
+   * Adds a line entry inside the innermost open group; its element is built when first shown
+   * @param {Object} line - Line definition
+   * @param {string} line.className - Classes of the line element (besides console-line)
+   * @param {string|Function} line.text - Plain text of the line, used by search and exports, or a
+   *   function returning it (called once, when the text is first needed)
+   * @param {Function} line.build - Fills the line element (receives the element)
+   * @param {string} [line.type] - Message type (console method, or separator, notice, group,
+   *   input, result), also used to count the line by filter level
+   * @param {Array} [line.args] - The message arguments as received (kept for exports)
+   * @param {Object} [line.meta] - Message metadata { time, line?, column? }
+   * @param {string} [line.key] - Message identity for repeat collapsing
+   * @returns {Object} The entry
+   */
+  addEntry({ className, text, build, type, args = [], meta = null, key = null }) {
+    const parent = this.groupStack[this.groupStack.length - 1] || null;
+    const entry = {
+      id: this.nextId++,
+      type: type || null,
+      level: MESSAGE_LEVELS[type] || null,
+      className,
+      text,
+      build,
+      args,
+      meta,
+      key,
+      parent,
+      depth: parent ? parent.depth + 1 : 0,
+      repeat: 1,
+      element: null,
+      badge: null,
+      height: null,
+      highlighted: 0
+    };
+
+    if (typeof text === 'function') {
+      let formatted = null;
+      Object.defineProperty(entry, 'text', {
+        enumerable: true,
+        get: () => {
+          if (formatted === null) {
+            formatted = text();
+          }
+          return formatted;
+        }
+      });
+    }
+
+    if (entry.level) {
+      this.counts[entry.level]++;
+    }
+    this.entries.push(entry);
+    if (this.isShown(entry)) {
+      this.visible.push(entry);
+    }
+    this.scheduleRender();
+    this.onChange();
+    return entry;
+  }
+
+  /**
+   * Checks if an entry passes the level filters and is not inside a collapsed group
+   * @param {Object} entry - Console entry
+   * @returns {boolean} True if the entry is shown
+   */
+  isShown(entry) {
+    if (entry.level && this.hiddenLevels.has(entry.level)) {
+      return false;
+    }
+    for (let group = entry.parent; group; group = group.parent) {
+      if (group.collapsed) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Recomputes the shown entries after a filter or group change
+   */
+  updateVisible() {
+    this.visible = this.entries.filter(entry => this.isShown(entry));
+    this.scheduleRender();
+    this.onChange();
+  }
+
+  /**
+   * Builds (once) the element of an entry, with its decorations and search highlights
+   * @param {Object} entry - Console entry
+   * @returns {HTMLElement} The line element
+   */
+  getElement(entry) {
+    if (!entry.element) {
+      const div = document.createElement('div');
+      div.className = `console-line ${entry.className}`;
+      try {
+        entry.build(div);
+      } catch (error) {
+        this.logger.error('Failed to render console line:', error);
+        div.textContent = entry.text;
+      }
+      this.linkFrames(div);
+      this.decorate(div, entry.meta);
+      if (entry.level) {
+        div.dataset.level = entry.level;
+      }
+      if (entry.depth) {
+        div.classList.add('console-nested');
+        div.style.setProperty('--depth', String(entry.depth));
+      }
+      entry.element = div;
+      this.updateRepeatBadge(entry);
+    }
+
+    if (entry.highlighted !== this.searchVersion) {
+      this.highlightEntry(entry);
+    }
+    return entry.element;
+  }
+
+  /**
+   * Renders on the next animation frame (many messages can arrive within one frame)
+   */
+  scheduleRender() {
+    if (this.renderFrame !== null) {
+      return;
+    }
+    this.renderFrame = requestAnimationFrame(() => {
+      this.renderFrame = null;
+      this.render();
+    });
+  }
+
+  /**
+   * Drops the oldest entries past the line cap
+   * @returns {boolean} True if entries were removed
+   */
+  trimEntries() {
+    const excess = this.entries.length - this.maxLines;
+    if (excess <= 0) {
+      return false;
+    }
+
+    const removed = this.entries.splice(0, excess);
+    removed.forEach(entry => {
+      if (entry.level) {
+        this.counts[entry.level] -= entry.repeat;
+      }
+    });
+    if (removed.includes(this.lastLine)) {
+      this.lastLine = null;
+    }
+    if (this.currentMatch && removed.includes(this.currentMatch.entry)) {
+      this.currentMatch = null;
+    }
+
+    const firstId = this.entries.length ? this.entries[0].id : this.nextId;
+    this.visible = this.visible.filter(entry => entry.id >= firstId);
+    this.removedLines += excess;
+    this.removedNotice.textContent = `${this.removedLines} older line${this.removedLines === 1 ? '' : 's'} removed (limit: ${this.maxLines} lines)`;
+    this.removedNotice.hidden = false;
+    this.logger.debug(`Removed ${excess} lines over the cap`);
+    return true;
+  }
+
+  /**
+   * Renders the shown entries that intersect the viewport (plus overscan); the spacers take
+   * the height of the entries above and below, measured or estimated
+   */
+  render() {
+    if (this.renderFrame !== null) {
+      cancelAnimationFrame(this.renderFrame);
+      this.renderFrame = null;
+    }
+    if (this.trimEntries()) {
+      this.onChange();
+    }
+
+    const heights = this.visible.map(entry => entry.height || this.lineHeight);
+    const total = heights.reduce((sum, height) => sum + height, 0);
+    const base = this.removedNotice.hidden ? 0 : this.removedNotice.offsetHeight;
+    const viewport = this.container.clientHeight;
+    const scrollTop = this.followTail
+      ? Math.max(0, base + total - viewport)
+      : this.container.scrollTop;
+
+    const top = scrollTop - base - this.overscan;
+    const bottom = scrollTop - base + viewport + this.overscan;
+    let start = 0;
+    let offset = 0;
+    while (start < heights.length && offset + heights[start] < top) {
+      offset += heights[start];
+      start++;
+    }
+    const above = offset;
+    let end = start;
+    while (end < heights.length && offset < bottom) {
+      offset += heights[end];
+      end++;
+    }
+
+    this.rendered = this.visible.slice(start, end);
+    this.topSpacer.style.height = `${above}px`;
+    this.bottomSpacer.style.height = `${total - offset}px`;
+    this.rows.replaceChildren(...this.rendered.map(entry => this.getElement(entry)));
+
+    // Measure the rendered lines (offsets include the collapsed margins between them)
+    const elements = this.rows.children;
+    for (let i = 0; i < this.rendered.length; i++) {
+      const next = i + 1 < elements.length ? elements[i + 1].offsetTop : this.rows.offsetHeight;
+      const height = next - (i > 0 ? elements[i].offsetTop : 0);
+      if (height > 0) {
+        this.rendered[i].height = height;
+      }
+    }
+    this.updateCurrentMark();
+
+    if (this.followTail) {
+      this.container.scrollTop = this.container.scrollHeight;
+    }
+  }
+
+  /**
+   * Adds the run-relative timestamp and the source line of a message to its line element
+   * @param {HTMLElement} element - The line element (its content must already be set)
+   * @param {Object} [meta] - Message metadata { time, line?, column? }
+   */
+  decorate(element, meta) {
+    if (!meta) {
+      return;
+    }
+
+    if (Number.isFinite(meta.time)) {
+      const time = document.createElement('span');
+      time.className = 'console-timestamp';
+      time.textContent = this.formatTimestamp(meta.time);
+      element.insertBefore(time, element.firstChild);
+      element.dataset.time = String(meta.time);
+    }
+
+    if (Number.isFinite(meta.line)) {
+      const source = document.createElement('span');
+      source.className = 'console-source';
+      source.textContent = `line ${meta.line}`;
+      source.title = `Logged at line ${meta.line}, column ${meta.column}`;
+      if (this.onNavigate) {
+        source.classList.add('console-link');
+        source.dataset.line = String(meta.line);
+        source.dataset.column = String(meta.column);
+        source.title += ' (click to go to the editor)';
+      }
+      element.insertBefore(source, element.firstChild);
+      element.dataset.line = String(meta.line);
+      element.dataset.column = String(meta.column);
+    }
+  }
+
+  /**
+   * Turns the stack frame positions in a line's text into links to the editor
+   * @param {HTMLElement} element - The line element
+   */
+  linkFrames(element) {
+    if (!this.onNavigate) {
+      return;
+    }
+
+    const nodes = [];
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+      nodes.push(walker.currentNode);
+    }
+
+    nodes.forEach(node => {
+      const text = node.nodeValue || '';
+      const matches = [...text.matchAll(STACK_FRAME_PATTERN)];
+      if (!matches.length) {
+        return;
+      }
+
+      const fragment = document.createDocumentFragment();
+      let last = 0;
+      matches.forEach(match => {
+        const start = match.index + match[1].length;
+        fragment.appendChild(document.createTextNode(text.slice(last, start)));
+        const link = document.createElement('a');
+        link.href = '#';
+        link.className = 'console-link';
+        link.dataset.line = match[3];
+        link.dataset.column = match[4];
+        link.title = 'Go to this line in the editor';
+        link.textContent = match[2];
+        fragment.appendChild(link);
+        last = start + match[2].length;
+      });
+      fragment.appendChild(document.createTextNode(text.slice(last)));
+      node.parentNode.replaceChild(fragment, node);
+    });
+  }
+
+  /**
+   * Moves the editor to the position of a clicked stack frame or source badge
+   * @param {MouseEvent} event - Click event on the console
+   */
+  handleLinkClick(event) {
+    const link = event.target.closest && event.target.closest('.console-link');
+    if (!link || !this.onNavigate) {
+      return;
+    }
+
+    event.preventDefault();
+    event.stopPropagation();
+    const line = parseInt(link.dataset.line, 10);
+    const column = parseInt(link.dataset.column, 10) || 1;
+    if (line > 0) {
+      this.logger.debug(`Navigating to line ${line}, column ${column}`);
+      this.onNavigate(line, column);
+    }
+  }
+
+  /**
+   * Formats milliseconds since the run started as mm:ss.mmm
+   * @param {number} ms - Elapsed time in milliseconds
+   * @returns {string} Formatted timestamp
+   */
+  formatTimestamp(ms) {
+    const elapsed = Math.max(0, ms);
+    const minutes = String(Math.floor(elapsed / 60000)).padStart(2, '0');
+    const seconds = ((elapsed % 60000) / 1000).toFixed(3).padStart(6, '0');
+    return `${minutes}:${seconds}`;
+  }
+
+  /**
+   * Counts a repeat of the last line if the message is identical to it (same type, arguments
+   * and source line) and nothing was added in between
+   * @param {string} key - Message identity
+   * @param {string} type - Message type
+   * @returns {boolean} True if the message was collapsed into the last line
+   */
+  collapseRepeat(key, type) {
+    const last = this.lastLine;
+    const parent = this.groupStack[this.groupStack.length - 1] || null;
+    if (key === null || !last || last.key !== key || last.parent !== parent ||
+        this.entries[this.entries.length - 1] !== last) {
+      return false;
+    }
+
+    last.repeat++;
+    this.updateRepeatBadge(last);
+
+    const level = MESSAGE_LEVELS[type];
+    if (level) {
+      this.counts[level]++;
+    }
+    this.onChange();
+    return true;
+  }
+
+  /**
+   * Gets the identity of a message for repeat collapsing. Arguments from the sandbox are already
+   * encoded to plain data; values that do not serialize (BigInt, cycles in values added by the
+   * host page) get no identity
+   * @param {string} type - Message type
+   * @param {Array} args - Message arguments
+   * @param {Object} [meta] - Message metadata
+   * @returns {string|null} Message identity, or null if the message never collapses
+   */
+  getRepeatKey(type, args, meta) {
+    try {
+      return `${type}|${meta?.line}|${JSON.stringify(args)}`;
+    } catch (error) {
+      this.logger.debug('Message not collapsible:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Shows the repeat counter of an entry on its element (if built)
+   * @param {Object} entry - Console entry
+   */
+  updateRepeatBadge(entry) {
+    if (!entry.element || entry.repeat < 2) {
+      return;
+    }
+    if (!entry.badge) {
+      entry.badge = document.createElement('span');
+      entry.badge.className = 'console-repeat';
+      entry.element.insertBefore(entry.badge, entry.element.firstChild);
+    }
+    entry.badge.textContent = String(entry.repeat);
+  }
+
+  /**
+   * Adds a dimmed informational line that did not come from the user code
+   * @param {string} text - The notice text
+   */
+  addNotice(text) {
+    this.addEntry({
+      className: 'console-notice',
+      type: 'notice',
+      text,
+      build: (div) => { div.textContent = text; }
+    });
+  }
+
+  /**
+   * Opens a collapsible console.group(); following lines go inside it until groupEnd
+   * @param {Array} args - The group label arguments
+   * @param {boolean} collapsed - Start collapsed (console.groupCollapsed)
+   * @param {Object} [meta] - Message metadata
+   */
+  openGroup(args, collapsed, meta = null) {
+    const label = args.length ? args.map(arg => this.formatArg(arg)).join(' ') : 'console.group';
+    const group = this.addEntry({
+      className: 'console-group-header',
+      type: collapsed ? 'groupCollapsed' : 'group',
+      text: label,
+      args,
+      meta,
+      build: (div) => {
+        div.textContent = label;
+        div.classList.toggle('collapsed', group.collapsed);
+        div.addEventListener('click', () => {
+          group.collapsed = !group.collapsed;
+          div.classList.toggle('collapsed', group.collapsed);
+          this.updateVisible();
+        });
+      }
+    });
+    group.collapsed = collapsed;
+    this.groupStack.push(group);
+  }
+
+  /**
+   * Renders console.table() data
+   * @param {string|Object} data - Table model { columns, valueColumn, rows: [{ index, cells }] },
+   *   possibly as a JSON string
+   * @param {Object} [meta] - Message metadata
+   */
+  addTable(data, meta = null) {
+    let model = data;
+    try {
+      if (typeof model === 'string') {
+        model = JSON.parse(model);
+      }
+    } catch (error) {
+      this.logger.warn('Failed to parse table data:', error);
+    }
+    if (!model || !Array.isArray(model.rows)) {
+      this.addLine('log', [data], meta);
+      return;
+    }
+
+    const columns = [...(model.columns || [])];
+    if (model.valueColumn) {
+      columns.push('Value');
+    }
+
+    const text = [['(index)', ...columns], ...model.rows.map(row => [
+      row.index,
+      ...columns.map(column => (row.cells && row.cells[column] !== undefined ? row.cells[column] : ''))
+    ])].map(cells => cells.join('\t')).join('\n');
+
+    this.addEntry({
+      className: 'console-table-line',
+      type: 'table',
+      text,
+      args: [model],
+      meta,
+      build: (wrapper) => {
+        const table = document.createElement('table');
+        table.className = 'console-table';
+
+        const headerRow = table.createTHead().insertRow();
+        ['(index)', ...columns].forEach(column => {
+          const th = document.createElement('th');
+          th.textContent = column;
+          headerRow.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        model.rows.forEach(row => {
+          const tr = body.insertRow();
+          tr.insertCell().textContent = row.index;
+          columns.forEach(column => {
+            const cell = tr.insertCell();
+            if (row.cells && Object.prototype.hasOwnProperty.call(row.cells, column)) {
+              cell.textContent = row.cells[column];
+            }
+          });
+        });
+        wrapper.appendChild(table);
+      }
+    });
+  }
+
+  /**
+   * Renders console.trace() output: the message followed by the user code frames
+   * @param {string} stack - Formatted frames ("\n    at ..." lines)
+   * @param {Array} args - The trace message arguments
+   * @param {Object} [meta] - Message metadata
+   */
+  addTrace(stack, args, meta = null) {
+    const message = 'Trace: ' + args.map(arg => this.formatArg(arg)).join(' ');
+    const trace = String(stack || '').replace(/^\n/, '') || '    (no user code frames)';
+
+    this.addEntry({
+      className: 'console-trace',
+      type: 'trace',
+      text: `${message}\n${trace}`,
+      args,
+      meta,
+      build: (div) => {
+        const label = document.createElement('div');
+        label.textContent = message;
+
+        const frames = document.createElement('div');
+        frames.className = 'console-trace-frames';
+        frames.textContent = trace;
+
+        div.appendChild(label);
+        div.appendChild(frames);
+      }
+    });
   }
 
   /**
    * Adds a new line to the console output
-   * @param {string} type - The log type (log, info, warn, error)
+   * @param {string} type - The log type (log, info, warn, error, debug, dir)
    * @param {Array} args - The arguments to display
+   * @param {Object} [meta] - Message metadata { time, line?, column? } from the sandbox
    */
-  addLine(type, args) {
+  addLine(type, args, meta = null) {
     this.logger.debug(`Adding ${type} line with ${args.length} args`);
     this.logger.trace('Args received:', args);
 
     try {
-      const div = document.createElement('div');
-      div.className = `console-line console-${type}`;
-
-      // Process and format each argument
-      const formattedArgs = args.map((arg, index) => {
-        this.logger.trace(`Formatting arg ${index}:`, typeof arg, arg);
-        const formatted = this.formatArg(arg);
-        this.logger.trace(`Formatted result:`, formatted);
-        return formatted;
+      // Identical consecutive messages (e.g. logged every animation frame) share one line
+      const key = this.getRepeatKey(type, args, meta);
+      if (this.collapseRepeat(key, type)) {
+        return;
+      }
+
+      // Formatted when the line is first shown, searched or exported, not for every message
+      const format = () => {
+        try {
+          return args.map(arg => this.formatArg(arg)).join(' ');
+        } catch (error) {
+          this.logger.error('Failed to format console line:', error);
+          return '';
+        }
+      };
+
+      const entry = this.addEntry({
+        className: `console-${type}`,
+        type,
+        text: format,
+        args,
+        meta,
+        key,
+        build: (div) => {
+          if (args.some(arg => this.inspector.isExpandable(arg) && arg.kind !== 'error')) {
+            this.renderArgs(div, args);
+          } else if (type === 'error' && entry.text.includes('\n')) {
+            // For error messages with newlines, preserve formatting (escaping HTML first)
+            const escaped = entry.text
+              .replace(/&/g, '&amp;')
+              .replace(/</g, '&lt;')
+              .replace(/>/g, '&gt;')
+              .replace(/"/g, '&quot;')
+              .replace(/'/g, '&#039;')
+              .replace(/\n/g, '<br>');
+            div.innerHTML = escaped;
+          } else {
+            div.textContent = entry.text;
+          }
+        }
       });
+      this.lastLine = entry;
 
-      // For error messages with newlines, preserve formatting
-      const content = formattedArgs.join(' ');
-      if (type === 'error' && content.includes('\n')) {
-        // Use innerHTML for multi-line errors, but escape HTML first
-        const escaped = content
-          .replace(/&/g, '&amp;')
-          .replace(/</g, '&lt;')
-          .replace(/>/g, '&gt;')
-          .replace(/"/g, '&quot;')
-          .replace(/'/g, '&#039;')
-          .replace(/\n/g, '<br>');
-        div.innerHTML = escaped;
+      this.logger.debug(`Added ${type} message`);
+    } catch (error) {
+      this.logger.error('Failed to add console line:', error);
+    }
+  }
+
+  /**
+   * Renders arguments with the object inspector: strings and errors as text, containers as
+   * collapsible trees, other values syntax-colored
+   * @param {HTMLElement} line - The console line element
+   * @param {Array} args - The arguments to display
+   */
+  renderArgs(line, args) {
+    args.forEach((arg, index) => {
+      if (index > 0) {
+        line.appendChild(document.createTextNode(' '));
+      }
+      if (typeof arg === 'string' || (arg && (arg.kind === 'error' || arg.kind === 'string'))) {
+        line.appendChild(document.createTextNode(this.formatArg(arg)));
       } else {
-        div.textContent = content;
+        line.appendChild(this.inspector.render(arg));
       }
-      this.container.appendChild(div);
-      this.container.scrollTop = this.container.scrollHeight;
+    });
+  }
 
-      // Log what was actually displayed
-      this.logger.debug(`Displayed ${type} message:`, div.textContent);
-    } catch (error) {
-      this.logger.error('Failed to add console line:', error);
+  /**
+   * Echoes a REPL input line
+   * @param {string} code - The evaluated input
+   */
+  addInput(code) {
+    this.addEntry({
+      className: 'console-echo',
+      type: 'input',
+      text: code,
+      args: [code],
+      build: (div) => { div.textContent = code; }
+    });
+  }
+
+  /**
+   * Adds a REPL result line showing the value and its type
+   * @param {any} value - Result encoded by the sandbox (primitive or { kind, ... } descriptor)
+   * @param {string} type - Type name (e.g. 'number', 'Array(3)', 'Promise<Object>')
+   */
+  addResult(value, type) {
+    // Results print like nested values, so strings keep their quotes
+    const text = this.formatValue(value);
+    this.addEntry({
+      className: 'console-result',
+      type: 'result',
+      text: `${text} ${type}`,
+      args: [value, type],
+      build: (div) => {
+        // Containers expand like logged values; everything else is syntax-colored
+        const valueSpan = document.createElement('span');
+        valueSpan.className = 'console-result-value';
+        valueSpan.appendChild(this.inspector.render(value));
+
+        const typeSpan = document.createElement('span');
+        typeSpan.className = 'console-result-type';
+        typeSpan.textContent = type;
+
+        div.appendChild(valueSpan);
+        div.appendChild(typeSpan);
+      }
+    });
+  }
+
+  /**
+   * Gets the lines of the current run (those after the last run separator) as plain records,
+   * including lines hidden by the filters or inside collapsed groups
+   * @returns {Array<Object>} Records { type, level, time, timestamp, line, column, repeat,
+   *   depth, text, args }
+   */
+  getRunRecords() {
+    const start = this.entries.map(entry => entry.type).lastIndexOf('separator');
+    return this.entries.slice(start + 1).map(entry => {
+      const meta = entry.meta || {};
+      return {
+        type: entry.type,
+        level: entry.level,
+        time: Number.isFinite(meta.time) ? meta.time : null,
+        timestamp: Number.isFinite(meta.time) ? this.formatTimestamp(meta.time) : null,
+        line: Number.isFinite(meta.line) ? meta.line : null,
+        column: Number.isFinite(meta.column) ? meta.column : null,
+        repeat: entry.repeat,
+        depth: entry.depth,
+        text: entry.text,
+        args: entry.args
+      };
+    });
+  }
+
+  /**
+   * Finds the matches of a search pattern in the shown lines and highlights them
+   * @param {RegExp|null} pattern - Global search pattern (null ends the search)
+   * @returns {Array<Object>} Matches as { entry, occurrence } in display order
+   */
+  search(pattern) {
+    this.searchPattern = pattern;
+    this.searchVersion++;
+    this.currentMatch = null;
+
+    const matches = [];
+    if (pattern) {
+      this.visible.forEach(entry => {
+        this.findMatches(entry.text, pattern).forEach((match, occurrence) => {
+          matches.push({ entry, occurrence });
+        });
+      });
+    }
+
+    // Rendered lines are highlighted again now, the others when they are next shown
+    this.rendered.forEach(entry => this.highlightEntry(entry));
+    return matches;
+  }
+
+  /**
+   * Marks a match as the current one, scrolling it into view if requested
+   * @param {Object|null} match - A match returned by search()
+   * @param {Object} [options={}] - Options
+   * @param {boolean} [options.reveal=false] - Scroll the match into view
+   */
+  setCurrentMatch(match, options = {}) {
+    this.currentMatch = match;
+    if (match && options.reveal) {
+      this.scrollToEntry(match.entry);
+    }
+    this.updateCurrentMark();
+  }
+
+  /**
+   * Scrolls the list so an entry is in view (the nearest edge, like scrollIntoView)
+   * @param {Object} entry - Console entry
+   */
+  scrollToEntry(entry) {
+    const index = this.visible.indexOf(entry);
+    if (index < 0) {
+      return;
+    }
+
+    let offset = this.removedNotice.hidden ? 0 : this.removedNotice.offsetHeight;
+    for (let i = 0; i < index; i++) {
+      offset += this.visible[i].height || this.lineHeight;
+    }
+    const height = entry.height || this.lineHeight;
+    const { scrollTop, clientHeight } = this.container;
+
+    this.followTail = false;
+    if (offset < scrollTop) {
+      this.container.scrollTop = offset;
+    } else if (offset + height > scrollTop + clientHeight) {
+      this.container.scrollTop = offset + height - clientHeight;
+    }
+    this.render();
+  }
+
+  /**
+   * Moves the "current" highlight to the current match, if its line is rendered
+   */
+  updateCurrentMark() {
+    if (this.currentMark) {
+      this.currentMark.classList.remove('current');
+      this.currentMark = null;
+    }
+
+    const entry = this.currentMatch && this.currentMatch.entry;
+    if (!entry || !entry.element || !entry.element.isConnected) {
+      return;
+    }
+    const marks = entry.element.querySelectorAll('mark.console-match');
+    const mark = marks[Math.min(this.currentMatch.occurrence, marks.length - 1)];
+    if (mark) {
+      mark.classList.add('current');
+      this.currentMark = mark;
+    }
+  }
+
+  /**
+   * Finds the non-empty matches of a pattern in a text
+   * @param {string} text - Text to search
+   * @param {RegExp} pattern - Global search pattern
+   * @returns {Array<RegExpExecArray>} Matches
+   */
+  findMatches(text, pattern) {
+    const matches = [];
+    let match;
+    pattern.lastIndex = 0;
+    while ((match = pattern.exec(text)) !== null) {
+      if (!match[0]) {
+        // Empty matches (e.g. /a*/) would loop forever and highlight nothing
+        pattern.lastIndex++;
+        continue;
+      }
+      matches.push(match);
+    }
+    return matches;
+  }
+
+  /**
+   * Replaces the search highlights of a built line with those of the current pattern
+   * @param {Object} entry - Console entry (its element must be built)
+   */
+  highlightEntry(entry) {
+    const element = entry.element;
+    entry.highlighted = this.searchVersion;
+
+    element.querySelectorAll('mark.console-match').forEach(mark => {
+      const parent = mark.parentNode;
+      parent.replaceChild(document.createTextNode(mark.textContent), mark);
+      parent.normalize();
+    });
+    if (!this.searchPattern) {
+      return;
+    }
+
+    const nodes = [];
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      const decoration = node.parentElement &&
+        DECORATION_CLASSES.some(className => node.parentElement.classList.contains(className));
+      if (node.nodeValue && !decoration) {
+        nodes.push(node);
+      }
+    }
+
+    nodes.forEach(node => {
+      const text = node.nodeValue;
+      const matches = this.findMatches(text, this.searchPattern);
+      if (!matches.length) {
+        return;
+      }
+
+      const fragment = document.createDocumentFragment();
+      let last = 0;
+      matches.forEach(match => {
+        fragment.appendChild(document.createTextNode(text.slice(last, match.index)));
+        const mark = document.createElement('mark');
+        mark.className = 'console-match';
+        mark.textContent = match[0];
+        fragment.appendChild(mark);
+        last = match.index + match[0].length;
+      });
+      fragment.appendChild(document.createTextNode(text.slice(last)));
+      node.parentNode.replaceChild(fragment, node);
+    });
+  }
+
+  /**
+   * Stops rendering and observing the console container
+   */
+  destroy() {
+    if (this.renderFrame !== null) {
+      cancelAnimationFrame(this.renderFrame);
+      this.renderFrame = null;
+    }
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+    }
+    if (this.scrollHandler) {
+      this.container.removeEventListener('scroll', this.scrollHandler);
+      this.scrollHandler = null;
+    }
+    if (this.clickHandler) {
+      this.container.removeEventListener('click', this.clickHandler);
+      this.clickHandler = null;
     }
   }
 
   /**
    * Formats a value for display in the console
-   * @param {any} value - The value to format
+   * @param {any} value - The value to format (a sandbox descriptor or a plain value)
    * @returns {string} The formatted string representation
    */
   formatArg(value) {
+    if (this.isEncoded(value)) {
+      // Top-level strings print without quotes, like the native console
+      return value.kind === 'string' ? `${value.value}…` : this.formatValue(value);
+    }
+
     try {
       // Handle Error objects
       if (value instanceof Error) {
@@ -115,4 +1130,113 @@ export class ConsoleOutput {
       return String(value);
     }
   }
+
+  /**
+   * Checks if a value is a descriptor produced by the sandbox's structured encoding
+   * @param {any} value - The value to check
+   * @returns {boolean} True for { kind, ... } descriptors
+   */
+  isEncoded(value) {
+    return value !== null && typeof value === 'object' && typeof value.kind === 'string';
+  }
+
+  /**
+   * Formats a value encoded by the sandbox (nested strings are quoted)
+   * @param {any} value - Primitive or { kind, ... } descriptor
+   * @returns {string} Single-line representation
+   */
+  formatValue(value) {
+    if (!this.isEncoded(value)) {
+      return typeof value === 'string' ? JSON.stringify(value) : String(value);
+    }
+
+    switch (value.kind) {
+      case 'undefined':
+        return 'undefined';
+      case 'number':
+      case 'symbol':
+      case 'date':
+      case 'regexp':
+        return value.value;
+      case 'string':
+        return JSON.stringify(`${value.value}…`);
+      case 'bigint':
+        return `${value.value}n`;
+      case 'function':
+        return value.isClass ? `class ${value.name || '(anonymous)'}` : `ƒ ${value.name || 'anonymous'}()`;
+      case 'accessor':
+        return value.get && value.set ? '[Getter/Setter]' : (value.get ? '[Getter]' : '[Setter]');
+      case 'circular':
+        return `[Circular *${value.ref}]`;
+      case 'node':
+        return value.summary;
+      default: {
+        const formatted = value.kind === 'error' ? this.formatError(value) : this.formatContainer(value);
+        return value.ref ? `<ref *${value.ref}> ${formatted}` : formatted;
+      }
+    }
+  }
+
+  /**
+   * Formats an encoded array, typed array, Map, Set or object
+   * @param {Object} value - Container descriptor
+   * @returns {string} Single-line representation
+   */
+  formatContainer(value) {
+    const more = value.more ? [`… ${value.more} more`] : [];
+
+    if (value.kind === 'array') {
+      const prefix = value.name === 'Array' ? '' : `${value.name}(${value.length}) `;
+      if (value.collapsed) {
+        return `${value.name}(${value.length})`;
+      }
+      const items = (value.items || []).map(item => (
+        item && item.kind === 'hole'
+          ? `<${item.count} empty item${item.count === 1 ? '' : 's'}>`
+          : this.formatValue(item)
+      ));
+      return `${prefix}[${[...items, ...more].join(', ')}]`;
+    }
+
+    if (value.kind === 'map' || value.kind === 'set') {
+      const prefix = `${value.name || (value.kind === 'map' ? 'Map' : 'Set')}(${value.size})`;
+      if (value.collapsed) {
+        return `${prefix} {…}`;
+      }
+      const entries = (value.entries || []).map(entry => (
+        value.kind === 'map'
+          ? `${this.formatValue(entry[0])} => ${this.formatValue(entry[1])}`
+          : this.formatValue(entry)
+      ));
+      return `${prefix} {${[...entries, ...more].join(', ')}}`;
+    }
+
+    let prefix = '';
+    if (value.name === null) {
+      prefix = '[Object: null prototype] ';
+    } else if (value.name && value.name !== 'Object') {
+      prefix = `${value.name} `;
+    }
+    if (value.collapsed) {
+      return `${prefix || 'Object '}{…}`;
+    }
+    const entries = (value.entries || []).map(([key, entry]) => {
+      return `${this.inspector.formatKey(key)}: ${this.formatValue(entry)}`;
+    });
+    const body = [...entries, ...more];
+    return `${prefix}${body.length ? `{${body.join(', ')}}` : '{}'}`;
+  }
+
+  /**
+   * Formats an encoded Error with its user code frames and cause chain
+   * @param {Object} value - Error descriptor
+   * @returns {string} Multi-line representation
+   */
+  formatError(value) {
+    let formatted = `${value.name}: ${value.message}${value.stack || ''}`;
+    if (value.cause !== undefined) {
+      formatted += `\nCaused by: ${this.formatValue(value.cause)}`;
+    }
+    return formatted;
+  }
 }
@@ -7,6 +7,11 @@
 export const DEFAULT_TIMEOUT_MS = 4000;
 export const NETWORK_TIMEOUT_MS = 5000;
 export const TEMPLATE_LOAD_TIMEOUT_MS = 5000;
+export const TRANSPILER_LOAD_TIMEOUT_MS = 15000;
+
+// Loop guard budgets (kept below DEFAULT_TIMEOUT_MS so the guard fires before the kill timer)
+export const LOOP_GUARD_BUDGET_MS = 2000;
+export const LOOP_GUARD_MAX_DEPTH = 5000;
 
 // UI dimensions
 export const MIN_LEFT_PANE_WIDTH = 320;
@@ -16,8 +21,63 @@ export const MIN_PREVIEW_HEIGHT = 100;
 export const RESIZE_HANDLE_WIDTH = 5;
 export const VERTICAL_RESIZE_HANDLE_HEIGHT = 8;
 
+// Console output (lines kept before the oldest are removed)
+export const CONSOLE_MAX_LINES = 5000;
+
+// Editor line highlight after jumping to a position
+export const FLASH_DURATION_MS = 1200;
+
+// Pause in typing before the live syntax check runs
+export const SYNTAX_CHECK_DELAY_MS = 400;
+
+// Pause in typing before an auto-run (live mode) starts
+export const AUTO_RUN_DELAY_MS = 800;
+
+// Pause in typing before the snippets workspace saves the edited code
+export const SNIPPET_SAVE_DELAY_MS = 1000;
+
+// A failed snippet or history write is retried after this pause, doubled after each further failure up to the maximum
+export const STORAGE_RETRY_DELAY_MS = 2000;
+export const STORAGE_RETRY_MAX_DELAY_MS = 60000;
+
+// Live values longer than this are cut short in the editor
+export const LIVE_VALUE_MAX_LENGTH = 120;
+
+// Version history: while typing, the open snippet is snapshotted at most this often
+export const HISTORY_SNAPSHOT_INTERVAL_MS = 60000;
+
+// Default version history pruning limits (0 = no limit)
+export const HISTORY_MAX_SNAPSHOTS = 50;
+export const HISTORY_MAX_AGE_DAYS = 30;
+
 // Storage keys
 export const DEFAULT_STORAGE_KEY = 'js-sandbox-code';
+export const SNIPPETS_STORAGE_KEY = 'sandbox_snippets';
+
+// localStorage key of snippet code edits written when the page is hidden before they were saved
+// (outside STORAGE_KEY_PATTERN: it is never moved to IndexedDB)
+export const SNIPPETS_JOURNAL_KEY = 'js-sandbox:journal:snippets';
+
+// localStorage keys that belong to the sandbox (moved to IndexedDB on first load)
+export const STORAGE_KEY_PATTERN = /^(sandbox_|js-sandbox-)/;
+
+// Setting saved in IndexedDB once the localStorage keys have been moved
+export const STORAGE_MIGRATED_KEY = 'sandbox_storage_migrated';
+
+// localStorage list of the settings written to localStorage while IndexedDB was not in use, merged
+// into IndexedDB on the next load (outside STORAGE_KEY_PATTERN: it is never moved itself)
+export const STORAGE_DIRTY_KEY = 'js-sandbox:dirty-settings';
+
+// IndexedDB database of the storage layer
+export const STORAGE_DB_NAME = 'js-sandbox';
+export const STORAGE_DB_VERSION = 1;
+
+// Storage areas: settings (read synchronously, cached in memory), fetched library bodies, run history
+export const STORAGE_AREAS = {
+  SETTINGS: 'settings',
+  LIBRARIES: 'libraries',
+  HISTORY: 'history'
+};
 
 // Log levels
 export const LOG_LEVELS = {
@@ -84,13 +144,18 @@ export const EVENTS = {
   CODE_CHANGE: 'code:change',
   CODE_LOAD: 'code:load',
   CODE_VALIDATE: 'code:validate',
+  LINT_SETTINGS_OPEN: 'lint:settings:open',
+  LINT_RULES_CHANGE: 'lint:rules:change',
   CODE_EXECUTE_START: 'code:execute:start',
   CODE_EXECUTE_COMPLETE: 'code:execute:complete',
   CODE_EXECUTE_TIMEOUT: 'code:execute:timeout',
+  CODE_EXECUTE_STOPPED: 'code:execute:stopped',
   
   // Console events
   CONSOLE_MESSAGE: 'console:message',
   CONSOLE_CLEAR: 'console:clear',
+  CONSOLE_PRESERVE_CHANGE: 'console:preserve:change',
+  CONSOLE_EXPORT_OPEN: 'console:export:open',
   
   // Sandbox events
   SANDBOX_RESET: 'sandbox:reset',
@@ -134,11 +199,38 @@ export const EVENTS = {
   DOMAIN_ADDED: 'domain:added',
   DOMAIN_REMOVED: 'domain:removed',
   LIBRARIES_CLEARED: 'libraries:cleared',
+  LIBRARIES_REPLACED: 'libraries:replaced',
+  LIBRARY_PRESET_APPLIED: 'library:preset:applied',
 
   // Share events
   SHARE_SUCCESS: 'share:success',
   SHARE_ERROR: 'share:error',
 
+  // Execution mode events
+  MODE_CHANGE: 'mode:change',
+  JSX_PRAGMA_CHANGE: 'jsx:pragma:change',
+  BACKEND_CHANGE: 'backend:change',
+  LOOP_GUARD_CHANGE: 'loop-guard:change',
+  LIVE_VALUES_CHANGE: 'live-values:change',
+  AUTO_RUN_CHANGE: 'auto-run:change',
+
+  // Snippet events
+  SNIPPETS_OPEN: 'snippets:open',
+  SNIPPETS_CHANGE: 'snippets:change',
+  SNIPPET_SWITCH: 'snippet:switch',
+
+  // Version history events
+  HISTORY_OPEN: 'history:open',
+  HISTORY_RESTORE: 'history:restore',
+
+  // Storage events
+  STORAGE_OPEN: 'storage:open',
+  STORAGE_ERROR: 'storage:error',
+
+  // REPL events
+  REPL_SUBMIT: 'repl:submit',
+  REPL_RESULT: 'repl:result',
+
   // Destroy
   DESTROY: 'destroy'
 };
@@ -147,6 +239,9 @@ export const EVENTS = {
 export const STATUS_MESSAGES = {
   executing: 'Executing…',
   completed: 'Completed',
+  running: 'Running…',
+  idle: 'Completed (idle)',
+  stopped: 'Stopped',
   timeout: 'Timeout exceeded',
   reset: 'Sandbox reset',
   cleared: 'Console cleared'
@@ -160,9 +255,59 @@ export const TEMPLATE_MARKERS = {
   SECRET: '{{SECRET}}',
   USER_CODE: '{{USER_CODE}}',
   DYNAMIC_CSP: '{{DYNAMIC_CSP}}',
-  LIBRARY_SCRIPTS: '{{LIBRARY_SCRIPTS}}'
+  LIBRARY_SCRIPTS: '{{LIBRARY_SCRIPTS}}',
+  IMPORT_MAP: '{{IMPORT_MAP}}',
+  MODULE_SOURCE: '{{MODULE_SOURCE}}',
+  BODY_HTML: '{{BODY_HTML}}',
+  LIBRARY_URLS: '{{LIBRARY_URLS}}',
+  LINE_OFFSET: '{{LINE_OFFSET}}',
+  USER_CODE_LINES: '{{USER_CODE_LINES}}',
+  LOOP_GUARD: '{{LOOP_GUARD}}',
+  COLUMN_MAPS: '{{COLUMN_MAPS}}',
+  RUNTIME: '{{RUNTIME}}'
+};
+
+// Execution backends
+export const EXECUTION_BACKENDS = {
+  IFRAME: 'iframe',
+  WORKER: 'worker'
 };
 
+// Execution modes (classic script, ES module, transpiled languages)
+export const EXECUTION_MODES = [
+  { value: 'javascript', label: '📜 Script', title: 'JavaScript', module: false, language: 'javascript' },
+  { value: 'module', label: '📦 ES Module', title: 'ES Module', module: true, language: 'javascript' },
+  { value: 'typescript', label: '🔷 TypeScript', title: 'TypeScript', module: false, language: 'typescript' },
+  { value: 'jsx', label: '⚛️ JSX', title: 'JSX', module: false, language: 'jsx' }
+];
+
+// JSX pragmas offered by the mode switcher (a custom one can also be entered)
+export const JSX_PRAGMAS = [
+  { value: 'React.createElement', fragment: 'React.Fragment', label: 'React.createElement' },
+  { value: 'h', fragment: 'Fragment', label: 'h (Preact / hyperscript)' }
+];
+
+export const DEFAULT_JSX_PRAGMA = 'React.createElement';
+
+// One-click library presets for the library manager
+export const LIBRARY_PRESETS = {
+  react: {
+    name: 'React 18',
+    icon: '⚛️',
+    mode: 'jsx',
+    pragma: 'React.createElement',
+    libraries: [
+      { name: 'React', url: 'https://cdnjs.cloudflare.com/ajax/libs/react/18.2.0/umd/react.development.js' },
+      { name: 'ReactDOM', url: 'https://cdnjs.cloudflare.com/ajax/libs/react-dom/18.2.0/umd/react-dom.development.js', mountRoot: 'root' }
+    ]
+  }
+};
+
+export const DEFAULT_EXECUTION_MODE = 'javascript';
+
+// Babel standalone bundle used to transpile TypeScript in the browser
+export const BABEL_STANDALONE_URL = 'https://unpkg.com/@babel/standalone@7.29.9/babel.min.js';
+
 // Editor themes
 export const EDITOR_THEMES = {
   ACE: [
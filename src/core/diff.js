@@ -0,0 +1,109 @@
+/** Above this many line pairs the changed middle is shown as fully replaced instead of diffed */
+const MAX_DIFF_CELLS = 4000000;
+
+/** Above this many line pairs changed lines are counted without diffing (see countChangedLines) */
+const MAX_COUNT_CELLS = 250000;
+
+/**
+ * Compares two texts line by line (longest common subsequence)
+ * @param {string} oldText - Text before
+ * @param {string} newText - Text after
+ * @returns {Array<Object>} Lines in order: { type: 'same' | 'removed' | 'added', text }
+ */
+export function diffLines(oldText, newText) {
+  const a = oldText.split('\n');
+  const b = newText.split('\n');
+
+  // Common first and last lines are skipped before building the table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const same = text => ({ type: 'same', text });
+  const head = a.slice(0, start).map(same);
+  const tail = a.slice(endA).map(same);
+  const oldLines = a.slice(start, endA);
+  const newLines = b.slice(start, endB);
+
+  if (oldLines.length * newLines.length > MAX_DIFF_CELLS) {
+    return [
+      ...head,
+      ...oldLines.map(text => ({ type: 'removed', text })),
+      ...newLines.map(text => ({ type: 'added', text })),
+      ...tail
+    ];
+  }
+
+  // lengths[i][j] = length of the common subsequence of oldLines[i..] and newLines[j..]
+  const lengths = Array.from({ length: oldLines.length + 1 }, () => new Uint32Array(newLines.length + 1));
+  for (let i = oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      lengths[i][j] = oldLines[i] === newLines[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const middle = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldLines.length && j < newLines.length) {
+    if (oldLines[i] === newLines[j]) {
+      middle.push(same(oldLines[i]));
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      middle.push({ type: 'removed', text: oldLines[i++] });
+    } else {
+      middle.push({ type: 'added', text: newLines[j++] });
+    }
+  }
+  while (i < oldLines.length) {
+    middle.push({ type: 'removed', text: oldLines[i++] });
+  }
+  while (j < newLines.length) {
+    middle.push({ type: 'added', text: newLines[j++] });
+  }
+
+  return [...head, ...middle, ...tail];
+}
+
+/**
+ * Counts the lines added and removed between two texts. Small texts are diffed; larger ones are
+ * compared as sets of lines, which is much cheaper but does not count lines that only moved.
+ * @param {string} oldText - Text before
+ * @param {string} newText - Text after
+ * @returns {Object} { added, removed }
+ */
+export function countChangedLines(oldText, newText) {
+  const a = oldText.split('\n');
+  const b = newText.split('\n');
+
+  if (a.length * b.length <= MAX_COUNT_CELLS) {
+    const lines = diffLines(oldText, newText);
+    return {
+      added: lines.filter(line => line.type === 'added').length,
+      removed: lines.filter(line => line.type === 'removed').length
+    };
+  }
+
+  const remaining = new Map();
+  a.forEach(line => remaining.set(line, (remaining.get(line) || 0) + 1));
+  let added = 0;
+  b.forEach(line => {
+    const count = remaining.get(line) || 0;
+    if (count) {
+      remaining.set(line, count - 1);
+    } else {
+      added++;
+    }
+  });
+  return { added, removed: a.length - (b.length - added) };
+}
@@ -0,0 +1,365 @@
+import { Logger } from './logger.js';
+import { storageManager } from './storage-manager.js';
+import { getRetryDelay } from './utils.js';
+import {
+  EVENTS,
+  STORAGE_AREAS,
+  HISTORY_SNAPSHOT_INTERVAL_MS,
+  HISTORY_MAX_SNAPSHOTS,
+  HISTORY_MAX_AGE_DAYS
+} from './constants.js';
+
+/** Milliseconds in a day */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Version history of the snippets: snapshots of each snippet's code, kept in the history area of
+ * the storage layer (one list per snippet, newest first).
+ *
+ * While typing, the code from before the first edit is saved right away (so one bad paste can be
+ * undone) and the edited code at most once per interval; every manual run is saved too. Equal
+ * consecutive snapshots are not repeated. Old snapshots are pruned by count and by age. A list
+ * whose write fails stays in memory and is written again after a pause.
+ *
+ * A snapshot is { id, time, code, reason } where reason is 'edit', 'run' or 'restore' (the code
+ * replaced by a restore).
+ * @author Joao Guilherme (Guinetik) <guinetik@gmail.com>
+ */
+export class SnippetHistory {
+  /**
+   * Creates a new SnippetHistory instance and starts recording
+   * @param {Object} eventEmitter - Event emitter instance
+   * @param {Object} workspace - SnippetWorkspace instance
+   * @param {Object} [options={}] - Configuration options
+   * @param {number} [options.interval] - Minimum time between snapshots while typing (ms)
+   * @param {string} [options.storageKey='sandbox_history_limits'] - Storage key for the pruning limits
+   * @param {boolean} [options.debug=false] - Enable debug logging
+   */
+  constructor(eventEmitter, workspace, options = {}) {
+    this.eventEmitter = eventEmitter;
+    this.workspace = workspace;
+    this.options = {
+      interval: HISTORY_SNAPSHOT_INTERVAL_MS,
+      storageKey: 'sandbox_history_limits',
+      debug: false,
+      ...options
+    };
+
+    this.logger = new Logger({
+      enabled: this.options.debug,
+      level: 'info',
+      prefix: 'SnippetHistory'
+    });
+
+    this.limits = this.loadLimits();
+    // Snapshot lists by snippet id, loaded on first use
+    this.cache = new Map();
+    // Writes run one after another so a list is never saved over a newer one
+    this.queue = Promise.resolve();
+    // Snippets whose list failed to save, retried by a timer
+    this.unsavedIds = new Set();
+    this.retryTimer = null;
+    this.saveFailures = 0;
+
+    // Editing burst in progress: the snippet to snapshot when the interval ends
+    this.dirtyId = null;
+    this.timer = null;
+    const active = workspace.getActive();
+    this.lastCode = active ? { id: active.id, code: active.code } : null;
+
+    this.setupEventListeners();
+    this.ready = this.pruneAll();
+  }
+
+  /**
+   * Records edits, manual runs and snippet switches
+   */
+  setupEventListeners() {
+    this.handlers = {
+      [EVENTS.CODE_CHANGE]: ({ code }) => this.onCodeChange(code),
+      [EVENTS.CODE_EXECUTE_START]: ({ code, auto }) => {
+        // Automatic runs happen while typing, which the edit snapshots already cover
+        const snippet = this.workspace.getActive();
+        if (snippet && !auto) {
+          this.snapshot(snippet.id, code, 'run');
+        }
+      },
+      [EVENTS.SNIPPET_SWITCH]: ({ snippet }) => this.reset(snippet)
+    };
+    Object.entries(this.handlers).forEach(([event, handler]) => this.eventEmitter.on(event, handler));
+
+    // Save the edits of the last interval when the page is closed
+    this.pageHideHandler = () => this.flush();
+    window.addEventListener('pagehide', this.pageHideHandler);
+  }
+
+  /**
+   * Handles an edit: the first edit of a burst saves the code from before it, and the edited code
+   * is saved when the interval ends
+   * @param {string} code - Code after the edit
+   */
+  onCodeChange(code) {
+    const snippet = this.workspace.getActive();
+    if (!snippet) {
+      return;
+    }
+    // Setting the code the editor already has (a restore, an opened snippet) is not an edit
+    if (this.lastCode?.id === snippet.id && this.lastCode.code === code) {
+      return;
+    }
+    if (this.dirtyId && this.dirtyId !== snippet.id) {
+      this.flush();
+    }
+
+    if (!this.timer) {
+      if (this.lastCode?.id === snippet.id) {
+        this.snapshot(snippet.id, this.lastCode.code, 'edit');
+      }
+      this.dirtyId = snippet.id;
+      this.timer = setTimeout(() => this.flush(), this.options.interval);
+    }
+    this.lastCode = { id: snippet.id, code };
+  }
+
+  /**
+   * Saves the snippet edited in the current burst now
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    const snippet = this.dirtyId && this.workspace.get(this.dirtyId);
+    this.dirtyId = null;
+    if (snippet) {
+      this.snapshot(snippet.id, snippet.code, 'edit');
+    }
+  }
+
+  /**
+   * Saves the edits in progress and starts over from code put in the editor from outside (an
+   * opened snippet, a restored snapshot), so the next edit is compared with that code
+   * @param {Object|null} snippet - Snippet open in the editor
+   * @param {string} [code] - Code put in the editor (the snippet's code by default)
+   */
+  reset(snippet, code = snippet?.code) {
+    this.flush();
+    this.lastCode = snippet ? { id: snippet.id, code } : null;
+  }
+
+  /**
+   * Gets the snapshots of a snippet
+   * @param {string} snippetId - Snippet id
+   * @returns {Promise<Array<Object>>} Snapshots, newest first
+   */
+  async getSnapshots(snippetId) {
+    await this.queue;
+    return [...await this.load(snippetId)];
+  }
+
+  /**
+   * Loads a snippet's snapshot list into the cache
+   * @param {string} snippetId - Snippet id
+   * @returns {Promise<Array<Object>>} The cached list
+   */
+  async load(snippetId) {
+    if (!this.cache.has(snippetId)) {
+      const saved = await storageManager.get(STORAGE_AREAS.HISTORY, snippetId);
+      this.cache.set(snippetId, Array.isArray(saved) ? saved : []);
+    }
+    return this.cache.get(snippetId);
+  }
+
+  /**
+   * Saves a snapshot unless the code equals the newest one
+   * @param {string} snippetId - Snippet id
+   * @param {string} code - Code
+   * @param {string} reason - 'edit', 'run' or 'restore'
+   * @returns {Promise<Object|null>} The snapshot, or null if it was not needed
+   */
+  snapshot(snippetId, code, reason) {
+    return this.enqueue(async () => {
+      const snapshots = await this.load(snippetId);
+      if (snapshots[0]?.code === code) {
+        return null;
+      }
+
+      const snapshot = {
+        id: `${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+        time: Date.now(),
+        code,
+        reason
+      };
+      snapshots.unshift(snapshot);
+      this.prune(snapshots);
+      await this.saveList(snippetId, snapshots);
+      this.logger.debug(`Snapshot (${reason}) of ${snippetId}: ${snapshots.length} kept`);
+      return snapshot;
+    });
+  }
+
+  /**
+   * Deletes the snapshots of a snippet
+   * @param {string} snippetId - Snippet id
+   * @returns {Promise<void>}
+   */
+  clear(snippetId) {
+    return this.enqueue(async () => {
+      this.cache.set(snippetId, []);
+      this.unsavedIds.delete(snippetId);
+      await storageManager.delete(STORAGE_AREAS.HISTORY, snippetId);
+      this.logger.info(`History cleared for ${snippetId}`);
+    });
+  }
+
+  /**
+   * Drops the snapshots beyond the limits (keeps at least the newest one)
+   * @param {Array<Object>} snapshots - Snapshots, newest first (changed in place)
+   * @returns {boolean} True if snapshots were dropped
+   */
+  prune(snapshots) {
+    const { maxSnapshots, maxAgeDays } = this.limits;
+    let keep = snapshots.length;
+    if (maxSnapshots > 0) {
+      keep = Math.min(keep, maxSnapshots);
+    }
+    if (maxAgeDays > 0) {
+      const oldest = Date.now() - maxAgeDays * DAY_MS;
+      const recent = snapshots.findIndex(snapshot => snapshot.time < oldest);
+      if (recent !== -1) {
+        keep = Math.min(keep, Math.max(1, recent));
+      }
+    }
+    if (keep >= snapshots.length) {
+      return false;
+    }
+    snapshots.splice(keep);
+    return true;
+  }
+
+  /**
+   * Prunes every saved history and deletes the histories of deleted snippets
+   * @returns {Promise<void>}
+   */
+  pruneAll() {
+    return this.enqueue(async () => {
+      const entries = await storageManager.entries(STORAGE_AREAS.HISTORY);
+      for (const [snippetId, saved] of entries) {
+        if (!this.workspace.get(snippetId)) {
+          this.cache.delete(snippetId);
+          this.unsavedIds.delete(snippetId);
+          await storageManager.delete(STORAGE_AREAS.HISTORY, snippetId);
+          continue;
+        }
+        const snapshots = this.cache.get(snippetId) || (Array.isArray(saved) ? saved : []);
+        this.cache.set(snippetId, snapshots);
+        if (this.prune(snapshots)) {
+          await this.saveList(snippetId, snapshots);
+        }
+      }
+    });
+  }
+
+  /**
+   * Writes a snippet's snapshot list. When the write fails, the list stays in the cache and is
+   * written again after a pause.
+   * @param {string} snippetId - Snippet id
+   * @param {Array<Object>} snapshots - Snapshots, newest first
+   * @returns {Promise<boolean>} True if the list was written
+   */
+  async saveList(snippetId, snapshots) {
+    if (await storageManager.set(STORAGE_AREAS.HISTORY, snippetId, snapshots)) {
+      this.unsavedIds.delete(snippetId);
+      if (this.unsavedIds.size === 0) {
+        this.saveFailures = 0;
+      }
+      return true;
+    }
+
+    this.unsavedIds.add(snippetId);
+    if (!this.retryTimer) {
+      this.saveFailures++;
+      const retryDelay = getRetryDelay(this.saveFailures);
+      this.logger.warn(`Failed to save history, retrying in ${retryDelay / 1000}s`);
+      this.retryTimer = setTimeout(() => {
+        this.retryTimer = null;
+        [...this.unsavedIds].forEach(id => this.enqueue(async () => {
+          // Cleared or written by a newer snapshot in the meantime
+          if (this.unsavedIds.has(id) && this.cache.has(id)) {
+            await this.saveList(id, this.cache.get(id));
+          }
+        }));
+      }, retryDelay);
+    }
+    return false;
+  }
+
+  /**
+   * Gets the pruning limits
+   * @returns {Object} { maxSnapshots, maxAgeDays } (0 = no limit)
+   */
+  getLimits() {
+    return { ...this.limits };
+  }
+
+  /**
+   * Changes the pruning limits, saves them and prunes the saved histories
+   * @param {Object} limits - { maxSnapshots, maxAgeDays } (0 = no limit)
+   * @returns {Promise<void>}
+   */
+  setLimits(limits) {
+    this.limits = this.normalizeLimits({ ...this.limits, ...limits });
+    try {
+      storageManager.setItem(this.options.storageKey, JSON.stringify(this.limits));
+    } catch (error) {
+      this.logger.warn('Failed to save history limits:', error);
+    }
+    this.logger.info('History limits changed:', this.limits);
+    return this.pruneAll();
+  }
+
+  /**
+   * Loads the pruning limits from storage
+   * @returns {Object} { maxSnapshots, maxAgeDays }
+   */
+  loadLimits() {
+    try {
+      return this.normalizeLimits(JSON.parse(storageManager.getItem(this.options.storageKey) || '{}'));
+    } catch (error) {
+      this.logger.warn('Failed to load history limits:', error);
+      return this.normalizeLimits({});
+    }
+  }
+
+  /**
+   * Fills in missing limits and turns invalid ones into the defaults
+   * @param {Object} limits - Saved or entered limits
+   * @returns {Object} { maxSnapshots, maxAgeDays }
+   */
+  normalizeLimits(limits) {
+    const valid = (value, fallback) => (Number.isInteger(value) && value >= 0 ? value : fallback);
+    return {
+      maxSnapshots: valid(limits.maxSnapshots, HISTORY_MAX_SNAPSHOTS),
+      maxAgeDays: valid(limits.maxAgeDays, HISTORY_MAX_AGE_DAYS)
+    };
+  }
+
+  /**
+   * Runs a history change after the previous ones
+   * @param {Function} task - Async task
+   * @returns {Promise<*>} Result of the task
+   */
+  enqueue(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(error => this.logger.warn('History update failed:', error));
+    return result;
+  }
+
+  /**
+   * Saves pending edits and stops recording
+   */
+  destroy() {
+    this.flush();
+    clearTimeout(this.retryTimer);
+    Object.entries(this.handlers).forEach(([event, handler]) => this.eventEmitter.off(event, handler));
+    window.removeEventListener('pagehide', this.pageHideHandler);
+  }
+}
@@ -0,0 +1,431 @@
+import { Logger } from './logger.js';
+import { storageManager } from './storage-manager.js';
+
+/** Lint rules: label and description shown in the settings dialog, and whether they start enabled */
+export const LINT_RULES = {
+  'no-unused-vars': {
+    label: 'Unused variables',
+    description: 'Variables, functions, classes and imports that are never read (names starting with _ are ignored)',
+    defaultEnabled: true
+  },
+  'no-use-before-define': {
+    label: 'Use before define',
+    description: 'let, const and class bindings read before their declaration, a ReferenceError at runtime',
+    defaultEnabled: true
+  },
+  'no-implicit-globals': {
+    label: 'Accidental globals',
+    description: 'Assignments to undeclared variables, which create globals (or throw in modules)',
+    defaultEnabled: true
+  },
+  eqeqeq: {
+    label: 'Strict equality',
+    description: '== and != instead of === and !== (comparisons with null are allowed)',
+    defaultEnabled: true
+  },
+  'no-unreachable': {
+    label: 'Unreachable code',
+    description: 'Statements after return, throw, break or continue',
+    defaultEnabled: true
+  },
+  'no-shadow': {
+    label: 'Shadowing',
+    description: 'Declarations that hide a variable of an outer scope',
+    defaultEnabled: true
+  },
+  'missing-await': {
+    label: 'Missing await',
+    description: 'Promises from async functions or fetch() that are dropped inside async code, or used as if they were the result',
+    defaultEnabled: true
+  }
+};
+
+/** Parser plugins per source language */
+const LANGUAGE_PLUGINS = {
+  typescript: ['typescript'],
+  jsx: ['jsx']
+};
+
+/** Statements after which the rest of the block never runs */
+const TERMINATORS = ['ReturnStatement', 'ThrowStatement', 'BreakStatement', 'ContinueStatement'];
+
+/** Promise methods that handle a promise (a call used through them is not missing an await) */
+const PROMISE_METHODS = ['then', 'catch', 'finally'];
+
+/**
+ * Linter for the editor code: a Babel (loaded by the Transpiler) visitor pass with scope
+ * analysis that reports likely bugs as warnings. Rules can be turned on and off; the
+ * configuration is kept in the storage layer.
+ * @author Joao Guilherme (Guinetik) <guinetik@gmail.com>
+ */
+export class Linter {
+  /**
+   * Creates a new Linter instance
+   * @param {Object} [options={}] - Configuration options
+   * @param {string} [options.storageKey='sandbox_lint_rules'] - Storage key for the rule configuration
+   * @param {boolean} [options.debug=false] - Enable debug logging
+   */
+  constructor(options = {}) {
+    this.options = {
+      storageKey: 'sandbox_lint_rules',
+      debug: false,
+      ...options
+    };
+
+    this.logger = new Logger({
+      enabled: this.options.debug,
+      level: 'info',
+      prefix: 'Linter'
+    });
+
+    this.enabledRules = this.loadConfig();
+  }
+
+  /**
+   * Checks if the parser is available (Babel standalone has been loaded)
+   * @returns {boolean} True if code can be linted
+   */
+  get isAvailable() {
+    return typeof Babel !== 'undefined';
+  }
+
+  /**
+   * Gets every rule with its current state
+   * @returns {Array<Object>} Rules ({ id, label, description, enabled })
+   */
+  getRules() {
+    return Object.entries(LINT_RULES).map(([id, rule]) => ({
+      id,
+      label: rule.label,
+      description: rule.description,
+      enabled: this.isRuleEnabled(id)
+    }));
+  }
+
+  /**
+   * Checks if a rule is enabled
+   * @param {string} id - Rule id
+   * @returns {boolean} True if the rule runs
+   */
+  isRuleEnabled(id) {
+    return this.enabledRules.has(id);
+  }
+
+  /**
+   * Turns a rule on or off and saves the configuration
+   * @param {string} id - Rule id
+   * @param {boolean} enabled - New state
+   */
+  setRuleEnabled(id, enabled) {
+    if (!LINT_RULES[id]) {
+      this.logger.warn('Unknown lint rule:', id);
+      return;
+    }
+
+    if (enabled) {
+      this.enabledRules.add(id);
+    } else {
+      this.enabledRules.delete(id);
+    }
+    this.saveConfig();
+  }
+
+  /**
+   * Lints code (which must parse; syntax errors are reported by the SyntaxChecker)
+   * @param {string} code - Source code
+   * @param {Object} [options={}] - Lint options
+   * @param {boolean} [options.module=false] - Parse with the module goal
+   * @param {string} [options.language='javascript'] - Source language ('javascript', 'typescript' or 'jsx')
+   * @returns {Array<Object>} Warnings ({ rule, message, line, column, endLine, endColumn }),
+   *   sorted by position; lines and columns are 1-based
+   */
+  lint(code, options = {}) {
+    if (!this.isAvailable) {
+      throw new Error('Linter requires the transpiler to be loaded');
+    }
+    if (this.enabledRules.size === 0) {
+      return [];
+    }
+
+    const warnings = [];
+    const report = (rule, node, message) => {
+      if (this.isRuleEnabled(rule) && node.loc) {
+        warnings.push({
+          rule,
+          message,
+          line: node.loc.start.line,
+          column: node.loc.start.column + 1,
+          endLine: node.loc.end.line,
+          endColumn: node.loc.end.column + 1
+        });
+      }
+    };
+
+    try {
+      Babel.transform(code, {
+        filename: 'sandbox.js',
+        sourceType: options.module ? 'module' : 'script',
+        parserOpts: {
+          allowAwaitOutsideFunction: Boolean(options.module),
+          plugins: LANGUAGE_PLUGINS[options.language] || []
+        },
+        plugins: [() => ({ visitor: this.createVisitor(code, report, options) })],
+        code: false,
+        ast: false,
+        babelrc: false,
+        configFile: false
+      });
+    } catch (error) {
+      this.logger.debug('Lint skipped:', error.message || error);
+      return [];
+    }
+
+    this.logger.debug(`Linted ${code.length} chars: ${warnings.length} warning(s)`);
+    return warnings.sort((a, b) => a.line - b.line || a.column - b.column);
+  }
+
+  /**
+   * Creates the Babel visitor that runs the enabled rules
+   * @param {string} code - Source code being linted
+   * @param {Function} report - Receives (rule, node, message)
+   * @param {Object} options - Lint options (see lint)
+   * @returns {Object} Babel visitor
+   */
+  createVisitor(code, report, options) {
+    const scopes = new Set();
+
+    return {
+      Scopable: (path) => {
+        scopes.add(path.scope);
+      },
+
+      'AssignmentExpression|UpdateExpression|ForInStatement|ForOfStatement': (path) => {
+        const target = path.node.left || path.node.argument;
+        if (target && target.type === 'Identifier' && !path.scope.hasBinding(target.name, true)) {
+          report('no-implicit-globals', target,
+            `'${target.name}' is not declared; assigning to it creates a global variable`);
+        }
+      },
+
+      BinaryExpression: (path) => {
+        const { node } = path;
+        if ((node.operator === '==' || node.operator === '!=') &&
+          node.left.type !== 'NullLiteral' && node.right.type !== 'NullLiteral') {
+          report('eqeqeq', this.getOperatorNode(code, node),
+            `Expected '${node.operator}=' and instead saw '${node.operator}'`);
+        }
+      },
+
+      'BlockStatement|SwitchCase|StaticBlock': (path) => {
+        const statements = path.node.body || path.node.consequent;
+        const unreachable = this.findUnreachable(statements);
+        if (unreachable) {
+          report('no-unreachable', unreachable, 'Unreachable code');
+        }
+      },
+
+      CallExpression: (path) => {
+        this.checkMissingAwait(path, report, options);
+      },
+
+      Program: {
+        exit: () => {
+          scopes.forEach(scope => this.checkBindings(scope, report, options));
+        }
+      }
+    };
+  }
+
+  /**
+   * Runs the binding rules (unused, use before define, shadowing) on the bindings of a scope
+   * @param {Object} scope - Babel scope
+   * @param {Function} report - Receives (rule, node, message)
+   * @param {Object} options - Lint options (see lint)
+   */
+  checkBindings(scope, report, options) {
+    Object.entries(scope.bindings).forEach(([name, binding]) => {
+      const identifier = binding.identifier;
+
+      if (!binding.referenced && this.isUnusedCandidate(name, binding, options)) {
+        report('no-unused-vars', identifier, binding.constantViolations.length
+          ? `'${name}' is assigned a value but never used`
+          : `'${name}' is declared but never used`);
+      }
+
+      if (['let', 'const', 'class'].includes(binding.kind)) {
+        const declaredIn = binding.scope.getFunctionParent() || binding.scope.getProgramParent();
+        binding.referencePaths.forEach(reference => {
+          const usedIn = reference.scope.getFunctionParent() || reference.scope.getProgramParent();
+          // Reads from a nested function may run after the declaration; export declarations
+          // are recorded as references too
+          if (reference.isIdentifier() && reference.node.start < identifier.start && usedIn === declaredIn) {
+            report('no-use-before-define', reference.node, `'${name}' is used before it is defined`);
+          }
+        });
+      }
+
+      // Class declarations also register their name inside the class scope
+      const outer = binding.kind !== 'local' && scope.parent && scope.parent.getBinding(name);
+      if (outer && outer.path !== binding.path) {
+        report('no-shadow', identifier, `'${name}' is already declared in an outer scope`);
+      }
+    });
+  }
+
+  /**
+   * Checks if an unread binding should be reported as unused
+   * @param {string} name - Binding name
+   * @param {Object} binding - Babel binding
+   * @param {Object} options - Lint options (see lint)
+   * @returns {boolean} True if it should be reported
+   */
+  isUnusedCandidate(name, binding, options) {
+    if (name.startsWith('_') || binding.kind === 'param' || binding.kind === 'local') {
+      return false;
+    }
+    // Caught errors are often ignored on purpose; TypeScript imports may only be used as types
+    if (binding.path.isCatchClause() || (binding.kind === 'module' && options.language === 'typescript')) {
+      return false;
+    }
+
+    const declaration = binding.path.isVariableDeclarator() ? binding.path.parentPath : binding.path;
+    return !declaration.parentPath || !declaration.parentPath.isExportDeclaration();
+  }
+
+  /**
+   * Finds the first statement that follows a return, throw, break or continue
+   * @param {Array<Object>} statements - Statements of a block
+   * @returns {Object|null} The unreachable statement, if any
+   */
+  findUnreachable(statements) {
+    const exit = statements.findIndex(statement => TERMINATORS.includes(statement.type));
+    if (exit === -1) {
+      return null;
+    }
+
+    // Function declarations and bare var declarations are hoisted, so they still take effect
+    return statements.slice(exit + 1).find(statement =>
+      statement.type !== 'FunctionDeclaration' &&
+      statement.type !== 'EmptyStatement' &&
+      !(statement.type === 'VariableDeclaration' && statement.kind === 'var' &&
+        statement.declarations.every(declarator => !declarator.init))
+    ) || null;
+  }
+
+  /**
+   * Reports a call to an async function (or fetch) whose promise is dropped inside async
+   * code, or stored and then used as if it were the resolved value
+   * @param {Object} path - CallExpression path
+   * @param {Function} report - Receives (rule, node, message)
+   * @param {Object} options - Lint options (see lint)
+   */
+  checkMissingAwait(path, report, options) {
+    const callee = path.node.callee;
+    if (callee.type !== 'Identifier' || !this.isAsyncCallee(path, callee.name)) {
+      return;
+    }
+
+    const parent = path.parentPath;
+    if (parent.isExpressionStatement()) {
+      const fn = path.getFunctionParent();
+      const canAwait = fn ? fn.node.async : Boolean(options.module);
+      if (canAwait) {
+        report('missing-await', path.node, `Promise returned by '${callee.name}()' is not awaited`);
+      }
+      return;
+    }
+
+    if (parent.isVariableDeclarator() && parent.node.init === path.node && parent.node.id.type === 'Identifier') {
+      const binding = parent.scope.getBinding(parent.node.id.name);
+      const misused = binding && binding.referencePaths.some(reference => {
+        const member = reference.parentPath;
+        if (!member.isMemberExpression() || member.node.object !== reference.node) {
+          return false;
+        }
+        const property = member.node.property;
+        return member.node.computed || !PROMISE_METHODS.includes(property.name);
+      });
+      if (misused) {
+        report('missing-await', path.node,
+          `'${parent.node.id.name}' holds the Promise from '${callee.name}()'; did you forget 'await'?`);
+      }
+    }
+  }
+
+  /**
+   * Checks if a called name refers to an async function declared in the code, or to fetch
+   * @param {Object} path - CallExpression path
+   * @param {string} name - Callee name
+   * @returns {boolean} True if the call returns a promise
+   */
+  isAsyncCallee(path, name) {
+    const binding = path.scope.getBinding(name);
+    if (!binding) {
+      return name === 'fetch';
+    }
+
+    const node = binding.path.node;
+    if (binding.path.isFunctionDeclaration()) {
+      return Boolean(node.async);
+    }
+    if (binding.path.isVariableDeclarator() && binding.constant && node.init) {
+      return ['ArrowFunctionExpression', 'FunctionExpression'].includes(node.init.type) && Boolean(node.init.async);
+    }
+    return false;
+  }
+
+  /**
+   * Builds a node-like location for the operator of a binary expression
+   * @param {string} code - Source code
+   * @param {Object} node - BinaryExpression node
+   * @returns {Object} Object with a loc spanning the operator
+   */
+  getOperatorNode(code, node) {
+    const offset = code.indexOf(node.operator, node.left.end);
+    if (offset === -1 || !node.loc) {
+      return node;
+    }
+
+    const before = code.slice(0, offset).split('\n');
+    const line = before.length;
+    const column = before[before.length - 1].length;
+    return {
+      loc: {
+        start: { line, column },
+        end: { line, column: column + node.operator.length }
+      }
+    };
+  }
+
+  /**
+   * Loads the enabled rules from storage
+   * @returns {Set<string>} Enabled rule ids
+   */
+  loadConfig() {
+    const defaults = Object.keys(LINT_RULES).filter(id => LINT_RULES[id].defaultEnabled);
+    try {
+      const saved = JSON.parse(storageManager.getItem(this.options.storageKey) || 'null');
+      if (saved && typeof saved === 'object') {
+        // Rules added since the configuration was saved get their default
+        return new Set(Object.keys(LINT_RULES).filter(id =>
+          id in saved ? Boolean(saved[id]) : LINT_RULES[id].defaultEnabled
+        ));
+      }
+    } catch (error) {
+      this.logger.warn('Failed to load lint rules:', error);
+    }
+    return new Set(defaults);
+  }
+
+  /**
+   * Saves the rule configuration to storage
+   */
+  saveConfig() {
+    try {
+      const config = Object.fromEntries(Object.keys(LINT_RULES).map(id => [id, this.isRuleEnabled(id)]));
+      storageManager.setItem(this.options.storageKey, JSON.stringify(config));
+    } catch (error) {
+      this.logger.warn('Failed to save lint rules:', error);
+    }
+  }
+}
@@ -0,0 +1,90 @@
+import { Logger } from './logger.js';
+import { getColumnMap } from './column-map.js';
+
+/** Name of the runtime helper defined by the sandbox templates */
+const REPORTER = '__sandboxValue';
+
+/**
+ * Instruments top-level expression statements so the sandbox reports their value together
+ * with their line (console.log calls report their own line). Like the LoopGuard, Babel
+ * (standalone) is only used to parse; the wrappers are spliced into the original text on
+ * the same lines, so line numbers still match the editor, and the columns they shift are
+ * reported for the sandbox to map back.
+ * @author Joao Guilherme (Guinetik) <guinetik@gmail.com>
+ */
+export class LiveValues {
+  /**
+   * Creates a new LiveValues instance
+   * @param {Object} [options={}] - Configuration options
+   * @param {boolean} [options.debug=false] - Enable debug logging
+   */
+  constructor(options = {}) {
+    this.options = {
+      debug: false,
+      ...options
+    };
+
+    this.logger = new Logger({
+      enabled: this.options.debug,
+      level: 'info',
+      prefix: 'LiveValues'
+    });
+  }
+
+  /**
+   * Wraps the top-level expressions of JavaScript code in value reports (Babel must already be loaded)
+   * @param {string} code - JavaScript source
+   * @param {Object} [options={}] - Instrumentation options
+   * @param {boolean} [options.module=false] - Parse the source as an ES module
+   * @returns {Object} Result with {code: string, columnMap: Object} or {error: string}; see getColumnMap
+   */
+  instrument(code, options = {}) {
+    if (typeof Babel === 'undefined') {
+      return { error: 'Transpiler not loaded' };
+    }
+
+    let ast;
+    try {
+      ({ ast } = Babel.transform(code, {
+        filename: 'sandbox.js',
+        sourceType: options.module ? 'module' : 'script',
+        parserOpts: { allowAwaitOutsideFunction: Boolean(options.module) },
+        code: false,
+        ast: true,
+        babelrc: false,
+        configFile: false
+      }));
+    } catch (error) {
+      // Syntax errors are reported by the regular validation; run the code as is
+      return { error: error.message || String(error) };
+    }
+
+    const expressions = ast.program.body
+      .filter(statement => statement.type === 'ExpressionStatement' && !this.isConsoleCall(statement.expression))
+      .map(statement => statement.expression);
+
+    this.logger.debug(`Reporting ${expressions.length} top-level expressions`);
+
+    // Splice from the end so earlier offsets stay valid
+    let result = code;
+    const insertions = [];
+    for (let i = expressions.length - 1; i >= 0; i--) {
+      const { start, end, loc } = expressions[i];
+      const open = `${REPORTER}(${loc.start.line},(`;
+      result = `${result.slice(0, start)}${open}${result.slice(start, end)}))${result.slice(end)}`;
+      insertions.push({ offset: start, text: open }, { offset: end, text: '))' });
+    }
+    return { code: result, columnMap: getColumnMap(code, insertions) };
+  }
+
+  /**
+   * Checks if an expression is a console method call (those report their own line)
+   * @param {Object} node - Babel expression node
+   * @returns {boolean} True for console.method(...) calls
+   */
+  isConsoleCall(node) {
+    const callee = node.type === 'CallExpression' ? node.callee : null;
+    return Boolean(callee && callee.type === 'MemberExpression' &&
+      callee.object.type === 'Identifier' && callee.object.name === 'console');
+  }
+}
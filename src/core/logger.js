@@ -1,4 +1,5 @@
 import { LOG_LEVELS, DEFAULT_LOG_LEVEL } from './constants.js';
+import { storageManager } from './storage-manager.js';
 
 /**
  * Global logging filter manager for enabling/disabling specific components
@@ -9,8 +10,9 @@ class LoggingManager {
     this.globalEnabled = true;
     this.allowAll = false;
 
-    // Try to load from localStorage
+    // Load now, and again once the storage layer has moved the settings out of localStorage
     this.loadFromStorage();
+    storageManager.onReady(() => this.loadFromStorage());
   }
 
   /**
@@ -95,7 +97,7 @@ class LoggingManager {
   }
 
   /**
-   * Saves filter state to localStorage
+   * Saves filter state to storage
    */
   saveToStorage() {
     try {
@@ -104,28 +106,29 @@ class LoggingManager {
         allowAll: this.allowAll,
         globalEnabled: this.globalEnabled
       };
-      localStorage.setItem('sandbox_logging_filters', JSON.stringify(state));
+      storageManager.setItem('sandbox_logging_filters', JSON.stringify(state));
     } catch (e) {
-      // Ignore localStorage errors
+      // Ignore storage errors
     }
   }
 
   /**
-   * Loads filter state from localStorage
+   * Loads filter state from storage
    */
   loadFromStorage() {
     try {
-      const state = JSON.parse(localStorage.getItem('sandbox_logging_filters') || '{}');
+      const saved = storageManager.getItem('sandbox_logging_filters');
+      const state = JSON.parse(saved || '{}');
       this.allowedComponents = new Set(state.allowedComponents || []);
       this.allowAll = state.allowAll || false;
       this.globalEnabled = state.globalEnabled !== false;
 
       // If no saved state exists, set up sensible defaults for theme work
-      if (!localStorage.getItem('sandbox_logging_filters')) {
+      if (!saved) {
         this.allowedComponents = new Set(['themeswitcher', 'codemirroreditor', 'editoradapter']);
       }
     } catch (e) {
-      // Ignore localStorage errors, use defaults
+      // Ignore storage errors, use defaults
       this.allowedComponents = new Set(['themeswitcher', 'codemirroreditor', 'editoradapter']);
     }
   }
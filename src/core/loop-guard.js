@@ -0,0 +1,181 @@
+import { Logger } from './logger.js';
+import { getColumnMap } from './column-map.js';
+
+/** Name of the runtime helper defined by the sandbox templates */
+const GUARD = '__sandboxLoopGuard';
+
+/**
+ * Instruments loops and function bodies with budget checks so that runaway code throws
+ * "Potential infinite loop at line N" inside the sandbox instead of freezing it.
+ * Babel (standalone) is only used to parse; the guards are spliced into the original
+ * text on the same lines, so line numbers in errors still match the editor, and the
+ * columns they shift are reported for the sandbox to map back.
+ * @author Joao Guilherme (Guinetik) <guinetik@gmail.com>
+ */
+export class LoopGuard {
+  /**
+   * Creates a new LoopGuard instance
+   * @param {Object} [options={}] - Configuration options
+   * @param {boolean} [options.debug=false] - Enable debug logging
+   */
+  constructor(options = {}) {
+    this.options = {
+      debug: false,
+      ...options
+    };
+
+    this.logger = new Logger({
+      enabled: this.options.debug,
+      level: 'info',
+      prefix: 'LoopGuard'
+    });
+  }
+
+  /**
+   * Adds loop and recursion guards to JavaScript code (Babel must already be loaded)
+   * @param {string} code - JavaScript source
+   * @param {Object} [options={}] - Instrumentation options
+   * @param {boolean} [options.module=false] - Parse the source as an ES module
+   * @returns {Object} Result with {code: string, columnMap: Object} or {error: string}; see getColumnMap
+   */
+  instrument(code, options = {}) {
+    if (typeof Babel === 'undefined') {
+      return { error: 'Transpiler not loaded' };
+    }
+
+    const insertions = [];
+    try {
+      Babel.transform(code, {
+        filename: 'sandbox.js',
+        sourceType: options.module ? 'module' : 'script',
+        plugins: [() => ({ visitor: this.createVisitor(code, insertions) })],
+        code: false,
+        ast: false,
+        babelrc: false,
+        configFile: false
+      });
+    } catch (error) {
+      // Syntax errors are reported by the regular validation; run the code as is
+      return { error: error.message || String(error) };
+    }
+
+    this.logger.debug(`Inserting ${insertions.length} guard fragments`);
+    return {
+      code: this.applyInsertions(code, insertions),
+      columnMap: getColumnMap(code, insertions)
+    };
+  }
+
+  /**
+   * Creates the Babel visitor that records where guard fragments go
+   * @param {string} code - JavaScript source being parsed
+   * @param {Array} insertions - Receives { offset, text, closing, seq } entries
+   * @returns {Object} Babel visitor
+   */
+  createVisitor(code, insertions) {
+    let loopId = 0;
+    let seq = 0;
+    const insert = (offset, text, closing = false) => {
+      insertions.push({ offset, text, closing, seq: seq++ });
+    };
+
+    const guardLoop = (path) => {
+      const { node } = path;
+      // Loops that await or yield give the event loop a chance to run; a time budget would
+      // stop legitimate long-running async loops
+      if (node.await || this.containsSuspension(path)) {
+        return;
+      }
+
+      const id = ++loopId;
+      const line = node.loc.start.line;
+
+      // The timer starts right before the loop (labels stay attached to their loop)
+      let outer = path;
+      while (outer.parentPath && outer.parentPath.isLabeledStatement()) {
+        outer = outer.parentPath;
+      }
+      insert(outer.node.start, `{${GUARD}.start(${id});`);
+
+      const body = node.body;
+      const check = `${GUARD}.check(${id},${line});`;
+      if (body.type === 'BlockStatement') {
+        insert(body.start + 1, check);
+      } else {
+        insert(body.start, `{${check}`);
+        insert(body.end, '}', true);
+      }
+
+      insert(outer.node.end, '}', true);
+    };
+
+    const guardFunction = (path) => {
+      const { node } = path;
+      if (node.async || node.generator) {
+        return;
+      }
+
+      const line = node.loc.start.line;
+      const enter = `try{${GUARD}.enter(${line});`;
+      const exit = `}finally{${GUARD}.exit()}`;
+      const body = node.body;
+
+      if (body.type === 'BlockStatement') {
+        // Keep directives ("use strict") in front of the try block
+        const directives = body.directives || [];
+        const start = directives.length ? directives[directives.length - 1].end : body.start + 1;
+        insert(start, enter);
+        insert(body.end - 1, exit, true);
+      } else if (!body.extra?.parenthesized) {
+        // Expression-bodied arrow function; parenthesized bodies (object literals) are left alone
+        insert(body.start, `{${enter}return (`);
+        insert(body.end, `)${exit}}`, true);
+      }
+    };
+
+    return {
+      'ForStatement|WhileStatement|DoWhileStatement|ForInStatement|ForOfStatement': guardLoop,
+      'FunctionDeclaration|FunctionExpression|ArrowFunctionExpression|ObjectMethod|ClassMethod|ClassPrivateMethod': guardFunction
+    };
+  }
+
+  /**
+   * Checks if a loop body awaits or yields (outside nested functions)
+   * @param {Object} path - Babel path of the loop
+   * @returns {boolean} True if the loop can suspend
+   */
+  containsSuspension(path) {
+    let found = false;
+    path.traverse({
+      'AwaitExpression|YieldExpression'(inner) {
+        found = true;
+        inner.stop();
+      },
+      Function(inner) {
+        inner.skip();
+      }
+    });
+    return found;
+  }
+
+  /**
+   * Splices the recorded fragments into the source. Fragments at the same offset nest:
+   * openings of outer nodes come first, closings of inner nodes come first.
+   * @param {string} code - JavaScript source
+   * @param {Array} insertions - Recorded fragments
+   * @returns {string} Instrumented source
+   */
+  applyInsertions(code, insertions) {
+    const ordered = [...insertions].sort((a, b) => {
+      if (a.offset !== b.offset) return b.offset - a.offset;
+      // At equal offsets, text applied later ends up in front
+      if (a.closing !== b.closing) return a.closing ? 1 : -1;
+      return a.closing ? a.seq - b.seq : b.seq - a.seq;
+    });
+
+    return ordered.reduce(
+      (source, { offset, text }) => source.slice(0, offset) + text + source.slice(offset),
+      code
+    );
+  }
+}
@@ -0,0 +1,301 @@
+import { Logger } from './logger.js';
+
+/** Descriptor kinds rendered as expandable trees */
+const EXPANDABLE_KINDS = ['object', 'array', 'map', 'set', 'error'];
+
+/** CSS class per descriptor kind (or primitive type) for syntax coloring */
+const VALUE_CLASSES = {
+  string: 'inspector-string',
+  number: 'inspector-number',
+  bigint: 'inspector-number',
+  boolean: 'inspector-boolean',
+  null: 'inspector-null',
+  undefined: 'inspector-null',
+  symbol: 'inspector-symbol',
+  function: 'inspector-function',
+  date: 'inspector-special',
+  regexp: 'inspector-special',
+  node: 'inspector-dom',
+  accessor: 'inspector-accessor',
+  circular: 'inspector-special'
+};
+
+/**
+ * DevTools-style collapsible tree for values encoded by the sandbox ({ kind, ... } descriptors).
+ * Children are only built when a node is first expanded, and big arrays are grouped into
+ * index ranges. Values the sandbox collapsed (too deep) are shown as previews.
+ * @author Joao Guilherme (Guinetik) <guinetik@gmail.com>
+ */
+export class ObjectInspector {
+  /**
+   * Creates a new ObjectInspector instance
+   * @param {Object} [options={}] - Configuration options
+   * @param {Function} options.formatValue - Formats a descriptor as a single-line preview
+   * @param {number} [options.rangeSize=100] - Array items per index range
+   * @param {number} [options.previewLength=120] - Maximum preview length in characters
+   * @param {boolean} [options.debug=false] - Enable debug logging
+   */
+  constructor(options = {}) {
+    this.options = {
+      rangeSize: 100,
+      previewLength: 120,
+      debug: false,
+      ...options
+    };
+
+    this.logger = new Logger({
+      enabled: this.options.debug,
+      level: 'warn',
+      prefix: 'ObjectInspector'
+    });
+  }
+
+  /**
+   * Checks if a value can be expanded into a tree
+   * @param {any} value - Primitive or descriptor
+   * @returns {boolean} True for non-collapsed objects, arrays, Maps, Sets and Errors
+   */
+  isExpandable(value) {
+    return value !== null && typeof value === 'object' &&
+      EXPANDABLE_KINDS.includes(value.kind) && !value.collapsed;
+  }
+
+  /**
+   * Renders a value: a tree for containers, a colored span for everything else
+   * @param {any} value - Primitive or descriptor
+   * @returns {HTMLElement} The rendered element
+   */
+  render(value) {
+    return this.isExpandable(value) ? this.createNode(null, value) : this.createValue(value);
+  }
+
+  /**
+   * Creates a syntax-colored span for a non-expandable value
+   * @param {any} value - Primitive or descriptor
+   * @returns {HTMLElement} The value span
+   */
+  createValue(value) {
+    const span = document.createElement('span');
+    const kind = value === null ? 'null' : (typeof value === 'object' ? value.kind : typeof value);
+    span.className = `inspector-value ${VALUE_CLASSES[kind] || 'inspector-preview'}`;
+    span.textContent = this.preview(value);
+
+    if (value && value.collapsed) {
+      span.title = 'Nested too deep to inspect; log this value directly to expand it';
+    }
+    return span;
+  }
+
+  /**
+   * Creates a tree node with a toggle; its children are built on first expansion
+   * @param {string|null} label - Property label (null for a top-level value)
+   * @param {any} value - Descriptor to expand
+   * @param {Function} [getChildren] - Child factory (defaults to the descriptor's own children)
+   * @returns {HTMLElement} The tree node
+   */
+  createNode(label, value, getChildren = () => this.getChildren(value)) {
+    const node = document.createElement('div');
+    node.className = 'inspector-node';
+
+    const header = document.createElement('div');
+    header.className = 'inspector-header';
+    header.setAttribute('role', 'button');
+    header.setAttribute('aria-expanded', 'false');
+
+    const toggle = document.createElement('span');
+    toggle.className = 'inspector-toggle';
+    toggle.textContent = '▸';
+    header.appendChild(toggle);
+
+    if (label !== null) {
+      header.appendChild(this.createLabel(label));
+    }
+    header.appendChild(typeof value === 'string' ? this.createText(value) : this.createValue(value));
+
+    let children = null;
+    header.addEventListener('click', () => {
+      if (!children) {
+        children = document.createElement('div');
+        children.className = 'inspector-children';
+        try {
+          getChildren().forEach(child => children.appendChild(child));
+        } catch (error) {
+          this.logger.warn('Failed to expand value:', error);
+        }
+        node.appendChild(children);
+      }
+      const expanded = node.classList.toggle('expanded');
+      toggle.textContent = expanded ? '▾' : '▸';
+      header.setAttribute('aria-expanded', String(expanded));
+    });
+
+    node.appendChild(header);
+    return node;
+  }
+
+  /**
+   * Creates a property row: a nested node for expandable values, a leaf otherwise
+   * @param {string} label - Property label
+   * @param {any} value - Primitive or descriptor
+   * @returns {HTMLElement} The row element
+   */
+  createRow(label, value) {
+    if (this.isExpandable(value)) {
+      return this.createNode(label, value);
+    }
+
+    const row = document.createElement('div');
+    row.className = 'inspector-leaf';
+    row.appendChild(this.createLabel(label));
+    row.appendChild(this.createValue(value));
+    return row;
+  }
+
+  /**
+   * Creates a "key: " label
+   * @param {string} label - Property label
+   * @returns {HTMLElement} The label span
+   */
+  createLabel(label) {
+    const span = document.createElement('span');
+    span.className = label.startsWith('[[') ? 'inspector-key inspector-internal' : 'inspector-key';
+    span.textContent = `${label}: `;
+    return span;
+  }
+
+  /**
+   * Creates a dimmed text span (range headers, notes)
+   * @param {string} text - The text
+   * @returns {HTMLElement} The text span
+   */
+  createText(text) {
+    const span = document.createElement('span');
+    span.className = 'inspector-note';
+    span.textContent = text;
+    return span;
+  }
+
+  /**
+   * Builds the child rows of a descriptor
+   * @param {Object} value - Expandable descriptor
+   * @returns {HTMLElement[]} Child rows
+   */
+  getChildren(value) {
+    const rows = [];
+    const note = (text) => {
+      const row = document.createElement('div');
+      row.className = 'inspector-leaf';
+      row.appendChild(this.createText(text));
+      rows.push(row);
+    };
+
+    if (value.kind === 'array') {
+      rows.push(...this.getArrayChildren(value));
+      if (value.more) note(`… ${value.more} more items`);
+      rows.push(this.createRow('length', value.length));
+    } else if (value.kind === 'map' || value.kind === 'set') {
+      const entries = value.entries || [];
+      rows.push(this.createNode('[[Entries]]', `Array(${entries.length})`, () => entries.map((entry, index) => {
+        if (value.kind === 'set') {
+          return this.createRow(String(index), entry);
+        }
+        const [key, entryValue] = entry;
+        const preview = `${this.preview(key)} => ${this.preview(entryValue)}`;
+        return this.createNode(String(index), preview, () => [
+          this.createRow('key', key),
+          this.createRow('value', entryValue)
+        ]);
+      })));
+      if (value.more) note(`… ${value.more} more entries`);
+      rows.push(this.createRow('size', value.size));
+    } else if (value.kind === 'error') {
+      rows.push(this.createRow('name', value.name));
+      rows.push(this.createRow('message', value.message));
+      if (value.stack) rows.push(this.createRow('stack', value.stack.trim()));
+      if (value.cause !== undefined) rows.push(this.createRow('cause', value.cause));
+    } else {
+      (value.entries || []).forEach(([key, entryValue]) => {
+        rows.push(this.createRow(this.formatKey(key), entryValue));
+      });
+      if (value.more) note(`… ${value.more} more properties`);
+    }
+
+    const prototypes = value.prototypes || [];
+    if (prototypes.length) {
+      rows.push(this.createPrototypeNode(prototypes, 0));
+    }
+    return rows;
+  }
+
+  /**
+   * Builds array item rows, grouped into index ranges when there are many of them
+   * @param {Object} value - Array descriptor
+   * @returns {HTMLElement[]} Item rows or range nodes
+   */
+  getArrayChildren(value) {
+    // Holes are skipped, but still advance the index
+    const items = [];
+    let index = 0;
+    (value.items || []).forEach(item => {
+      if (item && item.kind === 'hole') {
+        index += item.count;
+      } else {
+        items.push({ index: index++, item });
+      }
+    });
+
+    const { rangeSize } = this.options;
+    if (items.length <= rangeSize) {
+      return items.map(({ index: i, item }) => this.createRow(String(i), item));
+    }
+
+    const ranges = [];
+    for (let start = 0; start < items.length; start += rangeSize) {
+      const chunk = items.slice(start, start + rangeSize);
+      const label = `[${chunk[0].index} … ${chunk[chunk.length - 1].index}]`;
+      ranges.push(this.createNode(null, label, () => (
+        chunk.map(({ index: i, item }) => this.createRow(String(i), item))
+      )));
+    }
+    return ranges;
+  }
+
+  /**
+   * Creates the [[Prototype]] node for one level of the prototype chain
+   * @param {Array} prototypes - Chain as [{ name, members }]
+   * @param {number} level - Index of this level in the chain
+   * @returns {HTMLElement} The prototype node
+   */
+  createPrototypeNode(prototypes, level) {
+    const { name, members = [] } = prototypes[level];
+    return this.createNode('[[Prototype]]', name, () => {
+      const rows = members.map(([key, member]) => this.createRow(key, member));
+      if (level + 1 < prototypes.length) {
+        rows.push(this.createPrototypeNode(prototypes, level + 1));
+      }
+      return rows;
+    });
+  }
+
+  /**
+   * Formats a property key, quoting keys that are not identifiers
+   * @param {string} key - Property key (symbol keys arrive as "[Symbol(...)]")
+   * @returns {string} Display label
+   */
+  formatKey(key) {
+    return /^[A-Za-z_$][\w$]*$|^\[Symbol\(.*\)\]$/.test(key) ? key : JSON.stringify(key);
+  }
+
+  /**
+   * Single-line preview of a value, truncated to the preview length
+   * @param {any} value - Primitive or descriptor
+   * @returns {string} Preview text
+   */
+  preview(value) {
+    const text = value && value.kind === 'error'
+      ? `${value.name}: ${value.message}`
+      : this.options.formatValue(value);
+    const max = this.options.previewLength;
+    return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+  }
+}
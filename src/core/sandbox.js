@@ -1,9 +1,16 @@
 import { TemplateEngine } from '../ui/sandbox.js';
 import { Logger } from './logger.js';
-import { DEFAULT_TIMEOUT_MS, CRYPTO_ARRAY_SIZE } from './constants.js';
+import {
+  DEFAULT_TIMEOUT_MS,
+  CRYPTO_ARRAY_SIZE,
+  EXECUTION_BACKENDS,
+  LOOP_GUARD_BUDGET_MS,
+  LOOP_GUARD_MAX_DEPTH
+} from './constants.js';
 
 /**
- * Sandboxed JavaScript execution engine using iframe isolation
+ * Sandboxed JavaScript execution engine using iframe isolation, with an optional
+ * DOM-free Web Worker backend
  * @author Joao Guilherme (Guinetik) <guinetik@gmail.com>
  */
 export class SandboxEngine {
@@ -12,9 +19,12 @@ export class SandboxEngine {
    * @param {HTMLElement} container - DOM element to contain the sandbox iframe
    * @param {Object} [options={}] - Configuration options
    * @param {number} [options.timeLimit] - Execution timeout in milliseconds
-   * @param {Function} [options.onMessage] - Callback for sandbox messages
-   * @param {Function} [options.onStatusChange] - Callback for status updates
+   * @param {Function} [options.onMessage] - Callback for sandbox messages (type, args, meta?); meta is
+   *   { time, line?, column? }: ms since the run started and the user code line of the console call
+   * @param {Function} [options.onStatusChange] - Callback for status updates (status, detail?)
    * @param {string} [options.templatePath] - Path to custom sandbox template
+   * @param {string} [options.backend='iframe'] - Default execution backend ('iframe' or 'worker')
+   * @param {SyntaxChecker} [options.syntaxChecker] - Parser used for validation once available
    * @param {boolean} [options.debug=true] - Enable debug logging
    * @param {string} [options.logLevel='info'] - Log level for debugging
    */
@@ -23,9 +33,16 @@ export class SandboxEngine {
     this.timeLimit = options.timeLimit || DEFAULT_TIMEOUT_MS;
     this.onMessage = options.onMessage || (() => {});
     this.onStatusChange = options.onStatusChange || (() => {});
+    this.syntaxChecker = options.syntaxChecker || null;
 
+    this.backend = options.backend || EXECUTION_BACKENDS.IFRAME;
     this.iframe = null;
+    this.worker = null;
+    this.workerUrl = null;
     this.killTimer = null;
+    this.liveContext = null;
+    this.pendingEvaluations = new Map();
+    this.evaluationCounter = 0;
     this.currentSecret = this.generateSecret();
     this.messageHandler = null;
 
@@ -82,6 +99,10 @@ export class SandboxEngine {
    * Creates a new sandboxed iframe element
    */
   createIframe() {
+    if (this.liveContext === EXECUTION_BACKENDS.IFRAME) {
+      this.liveContext = null;
+    }
+
     // Clear the entire container to ensure no duplicates
     this.container.innerHTML = '';
 
@@ -100,19 +121,39 @@ export class SandboxEngine {
       clearTimeout(this.killTimer);
       this.killTimer = null;
     }
+    this.cancelEvaluations('Sandbox was reset');
+    this.terminateWorker();
     this.createIframe();
     this.onStatusChange('reset');
   }
 
   /**
-   * Validates JavaScript syntax without executing it
+   * Validates JavaScript syntax without executing it. With a loaded syntax checker the result
+   * lists every error with its position; otherwise the Function constructor is used, which
+   * reports the first error only and no position.
    * @param {string} code - The JavaScript code to validate
-   * @returns {Object} Validation result with {valid: boolean, error?: string}
+   * @param {Object} [options={}] - Validation options
+   * @param {boolean} [options.module=false] - Validate the code as an ES module
+   * @param {string} [options.language='javascript'] - Language of the code ('javascript', 'typescript'
+   *   or 'jsx'); the Function fallback only checks JavaScript
+   * @returns {Object} Validation result with {valid: boolean, error?: string, line?: number,
+   *   column?: number, errors?: Array<Object>} (see SyntaxChecker.check for the error shape)
    */
-  validateSyntax(code) {
+  validateSyntax(code, options = {}) {
+    if (this.syntaxChecker?.isAvailable) {
+      return this.validateWithParser(code, options);
+    }
+
     try {
-      // Use Function constructor to check syntax without executing
-      new Function(code);
+      if (options.module) {
+        // Module code is strict and allows top-level await, which an async function body
+        // reproduces once the import/export declarations are blanked out
+        const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+        new AsyncFunction(`'use strict';${this.stripModuleSyntax(code)}`);
+      } else {
+        // Use Function constructor to check syntax without executing
+        new Function(code);
+      }
       return { valid: true };
     } catch (error) {
       return {
@@ -124,15 +165,71 @@ export class SandboxEngine {
     }
   }
 
+  /**
+   * Validates syntax with the syntax checker
+   * @param {string} code - The JavaScript code to validate
+   * @param {Object} options - Validation options (see validateSyntax)
+   * @returns {Object} Validation result
+   */
+  validateWithParser(code, options) {
+    const { valid, errors } = this.syntaxChecker.check(code, {
+      module: Boolean(options.module),
+      language: options.language
+    });
+    if (valid) {
+      return { valid: true, errors };
+    }
+
+    const [first] = errors;
+    return {
+      valid: false,
+      error: first.message,
+      name: first.name,
+      line: first.line,
+      column: first.column,
+      errors,
+      toString: () => `${first.name}: ${first.message}\n    at line ${first.line}, column ${first.column}`
+    };
+  }
+
+  /**
+   * Blanks out import/export declarations so module code can be compiled as a function body.
+   * Line breaks are preserved so the remaining code keeps its positions.
+   * @param {string} code - The module source
+   * @returns {string} Code without module declarations
+   */
+  stripModuleSyntax(code) {
+    const keepLineBreaks = (match) => match.replace(/[^\n]/g, ' ');
+
+    return code
+      // import x from 'y', import { a, b } from 'y', import * as ns from 'y', import 'y'
+      .replace(/^[ \t]*import\s*(?:[\w$*{}\s,]+?\s*from\s*)?(['"])[^'"\n]+\1[ \t]*;?/gm, keepLineBreaks)
+      // export { a, b as c }, export { a } from 'y', export * from 'y'
+      .replace(/^[ \t]*export\s*(?:\*(?:\s+as\s+[\w$]+)?\s*from\s*(['"])[^'"\n]+\1|\{[^}]*\}(?:\s*from\s*(['"])[^'"\n]+\2)?)[ \t]*;?/gm, keepLineBreaks)
+      // export default <expression|declaration>
+      .replace(/^([ \t]*)export\s+default\s+/gm, '$1void ')
+      // export const/let/var/function/class/async function
+      .replace(/^([ \t]*)export\s+(?=(?:const|let|var|function|class|async)\b)/gm, '$1')
+      // import.meta is only valid inside modules
+      .replace(/\bimport\s*\.\s*meta\b/g, 'undefined');
+  }
+
   /**
    * Executes JavaScript code in the sandboxed iframe
    * @param {string} code - The JavaScript code to execute
    * @param {Object} [libraryData] - Optional library injection data
    * @param {string} [libraryData.scripts] - HTML script tags for libraries
    * @param {string} [libraryData.csp] - Dynamic CSP policy
+   * @param {Object} [libraryData.importMap] - Import map for ES module libraries
+   * @param {string} [libraryData.bodyHtml] - Markup required by libraries (mount roots)
+   * @param {Object} [options={}] - Execution options
+   * @param {boolean} [options.module=false] - Run the code as an ES module
+   * @param {string} [options.backend] - Execution backend ('iframe' or 'worker'), defaults to the engine backend
+   * @param {boolean} [options.loopGuard=false] - The code was instrumented by LoopGuard and needs its runtime helper
+   * @param {Array<Object>} [options.columnMaps] - Column maps of the instrumentation passes, in the order applied
    * @returns {Promise<void>}
    */
-  async execute(code, libraryData = null) {
+  async execute(code, libraryData = null, options = {}) {
     this.logger.debug('Executing code...');
 
     // Ensure template is loaded before execution
@@ -142,7 +239,7 @@ export class SandboxEngine {
     }
 
     // First, validate syntax
-    const validation = this.validateSyntax(code);
+    const validation = this.validateSyntax(code, options);
     if (!validation.valid) {
       this.logger.debug('Syntax error detected:', validation.error);
       this.onMessage('error', [validation.toString()]);
@@ -153,18 +250,34 @@ export class SandboxEngine {
     this.currentSecret = this.generateSecret();
     this.logger.trace('Generated secret for execution');
 
+    // A run on either backend supersedes any worker still alive from a previous run
+    this.cancelEvaluations('A new run started');
+    this.terminateWorker();
+
+    if ((options.backend || this.backend) === EXECUTION_BACKENDS.WORKER) {
+      this.executeInWorker(code, libraryData, options);
+      return;
+    }
+
     // Extract library data if provided
     const libraryScripts = libraryData?.scripts || '';
     const dynamicCSP = libraryData?.csp || null;
 
-    const srcdoc = this.templateEngine.buildSrcDoc(code, this.currentSecret, libraryScripts, dynamicCSP);
-    this.logger.debug('Setting iframe srcdoc...');
+    const srcdoc = this.templateEngine.buildSrcDoc(code, this.currentSecret, libraryScripts, dynamicCSP, {
+      module: options.module,
+      importMap: libraryData?.importMap,
+      bodyHtml: libraryData?.bodyHtml,
+      loopGuard: this.getLoopGuardConfig(options),
+      columnMaps: options.columnMaps
+    });
+    this.logger.debug(`Setting iframe srcdoc (${options.module ? 'module' : 'script'} mode)...`);
 
     if (libraryData?.scripts) {
       this.logger.info('Injecting libraries into sandbox');
     }
 
     this.iframe.srcdoc = srcdoc;
+    this.liveContext = EXECUTION_BACKENDS.IFRAME;
     this.onStatusChange('executing');
 
     if (this.killTimer) clearTimeout(this.killTimer);
@@ -176,44 +289,291 @@ export class SandboxEngine {
   }
 
   /**
-   * Sets up the postMessage listener for communication with the sandboxed iframe
+   * Executes code in a dedicated Web Worker built from a Blob URL (no DOM access)
+   * @param {string} code - The JavaScript code to execute
+   * @param {Object} [libraryData] - Optional library data ({ scriptUrls, importMap })
+   * @param {Object} [options={}] - Execution options ({ module, loopGuard, columnMaps })
    */
-  setupMessageListener() {
-    // Remove existing listener if any
-    if (this.messageHandler) {
-      window.removeEventListener('message', this.messageHandler);
+  executeInWorker(code, libraryData = null, options = {}) {
+    const source = this.templateEngine.buildWorkerSource(code, this.currentSecret, {
+      module: options.module,
+      importMap: libraryData?.importMap,
+      libraryUrls: libraryData?.scriptUrls || [],
+      loopGuard: this.getLoopGuardConfig(options),
+      columnMaps: options.columnMaps
+    });
+
+    try {
+      this.workerUrl = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+      this.worker = new Worker(this.workerUrl);
+    } catch (error) {
+      this.logger.error('Failed to start worker:', error);
+      this.terminateWorker();
+      this.onMessage('error', [`Failed to start Web Worker: ${error.message}`]);
+      this.onStatusChange('completed');
+      return;
     }
 
-    // Create bound handler for proper removal later
-    this.messageHandler = (ev) => {
-      if (ev.source !== this.iframe?.contentWindow) return;
+    this.logger.debug(`Worker started (${options.module ? 'module' : 'script'} mode)`);
+
+    this.worker.onmessage = (ev) => this.handleSandboxMessage(ev.data);
+    this.worker.onerror = (ev) => {
+      // Errors not caught by the worker runtime (e.g. failing to evaluate the script)
+      ev.preventDefault();
+      this.onMessage('error', [ev.message || 'Worker error']);
+    };
+    this.liveContext = EXECUTION_BACKENDS.WORKER;
+
+    this.onStatusChange('executing');
+
+    if (this.killTimer) clearTimeout(this.killTimer);
+    this.killTimer = setTimeout(() => {
+      this.killTimer = null;
+      this.terminateWorker();
+      this.onMessage('error', [`⏱️ Execution timeout (${this.timeLimit}ms). Worker terminated.`]);
+      this.onStatusChange('timeout');
+    }, this.timeLimit);
+  }
+
+  /**
+   * Gets the loop guard budgets passed to the sandbox runtime
+   * @param {Object} options - Execution options
+   * @returns {Object|null} Budgets ({ budget, maxDepth }) or null when the guard is off
+   */
+  getLoopGuardConfig(options) {
+    return options.loopGuard ? { budget: LOOP_GUARD_BUDGET_MS, maxDepth: LOOP_GUARD_MAX_DEPTH } : null;
+  }
+
+  /**
+   * Terminates the current worker (the worker backend's kill switch)
+   */
+  terminateWorker() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+      this.logger.debug('Worker terminated');
+    }
+    if (this.liveContext === EXECUTION_BACKENDS.WORKER) {
+      this.liveContext = null;
+    }
+    if (this.workerUrl) {
+      URL.revokeObjectURL(this.workerUrl);
+      this.workerUrl = null;
+    }
+  }
+
+  /**
+   * Checks if a previous run left a context the REPL can evaluate in
+   * @returns {boolean} True if an iframe or worker from the last run is alive
+   */
+  hasLiveContext() {
+    return this.liveContext !== null;
+  }
+
+  /**
+   * Stops the last run without resetting it: the runtime clears the timers, intervals and
+   * animation frames the user code registered and freezes the preview DOM. The runtime
+   * answers with a 'stopped' status.
+   * @returns {boolean} True if there was a live run to stop
+   */
+  stop() {
+    if (!this.hasLiveContext()) {
+      return false;
+    }
+
+    if (this.killTimer) {
+      clearTimeout(this.killTimer);
+      this.killTimer = null;
+    }
+
+    const message = { __sandboxStop: true, secret: this.currentSecret };
+    this.logger.info(`Stopping run in ${this.liveContext}`);
 
-      const data = ev.data || {};
-      this.logger.trace('Received message from iframe:', data);
+    try {
+      if (this.liveContext === EXECUTION_BACKENDS.WORKER) {
+        this.worker.postMessage(message);
+      } else {
+        this.iframe.contentWindow.postMessage(message, '*');
+      }
+    } catch (error) {
+      this.logger.error('Failed to stop sandbox:', error);
+      return false;
+    }
+    return true;
+  }
 
-      if (!data.__sandbox || data.secret !== this.currentSecret) return;
+  /**
+   * Evaluates an expression in the global scope of the last run (iframe or worker)
+   * @param {string} code - Expression or statements to evaluate
+   * @returns {Promise<Object>} Result with {value, type: string, isError: boolean}; value is the
+   *   encoded result (a primitive or { kind, ... } descriptor), or the error message
+   */
+  evaluate(code) {
+    if (!this.hasLiveContext()) {
+      return Promise.reject(new Error('No live sandbox. Run some code first.'));
+    }
 
-      const type = data.type || 'log';
-      const args = Array.isArray(data.args) ? data.args : [data.args];
+    const id = ++this.evaluationCounter;
+    const message = { __sandboxEval: true, secret: this.currentSecret, id, code };
+    const inWorker = this.liveContext === EXECUTION_BACKENDS.WORKER;
 
-      this.logger.debug(`Processing ${type} message with ${args.length} args`);
-      this.logger.trace('Message args:', args);
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingEvaluations.delete(id);
+        reject(new Error(`⏱️ Evaluation timeout (${this.timeLimit}ms). Sandbox reset.`));
+        this.reset();
+      }, this.timeLimit);
 
-      if (type === 'done') {
-        if (this.killTimer) {
-          clearTimeout(this.killTimer);
-          this.killTimer = null;
+      this.pendingEvaluations.set(id, { resolve, reject, timer });
+      this.logger.debug(`Evaluating REPL input #${id} in ${this.liveContext}`);
+
+      try {
+        if (inWorker) {
+          this.worker.postMessage(message);
+        } else {
+          this.iframe.contentWindow.postMessage(message, '*');
         }
-        this.onStatusChange('completed');
-        return;
+      } catch (error) {
+        clearTimeout(timer);
+        this.pendingEvaluations.delete(id);
+        reject(error);
       }
+    });
+  }
 
-      // Special logging for error messages
-      if (type === 'error') {
-        this.logger.warn('Error message received from sandbox:', args);
+  /**
+   * Rejects all pending REPL evaluations (their context is going away)
+   * @param {string} reason - Rejection message
+   */
+  cancelEvaluations(reason) {
+    this.pendingEvaluations.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(new Error(reason));
+    });
+    this.pendingEvaluations.clear();
+  }
+
+  /**
+   * Sets the default execution backend
+   * @param {string} backend - 'iframe' or 'worker'
+   */
+  setBackend(backend) {
+    this.backend = backend === EXECUTION_BACKENDS.WORKER ? EXECUTION_BACKENDS.WORKER : EXECUTION_BACKENDS.IFRAME;
+    this.logger.info('Execution backend set to:', this.backend);
+  }
+
+  /**
+   * Handles a protocol message ({ __sandbox, secret, type, args, meta }) from either backend.
+   * The runtimes post their messages in batches ({ type: 'batch', messages }), unpacked here
+   * @param {Object} data - Message data
+   */
+  handleSandboxMessage(data) {
+    data = data || {};
+    this.logger.trace('Received message from sandbox:', data);
+
+    if (!data.__sandbox || data.secret !== this.currentSecret) return;
+
+    if (data.type === 'batch') {
+      const messages = Array.isArray(data.messages) ? data.messages : [];
+      this.logger.debug(`Processing batch of ${messages.length} messages`);
+      messages.forEach(message => {
+        this.handleSandboxMessage({ ...message, __sandbox: true, secret: data.secret });
+      });
+      return;
+    }
+
+    const type = data.type || 'log';
+    const args = Array.isArray(data.args) ? data.args : [data.args];
+
+    this.logger.debug(`Processing ${type} message with ${args.length} args`);
+    this.logger.trace('Message args:', args);
+
+    if (type === 'eval-result') {
+      const [id, value, resultType, isError] = args;
+      const pending = this.pendingEvaluations.get(Number(id));
+      if (pending) {
+        clearTimeout(pending.timer);
+        this.pendingEvaluations.delete(Number(id));
+        pending.resolve({ value, type: resultType, isError: isError === true || isError === 'true' });
       }
+      return;
+    }
+
+    if (type === 'done') {
+      if (this.killTimer) {
+        clearTimeout(this.killTimer);
+        this.killTimer = null;
+      }
+      // The synchronous code finished; timers, frames or promises may still be pending
+      const pending = this.parseActivity(args[0]);
+      this.onStatusChange('completed', { phase: 'sync', idle: this.isIdle(pending), pending });
+      return;
+    }
 
-      this.onMessage(type, args);
+    if (type === 'stopped') {
+      this.onStatusChange('stopped', { cleared: this.parseActivity(args[0]) });
+      return;
+    }
+
+    if (type === 'activity') {
+      const pending = this.parseActivity(args[0]);
+      if (this.isIdle(pending)) {
+        this.onStatusChange('completed', { phase: 'idle', idle: true, pending });
+      } else {
+        this.onStatusChange('running', { pending });
+      }
+      return;
+    }
+
+    // Special logging for error messages
+    if (type === 'error') {
+      this.logger.warn('Error message received from sandbox:', args);
+    }
+
+    const meta = data.meta && typeof data.meta === 'object' ? data.meta : null;
+    this.onMessage(type, args, meta);
+  }
+
+  /**
+   * Reads the pending work counts reported by the sandbox runtime
+   * @param {Object|string} arg - Activity ({ timeouts, intervals, frames, promises }), possibly serialized
+   * @returns {Object|null} Pending work counts, or null if unknown
+   */
+  parseActivity(arg) {
+    if (typeof arg !== 'string') {
+      return arg && typeof arg === 'object' ? arg : null;
+    }
+    try {
+      return JSON.parse(arg);
+    } catch (error) {
+      this.logger.warn('Invalid activity report from sandbox:', arg);
+      return null;
+    }
+  }
+
+  /**
+   * Checks if the sandbox has no pending async work
+   * @param {Object|null} pending - Pending work counts
+   * @returns {boolean} True if nothing is pending (or the counts are unknown)
+   */
+  isIdle(pending) {
+    if (!pending) return true;
+    return !pending.timeouts && !pending.intervals && !pending.frames && !pending.promises;
+  }
+
+  /**
+   * Sets up the postMessage listener for communication with the sandboxed iframe
+   */
+  setupMessageListener() {
+    // Remove existing listener if any
+    if (this.messageHandler) {
+      window.removeEventListener('message', this.messageHandler);
+    }
+
+    // Create bound handler for proper removal later
+    this.messageHandler = (ev) => {
+      if (ev.source !== this.iframe?.contentWindow) return;
+      this.handleSandboxMessage(ev.data);
     };
 
     window.addEventListener('message', this.messageHandler);
@@ -229,6 +589,9 @@ export class SandboxEngine {
       clearTimeout(this.killTimer);
       this.killTimer = null;
     }
+
+    this.cancelEvaluations('Sandbox destroyed');
+    this.terminateWorker();
     
     if (this.messageHandler) {
       window.removeEventListener('message', this.messageHandler);
@@ -0,0 +1,452 @@
+import { Storage } from './storage.js';
+import { Logger } from './logger.js';
+import { getRetryDelay } from './utils.js';
+import { DEFAULT_STORAGE_KEY, SNIPPETS_STORAGE_KEY, SNIPPETS_JOURNAL_KEY, SNIPPET_SAVE_DELAY_MS } from './constants.js';
+
+/** Version of the saved workspace document */
+const WORKSPACE_VERSION = 1;
+
+/**
+ * Snippets workspace: named snippets, each with its own code, libraries, tags and last-run time,
+ * and the one open in the editor. The workspace is saved as a single JSON document; the code saved
+ * under the single key used before snippets existed becomes the first snippet. Code edits are
+ * saved after a pause in typing, other changes right away, and failed saves are retried. When the
+ * page is hidden or closed before an edit is written, the edited code is also written
+ * synchronously to a localStorage journal, since the storage layer may not finish writing to
+ * IndexedDB before the page is gone; load() replays it.
+ *
+ * A snippet is { id, name, code, libraries, tags, createdAt, updatedAt, lastRunAt } with times in
+ * milliseconds. libraries is null for a migrated snippet until the loaded libraries are recorded.
+ * @author Joao Guilherme (Guinetik) <guinetik@gmail.com>
+ */
+export class SnippetWorkspace {
+  /**
+   * Creates a new SnippetWorkspace instance and loads the saved snippets
+   * @param {Object} [options={}] - Configuration options
+   * @param {string} [options.storageKey] - Storage key of the workspace
+   * @param {string} [options.legacyKey] - Storage key of the code saved before snippets existed
+   * @param {string} [options.journalKey] - localStorage key of the edits journaled when the page is hidden
+   * @param {number} [options.saveDelay] - Pause in typing before edited code is saved (ms)
+   * @param {boolean} [options.debug=false] - Enable debug logging
+   */
+  constructor(options = {}) {
+    this.options = {
+      storageKey: SNIPPETS_STORAGE_KEY,
+      legacyKey: DEFAULT_STORAGE_KEY,
+      journalKey: SNIPPETS_JOURNAL_KEY,
+      saveDelay: SNIPPET_SAVE_DELAY_MS,
+      debug: false,
+      ...options
+    };
+
+    this.logger = new Logger({
+      enabled: this.options.debug,
+      level: 'info',
+      prefix: 'SnippetWorkspace'
+    });
+
+    this.storage = new Storage(this.options.storageKey, { debug: this.options.debug });
+    this.snippets = [];
+    this.activeId = null;
+    this.saveTimer = null;
+    // Saves started, and failed saves in a row (a save that fails is retried unless a newer one started)
+    this.saveCount = 0;
+    this.saveFailures = 0;
+    // Code edits not written yet: snippet id -> number of the edit
+    this.unsavedEdits = new Map();
+    this.editCount = 0;
+    this.load();
+
+    // Keep code edited since the last save when the page is hidden (it may never be shown again) or closed
+    this.pageHideHandler = () => this.saveBeforeHide();
+    this.visibilityHandler = () => {
+      if (document.visibilityState === 'hidden') {
+        this.saveBeforeHide();
+      }
+    };
+    window.addEventListener('pagehide', this.pageHideHandler);
+    document.addEventListener('visibilitychange', this.visibilityHandler);
+  }
+
+  /**
+   * Loads the workspace, migrating the legacy single snippet on first use
+   */
+  load() {
+    try {
+      const saved = JSON.parse(this.storage.load() || 'null');
+      if (saved && Array.isArray(saved.snippets)) {
+        this.snippets = saved.snippets.map(snippet => this.normalize(snippet));
+        this.activeId = saved.activeId;
+      }
+    } catch (error) {
+      this.logger.warn('Failed to load snippets:', error);
+    }
+    this.replayJournal();
+
+    if (this.snippets.length === 0) {
+      const legacyCode = new Storage(this.options.legacyKey, { debug: this.options.debug }).load();
+      if (legacyCode) {
+        this.logger.info('Migrating the saved code to the first snippet');
+        this.create({ name: 'My code', code: legacyCode, libraries: null });
+      }
+    }
+    if (!this.get(this.activeId)) {
+      this.activeId = this.snippets[0]?.id || null;
+    }
+    this.logger.debug(`Loaded ${this.snippets.length} snippets`);
+  }
+
+  /**
+   * Saves the workspace. When the write fails, the save is retried after a pause.
+   * @returns {Promise<boolean>} True once the workspace is written, false if the write failed
+   */
+  async save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    const attempt = ++this.saveCount;
+    const lastEdit = this.editCount;
+
+    const saved = await this.storage.save(JSON.stringify({
+      version: WORKSPACE_VERSION,
+      activeId: this.activeId,
+      snippets: this.snippets
+    }));
+    if (saved) {
+      this.saveFailures = 0;
+      this.unsavedEdits.forEach((edit, id) => {
+        if (edit <= lastEdit) {
+          this.unsavedEdits.delete(id);
+        }
+      });
+    } else if (attempt === this.saveCount) {
+      // A newer save carries the same changes; otherwise try again
+      this.saveFailures++;
+      const retryDelay = getRetryDelay(this.saveFailures);
+      this.logger.warn(`Failed to save snippets, retrying in ${retryDelay / 1000}s`);
+      clearTimeout(this.saveTimer);
+      this.saveTimer = setTimeout(() => this.save(), retryDelay);
+    }
+    return saved;
+  }
+
+  /**
+   * Saves the workspace after a pause in changes
+   */
+  scheduleSave() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.save(), this.options.saveDelay);
+  }
+
+  /**
+   * Saves the workspace now if a save is scheduled
+   */
+  flush() {
+    if (this.saveTimer) {
+      this.save();
+    }
+  }
+
+  /**
+   * Journals the code edits not written yet, then saves the workspace if a save is scheduled
+   */
+  saveBeforeHide() {
+    if (this.unsavedEdits.size === 0) {
+      return;
+    }
+
+    const edits = [...this.unsavedEdits.keys()]
+      .map(id => this.get(id))
+      .filter(Boolean)
+      .map(({ id, code, updatedAt }) => ({ id, code, updatedAt }));
+    try {
+      localStorage.setItem(this.options.journalKey, JSON.stringify(edits));
+    } catch (error) {
+      this.logger.warn('Failed to journal snippet edits:', error);
+    }
+    this.flush();
+  }
+
+  /**
+   * Applies the journaled code edits that are newer than the saved snippets, then drops the journal
+   */
+  replayJournal() {
+    try {
+      const edits = JSON.parse(localStorage.getItem(this.options.journalKey) || '[]');
+      // The save started with the journal may have completed; its snippets are as new as the edits
+      const replayed = edits.filter(({ id, code, updatedAt }) => {
+        const snippet = this.get(id);
+        if (!snippet || typeof code !== 'string' || !(updatedAt > snippet.updatedAt)) {
+          return false;
+        }
+        snippet.code = code;
+        snippet.updatedAt = updatedAt;
+        return true;
+      });
+      if (replayed.length) {
+        this.logger.info(`Restored ${replayed.length} unsaved snippet edit(s)`);
+        this.save();
+      }
+      localStorage.removeItem(this.options.journalKey);
+    } catch (error) {
+      this.logger.warn('Failed to replay snippet edits:', error);
+    }
+  }
+
+  /**
+   * Fills in missing fields of a saved snippet
+   * @param {Object} snippet - Saved snippet
+   * @returns {Object} Complete snippet
+   */
+  normalize(snippet) {
+    const now = Date.now();
+    return {
+      id: snippet.id || this.generateId(),
+      name: snippet.name || 'Untitled',
+      code: typeof snippet.code === 'string' ? snippet.code : '',
+      libraries: Array.isArray(snippet.libraries) ? snippet.libraries : null,
+      tags: Array.isArray(snippet.tags) ? snippet.tags : [],
+      createdAt: snippet.createdAt || now,
+      updatedAt: snippet.updatedAt || now,
+      lastRunAt: snippet.lastRunAt || null
+    };
+  }
+
+  /**
+   * Generates a unique snippet id
+   * @returns {string} Snippet id
+   */
+  generateId() {
+    return 'snippet_' + Date.now() + '_' + Math.random().toString(36).slice(2, 11);
+  }
+
+  /**
+   * Gets the snippets, most recently updated first
+   * @returns {Array<Object>} Snippets
+   */
+  getSnippets() {
+    return [...this.snippets].sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * Gets a snippet by id
+   * @param {string} id - Snippet id
+   * @returns {Object|null} The snippet or null if not found
+   */
+  get(id) {
+    return this.snippets.find(snippet => snippet.id === id) || null;
+  }
+
+  /**
+   * Gets the snippet open in the editor
+   * @returns {Object|null} The active snippet or null if the workspace is empty
+   */
+  getActive() {
+    return this.get(this.activeId);
+  }
+
+  /**
+   * Opens a snippet
+   * @param {string} id - Snippet id
+   * @returns {Object|null} The snippet or null if not found
+   */
+  setActive(id) {
+    const snippet = this.get(id);
+    if (snippet) {
+      this.activeId = id;
+      this.save();
+    }
+    return snippet;
+  }
+
+  /**
+   * Creates a snippet (it is not opened)
+   * @param {Object} [data={}] - Snippet data
+   * @param {string} [data.name] - Name (a unique "Untitled" name by default)
+   * @param {string} [data.code=''] - Code
+   * @param {Array<Object>|null} [data.libraries=[]] - Libraries
+   * @param {Array<string>} [data.tags=[]] - Tags
+   * @returns {Object} The new snippet
+   */
+  create({ name, code = '', libraries = [], tags = [] } = {}) {
+    const snippet = this.normalize({
+      name: this.uniqueName(name?.trim() || 'Untitled'),
+      code,
+      libraries: libraries && libraries.map(library => ({ ...library })),
+      tags: this.normalizeTags(tags)
+    });
+    this.snippets.push(snippet);
+    if (!this.activeId) {
+      this.activeId = snippet.id;
+    }
+    this.save();
+    this.logger.info(`Snippet created: ${snippet.name}`);
+    return snippet;
+  }
+
+  /**
+   * Updates a snippet
+   * @param {string} id - Snippet id
+   * @param {Object} changes - Fields to change ({ name, code, libraries, tags })
+   * @returns {Object|null} The updated snippet or null if not found
+   */
+  update(id, changes) {
+    const snippet = this.get(id);
+    if (!snippet) {
+      return null;
+    }
+
+    // Opening a snippet sets the same code again; that is not an update
+    let changed = false;
+    if (changes.name !== undefined) {
+      const name = changes.name.trim();
+      if (name && name !== snippet.name) {
+        snippet.name = this.uniqueName(name, id);
+        changed = true;
+      }
+    }
+    if (changes.libraries !== undefined) {
+      const libraries = changes.libraries.map(library => ({ ...library }));
+      if (JSON.stringify(libraries) !== JSON.stringify(snippet.libraries)) {
+        snippet.libraries = libraries;
+        changed = true;
+      }
+    }
+    if (changes.tags !== undefined) {
+      const tags = this.normalizeTags(changes.tags);
+      if (tags.join(',') !== snippet.tags.join(',')) {
+        snippet.tags = tags;
+        changed = true;
+      }
+    }
+    const codeChanged = changes.code !== undefined && changes.code !== snippet.code;
+    if (codeChanged) {
+      snippet.code = changes.code;
+    }
+
+    if (changed || codeChanged) {
+      snippet.updatedAt = Date.now();
+      // Edits arrive on every keystroke, so only they wait for a pause
+      if (changed) {
+        this.save();
+      } else {
+        this.unsavedEdits.set(id, ++this.editCount);
+        this.scheduleSave();
+      }
+    }
+    return snippet;
+  }
+
+  /**
+   * Updates the snippet open in the editor
+   * @param {Object} changes - Fields to change (see update)
+   * @returns {Object|null} The updated snippet or null if the workspace is empty
+   */
+  updateActive(changes) {
+    return this.update(this.activeId, changes);
+  }
+
+  /**
+   * Records that the open snippet was run
+   */
+  markRun() {
+    const snippet = this.getActive();
+    if (snippet) {
+      snippet.lastRunAt = Date.now();
+      this.save();
+    }
+  }
+
+  /**
+   * Copies a snippet (the copy is not opened)
+   * @param {string} id - Snippet id
+   * @returns {Object|null} The copy or null if not found
+   */
+  duplicate(id) {
+    const snippet = this.get(id);
+    if (!snippet) {
+      return null;
+    }
+    return this.create({
+      name: `${snippet.name} (copy)`,
+      code: snippet.code,
+      libraries: snippet.libraries,
+      tags: snippet.tags
+    });
+  }
+
+  /**
+   * Deletes a snippet. Deleting the open snippet opens the most recently updated one, or a new
+   * empty snippet when it was the last.
+   * @param {string} id - Snippet id
+   * @returns {Object|null} The snippet open afterwards
+   */
+  remove(id) {
+    const snippet = this.get(id);
+    if (!snippet) {
+      return this.getActive();
+    }
+
+    this.snippets = this.snippets.filter(item => item !== snippet);
+    this.logger.info(`Snippet deleted: ${snippet.name}`);
+    if (this.activeId === id) {
+      this.activeId = this.getSnippets()[0]?.id || null;
+    }
+    if (!this.activeId) {
+      return this.create();
+    }
+    this.save();
+    return this.getActive();
+  }
+
+  /**
+   * Finds snippets by name, tags and code. Every word of the query must match; words starting
+   * with # only match tags.
+   * @param {string} query - Search query
+   * @returns {Array<Object>} Matching snippets, most recently updated first
+   */
+  search(query) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    return this.getSnippets().filter(snippet => terms.every(term => {
+      if (term.startsWith('#') && term.length > 1) {
+        return snippet.tags.some(tag => tag.includes(term.slice(1)));
+      }
+      return snippet.name.toLowerCase().includes(term) ||
+        snippet.tags.some(tag => tag.includes(term)) ||
+        snippet.code.toLowerCase().includes(term);
+    }));
+  }
+
+  /**
+   * Cleans up tags: trimmed, lowercase, without a leading # and without duplicates
+   * @param {Array<string>|string} tags - Tags, or a comma-separated list
+   * @returns {Array<string>} Tags
+   */
+  normalizeTags(tags) {
+    const list = typeof tags === 'string' ? tags.split(',') : tags;
+    return [...new Set(list.map(tag => tag.trim().toLowerCase().replace(/^#+/, '')).filter(Boolean))];
+  }
+
+  /**
+   * Makes a snippet name unique by adding a number ("Untitled 2")
+   * @param {string} name - Wanted name
+   * @param {string} [exceptId] - Snippet whose own name does not count (when renaming)
+   * @returns {string} Unique name
+   */
+  uniqueName(name, exceptId = null) {
+    const taken = new Set(this.snippets.filter(snippet => snippet.id !== exceptId).map(snippet => snippet.name));
+    let unique = name;
+    for (let n = 2; taken.has(unique); n++) {
+      unique = `${name} ${n}`;
+    }
+    return unique;
+  }
+
+  /**
+   * Saves pending edits and stops listening for the page being hidden or closed
+   */
+  destroy() {
+    this.flush();
+    window.removeEventListener('pagehide', this.pageHideHandler);
+    document.removeEventListener('visibilitychange', this.visibilityHandler);
+  }
+}
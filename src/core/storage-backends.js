@@ -0,0 +1,244 @@
+import { STORAGE_DB_NAME, STORAGE_DB_VERSION, STORAGE_AREAS, STORAGE_KEY_PATTERN } from './constants.js';
+
+/**
+ * Storage backend on IndexedDB, with one object store per storage area. Values are kept as
+ * given (strings for settings, any structured-clonable value elsewhere).
+ * @author Joao Guilherme (Guinetik) <guinetik@gmail.com>
+ */
+export class IndexedDBBackend {
+  /**
+   * Creates a new IndexedDBBackend instance
+   * @param {string} [name] - Database name
+   */
+  constructor(name = STORAGE_DB_NAME) {
+    this.name = 'IndexedDB';
+    this.dbName = name;
+    this.db = null;
+  }
+
+  /**
+   * Checks whether the browser has IndexedDB
+   * @returns {boolean} True if IndexedDB can be used
+   */
+  static isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Opens the database, creating the area stores on first use
+   * @returns {Promise<void>}
+   */
+  open() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, STORAGE_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.values(STORAGE_AREAS).forEach(area => {
+          if (!db.objectStoreNames.contains(area)) {
+            db.createObjectStore(area);
+          }
+        });
+      };
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve();
+      };
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('Storage database is blocked by another tab'));
+    });
+  }
+
+  /**
+   * Runs a request in a transaction and resolves with its result once the transaction commits
+   * @param {string} area - Storage area
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} action - Receives the object store and returns a request (or nothing)
+   * @returns {Promise<*>} Result of the request
+   */
+  transaction(area, mode, action) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(area, mode);
+      const request = action(tx.objectStore(area));
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Storage transaction aborted'));
+    });
+  }
+
+  /**
+   * Gets a value
+   * @param {string} area - Storage area
+   * @param {string} key - Key
+   * @returns {Promise<*>} The value or undefined if not found
+   */
+  get(area, key) {
+    return this.transaction(area, 'readonly', store => store.get(key));
+  }
+
+  /**
+   * Saves a value
+   * @param {string} area - Storage area
+   * @param {string} key - Key
+   * @param {*} value - Value
+   * @returns {Promise<void>}
+   */
+  set(area, key, value) {
+    return this.transaction(area, 'readwrite', store => { store.put(value, key); });
+  }
+
+  /**
+   * Saves several values in one transaction
+   * @param {string} area - Storage area
+   * @param {Array<Array>} entries - [key, value] pairs
+   * @returns {Promise<void>}
+   */
+  setMany(area, entries) {
+    return this.transaction(area, 'readwrite', store => {
+      entries.forEach(([key, value]) => store.put(value, key));
+    });
+  }
+
+  /**
+   * Deletes a value
+   * @param {string} area - Storage area
+   * @param {string} key - Key
+   * @returns {Promise<void>}
+   */
+  delete(area, key) {
+    return this.transaction(area, 'readwrite', store => { store.delete(key); });
+  }
+
+  /**
+   * Gets every entry of an area
+   * @param {string} area - Storage area
+   * @returns {Promise<Array<Array>>} [key, value] pairs
+   */
+  async entries(area) {
+    const [keys, values] = await Promise.all([
+      this.transaction(area, 'readonly', store => store.getAllKeys()),
+      this.transaction(area, 'readonly', store => store.getAll())
+    ]);
+    return keys.map((key, i) => [key, values[i]]);
+  }
+
+  /**
+   * Deletes every entry of an area
+   * @param {string} area - Storage area
+   * @returns {Promise<void>}
+   */
+  clear(area) {
+    return this.transaction(area, 'readwrite', store => { store.clear(); });
+  }
+}
+
+/**
+ * Storage backend on localStorage, used when IndexedDB is not available. Settings keep their
+ * own keys (as before the storage layer existed); other areas are prefixed with the area name and
+ * their values saved as JSON.
+ * @author Joao Guilherme (Guinetik) <guinetik@gmail.com>
+ */
+export class LocalStorageBackend {
+  /**
+   * Creates a new LocalStorageBackend instance
+   */
+  constructor() {
+    this.name = 'localStorage';
+  }
+
+  /**
+   * Checks that localStorage can be used (it throws in some privacy modes)
+   * @returns {Promise<void>}
+   */
+  async open() {
+    localStorage.getItem(STORAGE_DB_NAME);
+  }
+
+  /**
+   * Gets the localStorage key of an entry
+   * @param {string} area - Storage area
+   * @param {string} key - Key
+   * @returns {string} localStorage key
+   */
+  storageKey(area, key) {
+    return area === STORAGE_AREAS.SETTINGS ? key : `${STORAGE_DB_NAME}:${area}:${key}`;
+  }
+
+  /**
+   * Gets a value
+   * @param {string} area - Storage area
+   * @param {string} key - Key
+   * @returns {Promise<*>} The value or undefined if not found
+   */
+  async get(area, key) {
+    const value = localStorage.getItem(this.storageKey(area, key));
+    if (value === null) {
+      return undefined;
+    }
+    return area === STORAGE_AREAS.SETTINGS ? value : JSON.parse(value);
+  }
+
+  /**
+   * Saves a value
+   * @param {string} area - Storage area
+   * @param {string} key - Key
+   * @param {*} value - Value
+   * @returns {Promise<void>}
+   */
+  async set(area, key, value) {
+    localStorage.setItem(this.storageKey(area, key), area === STORAGE_AREAS.SETTINGS ? value : JSON.stringify(value));
+  }
+
+  /**
+   * Saves several values
+   * @param {string} area - Storage area
+   * @param {Array<Array>} entries - [key, value] pairs
+   * @returns {Promise<void>}
+   */
+  async setMany(area, entries) {
+    for (const [key, value] of entries) {
+      await this.set(area, key, value);
+    }
+  }
+
+  /**
+   * Deletes a value
+   * @param {string} area - Storage area
+   * @param {string} key - Key
+   * @returns {Promise<void>}
+   */
+  async delete(area, key) {
+    localStorage.removeItem(this.storageKey(area, key));
+  }
+
+  /**
+   * Gets every entry of an area. Settings are the keys that belong to the sandbox.
+   * @param {string} area - Storage area
+   * @returns {Promise<Array<Array>>} [key, value] pairs
+   */
+  async entries(area) {
+    const prefix = this.storageKey(area, '');
+    const result = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const storageKey = localStorage.key(i);
+      if (area === STORAGE_AREAS.SETTINGS) {
+        if (STORAGE_KEY_PATTERN.test(storageKey)) {
+          result.push([storageKey, localStorage.getItem(storageKey)]);
+        }
+      } else if (storageKey.startsWith(prefix)) {
+        const key = storageKey.slice(prefix.length);
+        result.push([key, await this.get(area, key)]);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Deletes every entry of an area
+   * @param {string} area - Storage area
+   * @returns {Promise<void>}
+   */
+  async clear(area) {
+    const entries = await this.entries(area);
+    entries.forEach(([key]) => localStorage.removeItem(this.storageKey(area, key)));
+  }
+}
@@ -0,0 +1,460 @@
+import { IndexedDBBackend, LocalStorageBackend } from './storage-backends.js';
+import { STORAGE_AREAS, STORAGE_KEY_PATTERN, STORAGE_MIGRATED_KEY, STORAGE_DIRTY_KEY } from './constants.js';
+
+/**
+ * Storage layer shared by every component. It saves to IndexedDB when the browser has it and to
+ * localStorage otherwise.
+ *
+ * Settings (toggles, the theme, the snippets workspace...) are read synchronously, so with
+ * IndexedDB they are loaded into memory by init() and written in the background. The other areas
+ * (fetched library bodies, run history) are read and written asynchronously. Until init() has
+ * completed, settings are read from and written to localStorage; so are they for the whole session
+ * when IndexedDB cannot be opened. Those writes are listed in localStorage and merged into IndexedDB
+ * by the next init() that opens it.
+ *
+ * The logger is built on this layer, so it does not log: failed writes (a full quota) are reported
+ * to the onError listeners.
+ * @author Joao Guilherme (Guinetik) <guinetik@gmail.com>
+ */
+export class StorageManager {
+  /**
+   * Creates a new StorageManager instance
+   */
+  constructor() {
+    this.backend = null;
+    this.settings = new Map();
+    this.pendingWrites = new Set();
+    this.errorListeners = new Set();
+    this.readyListeners = new Set();
+    this.initPromise = null;
+  }
+
+  /**
+   * Opens the backend, moves the sandbox keys out of localStorage when the backend is IndexedDB,
+   * and loads the settings. Later calls return the first call's promise.
+   * @param {Object} [options={}] - Configuration options
+   * @param {Array<string>} [options.keys=[]] - Other localStorage keys to move (custom storage keys)
+   * @returns {Promise<string>} Name of the backend in use
+   */
+  init(options = {}) {
+    if (!this.initPromise) {
+      this.initPromise = this.open(options);
+    }
+    return this.initPromise;
+  }
+
+  /**
+   * Opens IndexedDB, falling back to localStorage
+   * @param {Object} options - See init()
+   * @returns {Promise<string>} Name of the backend in use
+   */
+  async open({ keys = [] } = {}) {
+    if (IndexedDBBackend.isAvailable()) {
+      try {
+        const backend = new IndexedDBBackend();
+        await backend.open();
+        const settings = await backend.entries(STORAGE_AREAS.SETTINGS);
+        settings.forEach(([key, value]) => this.settings.set(key, value));
+        await this.migrate(backend, keys);
+        this.backend = backend;
+      } catch (error) {
+        this.settings.clear();
+        this.reportError({ action: 'open', error });
+      }
+    }
+
+    if (!this.backend) {
+      this.backend = new LocalStorageBackend();
+      try {
+        await this.backend.open();
+      } catch (error) {
+        this.reportError({ action: 'open', error });
+      }
+    }
+
+    this.readyListeners.forEach(listener => listener(this.backend.name));
+    return this.backend.name;
+  }
+
+  /**
+   * Moves the sandbox keys from localStorage to IndexedDB, once, then the settings written to
+   * localStorage since IndexedDB was last open. Keys are removed from localStorage only once
+   * IndexedDB has saved them. On the first move a value IndexedDB already has is never replaced
+   * (its localStorage copy stays where it is); later writes are newer and replace it.
+   * @param {IndexedDBBackend} backend - Opened IndexedDB backend
+   * @param {Array<string>} keys - Other keys to move
+   * @returns {Promise<void>}
+   */
+  async migrate(backend, keys) {
+    if (!this.settings.has(STORAGE_MIGRATED_KEY)) {
+      const dirtyKeys = readDirtyKeys();
+      let entries;
+      try {
+        entries = [];
+        for (let i = 0; i < localStorage.length; i++) {
+          const key = localStorage.key(i);
+          if ((STORAGE_KEY_PATTERN.test(key) || keys.includes(key)) && !this.settings.has(key) && !dirtyKeys.includes(key)) {
+            entries.push([key, localStorage.getItem(key)]);
+          }
+        }
+      } catch (error) {
+        // localStorage is not available: nothing to move
+        entries = [];
+      }
+
+      const migratedAt = String(Date.now());
+      await backend.setMany(STORAGE_AREAS.SETTINGS, [...entries, [STORAGE_MIGRATED_KEY, migratedAt]]);
+      this.settings.set(STORAGE_MIGRATED_KEY, migratedAt);
+      entries.forEach(([key, value]) => {
+        this.settings.set(key, value);
+        // A key written in the meantime is listed and merged below
+        if (localStorage.getItem(key) === value) {
+          localStorage.removeItem(key);
+        }
+      });
+    }
+
+    // Keys written again while a merge is saved are merged in the next round
+    for (let dirtyKeys = readDirtyKeys(); dirtyKeys.length; dirtyKeys = readDirtyKeys()) {
+      await this.mergeDirtyKeys(backend, dirtyKeys);
+    }
+  }
+
+  /**
+   * Saves settings written to (or removed from) localStorage into IndexedDB
+   * @param {IndexedDBBackend} backend - Opened IndexedDB backend
+   * @param {Array<string>} dirtyKeys - Keys listed as written to localStorage
+   * @returns {Promise<void>}
+   */
+  async mergeDirtyKeys(backend, dirtyKeys) {
+    const entries = dirtyKeys.map(key => [key, localStorage.getItem(key)]);
+    const saved = entries.filter(([, value]) => value !== null);
+    await backend.setMany(STORAGE_AREAS.SETTINGS, saved);
+    for (const [key] of entries.filter(([, value]) => value === null)) {
+      await backend.delete(STORAGE_AREAS.SETTINGS, key);
+    }
+
+    const merged = new Set();
+    entries.forEach(([key, value]) => {
+      if (value === null) {
+        this.settings.delete(key);
+      } else {
+        this.settings.set(key, value);
+      }
+      // A key written again in the meantime stays listed
+      if (localStorage.getItem(key) === value) {
+        localStorage.removeItem(key);
+        merged.add(key);
+      }
+    });
+    writeDirtyKeys(readDirtyKeys().filter(key => !merged.has(key)));
+  }
+
+  /**
+   * Lists a setting written to localStorage while IndexedDB is not in use, so the next init()
+   * that opens IndexedDB merges it
+   * @param {string} key - Key
+   */
+  markDirty(key) {
+    if (!IndexedDBBackend.isAvailable()) {
+      return;
+    }
+    try {
+      const dirtyKeys = readDirtyKeys();
+      if (!dirtyKeys.includes(key)) {
+        writeDirtyKeys([...dirtyKeys, key]);
+      }
+    } catch (error) {
+      this.reportError({ action: 'save', area: STORAGE_AREAS.SETTINGS, key, error });
+    }
+  }
+
+  /**
+   * Checks whether settings are kept in memory (IndexedDB backend)
+   * @returns {boolean} True if settings are cached in memory
+   */
+  isCached() {
+    return this.backend instanceof IndexedDBBackend;
+  }
+
+  /**
+   * Reads a setting
+   * @param {string} key - Key
+   * @returns {string|null} The value or null if not found
+   * @throws {Error} When localStorage is in use and not available
+   */
+  getItem(key) {
+    if (!this.isCached()) {
+      return localStorage.getItem(key);
+    }
+    return this.settings.has(key) ? this.settings.get(key) : null;
+  }
+
+  /**
+   * Saves a setting. The value can be read back right away; with IndexedDB it is written in the
+   * background, and callers that must not lose it wait for the returned promise. Failures are
+   * reported to the onError listeners.
+   * @param {string} key - Key
+   * @param {string} value - Value (converted to a string)
+   * @returns {Promise<boolean>} True once the value is written, false if the write failed
+   * @throws {Error} When localStorage is in use and full or not available
+   */
+  setItem(key, value) {
+    value = String(value);
+    if (!this.isCached()) {
+      try {
+        localStorage.setItem(key, value);
+      } catch (error) {
+        this.reportError({ action: 'save', area: STORAGE_AREAS.SETTINGS, key, error });
+        throw error;
+      }
+      this.markDirty(key);
+      return Promise.resolve(true);
+    }
+    this.settings.set(key, value);
+    return this.track(this.backend.set(STORAGE_AREAS.SETTINGS, key, value), { action: 'save', area: STORAGE_AREAS.SETTINGS, key });
+  }
+
+  /**
+   * Deletes a setting
+   * @param {string} key - Key
+   * @returns {Promise<boolean>} True once the value is deleted, false if the delete failed
+   */
+  removeItem(key) {
+    if (!this.isCached()) {
+      localStorage.removeItem(key);
+      this.markDirty(key);
+      return Promise.resolve(true);
+    }
+    this.settings.delete(key);
+    return this.track(this.backend.delete(STORAGE_AREAS.SETTINGS, key), { action: 'delete', area: STORAGE_AREAS.SETTINGS, key });
+  }
+
+  /**
+   * Gets a value from an area
+   * @param {string} area - Storage area (see STORAGE_AREAS)
+   * @param {string} key - Key
+   * @returns {Promise<*>} The value, or undefined if not found or not readable
+   */
+  async get(area, key) {
+    await this.init();
+    try {
+      return await this.backend.get(area, key);
+    } catch (error) {
+      this.reportError({ action: 'load', area, key, error });
+      return undefined;
+    }
+  }
+
+  /**
+   * Saves a value in an area
+   * @param {string} area - Storage area (see STORAGE_AREAS)
+   * @param {string} key - Key
+   * @param {*} value - Value
+   * @returns {Promise<boolean>} True if the value was saved
+   */
+  async set(area, key, value) {
+    await this.init();
+    try {
+      await this.backend.set(area, key, value);
+      return true;
+    } catch (error) {
+      this.reportError({ action: 'save', area, key, error });
+      return false;
+    }
+  }
+
+  /**
+   * Deletes a value from an area
+   * @param {string} area - Storage area (see STORAGE_AREAS)
+   * @param {string} key - Key
+   * @returns {Promise<boolean>} True if the value was deleted
+   */
+  async delete(area, key) {
+    await this.init();
+    try {
+      await this.backend.delete(area, key);
+      return true;
+    } catch (error) {
+      this.reportError({ action: 'delete', area, key, error });
+      return false;
+    }
+  }
+
+  /**
+   * Gets every entry of an area
+   * @param {string} area - Storage area (see STORAGE_AREAS)
+   * @returns {Promise<Array<Array>>} [key, value] pairs
+   */
+  async entries(area) {
+    await this.init();
+    if (area === STORAGE_AREAS.SETTINGS && this.isCached()) {
+      return [...this.settings];
+    }
+    try {
+      return await this.backend.entries(area);
+    } catch (error) {
+      this.reportError({ action: 'load', area, error });
+      return [];
+    }
+  }
+
+  /**
+   * Deletes every entry of an area
+   * @param {string} area - Storage area (see STORAGE_AREAS)
+   * @returns {Promise<boolean>} True if the area was cleared
+   */
+  async clear(area) {
+    await this.init();
+    try {
+      await this.backend.clear(area);
+      if (area === STORAGE_AREAS.SETTINGS) {
+        this.settings.clear();
+      }
+      return true;
+    } catch (error) {
+      this.reportError({ action: 'clear', area, error });
+      return false;
+    }
+  }
+
+  /**
+   * Measures what is stored. The size of each area is estimated from its keys and values
+   * (2 bytes per character); usage and quota are the browser's numbers for the whole origin when
+   * it reports them.
+   * @returns {Promise<Object>} { backend, usage, quota, persisted, areas: [{ area, count, size }] }
+   */
+  async estimate() {
+    await this.init();
+    const areas = [];
+    for (const area of Object.values(STORAGE_AREAS)) {
+      const entries = await this.entries(area);
+      const size = entries.reduce((total, [key, value]) => total + measure(key) + measure(value), 0);
+      areas.push({ area, count: entries.length, size });
+    }
+
+    let usage = null;
+    let quota = null;
+    let persisted = false;
+    if (this.isCached() && typeof navigator !== 'undefined' && navigator.storage?.estimate) {
+      try {
+        ({ usage, quota } = await navigator.storage.estimate());
+        persisted = navigator.storage.persisted ? await navigator.storage.persisted() : false;
+      } catch (error) {
+        // Not reported by this browser
+      }
+    }
+    if (usage === null) {
+      usage = areas.reduce((total, area) => total + area.size, 0);
+    }
+
+    return { backend: this.backend.name, usage, quota, persisted, areas };
+  }
+
+  /**
+   * Waits for the settings writes in progress
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await Promise.all([...this.pendingWrites]);
+  }
+
+  /**
+   * Tracks a background write and reports its failure
+   * @param {Promise} write - Write in progress
+   * @param {Object} details - Error details (action, area, key)
+   * @returns {Promise<boolean>} True once the write has completed, false if it failed
+   */
+  track(write, details) {
+    const pending = write
+      .then(() => true, (error) => {
+        this.reportError({ ...details, error });
+        return false;
+      })
+      .finally(() => this.pendingWrites.delete(pending));
+    this.pendingWrites.add(pending);
+    return pending;
+  }
+
+  /**
+   * Calls the error listeners
+   * @param {Object} details - { action, area, key, error }
+   */
+  reportError(details) {
+    const quotaExceeded = details.error?.name === 'QuotaExceededError';
+    this.errorListeners.forEach(listener => {
+      try {
+        listener({ ...details, quotaExceeded });
+      } catch (listenerError) {
+        // A failing listener must not break storage
+      }
+    });
+  }
+
+  /**
+   * Registers a listener for failed reads and writes
+   * @param {Function} listener - Receives { action, area, key, error, quotaExceeded }
+   */
+  onError(listener) {
+    this.errorListeners.add(listener);
+  }
+
+  /**
+   * Removes an error listener
+   * @param {Function} listener - Listener passed to onError
+   */
+  offError(listener) {
+    this.errorListeners.delete(listener);
+  }
+
+  /**
+   * Registers a listener called once init() has completed (right away if it has)
+   * @param {Function} listener - Receives the backend name
+   */
+  onReady(listener) {
+    if (this.backend) {
+      listener(this.backend.name);
+    } else {
+      this.readyListeners.add(listener);
+    }
+  }
+}
+
+/**
+ * Reads the list of settings written to localStorage while IndexedDB was not in use
+ * @returns {Array<string>} Keys
+ */
+function readDirtyKeys() {
+  try {
+    const keys = JSON.parse(localStorage.getItem(STORAGE_DIRTY_KEY) || '[]');
+    return Array.isArray(keys) ? keys : [];
+  } catch (error) {
+    // localStorage is not available, or the list is damaged
+    return [];
+  }
+}
+
+/**
+ * Saves the list of settings written to localStorage while IndexedDB was not in use
+ * @param {Array<string>} keys - Keys
+ */
+function writeDirtyKeys(keys) {
+  if (keys.length) {
+    localStorage.setItem(STORAGE_DIRTY_KEY, JSON.stringify(keys));
+  } else {
+    localStorage.removeItem(STORAGE_DIRTY_KEY);
+  }
+}
+
+/**
+ * Estimates the stored size of a value
+ * @param {*} value - Key or value
+ * @returns {number} Size in bytes
+ */
+function measure(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value) || '';
+  return text.length * 2;
+}
+
+// Shared instance
+export const storageManager = new StorageManager();
@@ -1,14 +1,15 @@
 import { DEFAULT_STORAGE_KEY } from './constants.js';
 import { Logger } from './logger.js';
+import { storageManager } from './storage-manager.js';
 
 /**
- * Simple localStorage wrapper for persistent code storage
+ * Single-key wrapper over the storage layer for persistent code storage
  * @author Joao Guilherme (Guinetik) <guinetik@gmail.com>
  */
 export class Storage {
   /**
    * Creates a new Storage instance
-   * @param {string} [key] - The localStorage key to use
+   * @param {string} [key] - The storage key to use
    * @param {Object} [options={}] - Configuration options
    * @param {boolean} [options.debug=false] - Enable debug logging
    */
@@ -22,29 +23,29 @@ export class Storage {
   }
 
   /**
-   * Saves code to localStorage
+   * Saves code. With IndexedDB it is written in the background and failures are reported through
+   * storageManager.onError; load() returns the new code right away either way.
    * @param {string} code - The code to save
-   * @returns {boolean} True if save was successful
+   * @returns {Promise<boolean>} True once the code is written, false if the write failed
    */
-  save(code) {
+  async save(code) {
     try {
-      localStorage.setItem(this.key, code);
-      return true;
+      return await storageManager.setItem(this.key, code);
     } catch (e) {
-      this.logger.warn('Failed to save code to localStorage:', e);
+      this.logger.warn('Failed to save code to storage:', e);
       return false;
     }
   }
 
   /**
-   * Loads code from localStorage
+   * Loads code
    * @returns {string|null} The saved code or null if not found
    */
   load() {
     try {
-      return localStorage.getItem(this.key);
+      return storageManager.getItem(this.key);
     } catch (e) {
-      this.logger.warn('Failed to load code from localStorage:', e);
+      this.logger.warn('Failed to load code from storage:', e);
       return null;
     }
   }
@@ -55,10 +56,10 @@ export class Storage {
    */
   clear() {
     try {
-      localStorage.removeItem(this.key);
+      storageManager.removeItem(this.key);
       return true;
     } catch (e) {
-      this.logger.warn('Failed to clear localStorage:', e);
+      this.logger.warn('Failed to clear storage:', e);
       return false;
     }
   }
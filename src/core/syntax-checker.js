@@ -0,0 +1,142 @@
+import { Logger } from './logger.js';
+
+/** Parser plugins per source language */
+const LANGUAGE_PLUGINS = {
+  typescript: ['typescript'],
+  jsx: ['jsx']
+};
+
+/**
+ * Parser-based syntax checker backed by @babel/parser, as bundled in Babel standalone (loaded by
+ * the Transpiler). It only parses: no transform runs and no code is generated.
+ * Unlike the Function constructor it reports every error it can recover from, each with
+ * a line, column and range, and it parses both script and module code.
+ * @author Joao Guilherme (Guinetik) <guinetik@gmail.com>
+ */
+export class SyntaxChecker {
+  /**
+   * Creates a new SyntaxChecker instance
+   * @param {Object} [options={}] - Configuration options
+   * @param {number} [options.maxErrors=20] - Errors reported per check
+   * @param {boolean} [options.debug=false] - Enable debug logging
+   */
+  constructor(options = {}) {
+    this.options = {
+      maxErrors: 20,
+      debug: false,
+      ...options
+    };
+
+    this.logger = new Logger({
+      enabled: this.options.debug,
+      level: 'info',
+      prefix: 'SyntaxChecker'
+    });
+  }
+
+  /**
+   * Checks if the parser is available (Babel standalone has been loaded)
+   * @returns {boolean} True if code can be checked
+   */
+  get isAvailable() {
+    return typeof Babel !== 'undefined' && Boolean(Babel.packages?.parser);
+  }
+
+  /**
+   * Parses code and collects its syntax errors
+   * @param {string} code - Source code
+   * @param {Object} [options={}] - Check options
+   * @param {boolean} [options.module=false] - Parse with the module goal (import/export, top-level await)
+   * @param {string} [options.language='javascript'] - Source language ('javascript', 'typescript' or 'jsx')
+   * @returns {Object} { valid, errors } where each error is { name, message, line, column,
+   *   endLine, endColumn, start, end } (lines and columns 1-based, start/end are offsets)
+   */
+  check(code, options = {}) {
+    if (!this.isAvailable) {
+      throw new Error('Syntax checker requires the transpiler to be loaded');
+    }
+
+    let errors;
+    try {
+      const ast = Babel.packages.parser.parse(code, {
+        sourceType: options.module ? 'module' : 'script',
+        errorRecovery: true,
+        allowAwaitOutsideFunction: Boolean(options.module),
+        plugins: LANGUAGE_PLUGINS[options.language] || []
+      });
+      errors = ast.errors || [];
+    } catch (error) {
+      // Errors the parser cannot recover from are thrown (only the first one is known)
+      errors = [error];
+    }
+
+    const located = errors
+      .slice(0, this.options.maxErrors)
+      .map(error => this.toSyntaxError(error, code));
+    this.logger.debug(`Checked ${code.length} chars: ${located.length} error(s)`);
+    return { valid: located.length === 0, errors: located };
+  }
+
+  /**
+   * Converts a Babel parser error to a located syntax error
+   * @param {Error} error - Babel error (with loc and pos)
+   * @param {string} code - The parsed code
+   * @returns {Object} Located syntax error
+   */
+  toSyntaxError(error, code) {
+    // The parser appends " (line:column)"
+    const message = (error.message || String(error)).split('\n')[0]
+      .replace(/\s*\(\d+:\d+\)$/, '');
+
+    const start = Number.isFinite(error.pos) ? error.pos : this.getOffset(code, error.loc);
+    const end = start + this.getTokenLength(code, start);
+    const endPosition = this.getPosition(code, end);
+
+    return {
+      name: 'SyntaxError',
+      message,
+      line: error.loc?.line || 1,
+      column: error.loc ? error.loc.column + 1 : 1,
+      endLine: endPosition.line,
+      endColumn: endPosition.column,
+      start,
+      end
+    };
+  }
+
+  /**
+   * Gets the length of the token at an offset, used as the error range (at least 1)
+   * @param {string} code - Source code
+   * @param {number} offset - Error offset
+   * @returns {number} Range length
+   */
+  getTokenLength(code, offset) {
+    const match = /^(?:[\w$]+|[^\s\w$])/.exec(code.slice(offset));
+    return match ? match[0].length : 1;
+  }
+
+  /**
+   * Converts a { line, column } location (column 0-based, as Babel reports it) to an offset
+   * @param {string} code - Source code
+   * @param {Object} [loc] - Location
+   * @returns {number} Offset
+   */
+  getOffset(code, loc) {
+    if (!loc) {
+      return 0;
+    }
+    const lines = code.split('\n').slice(0, loc.line - 1);
+    return lines.reduce((offset, line) => offset + line.length + 1, 0) + loc.column;
+  }
+
+  /**
+   * Converts an offset to a 1-based { line, column } position
+   * @param {string} code - Source code
+   * @param {number} offset - Offset
+   * @returns {Object} Position
+   */
+  getPosition(code, offset) {
+    const before = code.slice(0, offset).split('\n');
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+  }
+}
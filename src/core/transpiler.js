@@ -0,0 +1,176 @@
+import { Logger } from './logger.js';
+import { BABEL_STANDALONE_URL, TRANSPILER_LOAD_TIMEOUT_MS } from './constants.js';
+
+/**
+ * In-browser transpiler backed by Babel standalone, loaded on first use
+ * @author Joao Guilherme (Guinetik) <guinetik@gmail.com>
+ */
+export class Transpiler {
+  /**
+   * Creates a new Transpiler instance
+   * @param {Object} [options={}] - Configuration options
+   * @param {string} [options.babelUrl] - URL of the Babel standalone bundle
+   * @param {number} [options.loadTimeout] - Timeout for loading Babel in milliseconds
+   * @param {boolean} [options.debug=false] - Enable debug logging
+   */
+  constructor(options = {}) {
+    this.options = {
+      babelUrl: BABEL_STANDALONE_URL,
+      loadTimeout: TRANSPILER_LOAD_TIMEOUT_MS,
+      debug: false,
+      ...options
+    };
+    this.loadPromise = null;
+
+    this.logger = new Logger({
+      enabled: this.options.debug,
+      level: 'info',
+      prefix: 'Transpiler'
+    });
+  }
+
+  /**
+   * Checks if Babel is available on the page
+   * @returns {boolean} True if Babel is loaded
+   */
+  get isLoaded() {
+    return typeof Babel !== 'undefined';
+  }
+
+  /**
+   * Loads Babel standalone (once) by injecting a script tag
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (this.isLoaded) {
+      return Promise.resolve();
+    }
+
+    if (!this.loadPromise) {
+      this.logger.info('Loading Babel from:', this.options.babelUrl);
+
+      this.loadPromise = new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        const timer = setTimeout(() => {
+          script.remove();
+          reject(new Error(`Timed out loading transpiler after ${this.options.loadTimeout}ms`));
+        }, this.options.loadTimeout);
+
+        script.src = this.options.babelUrl;
+        script.async = true;
+        script.onload = () => {
+          clearTimeout(timer);
+          this.logger.info('Babel loaded');
+          resolve();
+        };
+        script.onerror = () => {
+          clearTimeout(timer);
+          script.remove();
+          reject(new Error(`Failed to load transpiler from ${this.options.babelUrl}`));
+        };
+
+        document.head.appendChild(script);
+      }).catch((error) => {
+        // Allow a retry on the next run
+        this.loadPromise = null;
+        throw error;
+      });
+    }
+
+    return this.loadPromise;
+  }
+
+  /**
+   * Builds the Babel presets for a source language
+   * @param {string} language - Source language ('typescript' or 'jsx')
+   * @param {Object} [options={}] - Transpile options
+   * @param {string} [options.jsxPragma] - Function used for JSX elements (e.g. 'h')
+   * @param {string} [options.jsxPragmaFrag] - Expression used for JSX fragments
+   * @returns {Array} Babel presets
+   */
+  getPresets(language, options = {}) {
+    if (language === 'typescript') {
+      return [['typescript', { allExtensions: true, onlyRemoveTypeImports: true }]];
+    }
+    if (language === 'jsx') {
+      // Classic runtime: JSX compiles to plain pragma calls, no automatic imports
+      return [['react', {
+        runtime: 'classic',
+        pragma: options.jsxPragma || 'React.createElement',
+        pragmaFrag: options.jsxPragmaFrag || 'React.Fragment'
+      }]];
+    }
+    return [];
+  }
+
+  /**
+   * Gets the virtual filename Babel uses for a language
+   * @param {string} language - Source language
+   * @returns {string} Filename with a matching extension
+   */
+  getFilename(language) {
+    const extensions = { typescript: 'ts', jsx: 'jsx' };
+    return `sandbox.${extensions[language] || 'js'}`;
+  }
+
+  /**
+   * Transpiles source code to plain JavaScript. Lines are retained so that
+   * runtime error positions still point at the original source.
+   * @param {string} code - The source code
+   * @param {Object} [options={}] - Transpile options
+   * @param {string} [options.language='typescript'] - Source language
+   * @param {boolean} [options.module=false] - Parse the source as an ES module
+   * @param {string} [options.jsxPragma] - JSX pragma (jsx language only)
+   * @param {string} [options.jsxPragmaFrag] - JSX fragment pragma (jsx language only)
+   * @returns {Promise<Object>} Result with {code: string} or {error: string, line?: number, column?: number}
+   */
+  async transpile(code, options = {}) {
+    try {
+      await this.load();
+    } catch (error) {
+      this.logger.error('Transpiler unavailable:', error);
+      return { error: error.message };
+    }
+
+    return this.transform(code, options);
+  }
+
+  /**
+   * Synchronously transpiles source code (Babel must already be loaded)
+   * @param {string} code - The source code
+   * @param {Object} [options={}] - Transpile options (see transpile)
+   * @returns {Object} Result with {code: string} or {error: string, line?: number, column?: number}
+   */
+  transform(code, options = {}) {
+    const language = options.language || 'typescript';
+
+    if (!this.isLoaded) {
+      return { error: 'Transpiler not loaded' };
+    }
+
+    try {
+      const result = Babel.transform(code, {
+        filename: this.getFilename(language),
+        sourceType: options.module ? 'module' : 'script',
+        presets: this.getPresets(language, options),
+        retainLines: true,
+        comments: true,
+        babelrc: false,
+        configFile: false
+      });
+
+      this.logger.debug(`Transpiled ${language} source (${code.length} -> ${result.code.length} chars)`);
+      return { code: result.code };
+    } catch (error) {
+      // Babel errors carry the location in error.loc; drop the filename prefix and "(line:col)" suffix
+      const message = (error.message || String(error)).split('\n')[0]
+        .replace(/^[^:]*sandbox\.\w+:\s*/, '')
+        .replace(/\s*\(\d+:\d+\)$/, '');
+      return {
+        error: `${error.name || 'SyntaxError'}: ${message}`,
+        line: error.loc?.line,
+        column: error.loc ? error.loc.column + 1 : undefined
+      };
+    }
+  }
+}
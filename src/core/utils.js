@@ -3,7 +3,7 @@
  * @author Joao Guilherme (Guinetik) <guinetik@gmail.com>
  */
 
-import { NETWORK_TIMEOUT_MS } from './constants.js';
+import { NETWORK_TIMEOUT_MS, STORAGE_RETRY_DELAY_MS, STORAGE_RETRY_MAX_DELAY_MS } from './constants.js';
 
 /**
  * Creates a fetch request with timeout
@@ -121,6 +121,31 @@ export function delay(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Gets the pause before retrying a failed storage write
+ * @param {number} failures - Failed attempts so far (1 or more)
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(failures) {
+  return Math.min(STORAGE_RETRY_DELAY_MS * 2 ** (failures - 1), STORAGE_RETRY_MAX_DELAY_MS);
+}
+
+/**
+ * Stack frame positions in sandbox error output ("at fn (line 12, column 5)" or
+ * "at line 12, column 5"); group 2 is the position, groups 3 and 4 the line and column
+ */
+export const STACK_FRAME_PATTERN = /(\bat (?:[^\n()]*\()?)(line (\d+), column (\d+))/g;
+
+/**
+ * Finds the position of the first stack frame in sandbox error output
+ * @param {string} text - Formatted error (message followed by "at ..." frames)
+ * @returns {Object|null} { line, column } (1-based), or null without frames
+ */
+export function findErrorPosition(text) {
+  const [match] = String(text).matchAll(STACK_FRAME_PATTERN);
+  return match ? { line: Number(match[3]), column: Number(match[4]) } : null;
+}
+
 /**
  * Sanitizes code for safe template injection
  * @param {string} code - Code to sanitize
@@ -130,3 +155,64 @@ export function sanitizeCode(code) {
   // Escape closing script tags to prevent breaking out of the script context
   return code.replace(/<\/(script)/gi, '<\\/$1');
 }
+
+/**
+ * Copies text to the clipboard, falling back to execCommand outside secure contexts
+ * @param {string} text - Text to copy
+ * @returns {Promise<void>} Resolves once copied; rejects if the browser refused
+ */
+export async function copyToClipboard(text) {
+  if (navigator.clipboard && window.isSecureContext) {
+    await navigator.clipboard.writeText(text);
+    return;
+  }
+
+  const textArea = document.createElement('textarea');
+  textArea.value = text;
+  textArea.style.position = 'fixed';
+  textArea.style.left = '-999999px';
+  textArea.style.top = '-999999px';
+  document.body.appendChild(textArea);
+  textArea.focus();
+  textArea.select();
+
+  const successful = document.execCommand('copy');
+  document.body.removeChild(textArea);
+  if (!successful) {
+    throw new Error('Fallback copy failed');
+  }
+}
+
+/**
+ * Downloads text as a file
+ * @param {string} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} [type='text/plain'] - MIME type
+ */
+export function downloadFile(content, filename, type = 'text/plain') {
+  const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // Revoked later: some browsers start the download asynchronously
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Formats a size in bytes ("512 B", "1.5 KB", "2.3 MB")
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Formatted size
+ */
+export function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let size = bytes;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return unit === 0 ? `${size} B` : `${size.toFixed(1)} ${units[unit]}`;
+}
@@ -1,4 +1,5 @@
 import { EditorAdapter } from './base.js';
+import { FLASH_DURATION_MS } from '../core/constants.js';
 import { Logger } from '../core/logger.js';
 
 /**
@@ -56,7 +57,7 @@ export class ACEEditor extends EditorAdapter {
     
     // Configure editor
     this.editor.setTheme(`ace/theme/${this.currentTheme}`);
-    this.editor.session.setMode('ace/mode/javascript');
+    this.editor.session.setMode(`ace/mode/${this.options.mode === 'typescript' ? 'typescript' : 'javascript'}`);
     this.editor.setOptions({
       fontSize: '14px',
       showPrintMargin: false,
@@ -113,6 +114,19 @@ export class ACEEditor extends EditorAdapter {
     }
   }
 
+  /**
+   * Sets the ACE language mode
+   * @param {string} language - Language name ('javascript', 'typescript' or 'jsx')
+   */
+  setLanguage(language) {
+    super.setLanguage(language);
+    if (this.editor) {
+      // ACE's javascript mode already highlights JSX
+      this.editor.session.setMode(`ace/mode/${language === 'typescript' ? 'typescript' : 'javascript'}`);
+      this.logger.info('ACE language mode set to:', language);
+    }
+  }
+
   /**
    * Focuses the ACE editor
    */
@@ -122,6 +136,120 @@ export class ACEEditor extends EditorAdapter {
     }
   }
 
+  /**
+   * Moves the cursor to a position, centers it and briefly highlights its line
+   * @param {number} line - 1-based line number
+   * @param {number} [column=1] - 1-based column number
+   */
+  goToPosition(line, column = 1) {
+    if (!this.editor) {
+      return;
+    }
+
+    this.editor.gotoLine(line, Math.max(0, column - 1), true);
+    this.editor.scrollToLine(line - 1, true, true);
+    this.editor.focus();
+
+    const session = this.editor.session;
+    if (this.flashMarker !== undefined) {
+      session.removeMarker(this.flashMarker);
+    }
+    this.flashMarker = session.addMarker(new ace.Range(line - 1, 0, line - 1, Infinity), 'editor-flash-line', 'fullLine');
+    clearTimeout(this.flashTimer);
+    this.flashTimer = setTimeout(() => {
+      session.removeMarker(this.flashMarker);
+      this.flashMarker = undefined;
+    }, FLASH_DURATION_MS);
+  }
+
+  /**
+   * Shows diagnostics as gutter annotations, with a line marker on each errored line and an
+   * underline under each diagnostic range
+   * @param {Array<Object>} diagnostics - Diagnostics ({ line, col, severity, message })
+   */
+  setDiagnostics(diagnostics) {
+    if (!this.editor) {
+      return;
+    }
+
+    const session = this.editor.session;
+    (this.diagnosticMarkers || []).forEach(marker => session.removeMarker(marker));
+    this.diagnosticMarkers = [];
+
+    const lastRow = session.getLength() - 1;
+    session.setAnnotations(diagnostics.map(diagnostic => ({
+      row: Math.min(Math.max(diagnostic.line - 1, 0), lastRow),
+      column: Math.max(0, (diagnostic.col || 1) - 1),
+      text: diagnostic.message,
+      type: diagnostic.severity || 'error'
+    })));
+
+    diagnostics.forEach(diagnostic => {
+      const row = Math.min(Math.max(diagnostic.line - 1, 0), lastRow);
+      const severity = diagnostic.severity || 'error';
+      this.diagnosticMarkers.push(
+        session.addMarker(new ace.Range(row, 0, row, Infinity), `editor-diagnostic-line ${severity}`, 'fullLine')
+      );
+      if (diagnostic.endLine) {
+        const range = new ace.Range(
+          row, Math.max(0, (diagnostic.col || 1) - 1),
+          Math.min(diagnostic.endLine - 1, lastRow), Math.max(0, diagnostic.endCol - 1)
+        );
+        this.diagnosticMarkers.push(session.addMarker(range, `editor-diagnostic-underline ${severity}`, 'text'));
+      }
+    });
+  }
+
+  /**
+   * Shows live values after the end of their lines. A dynamic front marker lays them out on
+   * every render, so they follow scrolling, wrapping and edits.
+   * @param {Array<Object>} values - Values ({ line, text })
+   */
+  setInlineValues(values) {
+    if (!this.editor) {
+      return;
+    }
+
+    const session = this.editor.session;
+    if (this.inlineValuesMarker) {
+      session.removeMarker(this.inlineValuesMarker.id);
+      this.inlineValuesMarker = null;
+    }
+    if (!this.inlineValuesLayer) {
+      this.inlineValuesLayer = document.createElement('div');
+      this.inlineValuesLayer.className = 'editor-inline-values';
+      this.editor.renderer.content.appendChild(this.inlineValuesLayer);
+    }
+    this.inlineValuesLayer.replaceChildren();
+    if (!values.length) {
+      return;
+    }
+
+    this.inlineValuesMarker = session.addDynamicMarker({
+      update: (html, markerLayer, markerSession, config) => {
+        const padding = markerLayer.$padding || 0;
+        this.inlineValuesLayer.replaceChildren(...values
+          .filter(({ line }) => {
+            const row = line - 1;
+            // Inside a fold only the last line ends on screen
+            const foldLine = markerSession.getFoldLine(row);
+            return row >= config.firstRow && row <= config.lastRow && (!foldLine || foldLine.end.row === row);
+          })
+          .map(({ line, text }) => {
+            const row = line - 1;
+            const end = markerSession.documentToScreenPosition(row, markerSession.getLine(row).length);
+            const element = document.createElement('div');
+            element.className = 'editor-inline-value';
+            element.textContent = text;
+            element.style.top = `${(end.row - config.firstRowScreen) * config.lineHeight}px`;
+            element.style.left = `${padding + end.column * config.characterWidth}px`;
+            element.style.lineHeight = `${config.lineHeight}px`;
+            return element;
+          }));
+      }
+    }, true);
+  }
+
   /**
    * Handles theme change events
    * @param {string} newTheme - The new theme name
@@ -285,6 +413,11 @@ export class ACEEditor extends EditorAdapter {
    * Cleans up the ACE editor
    */
   destroy() {
+    clearTimeout(this.flashTimer);
+    if (this.inlineValuesLayer) {
+      this.inlineValuesLayer.remove();
+      this.inlineValuesLayer = null;
+    }
     if (this.editor) {
       this.editor.destroy();
       this.editor = null;
@@ -105,6 +105,44 @@ export class EditorAdapter {
     throw new Error('focus() must be implemented by editor adapter');
   }
 
+  /**
+   * Moves the cursor to a position, scrolls it into view and briefly highlights its line
+   * @param {number} line - 1-based line number
+   * @param {number} [column=1] - 1-based column number
+   * @throws {Error} Must be implemented by subclass
+   */
+  goToPosition(line, column = 1) {
+    throw new Error('goToPosition() must be implemented by editor adapter');
+  }
+
+  /**
+   * Shows diagnostics (syntax errors, runtime errors, warnings) next to their lines,
+   * replacing the previous ones. An empty array clears them.
+   * @param {Array<Object>} diagnostics - Diagnostics to show
+   * @param {number} diagnostics[].line - 1-based line number
+   * @param {number} [diagnostics[].col=1] - 1-based column number
+   * @param {number} [diagnostics[].endLine] - 1-based end line of the range to underline
+   * @param {number} [diagnostics[].endCol] - 1-based end column (exclusive) of the range
+   * @param {string} [diagnostics[].severity='error'] - 'error', 'warning' or 'info'
+   * @param {string} diagnostics[].message - Text shown on hover
+   * @throws {Error} Must be implemented by subclass
+   */
+  setDiagnostics(diagnostics) {
+    throw new Error('setDiagnostics() must be implemented by editor adapter');
+  }
+
+  /**
+   * Shows live values as faded text at the end of their lines, replacing the previous ones.
+   * An empty array clears them.
+   * @param {Array<Object>} values - Values to show
+   * @param {number} values[].line - 1-based line number
+   * @param {string} values[].text - Formatted value
+   * @throws {Error} Must be implemented by subclass
+   */
+  setInlineValues(values) {
+    throw new Error('setInlineValues() must be implemented by editor adapter');
+  }
+
   /**
    * Triggers all registered change handlers
    */
@@ -144,6 +182,14 @@ export class EditorAdapter {
     throw new Error('applyTransformation() must be implemented by editor adapter');
   }
 
+  /**
+   * Sets the source language used for syntax highlighting
+   * @param {string} language - Language name ('javascript', 'typescript' or 'jsx')
+   */
+  setLanguage(language) {
+    this.language = language;
+  }
+
   /**
    * Called when theme changes - override in subclasses
    * @param {string} newTheme - The new theme name
@@ -1,9 +1,16 @@
 import { EditorAdapter } from './base.js';
+import { FLASH_DURATION_MS } from '../core/constants.js';
 import { Logger } from '../core/logger.js';
 import { setupAutocomplete, autocompleteStyles } from './autocomplete/setup.js';
 import { AdvancedAutocomplete } from './autocomplete/advanced.js';
 import { InputManager } from './input.js';
 
+/** Gutter holding the diagnostic markers */
+const DIAGNOSTICS_GUTTER = 'editor-diagnostics-gutter';
+
+/** Diagnostic severities, most severe first */
+const SEVERITIES = ['error', 'warning', 'info'];
+
 /**
  * CodeMirror editor adapter with syntax highlighting and advanced features
  * @author Joao Guilherme (Guinetik) <guinetik@gmail.com>
@@ -54,9 +61,10 @@ export class CodeMirrorEditor extends EditorAdapter {
     this.container.appendChild(textarea);
 
     this.cm = CodeMirror.fromTextArea(textarea, {
-      mode: this.options.mode || 'javascript',
+      mode: this.getModeSpec(this.options.mode),
       theme: this.currentTheme,
       lineNumbers: true,
+      gutters: ['CodeMirror-linenumbers', DIAGNOSTICS_GUTTER],
       lineWrapping: true,
       indentUnit: 2,
       tabSize: 2,
@@ -97,6 +105,29 @@ export class CodeMirrorEditor extends EditorAdapter {
     this.cm.setValue(code);
   }
 
+  /**
+   * Gets the CodeMirror mode spec for a language
+   * @param {string} [language='javascript'] - Language name
+   * @returns {string} CodeMirror mode name or MIME type
+   */
+  getModeSpec(language = 'javascript') {
+    // The javascript mode handles TypeScript through its MIME type; JSX has its own mode
+    const modes = { typescript: 'text/typescript', jsx: 'jsx' };
+    return modes[language] || 'javascript';
+  }
+
+  /**
+   * Sets the CodeMirror language mode
+   * @param {string} language - Language name ('javascript', 'typescript' or 'jsx')
+   */
+  setLanguage(language) {
+    super.setLanguage(language);
+    if (this.cm) {
+      this.cm.setOption('mode', this.getModeSpec(language));
+      this.logger.info('CodeMirror language mode set to:', language);
+    }
+  }
+
   /**
    * Focuses the CodeMirror editor
    */
@@ -104,6 +135,102 @@ export class CodeMirrorEditor extends EditorAdapter {
     this.cm.focus();
   }
 
+  /**
+   * Moves the cursor to a position, centers it and briefly highlights its line
+   * @param {number} line - 1-based line number
+   * @param {number} [column=1] - 1-based column number
+   */
+  goToPosition(line, column = 1) {
+    const position = { line: line - 1, ch: Math.max(0, column - 1) };
+    this.cm.setCursor(position);
+    this.cm.scrollIntoView(position, this.cm.getScrollInfo().clientHeight / 2);
+    this.cm.focus();
+
+    if (this.flashLine) {
+      this.cm.removeLineClass(this.flashLine, 'background', 'editor-flash-line');
+    }
+    this.flashLine = this.cm.addLineClass(position.line, 'background', 'editor-flash-line');
+    clearTimeout(this.flashTimer);
+    this.flashTimer = setTimeout(() => {
+      this.cm.removeLineClass(this.flashLine, 'background', 'editor-flash-line');
+      this.flashLine = null;
+    }, FLASH_DURATION_MS);
+  }
+
+  /**
+   * Shows diagnostics as gutter markers and line classes, with an underline under each
+   * diagnostic range; a line with several diagnostics shows the most severe one and lists
+   * every message on hover
+   * @param {Array<Object>} diagnostics - Diagnostics ({ line, col, severity, message })
+   */
+  setDiagnostics(diagnostics) {
+    this.cm.operation(() => {
+      this.cm.clearGutter(DIAGNOSTICS_GUTTER);
+      (this.diagnosticLines || []).forEach(({ handle, className }) => {
+        this.cm.removeLineClass(handle, 'background', className);
+      });
+      this.diagnosticLines = [];
+      (this.diagnosticMarks || []).forEach(mark => mark.clear());
+      this.diagnosticMarks = [];
+
+      const byLine = new Map();
+      const lastLine = this.cm.lastLine();
+      diagnostics.forEach(diagnostic => {
+        const line = Math.min(Math.max(diagnostic.line - 1, 0), lastLine);
+        if (!byLine.has(line)) {
+          byLine.set(line, []);
+        }
+        byLine.get(line).push(diagnostic);
+
+        if (diagnostic.endLine) {
+          const from = { line, ch: Math.max(0, (diagnostic.col || 1) - 1) };
+          const to = { line: Math.min(diagnostic.endLine - 1, lastLine), ch: Math.max(0, diagnostic.endCol - 1) };
+          this.diagnosticMarks.push(this.cm.markText(from, to, {
+            className: `editor-diagnostic-underline ${diagnostic.severity || 'error'}`,
+            attributes: { title: diagnostic.message }
+          }));
+        }
+      });
+
+      byLine.forEach((lineDiagnostics, line) => {
+        const severity = SEVERITIES.find(level => lineDiagnostics.some(d => (d.severity || 'error') === level)) || 'error';
+        const marker = document.createElement('span');
+        marker.className = `editor-diagnostic-marker ${severity}`;
+        marker.textContent = '●';
+        marker.title = lineDiagnostics.map(d => d.message).join('\n');
+
+        this.cm.setGutterMarker(line, DIAGNOSTICS_GUTTER, marker);
+        const className = `editor-diagnostic-line ${severity}`;
+        const handle = this.cm.addLineClass(line, 'background', className);
+        this.diagnosticLines.push({ handle, className });
+      });
+    });
+  }
+
+  /**
+   * Shows live values as inline widgets (bookmarks) after the end of their lines; text typed
+   * at the end of a line goes in front of its value
+   * @param {Array<Object>} values - Values ({ line, text })
+   */
+  setInlineValues(values) {
+    this.cm.operation(() => {
+      (this.inlineValueMarks || []).forEach(mark => mark.clear());
+      this.inlineValueMarks = [];
+
+      const lastLine = this.cm.lastLine();
+      values.forEach(({ line, text }) => {
+        if (line < 1 || line - 1 > lastLine) {
+          return;
+        }
+        const widget = document.createElement('span');
+        widget.className = 'editor-inline-value';
+        widget.textContent = text;
+        const position = { line: line - 1, ch: this.cm.getLine(line - 1).length };
+        this.inlineValueMarks.push(this.cm.setBookmark(position, { widget, insertLeft: true }));
+      });
+    });
+  }
+
   /**
    * Handles theme change events
    * @param {string} newTheme - The new theme name
@@ -362,6 +489,7 @@ export class CodeMirrorEditor extends EditorAdapter {
    * Cleans up the CodeMirror editor by converting back to textarea
    */
   destroy() {
+    clearTimeout(this.flashTimer);
     if (this.cm) {
       this.cm.toTextArea();
     }
@@ -1,4 +1,5 @@
 import { EditorAdapter } from './base.js';
+import { FLASH_DURATION_MS } from '../core/constants.js';
 
 /**
  * Plain textarea editor adapter for basic code editing
@@ -27,7 +28,22 @@ export class TextareaEditor extends EditorAdapter {
     this.textarea.spellcheck = false;
     this.textarea.placeholder = this.options.placeholder || 'Enter your JavaScript code here...';
 
+    // No gutter: diagnostics are listed under the textarea
+    this.diagnosticsList = document.createElement('ul');
+    this.diagnosticsList.className = 'editor-diagnostics-list';
+    this.diagnosticsList.hidden = true;
+
+    // Live values: a mirror of the text (transparent) laid over the textarea, with each value
+    // after the end of its line, so values follow wrapping like the text does
+    this.inlineValues = [];
+    this.inlineOverlay = document.createElement('div');
+    this.inlineOverlay.className = 'editor-inline-overlay';
+    this.inlineOverlay.setAttribute('aria-hidden', 'true');
+    this.inlineOverlay.hidden = true;
+
     this.container.appendChild(this.textarea);
+    this.container.appendChild(this.inlineOverlay);
+    this.container.appendChild(this.diagnosticsList);
     this.setupEventListeners();
   }
 
@@ -36,9 +52,14 @@ export class TextareaEditor extends EditorAdapter {
    */
   setupEventListeners() {
     this.textarea.addEventListener('input', () => {
+      this.renderInlineValues();
       this.triggerChange();
     });
 
+    this.textarea.addEventListener('scroll', () => {
+      this.inlineOverlay.scrollTop = this.textarea.scrollTop;
+    });
+
     this.textarea.addEventListener('keydown', (e) => {
       if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
         e.preventDefault();
@@ -61,6 +82,100 @@ export class TextareaEditor extends EditorAdapter {
    */
   setValue(code) {
     this.textarea.value = code;
+    this.renderInlineValues();
+  }
+
+  /**
+   * Sets the language (no highlighting, only the placeholder and data attribute change)
+   * @param {string} language - Language name ('javascript', 'typescript' or 'jsx')
+   */
+  setLanguage(language) {
+    super.setLanguage(language);
+    this.textarea.dataset.language = language;
+    if (!this.options.placeholder) {
+      const names = { typescript: 'TypeScript', jsx: 'JSX' };
+      this.textarea.placeholder = `Enter your ${names[language] || 'JavaScript'} code here...`;
+    }
+  }
+
+  /**
+   * Moves the cursor to a position: the line is selected briefly as a highlight, then the
+   * cursor is placed at the column
+   * @param {number} line - 1-based line number
+   * @param {number} [column=1] - 1-based column number
+   */
+  goToPosition(line, column = 1) {
+    const lines = this.textarea.value.split('\n');
+    const index = Math.min(Math.max(line, 1), lines.length) - 1;
+    const lineStart = lines.slice(0, index).reduce((offset, text) => offset + text.length + 1, 0);
+    const lineEnd = lineStart + lines[index].length;
+    const cursor = Math.min(lineStart + Math.max(0, column - 1), lineEnd);
+
+    const lineHeight = parseFloat(getComputedStyle(this.textarea).lineHeight) || 18;
+    this.textarea.scrollTop = Math.max(0, index * lineHeight - this.textarea.clientHeight / 2);
+    this.textarea.focus();
+    this.textarea.setSelectionRange(lineStart, lineEnd);
+
+    clearTimeout(this.flashTimer);
+    this.flashTimer = setTimeout(() => {
+      if (this.textarea.selectionStart === lineStart && this.textarea.selectionEnd === lineEnd) {
+        this.textarea.setSelectionRange(cursor, cursor);
+      }
+    }, FLASH_DURATION_MS);
+  }
+
+  /**
+   * Lists diagnostics under the textarea; clicking one moves the cursor to it
+   * @param {Array<Object>} diagnostics - Diagnostics ({ line, col, severity, message })
+   */
+  setDiagnostics(diagnostics) {
+    this.diagnosticsList.replaceChildren(...diagnostics.map(diagnostic => {
+      const item = document.createElement('li');
+      item.className = `editor-diagnostic ${diagnostic.severity || 'error'}`;
+      item.textContent = `Line ${diagnostic.line}: ${diagnostic.message}`;
+      item.addEventListener('click', () => this.goToPosition(diagnostic.line, diagnostic.col || 1));
+      return item;
+    }));
+    this.diagnosticsList.hidden = diagnostics.length === 0;
+    this.textarea.classList.toggle('has-diagnostics', diagnostics.length > 0);
+  }
+
+  /**
+   * Shows live values in the overlay after the end of their lines
+   * @param {Array<Object>} values - Values ({ line, text })
+   */
+  setInlineValues(values) {
+    this.inlineValues = values;
+    this.renderInlineValues();
+  }
+
+  /**
+   * Rebuilds the overlay from the current text and values
+   */
+  renderInlineValues() {
+    if (!this.inlineValues.length) {
+      this.inlineOverlay.replaceChildren();
+      this.inlineOverlay.hidden = true;
+      return;
+    }
+
+    const byLine = new Map(this.inlineValues.map(({ line, text }) => [line, text]));
+    const nodes = [];
+    this.textarea.value.split('\n').forEach((text, index) => {
+      nodes.push(document.createTextNode(index ? `\n${text}` : text));
+      if (byLine.has(index + 1)) {
+        const value = document.createElement('span');
+        value.className = 'editor-inline-value';
+        value.textContent = byLine.get(index + 1);
+        nodes.push(value);
+      }
+    });
+
+    this.inlineOverlay.replaceChildren(...nodes);
+    this.inlineOverlay.hidden = false;
+    // The textarea scrollbar takes width from the text, so the mirror wraps at the same width
+    this.inlineOverlay.style.width = `${this.textarea.clientWidth}px`;
+    this.inlineOverlay.scrollTop = this.textarea.scrollTop;
   }
 
   /**
@@ -74,8 +189,15 @@ export class TextareaEditor extends EditorAdapter {
    * Cleans up the textarea editor
    */
   destroy() {
+    clearTimeout(this.flashTimer);
     if (this.textarea) {
       this.textarea.remove();
     }
+    if (this.diagnosticsList) {
+      this.diagnosticsList.remove();
+    }
+    if (this.inlineOverlay) {
+      this.inlineOverlay.remove();
+    }
   }
 }
\ No newline at end of file
@@ -8,6 +8,7 @@ import { ACEEditor } from './editors/ace.js';
 import { CodeMirrorEditor } from './editors/codemirror.js';
 import { TextareaEditor } from './editors/textarea.js';
 import { Logger } from './core/logger.js';
+import { storageManager } from './core/storage-manager.js';
 
 /**
  * Auto-detects and initializes the best available editor
@@ -24,7 +25,7 @@ function createEditor(container, options = {}, eventEmitter = null) {
   });
 
   // Check for saved editor preference
-  const savedEditor = localStorage.getItem('sandbox_current_editor');
+  const savedEditor = storageManager.getItem('sandbox_current_editor');
   logger.info('Saved editor preference:', savedEditor);
 
   // Try saved editor first if available
@@ -70,8 +71,11 @@ function createEditor(container, options = {}, eventEmitter = null) {
  * Initializes the JavaScript sandbox application
  * @param {Object} [options={}] - Configuration options
  * @param {number} [options.timeLimit] - Execution timeout in milliseconds
- * @param {string} [options.storageKey] - LocalStorage key for persistence
+ * @param {string} [options.storageKey] - Storage key of the code saved before snippets existed
  * @param {string} [options.defaultCode] - Default code to load
+ * @param {number} [options.consoleMaxLines] - Console line cap (older lines are removed)
+ * @param {boolean} [options.liveSyntaxCheck=true] - Check syntax and lint while typing, and mark problems in the editor
+ * @param {number} [options.autoRunDelay=800] - Pause in typing before an auto-run starts (when auto-run is on)
  * @param {boolean} [options.debug=false] - Enable debug logging
  * @param {string} [options.logLevel='info'] - Log level for debugging
  * @param {string} [options.templatePath] - Path to custom sandbox template
@@ -1,5 +1,5 @@
 import { BaseDialog } from '../ui/base-dialog.js';
-import { EVENTS } from '../core/constants.js';
+import { EVENTS, LIBRARY_PRESETS } from '../core/constants.js';
 
 /**
  * Library Manager Dialog - UI for managing runtime libraries
@@ -62,6 +62,12 @@ export class LibraryDialog extends BaseDialog {
         <h4>Add Library</h4>
         <p class="descriptor">Choose a common library or paste a CDN URL</p>
         
+        <div class="library-presets">
+          ${Object.entries(LIBRARY_PRESETS).map(([id, preset]) => `
+            <button class="preset-btn" data-preset="${id}" title="Add ${preset.libraries.map(lib => lib.name).join(' + ')}${preset.mode ? ` and switch to ${preset.mode.toUpperCase()} mode` : ''}">${preset.icon} ${preset.name}</button>
+          `).join('')}
+        </div>
+
         <div class="library-selector">
           <select class="common-libraries" id="commonLibraries">
             <option value="">Select a common library...</option>
@@ -82,6 +88,10 @@ export class LibraryDialog extends BaseDialog {
           <input type="url" class="url-input" placeholder="Or paste any CDN URL here...">
           <button class="add-btn">Add</button>
         </div>
+        <label class="module-option" title="Load as an ES module through the import map (for ES Module mode)">
+          <input type="checkbox" class="module-checkbox"> ES module
+          <input type="text" class="specifier-input" placeholder="Import name (optional)">
+        </label>
         <div class="input-feedback"></div>
       </section>
     `;
@@ -91,6 +101,8 @@ export class LibraryDialog extends BaseDialog {
     this.addBtn = body.querySelector('.add-btn');
     this.libraryList = body.querySelector('.library-list');
     this.commonLibrariesSelect = body.querySelector('.common-libraries');
+    this.moduleCheckbox = body.querySelector('.module-checkbox');
+    this.specifierInput = body.querySelector('.specifier-input');
 
     // Setup library-specific event listeners
     this.addBtn.addEventListener('click', () => {
@@ -105,6 +117,14 @@ export class LibraryDialog extends BaseDialog {
       }
     });
 
+    // Handle one-click presets
+    body.querySelectorAll('.preset-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.logger.debug('Preset button clicked:', btn.dataset.preset);
+        this.handleApplyPreset(btn.dataset.preset);
+      });
+    });
+
     // Handle common library selection
     this.commonLibrariesSelect.addEventListener('change', (e) => {
       const selectedUrl = e.target.value;
@@ -142,6 +162,11 @@ export class LibraryDialog extends BaseDialog {
       this.refreshLibraryList();
     });
 
+    this.eventEmitter.on(EVENTS.LIBRARIES_REPLACED, (data) => {
+      this.logger.info('Received LIBRARIES_REPLACED event:', data?.libraries?.length);
+      this.refreshLibraryList();
+    });
+
     this.eventEmitter.on(EVENTS.DOMAIN_TRUST_REQUEST, (data) => {
       this.logger.warn('Received DOMAIN_TRUST_REQUEST for domain:', data?.domain);
       this.showDomainTrustDialog(data);
@@ -157,6 +182,7 @@ export class LibraryDialog extends BaseDialog {
     this.logger.debug('Preparing library dialog for opening...');
     this.refreshLibraryList();
     this.urlInput.value = '';
+    this.specifierInput.value = '';
     if (this.commonLibrariesSelect) {
       this.commonLibrariesSelect.value = '';
     }
@@ -199,7 +225,7 @@ export class LibraryDialog extends BaseDialog {
     this.addBtn.disabled = true;
 
     // Attempt to add the library
-    const result = this.libraryManager.addLibrary(url);
+    const result = this.libraryManager.addLibrary(url, null, this.getLibraryOptions());
     this.logger.debug('Library manager result:', result);
 
     if (result.success) {
@@ -223,6 +249,39 @@ export class LibraryDialog extends BaseDialog {
     this.logger.debug('Add library operation completed');
   }
 
+  /**
+   * Handles applying a library preset
+   * @param {string} presetId - Preset ID from LIBRARY_PRESETS
+   */
+  handleApplyPreset(presetId) {
+    const result = this.libraryManager.applyPreset(presetId);
+
+    if (result.success) {
+      const message = result.added.length > 0
+        ? `Added: ${result.added.map(lib => lib.name).join(', ')}`
+        : `${result.preset.name} is already set up`;
+      this.showFeedback(message, 'success');
+      setTimeout(() => this.clearFeedback(), 2000);
+    } else {
+      this.logger.error(`Failed to apply preset ${presetId}: ${result.error}`);
+      this.showFeedback(`Error: ${result.error}`, 'error');
+    }
+  }
+
+  /**
+   * Gets the library options selected in the add form
+   * @returns {Object} Library options ({ type, specifier })
+   */
+  getLibraryOptions() {
+    if (!this.moduleCheckbox?.checked) {
+      return { type: 'script' };
+    }
+    return {
+      type: 'module',
+      specifier: this.specifierInput.value.trim() || undefined
+    };
+  }
+
   /**
    * Shows domain trust confirmation dialog
    * @param {Object} data - Domain trust data
@@ -244,7 +303,10 @@ export class LibraryDialog extends BaseDialog {
 
       // Try adding the library again
       this.logger.debug(`Retrying library addition for: ${data.url}`);
-      const result = this.libraryManager.addLibrary(data.url, data.name);
+      const result = this.libraryManager.addLibrary(data.url, data.name, {
+        type: data.type,
+        specifier: data.specifier
+      });
 
       if (result.success) {
         this.logger.info(`Library added after domain approval: ${result.library.name}`);
@@ -292,6 +354,7 @@ export class LibraryDialog extends BaseDialog {
           <div class="library-item" data-id="${lib.id}">
             <div class="library-info">
               <span class="library-name">${lib.name}</span>
+              ${lib.type === 'module' ? `<small class="library-specifier">import from '${lib.specifier}'</small>` : ''}
               <small class="library-url">${lib.url}</small>
             </div>
             <button class="remove-btn" title="Remove library" data-id="${lib.id}">🗑️</button>
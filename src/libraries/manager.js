@@ -1,5 +1,6 @@
 import { Logger } from '../core/logger.js';
-import { EVENTS } from '../core/constants.js';
+import { EVENTS, LIBRARY_PRESETS, STORAGE_AREAS } from '../core/constants.js';
+import { storageManager } from '../core/storage-manager.js';
 
 /**
  * Library Manager - Handles CDN library loading with user-controlled allowlists
@@ -11,7 +12,7 @@ export class LibraryManager {
    * @param {Object} eventEmitter - Event emitter instance
    * @param {Object} options - Configuration options
    * @param {boolean} [options.debug=false] - Enable debug logging
-   * @param {string} [options.storageKey='sandbox_libraries'] - localStorage key
+   * @param {string} [options.storageKey='sandbox_libraries'] - Storage key
    */
   constructor(eventEmitter, options = {}) {
     this.eventEmitter = eventEmitter;
@@ -42,7 +43,7 @@ export class LibraryManager {
 
     this.libraries = [];
     this.allowedDomains = [];
-    this.libraryCache = new Map(); // Cache for fetched library content
+    this.libraryCache = new Map(); // Cache for fetched library content (also kept in the storage layer)
 
     this.loadFromStorage();
     this.setupEventListeners();
@@ -53,7 +54,7 @@ export class LibraryManager {
    */
   setupEventListeners() {
     this.eventEmitter.on(EVENTS.LIBRARY_ADD, (data) => {
-      this.addLibrary(data.url, data.name);
+      this.addLibrary(data.url, data.name, { type: data.type, specifier: data.specifier });
     });
 
     this.eventEmitter.on(EVENTS.LIBRARY_REMOVE, (data) => {
@@ -66,21 +67,21 @@ export class LibraryManager {
   }
 
   /**
-   * Loads libraries and allowed domains from localStorage
+   * Loads libraries and allowed domains from storage
    */
   loadFromStorage() {
-    this.logger.debug('Loading library data from localStorage...');
+    this.logger.debug('Loading library data from storage...');
 
     try {
       // Load libraries
-      this.logger.debug(`Checking localStorage for key: ${this.options.storageKey}`);
-      const librariesData = localStorage.getItem(this.options.storageKey);
+      this.logger.debug(`Checking storage for key: ${this.options.storageKey}`);
+      const librariesData = storageManager.getItem(this.options.storageKey);
       this.libraries = librariesData ? JSON.parse(librariesData) : [];
       this.logger.debug(`Loaded ${this.libraries.length} libraries from storage`);
 
       // Load allowed domains (merge with defaults)
-      this.logger.debug(`Checking localStorage for key: ${this.options.allowlistKey}`);
-      const domainsData = localStorage.getItem(this.options.allowlistKey);
+      this.logger.debug(`Checking storage for key: ${this.options.allowlistKey}`);
+      const domainsData = storageManager.getItem(this.options.allowlistKey);
       const savedDomains = domainsData ? JSON.parse(domainsData) : [];
       this.allowedDomains = [...new Set([...this.defaultDomains, ...savedDomains])];
 
@@ -100,24 +101,24 @@ export class LibraryManager {
   }
 
   /**
-   * Saves libraries to localStorage
+   * Saves libraries to storage
    */
   saveLibraries() {
-    this.logger.debug(`Saving ${this.libraries.length} libraries to localStorage...`);
+    this.logger.debug(`Saving ${this.libraries.length} libraries to storage...`);
     try {
       const serialized = JSON.stringify(this.libraries);
-      localStorage.setItem(this.options.storageKey, serialized);
+      storageManager.setItem(this.options.storageKey, serialized);
       this.logger.debug(`Libraries saved successfully (${serialized.length} chars)`);
     } catch (error) {
-      this.logger.error('Failed to save libraries to localStorage:', error);
+      this.logger.error('Failed to save libraries to storage:', error);
       if (error.name === 'QuotaExceededError') {
-        this.logger.warn('localStorage quota exceeded - consider clearing old data');
+        this.logger.warn('Storage quota exceeded - clear cached data in the storage settings');
       }
     }
   }
 
   /**
-   * Saves allowed domains to localStorage
+   * Saves allowed domains to storage
    */
   saveDomains() {
     // Only save non-default domains to avoid bloating storage
@@ -125,15 +126,15 @@ export class LibraryManager {
       domain => !this.defaultDomains.includes(domain)
     );
 
-    this.logger.debug(`Saving ${customDomains.length} custom domains to localStorage...`);
+    this.logger.debug(`Saving ${customDomains.length} custom domains to storage...`);
     try {
       const serialized = JSON.stringify(customDomains);
-      localStorage.setItem(this.options.allowlistKey, serialized);
+      storageManager.setItem(this.options.allowlistKey, serialized);
       this.logger.debug(`Custom domains saved successfully: [${customDomains.join(', ')}]`);
     } catch (error) {
-      this.logger.error('Failed to save domains to localStorage:', error);
+      this.logger.error('Failed to save domains to storage:', error);
       if (error.name === 'QuotaExceededError') {
-        this.logger.warn('localStorage quota exceeded - consider clearing old data');
+        this.logger.warn('Storage quota exceeded - clear cached data in the storage settings');
       }
     }
   }
@@ -230,6 +231,34 @@ export class LibraryManager {
     }
   }
 
+  /**
+   * Guesses the bare import specifier for an ES module URL
+   * (e.g. https://esm.sh/lodash-es@4.17.21 -> lodash-es)
+   * @param {string} url - The module URL
+   * @returns {string} Guessed specifier
+   */
+  guessModuleSpecifier(url) {
+    try {
+      const segments = new URL(url).pathname.split('/').filter(Boolean);
+
+      // jsDelivr and similar CDNs prefix packages with /npm/
+      if (segments[0] === 'npm' || segments[0] === 'gh') {
+        segments.shift();
+      }
+
+      // Keep the scope for scoped packages (@scope/name)
+      const parts = segments[0] && segments[0].startsWith('@') ? segments.slice(0, 2) : segments.slice(0, 1);
+      const specifier = parts
+        .map(part => part.replace(/@[^@]*$/, '') || part)
+        .join('/')
+        .replace(/\.(min\.)?m?js$/, '');
+
+      return specifier || this.guessLibraryName(url).toLowerCase();
+    } catch (error) {
+      return this.guessLibraryName(url).toLowerCase();
+    }
+  }
+
   /**
    * Checks if a domain is in the allowed list
    * @param {string} domain - Domain to check
@@ -242,9 +271,11 @@ export class LibraryManager {
   /**
    * Validates a library URL
    * @param {string} url - URL to validate
+   * @param {Object} [options={}] - Validation options
+   * @param {string} [options.type='script'] - Library type ('script' or 'module')
    * @returns {Object} Validation result with status and domain
    */
-  validateLibraryUrl(url) {
+  validateLibraryUrl(url, options = {}) {
     if (!url || typeof url !== 'string') {
       return { valid: false, error: 'URL is required' };
     }
@@ -255,8 +286,8 @@ export class LibraryManager {
       return { valid: false, error: 'Invalid URL format' };
     }
 
-    // Check if URL points to a JavaScript file
-    if (!url.match(/\.js(\?.*)?$/i)) {
+    // Check if URL points to a JavaScript file (ES module CDNs often serve extensionless URLs)
+    if (options.type !== 'module' && !url.match(/\.js(\?.*)?$/i)) {
       return { valid: false, error: 'URL must point to a JavaScript file (.js)' };
     }
 
@@ -275,10 +306,16 @@ export class LibraryManager {
    * Adds a library to the collection
    * @param {string} url - Library URL
    * @param {string} [name] - Optional library name (will be guessed if not provided)
+   * @param {Object} [options={}] - Library options
+   * @param {string} [options.type='script'] - 'script' for classic scripts, 'module' for ES modules
+   * @param {string} [options.specifier] - Import specifier for ES modules (guessed if not provided)
+   * @param {string} [options.mountRoot] - ID of a root element to create in the sandbox body
+   * @param {string} [options.preset] - ID of the preset that added this library
    * @returns {Object} Result object with success status
    */
-  addLibrary(url, name = null) {
-    const validation = this.validateLibraryUrl(url);
+  addLibrary(url, name = null, options = {}) {
+    const type = options.type === 'module' ? 'module' : 'script';
+    const validation = this.validateLibraryUrl(url, { type });
 
     if (!validation.valid) {
       this.logger.warn('Library validation failed:', validation.error);
@@ -298,7 +335,9 @@ export class LibraryManager {
       this.eventEmitter.emit(EVENTS.DOMAIN_TRUST_REQUEST, {
         domain: validation.domain,
         url,
-        name: name || this.guessLibraryName(url)
+        name: name || this.guessLibraryName(url),
+        type,
+        specifier: options.specifier
       });
       return { success: false, needsApproval: true, domain: validation.domain };
     }
@@ -309,9 +348,22 @@ export class LibraryManager {
       name: name || this.guessLibraryName(url),
       url: url.trim(),
       domain: validation.domain,
+      type,
       addedAt: new Date().toISOString()
     };
 
+    if (type === 'module') {
+      library.specifier = options.specifier || this.guessModuleSpecifier(url);
+    }
+
+    if (options.mountRoot) {
+      library.mountRoot = options.mountRoot;
+    }
+
+    if (options.preset) {
+      library.preset = options.preset;
+    }
+
     this.libraries.push(library);
     this.saveLibraries();
 
@@ -321,6 +373,51 @@ export class LibraryManager {
     return { success: true, library };
   }
 
+  /**
+   * Adds every library of a preset (e.g. React + ReactDOM), skipping ones already added
+   * @param {string} presetId - Preset ID from LIBRARY_PRESETS
+   * @returns {Object} Result object with success status, added libraries and errors
+   */
+  applyPreset(presetId) {
+    const preset = LIBRARY_PRESETS[presetId];
+    if (!preset) {
+      this.logger.warn('Unknown library preset:', presetId);
+      return { success: false, error: `Unknown preset: ${presetId}` };
+    }
+
+    const added = [];
+    const errors = [];
+
+    preset.libraries.forEach(lib => {
+      if (this.libraries.some(existing => existing.url === lib.url)) {
+        this.logger.debug('Preset library already present:', lib.name);
+        return;
+      }
+
+      const result = this.addLibrary(lib.url, lib.name, {
+        type: lib.type,
+        mountRoot: lib.mountRoot,
+        preset: presetId
+      });
+
+      if (result.success) {
+        added.push(result.library);
+      } else {
+        errors.push(`${lib.name}: ${result.needsApproval ? `domain ${result.domain} needs approval` : result.error}`);
+      }
+    });
+
+    if (errors.length > 0) {
+      this.logger.warn(`Preset ${presetId} applied with errors:`, errors.join('; '));
+      return { success: false, error: errors.join('; '), added, preset };
+    }
+
+    this.logger.info(`Preset applied: ${preset.name} (${added.length} libraries added)`);
+    this.eventEmitter.emit(EVENTS.LIBRARY_PRESET_APPLIED, { presetId, preset, added });
+
+    return { success: true, added, preset };
+  }
+
   /**
    * Removes a library by ID
    * @param {string} id - Library ID to remove
@@ -342,6 +439,18 @@ export class LibraryManager {
     return true;
   }
 
+  /**
+   * Replaces all libraries, e.g. with the libraries of the snippet being opened
+   * @param {Array<Object>} libraries - Libraries as returned by getLibraries()
+   */
+  replaceLibraries(libraries) {
+    this.libraries = libraries.map(lib => ({ ...lib }));
+    this.saveLibraries();
+
+    this.logger.info(`Libraries replaced: ${this.libraries.length} libraries`);
+    this.eventEmitter.emit(EVENTS.LIBRARIES_REPLACED, { libraries: this.getLibraries() });
+  }
+
   /**
    * Adds a domain to the allowed list
    * @param {string} domain - Domain to add
@@ -407,19 +516,29 @@ export class LibraryManager {
    * @returns {Promise<string>} HTML script tags with inline content
    */
   async generateScriptTags() {
-    if (this.libraries.length === 0) {
+    // ES module libraries are resolved through the import map instead
+    const scriptLibraries = this.libraries.filter(lib => lib.type !== 'module');
+
+    if (scriptLibraries.length === 0) {
       this.logger.debug('No libraries to generate scripts for');
       return '';
     }
 
-    this.logger.info(`Fetching content for ${this.libraries.length} libraries...`);
+    this.logger.info(`Fetching content for ${scriptLibraries.length} libraries...`);
     const scripts = [];
 
-    for (const lib of this.libraries) {
+    for (const lib of scriptLibraries) {
       try {
         let content;
 
-        // Check cache first
+        // Check the memory cache first, then the bodies kept by the storage layer
+        if (!this.libraryCache.has(lib.url)) {
+          const stored = await storageManager.get(STORAGE_AREAS.LIBRARIES, lib.url);
+          if (typeof stored === 'string') {
+            this.libraryCache.set(lib.url, stored);
+          }
+        }
+
         if (this.libraryCache.has(lib.url)) {
           this.logger.debug(`Using cached content for: ${lib.name}`);
           content = this.libraryCache.get(lib.url);
@@ -434,8 +553,9 @@ export class LibraryManager {
           content = await response.text();
           this.logger.debug(`Fetched ${lib.name}: ${content.length} characters`);
 
-          // Cache the content
+          // Cache the content (a failed save is reported by the storage layer)
           this.libraryCache.set(lib.url, content);
+          storageManager.set(STORAGE_AREAS.LIBRARIES, lib.url, content);
         }
 
         // Create clean inline script with library content
@@ -463,12 +583,12 @@ console.error('Failed to load library ${lib.name}: ${error.message}');
     const result = scripts.join('\n');
 
     // Enhanced logging for library injection
-    if (this.libraries.length > 0) {
-      const libraryNames = this.libraries.map(lib => lib.name).join(', ');
-      this.logger.info(`📚 Injecting ${this.libraries.length} libraries into sandbox: ${libraryNames}`);
+    if (scriptLibraries.length > 0) {
+      const libraryNames = scriptLibraries.map(lib => lib.name).join(', ');
+      this.logger.info(`📚 Injecting ${scriptLibraries.length} libraries into sandbox: ${libraryNames}`);
 
       // Log each library with detailed info including version detection
-      this.libraries.forEach(lib => {
+      scriptLibraries.forEach(lib => {
         const scriptSize = scripts.find(s => s.includes(`data-library="${lib.name}"`))?.length || 0;
         const version = this.extractVersionFromUrl(lib.url);
         const versionInfo = version ? ` v${version}` : '';
@@ -483,6 +603,42 @@ console.error('Failed to load library ${lib.name}: ${error.message}');
     return result;
   }
 
+  /**
+   * Gets the URLs of the classic script libraries (loaded with importScripts() by the worker backend)
+   * @returns {string[]} Library URLs in load order
+   */
+  getScriptUrls() {
+    return this.libraries.filter(lib => lib.type !== 'module').map(lib => lib.url);
+  }
+
+  /**
+   * Generates the body markup required by libraries (mount root elements)
+   * @returns {string} HTML markup for the sandbox body
+   */
+  generateBodyHtml() {
+    const roots = [...new Set(this.libraries.filter(lib => lib.mountRoot).map(lib => lib.mountRoot))];
+    return roots.map(id => `<div id="${id}"></div>`).join('');
+  }
+
+  /**
+   * Generates an import map for the ES module libraries
+   * @returns {Object|null} Import map ({ imports }) or null when there are no module libraries
+   */
+  generateImportMap() {
+    const modules = this.libraries.filter(lib => lib.type === 'module');
+    if (modules.length === 0) {
+      return null;
+    }
+
+    const imports = {};
+    modules.forEach(lib => {
+      imports[lib.specifier || this.guessModuleSpecifier(lib.url)] = lib.url;
+    });
+
+    this.logger.debug(`Generated import map with ${modules.length} entries:`, Object.keys(imports).join(', '));
+    return { imports };
+  }
+
   /**
    * Generates dynamic CSP policy with allowed domains
    * @returns {string} CSP policy string
@@ -492,6 +648,7 @@ console.error('Failed to load library ${lib.name}: ${error.message}');
       "'self'",
       "'unsafe-inline'",
       "'unsafe-eval'",
+      'blob:', // ES module mode imports the user code from a blob URL
       ...this.allowedDomains.map(domain => `https://${domain}`)
     ].join(' ');
 
@@ -517,8 +674,8 @@ console.error('Failed to load library ${lib.name}: ${error.message}');
     this.libraries = [];
     this.allowedDomains = [...this.defaultDomains];
 
-    localStorage.removeItem(this.options.storageKey);
-    localStorage.removeItem(this.options.allowlistKey);
+    storageManager.removeItem(this.options.storageKey);
+    storageManager.removeItem(this.options.allowlistKey);
 
     this.logger.info('All libraries and custom domains cleared');
     this.eventEmitter.emit(EVENTS.LIBRARIES_CLEARED);
@@ -0,0 +1,174 @@
+import { BaseDialog } from './base-dialog.js';
+import { EVENTS } from '../core/constants.js';
+import { ConsoleExporter, EXPORT_FORMATS } from '../core/console-export.js';
+import { copyToClipboard, downloadFile } from '../core/utils.js';
+import { storageManager } from '../core/storage-manager.js';
+
+/**
+ * Console Export Dialog - copies or downloads the output of the current run
+ * as plain text, Markdown (with the code) or JSON
+ * @author Joao Guilherme (Guinetik) <guinetik@gmail.com>
+ */
+export class ConsoleExportDialog extends BaseDialog {
+  /**
+   * Creates a new ConsoleExportDialog instance
+   * @param {Object} eventEmitter - Event emitter instance
+   * @param {Object} options - Configuration options
+   * @param {Function} options.getRun - Returns the run to export ({ records, code, language })
+   * @param {string} [options.storageKey='sandbox_console_export_format'] - Storage key for the format
+   * @param {boolean} [options.debug=false] - Enable debug logging
+   */
+  constructor(eventEmitter, options = {}) {
+    super({
+      title: 'Export Console Output',
+      className: 'console-export-dialog',
+      debug: options.debug || false,
+      logPrefix: 'ConsoleExportDialog',
+      storageKey: 'sandbox_console_export_format',
+      ...options
+    });
+
+    this.eventEmitter = eventEmitter;
+    this.exporter = new ConsoleExporter({ debug: this.options.debug });
+    this.format = this.loadFormat();
+    this.output = '';
+
+    this.createExportContent();
+    this.eventEmitter.on(EVENTS.CONSOLE_EXPORT_OPEN, this.openHandler = () => this.open());
+  }
+
+  /**
+   * Creates the format selector, the preview and the actions
+   */
+  createExportContent() {
+    const body = this.getBody();
+    body.innerHTML = `
+      <p class="descriptor">Output of the current run, ready to paste into a bug report or PR description</p>
+      <div class="export-formats" role="radiogroup" aria-label="Export format">
+        ${Object.entries(EXPORT_FORMATS).map(([id, format]) => `
+          <button type="button" class="export-format-btn" data-format="${id}" role="radio">${format.label}</button>
+        `).join('')}
+      </div>
+      <textarea class="export-preview" readonly spellcheck="false" aria-label="Export preview"></textarea>
+      <div class="export-actions">
+        <span class="export-feedback" aria-live="polite"></span>
+        <button type="button" class="add-btn export-copy-btn">Copy</button>
+        <button type="button" class="add-btn export-download-btn">Download</button>
+      </div>
+    `;
+
+    this.preview = body.querySelector('.export-preview');
+    this.feedback = body.querySelector('.export-feedback');
+    this.formatButtons = [...body.querySelectorAll('.export-format-btn')];
+
+    this.formatButtons.forEach(button => {
+      button.addEventListener('click', () => this.setFormat(button.dataset.format));
+    });
+    body.querySelector('.export-copy-btn').addEventListener('click', () => this.copy());
+    body.querySelector('.export-download-btn').addEventListener('click', () => this.download());
+  }
+
+  /**
+   * Builds the export from the current console when the dialog opens
+   */
+  onBeforeOpen() {
+    this.refresh();
+  }
+
+  /**
+   * Switches the export format and remembers it
+   * @param {string} format - 'text', 'markdown' or 'json'
+   */
+  setFormat(format) {
+    if (!EXPORT_FORMATS[format]) {
+      return;
+    }
+    this.format = format;
+    this.saveFormat();
+    this.refresh();
+  }
+
+  /**
+   * Regenerates the preview in the selected format
+   */
+  refresh() {
+    try {
+      this.output = this.exporter.export(this.format, this.options.getRun());
+    } catch (error) {
+      this.logger.error('Failed to export console output:', error);
+      this.output = '';
+    }
+
+    this.preview.value = this.output;
+    this.feedback.textContent = '';
+    this.formatButtons.forEach(button => {
+      const selected = button.dataset.format === this.format;
+      button.classList.toggle('active', selected);
+      button.setAttribute('aria-checked', String(selected));
+    });
+  }
+
+  /**
+   * Copies the export to the clipboard
+   */
+  async copy() {
+    try {
+      await copyToClipboard(this.output);
+      this.feedback.textContent = `Copied as ${EXPORT_FORMATS[this.format].label}`;
+      this.logger.info(`Console output copied as ${this.format}`);
+    } catch (error) {
+      this.logger.warn('Failed to copy console output:', error);
+      this.feedback.textContent = 'Copy failed: select the preview and copy it manually';
+    }
+  }
+
+  /**
+   * Downloads the export as a file
+   */
+  download() {
+    const format = EXPORT_FORMATS[this.format];
+    const fileName = this.exporter.getFileName(this.format);
+    try {
+      downloadFile(this.output, fileName, format.mimeType);
+      this.feedback.textContent = `Saved ${fileName}`;
+    } catch (error) {
+      this.logger.warn('Failed to download console output:', error);
+      this.feedback.textContent = 'Download failed';
+    }
+  }
+
+  /**
+   * Loads the last used format from storage
+   * @returns {string} Format id
+   */
+  loadFormat() {
+    try {
+      const saved = storageManager.getItem(this.options.storageKey);
+      if (saved && EXPORT_FORMATS[saved]) {
+        return saved;
+      }
+    } catch (error) {
+      this.logger.warn('Failed to load export format:', error);
+    }
+    return 'markdown';
+  }
+
+  /**
+   * Saves the selected format to storage
+   */
+  saveFormat() {
+    try {
+      storageManager.setItem(this.options.storageKey, this.format);
+    } catch (error) {
+      this.logger.warn('Failed to save export format:', error);
+    }
+  }
+
+  /**
+   * Destroys the dialog and stops listening for open requests
+   */
+  destroy() {
+    this.eventEmitter.off(EVENTS.CONSOLE_EXPORT_OPEN, this.openHandler);
+    super.destroy();
+  }
+}
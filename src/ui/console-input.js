@@ -0,0 +1,181 @@
+import { Logger } from '../core/logger.js';
+import { EVENTS } from '../core/constants.js';
+import { storageManager } from '../core/storage-manager.js';
+
+/**
+ * REPL input line below the console, with persistent command history
+ * @author Joao Guilherme (Guinetik) <guinetik@gmail.com>
+ */
+export class ConsoleInput {
+  /**
+   * Creates a new ConsoleInput instance
+   * @param {HTMLElement} container - The container element for the input line
+   * @param {Object} eventEmitter - The event emitter instance
+   * @param {Object} options - Configuration options
+   * @param {string} [options.storageKey='sandbox_repl_history'] - Storage key for the history
+   * @param {number} [options.maxHistory=100] - Maximum number of history entries kept
+   * @param {boolean} [options.debug=false] - Enable debug logging
+   */
+  constructor(container, eventEmitter, options = {}) {
+    this.container = container;
+    this.eventEmitter = eventEmitter;
+    this.options = {
+      storageKey: 'sandbox_repl_history',
+      maxHistory: 100,
+      debug: false,
+      ...options
+    };
+
+    this.logger = new Logger({
+      enabled: this.options.debug,
+      level: 'info',
+      prefix: 'ConsoleInput'
+    });
+
+    this.history = this.loadHistory();
+    // Position while browsing the history; history.length means "the line being typed"
+    this.historyIndex = this.history.length;
+    this.draft = '';
+
+    this.createInput();
+  }
+
+  /**
+   * Creates the prompt and input HTML structure
+   */
+  createInput() {
+    this.container.innerHTML = '';
+
+    const prompt = document.createElement('span');
+    prompt.className = 'console-input-prompt';
+    prompt.textContent = '›';
+
+    this.input = document.createElement('input');
+    this.input.type = 'text';
+    this.input.className = 'console-input-field';
+    this.input.placeholder = 'Evaluate in the last run…';
+    this.input.spellcheck = false;
+    this.input.autocomplete = 'off';
+    this.input.setAttribute('aria-label', 'Console input');
+
+    this.keydownHandler = (e) => this.handleKeydown(e);
+    this.input.addEventListener('keydown', this.keydownHandler);
+
+    this.container.appendChild(prompt);
+    this.container.appendChild(this.input);
+  }
+
+  /**
+   * Handles Enter (submit) and ArrowUp/ArrowDown (history)
+   * @param {KeyboardEvent} e - The keydown event
+   */
+  handleKeydown(e) {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      this.submit();
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      this.navigateHistory(-1);
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      this.navigateHistory(1);
+    }
+  }
+
+  /**
+   * Submits the current input for evaluation
+   */
+  submit() {
+    const code = this.input.value;
+    if (!code.trim()) {
+      return;
+    }
+
+    this.addToHistory(code);
+    this.input.value = '';
+    this.draft = '';
+
+    this.logger.info('Submitting REPL input:', code);
+    this.eventEmitter.emit(EVENTS.REPL_SUBMIT, { code });
+  }
+
+  /**
+   * Moves through the history, keeping the line being typed as a draft
+   * @param {number} direction - -1 for older entries, 1 for newer ones
+   */
+  navigateHistory(direction) {
+    const nextIndex = this.historyIndex + direction;
+    if (nextIndex < 0 || nextIndex > this.history.length) {
+      return;
+    }
+
+    if (this.historyIndex === this.history.length) {
+      this.draft = this.input.value;
+    }
+
+    this.historyIndex = nextIndex;
+    this.input.value = nextIndex === this.history.length ? this.draft : this.history[nextIndex];
+
+    const end = this.input.value.length;
+    this.input.setSelectionRange(end, end);
+  }
+
+  /**
+   * Adds an entry to the history (skipping immediate repeats) and saves it
+   * @param {string} code - Submitted input
+   */
+  addToHistory(code) {
+    if (this.history[this.history.length - 1] !== code) {
+      this.history.push(code);
+      if (this.history.length > this.options.maxHistory) {
+        this.history = this.history.slice(-this.options.maxHistory);
+      }
+      this.saveHistory();
+    }
+    this.historyIndex = this.history.length;
+  }
+
+  /**
+   * Loads the history from storage
+   * @returns {string[]} Saved history entries, oldest first
+   */
+  loadHistory() {
+    try {
+      const saved = JSON.parse(storageManager.getItem(this.options.storageKey) || '[]');
+      if (Array.isArray(saved)) {
+        return saved.filter(entry => typeof entry === 'string').slice(-this.options.maxHistory);
+      }
+    } catch (error) {
+      this.logger.warn('Failed to load REPL history:', error);
+    }
+    return [];
+  }
+
+  /**
+   * Saves the history to storage
+   */
+  saveHistory() {
+    try {
+      storageManager.setItem(this.options.storageKey, JSON.stringify(this.history));
+    } catch (error) {
+      this.logger.warn('Failed to save REPL history:', error);
+    }
+  }
+
+  /**
+   * Focuses the input line
+   */
+  focus() {
+    this.input.focus();
+  }
+
+  /**
+   * Destroys the input line
+   */
+  destroy() {
+    if (this.input) {
+      this.input.removeEventListener('keydown', this.keydownHandler);
+    }
+    this.container.innerHTML = '';
+  }
+}
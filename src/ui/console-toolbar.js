@@ -0,0 +1,408 @@
+import { Logger } from '../core/logger.js';
+import { EVENTS } from '../core/constants.js';
+import { debounce } from '../core/utils.js';
+import { storageManager } from '../core/storage-manager.js';
+
+/** Filterable levels, in toolbar order */
+const LEVELS = [
+  { id: 'log', label: 'Log' },
+  { id: 'info', label: 'Info' },
+  { id: 'warn', label: 'Warn' },
+  { id: 'error', label: 'Error' }
+];
+
+/**
+ * Console toolbar: per-level toggles with counts, text/regex search with highlighted matches
+ * and next/previous navigation, and the "timestamps" and "preserve log across runs" options
+ * @author Joao Guilherme (Guinetik) <guinetik@gmail.com>
+ */
+export class ConsoleToolbar {
+  /**
+   * Creates a new ConsoleToolbar instance
+   * @param {HTMLElement} container - The container element for the toolbar
+   * @param {ConsoleOutput} output - The console whose lines are filtered and searched
+   * @param {Object} eventEmitter - The event emitter instance
+   * @param {Object} options - Configuration options
+   * @param {string} [options.storageKey='sandbox_console_filters'] - Storage key for the settings
+   * @param {number} [options.searchDelay=150] - Debounce delay for search and count updates (ms)
+   * @param {boolean} [options.debug=false] - Enable debug logging
+   */
+  constructor(container, output, eventEmitter, options = {}) {
+    this.container = container;
+    this.output = output;
+    this.eventEmitter = eventEmitter;
+    this.options = {
+      storageKey: 'sandbox_console_filters',
+      searchDelay: 150,
+      debug: false,
+      ...options
+    };
+
+    this.logger = new Logger({
+      enabled: this.options.debug,
+      level: 'info',
+      prefix: 'ConsoleToolbar'
+    });
+
+    const settings = this.loadSettings();
+    this.hiddenLevels = new Set(settings.hiddenLevels);
+    this.regexMode = settings.regexMode;
+    this.preserveLog = settings.preserveLog;
+    this.showTimestamps = settings.showTimestamps;
+
+    this.matches = [];
+    this.currentMatch = -1;
+    this.destroyed = false;
+
+    this.scheduleRefresh = debounce(() => this.refresh(), this.options.searchDelay);
+
+    this.createToolbar();
+    this.applyLevelFilters();
+    this.output.setPreserveLog(this.preserveLog);
+    this.output.setShowTimestamps(this.showTimestamps);
+  }
+
+  /**
+   * Creates the toolbar HTML structure
+   */
+  createToolbar() {
+    this.container.innerHTML = '';
+
+    const levels = document.createElement('div');
+    levels.className = 'console-levels';
+    this.levelButtons = {};
+    LEVELS.forEach(({ id, label }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = `console-level-btn console-level-${id}`;
+      button.dataset.level = id;
+      button.title = `Show or hide ${label.toLowerCase()} messages`;
+
+      const text = document.createElement('span');
+      text.textContent = label;
+      const count = document.createElement('span');
+      count.className = 'console-level-count';
+      count.textContent = '0';
+
+      button.appendChild(text);
+      button.appendChild(count);
+      button.addEventListener('click', () => this.toggleLevel(id));
+      levels.appendChild(button);
+      this.levelButtons[id] = { button, count };
+    });
+
+    const search = document.createElement('div');
+    search.className = 'console-search';
+
+    this.searchInput = document.createElement('input');
+    this.searchInput.type = 'search';
+    this.searchInput.className = 'console-search-input';
+    this.searchInput.placeholder = 'Search console…';
+    this.searchInput.spellcheck = false;
+    this.searchInput.setAttribute('aria-label', 'Search console output');
+
+    this.regexButton = this.createButton('.*', 'Use a regular expression', () => this.toggleRegex());
+    this.regexButton.classList.add('console-regex-btn');
+    this.matchCounter = document.createElement('span');
+    this.matchCounter.className = 'console-match-count';
+    const prevButton = this.createButton('↑', 'Previous match (Shift+Enter)', () => this.navigate(-1));
+    const nextButton = this.createButton('↓', 'Next match (Enter)', () => this.navigate(1));
+
+    this.inputHandler = debounce(() => this.search(), this.options.searchDelay);
+    this.keydownHandler = (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.navigate(e.shiftKey ? -1 : 1);
+      } else if (e.key === 'Escape') {
+        this.searchInput.value = '';
+        this.search();
+      }
+    };
+    this.searchInput.addEventListener('input', this.inputHandler);
+    this.searchInput.addEventListener('keydown', this.keydownHandler);
+
+    search.appendChild(this.searchInput);
+    search.appendChild(this.regexButton);
+    search.appendChild(this.matchCounter);
+    search.appendChild(prevButton);
+    search.appendChild(nextButton);
+
+    const timestamps = this.createCheckbox('Timestamps', 'Show the time since the run started on each line',
+      (checked) => this.setShowTimestamps(checked));
+    this.timestampsCheckbox = timestamps.checkbox;
+
+    const preserve = this.createCheckbox('Preserve log', 'Keep the output of previous runs (console.clear() is ignored)',
+      (checked) => this.setPreserveLog(checked));
+    this.preserveCheckbox = preserve.checkbox;
+
+    this.container.appendChild(levels);
+    this.container.appendChild(search);
+    this.container.appendChild(timestamps.label);
+    this.container.appendChild(preserve.label);
+
+    this.updateControls();
+  }
+
+  /**
+   * Creates a small toolbar button
+   * @param {string} text - Button text
+   * @param {string} title - Tooltip text
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLButtonElement} The button
+   */
+  createButton(text, title, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'console-toolbar-btn';
+    button.textContent = text;
+    button.title = title;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Creates a labelled toolbar checkbox
+   * @param {string} text - Label text
+   * @param {string} title - Tooltip text
+   * @param {Function} onChange - Called with the checked state
+   * @returns {Object} The { label, checkbox } elements
+   */
+  createCheckbox(text, title, onChange) {
+    const label = document.createElement('label');
+    label.className = 'console-option';
+    label.title = title;
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.addEventListener('change', () => onChange(checkbox.checked));
+
+    const span = document.createElement('span');
+    span.textContent = text;
+
+    label.appendChild(checkbox);
+    label.appendChild(span);
+    return { label, checkbox };
+  }
+
+  /**
+   * Shows or hides the lines of a level
+   * @param {string} level - Level id (log, info, warn, error)
+   */
+  toggleLevel(level) {
+    if (this.hiddenLevels.has(level)) {
+      this.hiddenLevels.delete(level);
+    } else {
+      this.hiddenLevels.add(level);
+    }
+    this.logger.info(`Level ${level} ${this.hiddenLevels.has(level) ? 'hidden' : 'shown'}`);
+
+    this.applyLevelFilters();
+    this.saveSettings();
+    // Matches in hidden lines are skipped
+    this.search();
+  }
+
+  /**
+   * Applies the hidden levels to the console
+   */
+  applyLevelFilters() {
+    this.output.setHiddenLevels(this.hiddenLevels);
+    this.updateControls();
+  }
+
+  /**
+   * Switches between plain text and regular expression search
+   */
+  toggleRegex() {
+    this.regexMode = !this.regexMode;
+    this.saveSettings();
+    this.updateControls();
+    this.search();
+  }
+
+  /**
+   * Enables or disables "preserve log across runs"
+   * @param {boolean} enabled - Whether the log is preserved
+   */
+  setPreserveLog(enabled) {
+    this.preserveLog = Boolean(enabled);
+    this.output.setPreserveLog(this.preserveLog);
+    this.saveSettings();
+    this.updateControls();
+    this.eventEmitter.emit(EVENTS.CONSOLE_PRESERVE_CHANGE, { enabled: this.preserveLog });
+  }
+
+  /**
+   * Shows or hides the run-relative timestamps on console lines
+   * @param {boolean} enabled - Whether timestamps are shown
+   */
+  setShowTimestamps(enabled) {
+    this.showTimestamps = Boolean(enabled);
+    this.output.setShowTimestamps(this.showTimestamps);
+    this.saveSettings();
+    this.updateControls();
+  }
+
+  /**
+   * Checks if the log is preserved across runs
+   * @returns {boolean} True if runs should not clear the console
+   */
+  isPreserveLog() {
+    return this.preserveLog;
+  }
+
+  /**
+   * Updates counts after console changes and re-runs an active search
+   * (scheduleRefresh is the debounced version used while output streams in)
+   */
+  refresh() {
+    if (this.destroyed) {
+      return;
+    }
+    this.updateControls();
+    if (this.searchInput.value) {
+      this.search({ keepPosition: true });
+    }
+  }
+
+  /**
+   * Syncs buttons, counts and the preserve checkbox with the current state
+   */
+  updateControls() {
+    LEVELS.forEach(({ id }) => {
+      const { button, count } = this.levelButtons[id];
+      button.classList.toggle('active', !this.hiddenLevels.has(id));
+      count.textContent = String(this.output.counts[id] || 0);
+    });
+    this.regexButton.classList.toggle('active', this.regexMode);
+    this.preserveCheckbox.checked = this.preserveLog;
+    this.timestampsCheckbox.checked = this.showTimestamps;
+    this.updateMatchCounter();
+  }
+
+  /**
+   * Builds the search pattern from the input
+   * @returns {RegExp|null} Global, case-insensitive pattern, or null for an empty/invalid query
+   */
+  getPattern() {
+    const query = this.searchInput.value;
+    this.searchInput.classList.remove('invalid');
+    this.searchInput.title = '';
+    if (!query) {
+      return null;
+    }
+
+    const source = this.regexMode ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    try {
+      return new RegExp(source, 'gi');
+    } catch (error) {
+      this.searchInput.classList.add('invalid');
+      this.searchInput.title = error.message;
+      return null;
+    }
+  }
+
+  /**
+   * Highlights every match in the shown lines
+   * @param {Object} [options={}] - Search options
+   * @param {boolean} [options.keepPosition=false] - Stay on the current match index (new lines arrived)
+   */
+  search(options = {}) {
+    if (this.destroyed) {
+      return;
+    }
+    const previous = this.currentMatch;
+    this.matches = this.output.search(this.getPattern());
+
+    if (!this.matches.length) {
+      this.currentMatch = -1;
+    } else if (options.keepPosition && previous >= 0) {
+      this.currentMatch = Math.min(previous, this.matches.length - 1);
+      this.output.setCurrentMatch(this.matches[this.currentMatch]);
+    } else {
+      this.currentMatch = -1;
+      this.navigate(1);
+    }
+    this.updateMatchCounter();
+  }
+
+  /**
+   * Moves to the next or previous match and scrolls it into view
+   * @param {number} direction - 1 for next, -1 for previous
+   */
+  navigate(direction) {
+    if (!this.matches.length) {
+      return;
+    }
+
+    this.currentMatch = (this.currentMatch + direction + this.matches.length) % this.matches.length;
+    this.output.setCurrentMatch(this.matches[this.currentMatch], { reveal: true });
+    this.updateMatchCounter();
+  }
+
+  /**
+   * Shows "current/total" for an active search
+   */
+  updateMatchCounter() {
+    if (!this.matchCounter) {
+      return;
+    }
+    this.matchCounter.textContent = this.searchInput.value
+      ? `${this.matches.length ? this.currentMatch + 1 : 0}/${this.matches.length}`
+      : '';
+  }
+
+  /**
+   * Loads the saved settings from storage
+   * @returns {Object} Settings { hiddenLevels, regexMode, preserveLog, showTimestamps }
+   */
+  loadSettings() {
+    const defaults = { hiddenLevels: [], regexMode: false, preserveLog: false, showTimestamps: false };
+    try {
+      const saved = JSON.parse(storageManager.getItem(this.options.storageKey) || 'null');
+      if (saved && typeof saved === 'object') {
+        return {
+          hiddenLevels: Array.isArray(saved.hiddenLevels)
+            ? saved.hiddenLevels.filter(level => LEVELS.some(({ id }) => id === level))
+            : [],
+          regexMode: saved.regexMode === true,
+          preserveLog: saved.preserveLog === true,
+          showTimestamps: saved.showTimestamps === true
+        };
+      }
+    } catch (error) {
+      this.logger.warn('Failed to load console filters:', error);
+    }
+    return defaults;
+  }
+
+  /**
+   * Saves the settings to storage
+   */
+  saveSettings() {
+    try {
+      storageManager.setItem(this.options.storageKey, JSON.stringify({
+        hiddenLevels: [...this.hiddenLevels],
+        regexMode: this.regexMode,
+        preserveLog: this.preserveLog,
+        showTimestamps: this.showTimestamps
+      }));
+    } catch (error) {
+      this.logger.warn('Failed to save console filters:', error);
+    }
+  }
+
+  /**
+   * Destroys the toolbar and removes its highlights and filters
+   */
+  destroy() {
+    this.destroyed = true;
+    this.output.search(null);
+    this.output.setHiddenLevels([]);
+    if (this.searchInput) {
+      this.searchInput.removeEventListener('input', this.inputHandler);
+      this.searchInput.removeEventListener('keydown', this.keydownHandler);
+    }
+    this.container.innerHTML = '';
+  }
+}
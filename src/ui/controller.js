@@ -1,25 +1,47 @@
 import { SandboxEngine } from '../core/sandbox.js';
+import { Transpiler } from '../core/transpiler.js';
+import { LoopGuard } from '../core/loop-guard.js';
+import { LiveValues } from '../core/live-values.js';
+import { SyntaxChecker } from '../core/syntax-checker.js';
+import { Linter } from '../core/linter.js';
 import { ConsoleOutput } from '../core/console.js';
-import { Storage } from '../core/storage.js';
+import { SnippetWorkspace } from '../core/snippets.js';
+import { SnippetHistory } from '../core/history.js';
+import { storageManager } from '../core/storage-manager.js';
 import { Logger } from '../core/logger.js';
 import { EventEmitter } from '../core/events.js';
 import { ExamplesLoader } from './examples.js';
 import { ExamplesDropdown } from './examples-dropdown.js';
 import { ThemeSwitcher } from './theme-switcher.js';
 import { EditorSwitcher } from './editor-switcher.js';
+import { ModeSwitcher } from './mode-switcher.js';
+import { FooterToggle } from './footer-toggle.js';
+import { ConsoleInput } from './console-input.js';
+import { ConsoleToolbar } from './console-toolbar.js';
+import { ConsoleExportDialog } from './console-export-dialog.js';
+import { LintSettingsDialog } from './lint-settings-dialog.js';
+import { SnippetsDialog } from './snippets-dialog.js';
+import { StorageDialog } from './storage-dialog.js';
+import { HistoryDialog } from './history-dialog.js';
 import { FullscreenManager } from './fullscreen.js';
 import { LibraryManager } from '../libraries/manager.js';
 import { LibraryDialog } from '../libraries/dialog.js';
 import { ShareManager } from './share-manager.js';
 import { createHorizontalResizeHandler, createVerticalResizeHandler } from './resize-utils.js';
-import { isMobile } from '../core/utils.js';
+import { isMobile, debounce, findErrorPosition } from '../core/utils.js';
 import { NeonGlowManager } from './neon.js';
 import { 
   DEFAULT_TIMEOUT_MS, 
   DEFAULT_STORAGE_KEY, 
+  CONSOLE_MAX_LINES,
+  SYNTAX_CHECK_DELAY_MS,
+  AUTO_RUN_DELAY_MS,
+  LIVE_VALUE_MAX_LENGTH,
   EVENTS, 
   STATUS_MESSAGES,
-  MOBILE_BREAKPOINT 
+  MOBILE_BREAKPOINT,
+  DEFAULT_EXECUTION_MODE,
+  EXECUTION_BACKENDS
 } from '../core/constants.js';
 
 /**
@@ -31,8 +53,11 @@ export class SandboxController {
    * Creates a new SandboxController instance
    * @param {Object} [options={}] - Configuration options
    * @param {number} [options.timeLimit] - Execution timeout in milliseconds
-   * @param {string} [options.storageKey] - LocalStorage key for persistence
+   * @param {string} [options.storageKey] - Storage key of the code saved before snippets existed (migrated to the first snippet)
    * @param {string} [options.defaultCode] - Default code to load
+   * @param {number} [options.consoleMaxLines] - Console line cap (older lines are removed)
+   * @param {boolean} [options.liveSyntaxCheck=true] - Check syntax and lint while typing, and mark problems in the editor
+   * @param {number} [options.autoRunDelay] - Pause in typing before an auto-run starts (when auto-run is on)
    * @param {boolean} [options.debug=false] - Enable debug logging
    * @param {string} [options.logLevel='info'] - Log level for debugging
    */
@@ -41,6 +66,9 @@ export class SandboxController {
       timeLimit: DEFAULT_TIMEOUT_MS,
       storageKey: DEFAULT_STORAGE_KEY,
       defaultCode: this.getDefaultCode(),
+      consoleMaxLines: CONSOLE_MAX_LINES,
+      liveSyntaxCheck: true,
+      autoRunDelay: AUTO_RUN_DELAY_MS,
       debug: false,
       logLevel: 'info',
       ...options
@@ -54,21 +82,50 @@ export class SandboxController {
 
     this.events = new EventEmitter();
     this.editor = null;
+    // Editor diagnostics per source, merged into the gutter
+    this.diagnostics = { syntax: [], lint: [], runtime: [] };
     this.sandbox = null;
+    this.transpiler = null;
+    this.loopGuard = null;
+    this.liveValues = null;
+    // Live values of the current run by line ({ text, count }), shown at the end of each line
+    this.inlineValues = new Map();
+    this.inlineValuesFrame = null;
+    this.syntaxChecker = null;
+    this.linter = null;
+    this.scheduleSyntaxCheck = debounce(() => this.checkSyntax(), SYNTAX_CHECK_DELAY_MS);
+    // Auto-run (live mode): runs after a pause in typing; pauses itself when an automatic run hangs
+    this.scheduleAutoRun = debounce(() => this.autoRun(), this.options.autoRunDelay);
+    this.autoRunPaused = false;
+    this.isAutoRun = false;
     this.console = null;
-    this.storage = null;
+    this.snippets = null;
+    this.history = null;
+    // The "storage full" warning is shown once per session
+    this.storageFullReported = false;
     this.examples = null;
     this.examplesDropdown = null;
     this.themeSwitcher = null;
     this.editorSwitcher = null;
+    this.modeSwitcher = null;
+    this.workerToggle = null;
+    this.loopGuardToggle = null;
+    this.liveValuesToggle = null;
+    this.autoRunToggle = null;
+    this.consoleInput = null;
+    this.consoleToolbar = null;
     this.fullscreenManager = null;
     this.libraryManager = null;
     this.libraryDialog = null;
+    this.consoleExportDialog = null;
+    this.lintSettingsDialog = null;
+    this.snippetsDialog = null;
     this.shareManager = null;
     this.neonGlow = null;
     this.elements = {};
     this.resizeHandlers = [];
     this.responsiveListener = null;
+    this.lastRun = null;
     this.isInitialized = false;
   }
 
@@ -158,6 +215,7 @@ export class SandboxController {
       consoleContainer: document.getElementById('console'),
       sandboxContainer: document.getElementById('sandboxContainer'),
       runBtn: document.getElementById('runBtn'),
+      stopBtn: document.getElementById('stopBtn'),
       clearBtn: document.getElementById('clearBtn'),
       resetBtn: document.getElementById('resetBtn'),
       togglePreview: document.getElementById('togglePreview'),
@@ -169,7 +227,16 @@ export class SandboxController {
       fullscreenConsole: document.getElementById('fullscreenConsole'),
       librariesBtn: document.getElementById('librariesBtn'),
       clearConsoleBtn: document.getElementById('clearConsoleBtn'),
-      shareBtn: document.getElementById('shareBtn')
+      exportConsoleBtn: document.getElementById('exportConsoleBtn'),
+      lintSettingsBtn: document.getElementById('lintSettingsBtn'),
+      snippetsBtn: document.getElementById('snippetsBtn'),
+      historyBtn: document.getElementById('historyBtn'),
+      storageBtn: document.getElementById('storageBtn'),
+      shareBtn: document.getElementById('shareBtn'),
+      editorTitle: document.getElementById('editorTitle'),
+      statusbarToggles: document.querySelector('.statusbar-toggles'),
+      consoleInput: document.getElementById('consoleInput'),
+      consoleToolbar: document.getElementById('consoleToolbar')
     };
 
     // Validate required elements
@@ -188,21 +255,35 @@ export class SandboxController {
   async initializeComponents() {
     this.logger.info('Initializing components...');
 
-    // Initialize storage
+    // Open the storage layer before any component reads its settings
+    storageManager.onError(this.storageErrorHandler = (details) => {
+      this.events.emit(EVENTS.STORAGE_ERROR, details);
+    });
+    const storageBackend = await storageManager.init({ keys: [this.options.storageKey] });
+    this.logger.info(`Storage backend: ${storageBackend}`);
+
+    // Initialize snippets workspace
     try {
-      this.storage = new Storage(this.options.storageKey, {
+      this.snippets = new SnippetWorkspace({
+        legacyKey: this.options.storageKey,
+        debug: this.options.debug
+      });
+      this.history = new SnippetHistory(this.events, this.snippets, {
         debug: this.options.debug
       });
-      this.logger.debug('Storage initialized');
+      this.logger.debug('Snippets workspace initialized');
     } catch (error) {
-      this.logger.error('Storage initialization failed:', error);
+      this.logger.error('Snippets workspace initialization failed:', error);
       // Non-fatal, continue without persistence
     }
 
     // Initialize console
     try {
       this.console = new ConsoleOutput(this.elements.consoleContainer, {
-        debug: this.options.debug
+        debug: this.options.debug,
+        maxLines: this.options.consoleMaxLines,
+        onChange: () => this.consoleToolbar?.scheduleRefresh(),
+        onNavigate: (line, column) => this.editor?.goToPosition(line, column)
       });
       this.logger.debug('Console initialized');
     } catch (error) {
@@ -212,21 +293,38 @@ export class SandboxController {
 
     // Initialize sandbox
     try {
+      // Uses the Babel parser, so it is available once the transpiler has loaded
+      this.syntaxChecker = new SyntaxChecker({ debug: this.options.debug });
+      this.linter = new Linter({ debug: this.options.debug });
       this.sandbox = new SandboxEngine(this.elements.sandboxContainer, {
         timeLimit: this.options.timeLimit,
+        syntaxChecker: this.syntaxChecker,
         debug: this.options.debug,
         logLevel: this.options.logLevel,
-        onMessage: (type, args) => {
-          this.console.addLine(type, args);
-          this.events.emit(EVENTS.CONSOLE_MESSAGE, { type, args });
+        onMessage: (type, args, meta) => {
+          this.collectInlineValue(type, args, meta);
+          if (type === 'value') {
+            return;
+          }
+          this.console.addMessage(type, args, meta);
+          this.reportRuntimeError(type, args, meta);
+          if (this.isAutoRun && type === 'error' && /Potential infinite (loop|recursion)/.test(String(args[0]))) {
+            this.pauseAutoRun('the loop guard stopped it');
+          }
+          this.events.emit(EVENTS.CONSOLE_MESSAGE, { type, args, meta });
         },
-        onStatusChange: (status) => this.updateStatus(status)
+        onStatusChange: (status, detail) => this.updateStatus(status, detail)
       });
       this.logger.debug('SandboxEngine created');
 
       // Initialize sandbox template
       await this.sandbox.initialize();
       this.logger.info('Sandbox initialized');
+
+      // Transpiler loads Babel lazily on the first non-JavaScript run
+      this.transpiler = new Transpiler({ debug: this.options.debug });
+      this.loopGuard = new LoopGuard({ debug: this.options.debug });
+      this.liveValues = new LiveValues({ debug: this.options.debug });
     } catch (error) {
       this.logger.error('Sandbox initialization failed:', error);
       throw new Error(`Failed to initialize sandbox: ${error.message}`);
@@ -275,6 +373,84 @@ export class SandboxController {
         this.logger.info('Editor switcher initialized');
       }
 
+      // Initialize live values toggle next to the editor switcher (only if not already created)
+      if (editorControls && !this.liveValuesToggle) {
+        this.liveValuesToggle = new FooterToggle(editorControls, this.events, {
+          id: 'live-values',
+          label: '✨ Live values',
+          title: 'Show the value of top-level expressions and console.log calls at the end of their lines',
+          storageKey: 'sandbox_live_values',
+          event: EVENTS.LIVE_VALUES_CHANGE,
+          debug: this.options.debug
+        });
+        this.logger.info('Live values toggle initialized');
+      }
+
+      // Initialize execution mode switcher (only if not already created)
+      if (editorControls && !this.modeSwitcher) {
+        this.modeSwitcher = new ModeSwitcher(editorControls, this.events, {
+          debug: this.options.debug
+        });
+        this.updateEditorTitle();
+        this.logger.info('Mode switcher initialized');
+      }
+
+      // Initialize worker backend toggle (only if not already created)
+      if (this.elements.statusbarToggles && !this.workerToggle) {
+        this.workerToggle = new FooterToggle(this.elements.statusbarToggles, this.events, {
+          id: 'worker',
+          label: '⚙️ Worker',
+          title: 'Run code in a Web Worker (no DOM, faster start, loops stopped without resetting the preview)',
+          storageKey: 'sandbox_worker_backend',
+          event: EVENTS.BACKEND_CHANGE,
+          debug: this.options.debug
+        });
+        this.logger.info('Worker toggle initialized');
+      }
+
+      // Initialize loop guard toggle (only if not already created)
+      if (this.elements.statusbarToggles && !this.loopGuardToggle) {
+        this.loopGuardToggle = new FooterToggle(this.elements.statusbarToggles, this.events, {
+          id: 'loop-guard',
+          label: '🛡️ Loop guard',
+          title: 'Instrument loops and recursion so runaway code throws "Potential infinite loop" instead of freezing the sandbox',
+          storageKey: 'sandbox_loop_guard',
+          event: EVENTS.LOOP_GUARD_CHANGE,
+          defaultValue: true,
+          debug: this.options.debug
+        });
+        this.logger.info('Loop guard toggle initialized');
+      }
+
+      // Initialize auto-run toggle (only if not already created)
+      if (this.elements.statusbarToggles && !this.autoRunToggle) {
+        this.autoRunToggle = new FooterToggle(this.elements.statusbarToggles, this.events, {
+          id: 'auto-run',
+          label: '⚡ Auto-run',
+          title: 'Run the code after you stop typing (skipped while it has syntax errors, paused after a run hangs)',
+          storageKey: 'sandbox_auto_run',
+          event: EVENTS.AUTO_RUN_CHANGE,
+          debug: this.options.debug
+        });
+        this.logger.info('Auto-run toggle initialized');
+      }
+
+      // Initialize REPL input line (only if not already created)
+      if (this.elements.consoleInput && !this.consoleInput) {
+        this.consoleInput = new ConsoleInput(this.elements.consoleInput, this.events, {
+          debug: this.options.debug
+        });
+        this.logger.info('Console input initialized');
+      }
+
+      // Initialize console toolbar (only if not already created)
+      if (this.elements.consoleToolbar && !this.consoleToolbar) {
+        this.consoleToolbar = new ConsoleToolbar(this.elements.consoleToolbar, this.console, this.events, {
+          debug: this.options.debug
+        });
+        this.logger.info('Console toolbar initialized');
+      }
+
       // Initialize fullscreen manager (only if not already created)
       if (!this.fullscreenManager) {
         this.fullscreenManager = new FullscreenManager(this.events, {
@@ -293,6 +469,7 @@ export class SandboxController {
         this.libraryManager = new LibraryManager(this.events, {
           debug: this.options.debug
         });
+        this.syncSnippetLibraries();
         this.logger.info('Library manager initialized');
       }
 
@@ -304,6 +481,52 @@ export class SandboxController {
         this.logger.info('Library dialog initialized');
       }
 
+      // Initialize console export dialog (only if not already created)
+      if (!this.consoleExportDialog) {
+        this.consoleExportDialog = new ConsoleExportDialog(this.events, {
+          getRun: () => ({
+            records: this.console.getRunRecords(),
+            code: this.lastRun ? this.lastRun.code : this.getCode(),
+            language: this.lastRun ? this.lastRun.language : this.getLanguage()
+          }),
+          debug: this.options.debug
+        });
+        this.logger.info('Console export dialog initialized');
+      }
+
+      // Initialize lint settings dialog (only if not already created)
+      if (!this.lintSettingsDialog && this.linter) {
+        this.lintSettingsDialog = new LintSettingsDialog(this.events, this.linter, {
+          debug: this.options.debug
+        });
+        this.logger.info('Lint settings dialog initialized');
+      }
+
+      // Initialize snippets dialog (only if not already created)
+      if (!this.snippetsDialog && this.snippets) {
+        this.snippetsDialog = new SnippetsDialog(this.events, this.snippets, {
+          debug: this.options.debug
+        });
+        this.logger.info('Snippets dialog initialized');
+      }
+
+      // Initialize history dialog (only if not already created)
+      if (!this.historyDialog && this.history) {
+        this.historyDialog = new HistoryDialog(this.events, this.history, {
+          getCode: () => this.getCode(),
+          debug: this.options.debug
+        });
+        this.logger.info('History dialog initialized');
+      }
+
+      // Initialize storage dialog (only if not already created)
+      if (!this.storageDialog) {
+        this.storageDialog = new StorageDialog(this.events, storageManager, {
+          debug: this.options.debug
+        });
+        this.logger.info('Storage dialog initialized');
+      }
+
       // Initialize share manager (only if not already created)
       if (!this.shareManager) {
         this.shareManager = new ShareManager(this.events, {
@@ -470,8 +693,8 @@ export class SandboxController {
     const verticalHandle = document.createElement('div');
     verticalHandle.className = 'vertical-resize-handle';
 
-    // Insert after console
-    const consoleEl = rightPane.querySelector('.console');
+    // Insert after console (the panel holding the output and the REPL input line)
+    const consoleEl = rightPane.querySelector('.console-panel') || rightPane.querySelector('.console');
     if (consoleEl) {
       consoleEl.parentNode.insertBefore(verticalHandle, consoleEl.nextSibling);
 
@@ -508,13 +731,20 @@ export class SandboxController {
     }
 
     this.editor = editor;
+    this.editor.setLanguage(this.getLanguage());
+    this.updateDiagnostics();
+    this.updateInlineValues();
 
     // Setup editor event handlers
     this.editor.onChange((code) => {
-      if (this.storage) {
-        this.storage.save(code);
+      if (this.snippets) {
+        this.snippets.updateActive({ code });
       }
       this.events.emit(EVENTS.CODE_CHANGE, { code });
+      this.scheduleSyntaxCheck();
+      if (this.autoRunToggle?.isEnabled() && !this.autoRunPaused) {
+        this.scheduleAutoRun();
+      }
     });
 
     this.editor.onExecute(() => {
@@ -534,6 +764,10 @@ export class SandboxController {
       this.elements.runBtn.addEventListener('click', () => this.run());
     }
 
+    if (this.elements.stopBtn) {
+      this.elements.stopBtn.addEventListener('click', () => this.stop());
+    }
+
     if (this.elements.clearBtn) {
       this.elements.clearBtn.addEventListener('click', () => this.clearConsole());
     }
@@ -570,6 +804,38 @@ export class SandboxController {
       });
     }
 
+    if (this.elements.exportConsoleBtn) {
+      this.elements.exportConsoleBtn.addEventListener('click', () => {
+        this.events.emit(EVENTS.CONSOLE_EXPORT_OPEN);
+      });
+    }
+
+    if (this.elements.snippetsBtn) {
+      this.elements.snippetsBtn.addEventListener('click', () => {
+        this.events.emit(EVENTS.SNIPPETS_OPEN);
+      });
+    }
+
+    if (this.elements.lintSettingsBtn) {
+      this.elements.lintSettingsBtn.addEventListener('click', () => {
+        this.events.emit(EVENTS.LINT_SETTINGS_OPEN);
+      });
+    }
+
+    if (this.elements.historyBtn) {
+      this.elements.historyBtn.addEventListener('click', () => {
+        this.events.emit(EVENTS.HISTORY_OPEN);
+      });
+    }
+
+    if (this.elements.storageBtn) {
+      this.elements.storageBtn.addEventListener('click', () => {
+        this.events.emit(EVENTS.STORAGE_OPEN);
+      });
+    }
+
+    this.events.on(EVENTS.STORAGE_ERROR, (details) => this.reportStorageError(details));
+
     if (this.elements.shareBtn) {
       this.elements.shareBtn.addEventListener('click', () => {
         this.shareCode();
@@ -584,6 +850,9 @@ export class SandboxController {
 
     // Set up share event listeners
     this.setupShareEventListeners();
+
+    // Set up REPL event listeners
+    this.setupReplEventListeners();
   }
 
   /**
@@ -618,6 +887,470 @@ export class SandboxController {
       this.logger.info('Editor change requested:', data);
       await this.switchEditor(data.editor, data.oldEditor);
     });
+
+    // Listen for execution mode changes
+    this.events.on(EVENTS.MODE_CHANGE, (data) => {
+      this.logger.info('Execution mode changed from', data.oldMode, 'to', data.mode);
+      this.updateEditorTitle();
+      if (this.editor) {
+        this.editor.setLanguage(this.getLanguage());
+      }
+      this.scheduleSyntaxCheck();
+      this.updateStatus(`Mode: ${this.modeSwitcher.getModeInfo().title}`);
+    });
+
+    this.events.on(EVENTS.BACKEND_CHANGE, ({ enabled }) => {
+      this.updateStatus(enabled ? 'Backend: Web Worker (no DOM)' : 'Backend: iframe');
+    });
+
+    this.events.on(EVENTS.LOOP_GUARD_CHANGE, ({ enabled }) => {
+      this.updateStatus(enabled ? 'Loop guard: on' : 'Loop guard: off');
+    });
+
+    this.events.on(EVENTS.LIVE_VALUES_CHANGE, ({ enabled }) => {
+      if (!enabled) {
+        this.clearInlineValues();
+      }
+      this.updateStatus(enabled ? 'Live values: on (run to update)' : 'Live values: off');
+    });
+
+    this.events.on(EVENTS.AUTO_RUN_CHANGE, ({ enabled }) => {
+      // Turning auto-run on again resumes it after a pause
+      this.autoRunPaused = false;
+      this.updateStatus(enabled ? 'Auto-run: on' : 'Auto-run: off');
+    });
+
+    this.events.on(EVENTS.CODE_EXECUTE_TIMEOUT, () => {
+      if (this.isAutoRun) {
+        this.pauseAutoRun('it timed out');
+      }
+    });
+
+    this.events.on(EVENTS.LINT_RULES_CHANGE, () => {
+      this.checkSyntax();
+    });
+
+    this.events.on(EVENTS.CONSOLE_PRESERVE_CHANGE, ({ enabled }) => {
+      this.updateStatus(enabled ? 'Preserve log: on' : 'Preserve log: off');
+    });
+
+    this.events.on(EVENTS.JSX_PRAGMA_CHANGE, (data) => {
+      this.updateStatus(`JSX pragma: ${data.pragma}`);
+    });
+
+    this.events.on(EVENTS.SNIPPET_SWITCH, ({ snippet }) => {
+      this.openSnippet(snippet);
+    });
+
+    this.events.on(EVENTS.SNIPPETS_CHANGE, () => {
+      this.updateEditorTitle();
+    });
+
+    this.events.on(EVENTS.HISTORY_RESTORE, ({ snapshot }) => {
+      if (this.snippets) {
+        // The restored code is not an edit for the history (the replaced code is already saved)
+        if (this.history) {
+          this.history.reset(this.snippets.getActive(), snapshot.code);
+        }
+        this.snippets.updateActive({ code: snapshot.code });
+      }
+      this.clearInlineValues();
+      this.setCode(snapshot.code);
+      this.updateStatus(`Restored the version from ${new Date(snapshot.time).toLocaleString()}`);
+    });
+
+    // The libraries belong to the open snippet
+    [EVENTS.LIBRARY_ADDED, EVENTS.LIBRARY_REMOVED, EVENTS.LIBRARY_PRESET_APPLIED, EVENTS.LIBRARIES_CLEARED].forEach(event => {
+      this.events.on(event, () => {
+        if (this.snippets && this.libraryManager) {
+          this.snippets.updateActive({ libraries: this.libraryManager.getLibraries() });
+        }
+      });
+    });
+
+    // Presets (e.g. React) switch to the mode they are meant to be written in
+    this.events.on(EVENTS.LIBRARY_PRESET_APPLIED, ({ preset }) => {
+      if (!this.modeSwitcher) return;
+      if (preset.pragma && preset.pragma !== this.modeSwitcher.getJsxPragma().pragma) {
+        this.modeSwitcher.setJsxPragma(preset.pragma);
+      }
+      if (preset.mode) {
+        this.modeSwitcher.setMode(preset.mode);
+      }
+    });
+  }
+
+  /**
+   * Gets the current execution mode
+   * @returns {string} Execution mode value (see EXECUTION_MODES)
+   */
+  getExecutionMode() {
+    return this.modeSwitcher ? this.modeSwitcher.getCurrentMode() : DEFAULT_EXECUTION_MODE;
+  }
+
+  /**
+   * Gets the source language of the current execution mode
+   * @returns {string} Language name ('javascript' or 'typescript')
+   */
+  getLanguage() {
+    return this.modeSwitcher?.getModeInfo()?.language || 'javascript';
+  }
+
+  /**
+   * Gets the sandbox options for the current execution mode
+   * @returns {Object} Execution options ({ module, language, jsxPragma, jsxPragmaFrag, backend, loopGuard,
+   *   liveValues })
+   */
+  getExecutionOptions() {
+    const modeInfo = this.modeSwitcher?.getModeInfo();
+    const jsxPragma = this.modeSwitcher?.getJsxPragma();
+    return {
+      backend: this.workerToggle?.isEnabled() ? EXECUTION_BACKENDS.WORKER : EXECUTION_BACKENDS.IFRAME,
+      module: Boolean(modeInfo?.module),
+      language: this.getLanguage(),
+      jsxPragma: jsxPragma?.pragma,
+      jsxPragmaFrag: jsxPragma?.fragment,
+      loopGuard: Boolean(this.loopGuardToggle?.isEnabled()),
+      liveValues: Boolean(this.liveValuesToggle?.isEnabled())
+    };
+  }
+
+  /**
+   * Transpiles the source to JavaScript when the current mode needs it
+   * @param {string} source - Source code from the editor
+   * @param {Object} executionOptions - Options from getExecutionOptions()
+   * @returns {Promise<Object>} Result with {code} or {error, line?, column?}
+   */
+  async transpileSource(source, executionOptions) {
+    if (executionOptions.language === 'javascript' || !this.transpiler) {
+      return { code: source };
+    }
+
+    if (!this.transpiler.isLoaded) {
+      this.updateStatus('Loading transpiler...');
+    }
+    return this.transpiler.transpile(source, executionOptions);
+  }
+
+  /**
+   * Reports top-level expression values when live values are on, and adds loop and recursion
+   * guards when the loop guard is on. Parsing needs the transpiler, so plain JavaScript loads
+   * it too; if it is unavailable the code runs as is.
+   * @param {string} code - JavaScript code (already transpiled)
+   * @param {Object} executionOptions - Options from getExecutionOptions()
+   * @returns {Promise<Object>} Result with {code, guarded: boolean, columnMaps?: Array, warning?: string}
+   */
+  async instrumentSource(code, executionOptions) {
+    const liveValues = executionOptions.liveValues && this.liveValues;
+    const loopGuard = executionOptions.loopGuard && this.loopGuard;
+    if ((!liveValues && !loopGuard) || !this.transpiler) {
+      return { code, guarded: false };
+    }
+
+    if (!this.transpiler.isLoaded) {
+      this.updateStatus('Loading transpiler...');
+    }
+    try {
+      await this.transpiler.load();
+    } catch (error) {
+      this.logger.warn('Instrumentation unavailable:', error);
+      const warning = loopGuard
+        ? `Loop guard unavailable (${error.message}), running unguarded.`
+        : `Live values unavailable (${error.message}).`;
+      return { code, guarded: false, warning };
+    }
+
+    // Syntax errors are reported by the validation, so failed instrumentation runs the code as is.
+    // Each pass that changed the code adds its column map, in the order they were applied
+    let instrumented = code;
+    const columnMaps = [];
+    if (liveValues) {
+      const result = this.liveValues.instrument(instrumented, executionOptions);
+      if (result.error) {
+        this.logger.debug('Live values skipped:', result.error);
+      } else {
+        instrumented = result.code;
+        columnMaps.push(result.columnMap);
+      }
+    }
+    if (!loopGuard) {
+      return { code: instrumented, guarded: false, columnMaps };
+    }
+
+    const result = this.loopGuard.instrument(instrumented, executionOptions);
+    if (result.error) {
+      this.logger.debug('Loop guard skipped:', result.error);
+      return { code: instrumented, guarded: false, columnMaps };
+    }
+    columnMaps.push(result.columnMap);
+    return { code: result.code, guarded: true, columnMaps };
+  }
+
+  /**
+   * Loads the parser behind the syntax checker (Babel, shared with the transpiler)
+   * @returns {Promise<boolean>} True if the syntax checker is available
+   */
+  async loadSyntaxChecker() {
+    if (!this.syntaxChecker || !this.transpiler) {
+      return false;
+    }
+    if (this.syntaxChecker.isAvailable) {
+      return true;
+    }
+
+    try {
+      await this.transpiler.load();
+      // A custom Babel build older than 7.24 does not bundle the parser
+      return this.syntaxChecker.isAvailable;
+    } catch (error) {
+      this.logger.debug('Syntax checker unavailable:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Checks the editor code while the user types (debounced by scheduleSyntaxCheck) and
+   * marks the syntax errors in the editor, or the lint warnings once the code parses.
+   * TypeScript and JSX are parsed as such, so no transpiling is needed.
+   * @returns {Promise<void>}
+   */
+  async checkSyntax() {
+    if (!this.options.liveSyntaxCheck || !this.editor || !(await this.loadSyntaxChecker())) {
+      return;
+    }
+    // The editor may have been replaced while the parser loaded
+    if (!this.editor) {
+      return;
+    }
+
+    const code = this.editor.getValue();
+    const { module, language } = this.getExecutionOptions();
+    try {
+      const result = this.syntaxChecker.check(code, { module, language });
+      const warnings = result.valid && this.linter ? this.linter.lint(code, { module, language }) : [];
+      this.diagnostics.lint = this.toLintDiagnostics(warnings);
+      this.setDiagnostics('syntax', this.toSyntaxDiagnostics(result));
+    } catch (error) {
+      this.logger.warn('Live syntax check failed:', error);
+    }
+  }
+
+  /**
+   * Converts a validation result to editor diagnostics
+   * @param {Object} validation - Result of validateSyntax() or SyntaxChecker.check()
+   * @returns {Array<Object>} Diagnostics ({ line, col, endLine?, endCol?, severity, message })
+   */
+  toSyntaxDiagnostics(validation) {
+    if (validation.valid) {
+      return [];
+    }
+    if (!validation.errors) {
+      // Function constructor fallback: the position is unknown
+      return [{ line: 1, col: 1, severity: 'error', message: validation.toString() }];
+    }
+
+    return validation.errors.map(error => ({
+      line: error.line,
+      col: error.column,
+      endLine: error.endLine,
+      endCol: error.endColumn,
+      severity: 'error',
+      message: `${error.name}: ${error.message}`
+    }));
+  }
+
+  /**
+   * Converts lint warnings to editor diagnostics
+   * @param {Array<Object>} warnings - Result of Linter.lint()
+   * @returns {Array<Object>} Diagnostics ({ line, col, endLine, endCol, severity, message })
+   */
+  toLintDiagnostics(warnings) {
+    return warnings.map(warning => ({
+      line: warning.line,
+      col: warning.column,
+      endLine: warning.endLine,
+      endCol: warning.endColumn,
+      severity: 'warning',
+      message: `${warning.message} (${warning.rule})`
+    }));
+  }
+
+  /**
+   * Adds a gutter diagnostic for an uncaught error or rejection reported by the sandbox.
+   * console.error() calls (which carry the position of the call) and errors already marked
+   * (the syntax error the sandbox echoes) are left out.
+   * @param {string} type - Message type
+   * @param {Array} args - Message arguments
+   * @param {Object} [meta] - Message metadata { time, line?, column? }
+   */
+  reportRuntimeError(type, args, meta) {
+    if (type !== 'error' || Number.isFinite(meta?.line) || typeof args[0] !== 'string') {
+      return;
+    }
+
+    const position = findErrorPosition(args[0]);
+    const known = position && Object.values(this.diagnostics).flat()
+      .some(diagnostic => diagnostic.line === position.line && diagnostic.col === position.column);
+    if (!position || known) {
+      return;
+    }
+    this.setDiagnostics('runtime', [...this.diagnostics.runtime, {
+      line: position.line,
+      col: position.column,
+      severity: 'error',
+      message: args[0].split('\n')[0]
+    }]);
+  }
+
+  /**
+   * Records a live value: the value of an instrumented top-level expression, or the arguments
+   * of a console call made while live values are on. Values are keyed by line; a line that
+   * reports several times (a call in a loop) shows its last value and the count.
+   * @param {string} type - Message type
+   * @param {Array} args - Message arguments
+   * @param {Object} [meta] - Message metadata { time, line?, column? }
+   */
+  collectInlineValue(type, args, meta) {
+    const isConsoleCall = ['log', 'info', 'warn', 'error', 'debug', 'dir'].includes(type);
+    if (!Number.isFinite(meta?.line) || (type !== 'value' && !isConsoleCall) ||
+        !this.liveValuesToggle?.isEnabled()) {
+      return;
+    }
+
+    const text = type === 'value'
+      ? this.console.formatValue(args[0])
+      : args.map(arg => this.console.formatArg(arg)).join(' ');
+    const previous = this.inlineValues.get(meta.line);
+    this.inlineValues.set(meta.line, { text, count: previous ? previous.count + 1 : 1 });
+    this.scheduleInlineValues();
+  }
+
+  /**
+   * Shows the live values in the editor on the next frame (a run can report many at once)
+   */
+  scheduleInlineValues() {
+    if (this.inlineValuesFrame) {
+      return;
+    }
+    this.inlineValuesFrame = requestAnimationFrame(() => {
+      this.inlineValuesFrame = null;
+      this.updateInlineValues();
+    });
+  }
+
+  /**
+   * Shows the live values in the editor as single lines cut to LIVE_VALUE_MAX_LENGTH
+   */
+  updateInlineValues() {
+    if (!this.editor) {
+      return;
+    }
+    const values = [...this.inlineValues].map(([line, { text, count }]) => {
+      let value = text.replace(/\s*\n\s*/g, ' ');
+      if (value.length > LIVE_VALUE_MAX_LENGTH) {
+        value = `${value.slice(0, LIVE_VALUE_MAX_LENGTH - 1)}…`;
+      }
+      return { line, text: count > 1 ? `${value} (×${count})` : value };
+    });
+    this.editor.setInlineValues(values);
+  }
+
+  /**
+   * Removes the live values from the editor
+   */
+  clearInlineValues() {
+    cancelAnimationFrame(this.inlineValuesFrame);
+    this.inlineValuesFrame = null;
+    this.inlineValues.clear();
+    this.updateInlineValues();
+  }
+
+  /**
+   * Replaces the editor diagnostics of one source (syntax, lint, runtime)
+   * @param {string} source - Diagnostic source
+   * @param {Array<Object>} diagnostics - Diagnostics ({ line, col, severity, message })
+   */
+  setDiagnostics(source, diagnostics) {
+    this.diagnostics[source] = diagnostics;
+    this.updateDiagnostics();
+  }
+
+  /**
+   * Shows the diagnostics of every source in the editor
+   */
+  updateDiagnostics() {
+    if (this.editor) {
+      this.editor.setDiagnostics(Object.values(this.diagnostics).flat());
+    }
+  }
+
+  /**
+   * Updates the editor pane title with the current execution mode
+   */
+  updateEditorTitle() {
+    const modeInfo = this.modeSwitcher?.getModeInfo();
+    if (this.elements.editorTitle && modeInfo) {
+      const name = this.snippets?.getActive()?.name || 'Editor';
+      this.elements.editorTitle.textContent = `${name} (${modeInfo.title})`;
+    }
+  }
+
+  /**
+   * Opens a snippet: its code goes into the editor and its libraries into the library manager
+   * @param {Object} snippet - Snippet from the workspace
+   */
+  openSnippet(snippet) {
+    if (!snippet) {
+      return;
+    }
+    this.logger.info('Opening snippet:', snippet.name);
+    this.clearInlineValues();
+    this.syncSnippetLibraries();
+    if (this.editor) {
+      this.editor.setValue(snippet.code);
+    }
+    this.updateEditorTitle();
+    this.updateStatus(`Snippet: ${snippet.name}`);
+  }
+
+  /**
+   * Makes code from outside the workspace (an example or a share link) the open snippet, so it
+   * never overwrites the snippet being edited. A snippet with the same code is reused. A new
+   * snippet keeps the libraries loaded now unless the data lists its own, so opening it does not
+   * unload them. The caller puts the code in the editor.
+   * @param {Object} data - Snippet data ({ name, code, tags, libraries? })
+   * @returns {Object|null} The snippet now open, or null without a workspace
+   */
+  addSnippet(data) {
+    if (!this.snippets) {
+      return null;
+    }
+    const existing = this.snippets.getSnippets().find(snippet => snippet.code === data.code);
+    const libraries = data.libraries || this.libraryManager?.getLibraries() || [];
+    const snippet = this.snippets.setActive((existing || this.snippets.create({ ...data, libraries })).id);
+    // Edits of the previous snippet are saved, and its code is not a version of this one
+    if (this.history) {
+      this.history.reset(snippet);
+    }
+    this.syncSnippetLibraries();
+    this.events.emit(EVENTS.SNIPPETS_CHANGE, { active: snippet });
+    return snippet;
+  }
+
+  /**
+   * Loads the libraries of the open snippet into the library manager. A migrated snippet
+   * records the libraries that were loaded instead.
+   */
+  syncSnippetLibraries() {
+    const snippet = this.snippets?.getActive();
+    if (!snippet || !this.libraryManager) {
+      return;
+    }
+    if (snippet.libraries) {
+      this.libraryManager.replaceLibraries(snippet.libraries);
+    } else {
+      this.snippets.updateActive({ libraries: this.libraryManager.getLibraries() });
+    }
   }
 
   /**
@@ -635,6 +1368,40 @@ export class SandboxController {
     });
   }
 
+  /**
+   * Sets up REPL-related event listeners
+   */
+  setupReplEventListeners() {
+    this.events.on(EVENTS.REPL_SUBMIT, ({ code }) => {
+      this.evaluateInConsole(code);
+    });
+  }
+
+  /**
+   * Evaluates console input in the context left by the last run and prints the result
+   * @param {string} code - Expression or statements to evaluate
+   * @returns {Promise<void>}
+   */
+  async evaluateInConsole(code) {
+    this.console.addInput(code);
+
+    let result;
+    try {
+      result = await this.sandbox.evaluate(code);
+    } catch (error) {
+      this.logger.warn('REPL evaluation failed:', error);
+      this.console.addLine('error', [error.message]);
+      return;
+    }
+
+    if (result.isError) {
+      this.console.addLine('error', [result.value]);
+    } else {
+      this.console.addResult(result.value, result.type);
+    }
+    this.events.emit(EVENTS.REPL_RESULT, { code, ...result });
+  }
+
   /**
    * Shares the current code
    */
@@ -686,7 +1453,7 @@ export class SandboxController {
       if (editorName === 'ace') {
         const { ACEEditor } = await import('../editors/ace.js');
         newEditor = new ACEEditor(editorContainer, {
-          mode: 'javascript',
+          mode: this.getLanguage(),
           theme: this.themeSwitcher ? this.themeSwitcher.getCurrentTheme() : 'monokai',
           autofocus: true,
           debug: this.options.debug
@@ -694,7 +1461,7 @@ export class SandboxController {
       } else if (editorName === 'codemirror') {
         const { CodeMirrorEditor } = await import('../editors/codemirror.js');
         newEditor = new CodeMirrorEditor(editorContainer, {
-          mode: 'javascript',
+          mode: this.getLanguage(),
           theme: this.themeSwitcher ? this.themeSwitcher.getCurrentTheme() : 'darcula',
           autofocus: true,
           debug: this.options.debug
@@ -741,12 +1508,13 @@ export class SandboxController {
     let fromStorage = false;
     let fromShare = false;
 
-    // Check for shared script in URL first
+    // Check for shared script in URL first (it opens as a snippet of its own)
     if (this.shareManager && this.shareManager.hasScriptInUrl()) {
       const sharedCode = this.shareManager.extractScriptFromUrl();
       if (sharedCode) {
         initialCode = sharedCode;
         fromShare = true;
+        this.addSnippet({ name: 'Shared snippet', code: sharedCode, tags: ['shared'] });
         this.logger.info('Loaded code from share URL');
         
         // Clean up the URL after loading
@@ -754,12 +1522,14 @@ export class SandboxController {
       }
     }
 
-    // Fallback to saved code if no shared script
-    if (!fromShare) {
-      const savedCode = this.storage ? this.storage.load() : null;
-      if (savedCode) {
-        initialCode = savedCode;
+    // Fallback to the open snippet; an empty workspace starts with the default code
+    if (!fromShare && this.snippets) {
+      const snippet = this.snippets.getActive();
+      if (snippet) {
+        initialCode = snippet.code;
         fromStorage = true;
+      } else {
+        this.addSnippet({ name: 'Untitled', code: initialCode });
       }
     }
 
@@ -774,26 +1544,143 @@ export class SandboxController {
     }
   }
 
+  /**
+   * Runs the code after a pause in typing when auto-run is on. Code that does not transpile or
+   * parse is skipped, so half-typed code does not fill the console with syntax errors. Automatic
+   * runs are always loop guarded, whatever the toggle says: a runaway loop in the same-process
+   * iframe would block the page before the execution timeout could fire. If the guard cannot be
+   * added, the code is not run.
+   * @returns {Promise<void>}
+   */
+  async autoRun() {
+    if (!this.editor || !this.autoRunToggle?.isEnabled() || this.autoRunPaused) {
+      return;
+    }
+
+    const source = this.editor.getValue();
+    const executionOptions = { ...this.getExecutionOptions(), loopGuard: true };
+    const transpiled = await this.transpileSource(source, executionOptions);
+    const validation = transpiled.error ? null : this.sandbox.validateSyntax(transpiled.code, executionOptions);
+    if (!validation?.valid) {
+      this.logger.debug('Auto-run skipped: syntax error');
+      this.updateStatus('Auto-run skipped (syntax error)');
+      return;
+    }
+
+    const instrumented = await this.instrumentSource(transpiled.code, executionOptions);
+    if (!instrumented.guarded) {
+      this.logger.warn('Auto-run skipped: the loop guard could not be added', instrumented.warning || '');
+      this.updateStatus('Auto-run skipped (loop guard unavailable)');
+      return;
+    }
+
+    // The prepared code is passed on, so the run does not transpile and validate again
+    await this.run({ auto: true, prepared: { source, executionOptions, transpiled, validation, instrumented } });
+  }
+
+  /**
+   * Stops auto-running after an automatic run hung, so a loop typed by mistake does not block the
+   * page on every keystroke. A manual run or switching auto-run off and on resumes it.
+   * @param {string} reason - Why the last automatic run was stopped
+   */
+  pauseAutoRun(reason) {
+    if (this.autoRunPaused) {
+      return;
+    }
+    this.autoRunPaused = true;
+    this.logger.info(`Auto-run paused: ${reason}`);
+    this.console.addLine('warn', [`⏸️ Auto-run paused because the last automatic run hung (${reason}). Run the code (Ctrl/Cmd + Enter) to resume.`]);
+    this.updateStatus('Auto-run paused');
+  }
+
+  /**
+   * Logs a failed storage read or write. A full quota is also shown once in the console, since
+   * edits are no longer being saved.
+   * @param {Object} details - { action, area, key, error, quotaExceeded } from the storage layer
+   */
+  reportStorageError(details) {
+    this.logger.warn(`Storage ${details.action} failed${details.key ? ` for ${details.key}` : ''}:`, details.error);
+    if (!details.quotaExceeded || this.storageFullReported || !this.console) {
+      return;
+    }
+    this.storageFullReported = true;
+    this.console.addLine('warn', ['💾 Browser storage is full, so changes are not being saved. Free space in the storage settings (💾).']);
+    this.updateStatus('Storage full');
+  }
+
   /**
    * Runs the current code in the sandbox
+   * @param {Object} [options={}] - Run options
+   * @param {boolean} [options.auto=false] - Started by auto-run rather than by the user
+   * @param {Object} [options.prepared] - Code already transpiled, validated and instrumented by
+   *   autoRun() ({ source, executionOptions, transpiled, validation, instrumented })
    */
-  async run() {
+  async run(options = {}) {
     if (!this.editor) {
       this.logger.error('No editor configured');
       return;
     }
 
-    const code = this.editor.getValue();
-    this.events.emit(EVENTS.CODE_EXECUTE_START, { code });
-
-    // Validate syntax first
-    const validation = this.sandbox.validateSyntax(code);
-    this.events.emit(EVENTS.CODE_VALIDATE, { code, validation });
+    // A run started by the user resumes a paused auto-run
+    this.isAutoRun = Boolean(options.auto);
+    if (!this.isAutoRun && this.autoRunPaused) {
+      this.autoRunPaused = false;
+      this.logger.info('Auto-run resumed');
+    }
 
-    this.console.clear();
+    const prepared = options.prepared || null;
+    const source = prepared ? prepared.source : this.editor.getValue();
+    const executionOptions = prepared ? prepared.executionOptions : this.getExecutionOptions();
+    // The code behind the console output (exports include it)
+    this.lastRun = { code: source, language: this.getLanguage() };
+    this.snippets?.markRun();
+    this.diagnostics.syntax = [];
+    this.diagnostics.runtime = [];
+    this.updateDiagnostics();
+    this.clearInlineValues();
+    this.events.emit(EVENTS.CODE_EXECUTE_START, { code: source, mode: this.getExecutionMode(), auto: this.isAutoRun });
+
+    // Transpile TypeScript/JSX (lines are retained, so error positions match the editor)
+    const transpiled = prepared ? prepared.transpiled : await this.transpileSource(source, executionOptions);
+    if (transpiled.error) {
+      const location = transpiled.line ? `\n    at line ${transpiled.line}, column ${transpiled.column}` : '';
+      this.events.emit(EVENTS.CODE_VALIDATE, {
+        code: source,
+        validation: { valid: false, error: transpiled.error, line: transpiled.line, column: transpiled.column }
+      });
+      this.startConsoleRun();
+      this.console.addLine('error', [transpiled.error + location]);
+      this.setDiagnostics('syntax', transpiled.line ? [{
+        line: transpiled.line,
+        col: transpiled.column,
+        severity: 'error',
+        message: transpiled.error
+      }] : []);
+      this.updateStatus('completed');
+      return;
+    }
+    // Validate syntax first; the Function fallback reports no positions, so load the parser and retry
+    let validation = prepared ? prepared.validation : this.sandbox.validateSyntax(transpiled.code, executionOptions);
+    if (!validation.valid && !validation.errors && await this.loadSyntaxChecker()) {
+      validation = this.sandbox.validateSyntax(transpiled.code, executionOptions);
+    }
+    this.events.emit(EVENTS.CODE_VALIDATE, { code: transpiled.code, validation });
+    this.setDiagnostics('syntax', this.toSyntaxDiagnostics(validation));
+
+    // Guard loops and recursion so runaway code throws instead of freezing the sandbox
+    const instrumented = prepared?.instrumented || (validation.valid
+      ? await this.instrumentSource(transpiled.code, executionOptions)
+      : { code: transpiled.code, guarded: false });
+    const code = instrumented.code;
+
+    this.startConsoleRun();
+    if (instrumented.warning) {
+      this.console.addLine('warn', [instrumented.warning]);
+    }
 
-    // Auto-open preview when running code
-    if (this.elements.togglePreview && !this.elements.togglePreview.checked) {
+    // Auto-open preview when running code (the worker backend has no DOM to show)
+    const usesPreview = executionOptions.backend !== EXECUTION_BACKENDS.WORKER;
+    if (usesPreview && this.elements.togglePreview && !this.elements.togglePreview.checked) {
       this.elements.togglePreview.checked = true;
       this.elements.previewWrap.classList.add('show');
       
@@ -803,8 +1690,8 @@ export class SandboxController {
       }
     }
 
-    // On mobile, enter fullscreen console mode after running code
-    if (isMobile(MOBILE_BREAKPOINT)) {
+    // On mobile, enter fullscreen console mode after running code (not while typing)
+    if (!this.isAutoRun && isMobile(MOBILE_BREAKPOINT)) {
       this.enterConsoleFullscreenOnMobile();
     }
 
@@ -818,10 +1705,14 @@ export class SandboxController {
 
         try {
           this.logger.debug('Generating library scripts...');
-          const scripts = await this.libraryManager.generateScriptTags();
+          // The worker loads classic libraries itself with importScripts()
+          const scripts = usesPreview ? await this.libraryManager.generateScriptTags() : '';
           const csp = this.libraryManager.generateCSP();
+          const importMap = this.libraryManager.generateImportMap();
+          const bodyHtml = this.libraryManager.generateBodyHtml();
+          const scriptUrls = this.libraryManager.getScriptUrls();
 
-          libraryData = { scripts, csp };
+          libraryData = { scripts, csp, importMap, bodyHtml, scriptUrls };
           this.logger.debug('Library data prepared successfully');
         } catch (error) {
           this.logger.error('Failed to prepare library data:', error);
@@ -831,7 +1722,11 @@ export class SandboxController {
       }
     }
 
-    this.sandbox.execute(code, libraryData);
+    this.sandbox.execute(code, libraryData, {
+      ...executionOptions,
+      loopGuard: instrumented.guarded,
+      columnMaps: instrumented.columnMaps
+    });
   }
 
   /**
@@ -844,6 +1739,18 @@ export class SandboxController {
     }
   }
 
+  /**
+   * Prepares the console for a run: clears it, or marks where the run starts when the log is
+   * preserved across runs
+   */
+  startConsoleRun() {
+    if (this.consoleToolbar?.isPreserveLog()) {
+      this.console.addSeparator(`Run at ${new Date().toLocaleTimeString()}`);
+    } else {
+      this.console.clear();
+    }
+  }
+
   /**
    * Clears the console output
    */
@@ -853,6 +1760,15 @@ export class SandboxController {
     this.events.emit(EVENTS.CONSOLE_CLEAR);
   }
 
+  /**
+   * Stops the current run (timers, intervals, animation frames) and freezes the preview
+   */
+  stop() {
+    if (!this.sandbox.stop()) {
+      this.updateStatus('Nothing to stop');
+    }
+  }
+
   /**
    * Resets the sandbox
    */
@@ -865,22 +1781,70 @@ export class SandboxController {
   /**
    * Updates the status display
    * @param {string} status - Status message or key
+   * @param {Object} [detail] - Execution detail for 'completed' and 'running'
+   *   ({ phase: 'sync' | 'idle', idle: boolean, pending: { timeouts, intervals, frames, promises } })
    */
-  updateStatus(status) {
+  updateStatus(status, detail) {
     if (!this.elements.status) return;
 
-    const displayStatus = STATUS_MESSAGES[status] || status;
+    const displayStatus = this.describeStatus(status, detail);
     this.elements.status.textContent = displayStatus;
-    this.events.emit(EVENTS.STATUS_CHANGE, { status, displayStatus });
+    this.events.emit(EVENTS.STATUS_CHANGE, { status, displayStatus, detail });
 
     // Emit specific status events
     if (status === 'completed') {
-      this.events.emit(EVENTS.CODE_EXECUTE_COMPLETE);
+      // phase 'sync': the synchronous code finished (idle tells if async work is still pending);
+      // phase 'idle': pending async work drained after the synchronous code had finished
+      this.events.emit(EVENTS.CODE_EXECUTE_COMPLETE, {
+        phase: detail?.phase || 'sync',
+        idle: detail ? detail.idle : true,
+        pending: detail?.pending || null
+      });
+    } else if (status === 'stopped') {
+      this.events.emit(EVENTS.CODE_EXECUTE_STOPPED, { cleared: detail?.cleared || null });
     } else if (status === 'timeout') {
       this.events.emit(EVENTS.CODE_EXECUTE_TIMEOUT);
     }
   }
 
+  /**
+   * Builds the status bar text, including pending async work
+   * @param {string} status - Status message or key
+   * @param {Object} [detail] - Execution detail (see updateStatus)
+   * @returns {string} Text to display
+   */
+  describeStatus(status, detail) {
+    const pendingWork = this.formatPendingWork(detail?.pending);
+    if (status === 'running' || (status === 'completed' && detail && !detail.idle)) {
+      const prefix = status === 'running' ? 'Running' : 'Sync done · running';
+      return pendingWork ? `${prefix} (${pendingWork})` : STATUS_MESSAGES.running;
+    }
+    if (status === 'stopped') {
+      const cleared = this.formatPendingWork(detail?.cleared);
+      return cleared ? `${STATUS_MESSAGES.stopped} (cleared ${cleared})` : STATUS_MESSAGES.stopped;
+    }
+    if (status === 'completed' && detail?.phase === 'idle') {
+      return STATUS_MESSAGES.idle;
+    }
+    return STATUS_MESSAGES[status] || status;
+  }
+
+  /**
+   * Formats pending async work counts (e.g. "2 timers, 1 promise")
+   * @param {Object} [pending] - Counts ({ timeouts, intervals, frames, promises })
+   * @returns {string} Summary, empty when nothing is pending
+   */
+  formatPendingWork(pending) {
+    if (!pending) return '';
+    const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+    const timers = (pending.timeouts || 0) + (pending.intervals || 0);
+    return [
+      timers && plural(timers, 'timer'),
+      pending.frames && plural(pending.frames, 'animation frame'),
+      pending.promises && plural(pending.promises, 'promise')
+    ].filter(Boolean).join(', ');
+  }
+
   /**
    * Registers an event listener
    * @param {string} event - The event name
@@ -930,15 +1894,27 @@ export class SandboxController {
   }
 
   /**
-   * Validates JavaScript syntax without executing
+   * Validates code syntax without executing (transpiling first for TypeScript mode)
    * @param {string} [code] - The code to validate, or current editor code if not provided
    * @returns {Object} Validation result with {valid: boolean, error?: string}
    */
   validateCode(code) {
     const codeToValidate = code || this.getCode();
-    return this.sandbox ? 
-      this.sandbox.validateSyntax(codeToValidate) : 
-      { valid: false, error: 'Sandbox not initialized' };
+    if (!this.sandbox) {
+      return { valid: false, error: 'Sandbox not initialized' };
+    }
+
+    const executionOptions = this.getExecutionOptions();
+    if (executionOptions.language !== 'javascript') {
+      // Transpiled languages can only be checked once the transpiler has loaded
+      const transpiled = this.transpiler?.transform(codeToValidate, executionOptions);
+      if (!transpiled || transpiled.error) {
+        return { valid: false, error: transpiled?.error || 'Transpiler not initialized', line: transpiled?.line, column: transpiled?.column };
+      }
+      return this.sandbox.validateSyntax(transpiled.code, executionOptions);
+    }
+
+    return this.sandbox.validateSyntax(codeToValidate, executionOptions);
   }
 
   /**
@@ -952,7 +1928,8 @@ export class SandboxController {
 
       const example = await this.examples.loadExample(exampleId);
 
-      // Set the code in the editor
+      // Open the example as a snippet of its own and set the code in the editor
+      this.addSnippet({ name: example.title || exampleId, code: example.code, tags: ['example'] });
       this.setCode(example.code);
 
       // Open preview pane
@@ -983,6 +1960,7 @@ export class SandboxController {
     this.logger.info('Destroying controller...');
     
     this.events.emit(EVENTS.DESTROY);
+    cancelAnimationFrame(this.inlineValuesFrame);
 
     if (this.editor) {
       this.editor.destroy();
@@ -1014,6 +1992,45 @@ export class SandboxController {
       this.editorSwitcher = null;
     }
 
+    if (this.modeSwitcher) {
+      this.modeSwitcher.destroy();
+      this.modeSwitcher = null;
+    }
+
+    if (this.workerToggle) {
+      this.workerToggle.destroy();
+      this.workerToggle = null;
+    }
+
+    if (this.loopGuardToggle) {
+      this.loopGuardToggle.destroy();
+      this.loopGuardToggle = null;
+    }
+
+    if (this.liveValuesToggle) {
+      this.liveValuesToggle.destroy();
+      this.liveValuesToggle = null;
+    }
+
+    if (this.autoRunToggle) {
+      this.autoRunToggle.destroy();
+      this.autoRunToggle = null;
+    }
+
+    if (this.consoleToolbar) {
+      this.consoleToolbar.destroy();
+      this.consoleToolbar = null;
+    }
+
+    if (this.consoleInput) {
+      this.consoleInput.destroy();
+      this.consoleInput = null;
+    }
+
+    if (this.console) {
+      this.console.destroy();
+    }
+
     if (this.neonGlow) {
       this.neonGlow.destroy();
       this.neonGlow = null;
@@ -1029,6 +2046,42 @@ export class SandboxController {
       this.libraryManager = null;
     }
 
+    if (this.consoleExportDialog) {
+      this.consoleExportDialog.destroy();
+      this.consoleExportDialog = null;
+    }
+
+    if (this.snippetsDialog) {
+      this.snippetsDialog.destroy();
+      this.snippetsDialog = null;
+    }
+
+    if (this.historyDialog) {
+      this.historyDialog.destroy();
+      this.historyDialog = null;
+    }
+
+    if (this.history) {
+      this.history.destroy();
+      this.history = null;
+    }
+
+    if (this.snippets) {
+      this.snippets.destroy();
+      this.snippets = null;
+    }
+
+    if (this.storageDialog) {
+      this.storageDialog.destroy();
+      this.storageDialog = null;
+    }
+    storageManager.offError(this.storageErrorHandler);
+
+    if (this.lintSettingsDialog) {
+      this.lintSettingsDialog.destroy();
+      this.lintSettingsDialog = null;
+    }
+
     if (this.libraryDialog) {
       this.libraryDialog.destroy();
       this.libraryDialog = null;
@@ -1,5 +1,6 @@
 import { Logger } from '../core/logger.js';
 import { EVENTS } from '../core/constants.js';
+import { storageManager } from '../core/storage-manager.js';
 
 /**
  * Editor switcher UI component
@@ -110,12 +111,12 @@ export class EditorSwitcher {
   }
 
   /**
-   * Loads saved editor from localStorage
+   * Loads saved editor from storage
    * @returns {string|null} Saved editor name or null if not found
    */
   loadSavedEditor() {
     try {
-      const savedEditor = localStorage.getItem(this.options.storageKey);
+      const savedEditor = storageManager.getItem(this.options.storageKey);
       if (savedEditor && this.editors.find(e => e.value === savedEditor && e.available())) {
         this.logger.info('Loaded saved editor from storage:', savedEditor);
         return savedEditor;
@@ -127,12 +128,12 @@ export class EditorSwitcher {
   }
 
   /**
-   * Saves current editor to localStorage
+   * Saves current editor to storage
    * @param {string} editorName - Editor name to save
    */
   saveEditor(editorName) {
     try {
-      localStorage.setItem(this.options.storageKey, editorName);
+      storageManager.setItem(this.options.storageKey, editorName);
       this.logger.info('Saved editor to storage:', editorName);
     } catch (error) {
       this.logger.warn('Failed to save editor:', error);
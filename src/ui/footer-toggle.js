@@ -0,0 +1,141 @@
+import { Logger } from '../core/logger.js';
+import { storageManager } from '../core/storage-manager.js';
+
+/**
+ * Persistent on/off toggle shown in the status bar
+ * @author Joao Guilherme (Guinetik) <guinetik@gmail.com>
+ */
+export class FooterToggle {
+  /**
+   * Creates a new FooterToggle instance
+   * @param {HTMLElement} container - The container element for the toggle
+   * @param {Object} eventEmitter - The event emitter instance
+   * @param {Object} options - Configuration options
+   * @param {string} options.id - Toggle identifier (used in the emitted event)
+   * @param {string} options.label - Toggle label text
+   * @param {string} [options.title] - Tooltip text
+   * @param {string} options.storageKey - Storage key for the toggle state
+   * @param {string} options.event - Event emitted with { id, enabled } when toggled
+   * @param {boolean} [options.defaultValue=false] - Initial state when nothing is saved
+   * @param {boolean} [options.debug=false] - Enable debug logging
+   */
+  constructor(container, eventEmitter, options = {}) {
+    this.container = container;
+    this.eventEmitter = eventEmitter;
+    this.options = {
+      title: '',
+      defaultValue: false,
+      debug: false,
+      ...options
+    };
+
+    this.logger = new Logger({
+      enabled: this.options.debug,
+      level: 'info',
+      prefix: 'FooterToggle'
+    });
+
+    const saved = this.loadSavedState();
+    this.enabled = saved !== null ? saved : this.options.defaultValue;
+
+    this.createToggle();
+  }
+
+  /**
+   * Creates the toggle HTML structure
+   */
+  createToggle() {
+    const existing = this.container.querySelector(`.footer-toggle[data-toggle="${this.options.id}"]`);
+    if (existing) {
+      existing.remove();
+    }
+
+    this.element = document.createElement('label');
+    this.element.className = 'footer-toggle';
+    this.element.dataset.toggle = this.options.id;
+    this.element.title = this.options.title;
+
+    this.checkbox = document.createElement('input');
+    this.checkbox.type = 'checkbox';
+    this.checkbox.checked = this.enabled;
+
+    const text = document.createElement('span');
+    text.textContent = this.options.label;
+
+    this.element.appendChild(this.checkbox);
+    this.element.appendChild(text);
+    this.element.classList.toggle('active', this.enabled);
+
+    this.checkbox.addEventListener('change', () => {
+      this.setEnabled(this.checkbox.checked);
+    });
+
+    this.container.appendChild(this.element);
+  }
+
+  /**
+   * Loads the saved state from storage
+   * @returns {boolean|null} Saved state or null if not found
+   */
+  loadSavedState() {
+    try {
+      const saved = storageManager.getItem(this.options.storageKey);
+      if (saved === 'true' || saved === 'false') {
+        return saved === 'true';
+      }
+    } catch (error) {
+      this.logger.warn(`Failed to load ${this.options.id} toggle state:`, error);
+    }
+    return null;
+  }
+
+  /**
+   * Saves the current state to storage
+   */
+  saveState() {
+    try {
+      storageManager.setItem(this.options.storageKey, String(this.enabled));
+    } catch (error) {
+      this.logger.warn(`Failed to save ${this.options.id} toggle state:`, error);
+    }
+  }
+
+  /**
+   * Sets the toggle state
+   * @param {boolean} enabled - New state
+   */
+  setEnabled(enabled) {
+    enabled = Boolean(enabled);
+    if (enabled === this.enabled) {
+      return;
+    }
+
+    this.enabled = enabled;
+    this.checkbox.checked = enabled;
+    this.element.classList.toggle('active', enabled);
+    this.saveState();
+
+    this.logger.info(`Toggle ${this.options.id}:`, enabled ? 'on' : 'off');
+    this.eventEmitter.emit(this.options.event, {
+      id: this.options.id,
+      enabled
+    });
+  }
+
+  /**
+   * Checks if the toggle is on
+   * @returns {boolean} True if enabled
+   */
+  isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * Destroys the toggle
+   */
+  destroy() {
+    if (this.element && this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+  }
+}
@@ -0,0 +1,268 @@
+import { BaseDialog } from './base-dialog.js';
+import { EVENTS } from '../core/constants.js';
+import { escapeHtml } from '../core/utils.js';
+import { diffLines, countChangedLines } from '../core/diff.js';
+
+/** Unchanged lines shown around each change in the diff */
+const DIFF_CONTEXT_LINES = 3;
+
+/** Labels of the snapshot reasons */
+const REASON_LABELS = {
+  edit: 'Edited',
+  run: 'Run',
+  restore: 'Before restore'
+};
+
+/**
+ * History Dialog - lists the snapshots of the open snippet, shows the difference between a
+ * snapshot and the editor, restores snapshots and sets the pruning limits
+ * @author Joao Guilherme (Guinetik) <guinetik@gmail.com>
+ */
+export class HistoryDialog extends BaseDialog {
+  /**
+   * Creates a new HistoryDialog instance
+   * @param {Object} eventEmitter - Event emitter instance
+   * @param {Object} history - SnippetHistory instance (owns and persists the snapshots)
+   * @param {Object} options - Configuration options
+   * @param {Function} options.getCode - Returns the code in the editor
+   * @param {boolean} [options.debug=false] - Enable debug logging
+   */
+  constructor(eventEmitter, history, options = {}) {
+    super({
+      title: 'Version History',
+      className: 'history-dialog',
+      debug: options.debug || false,
+      logPrefix: 'HistoryDialog',
+      ...options
+    });
+
+    this.eventEmitter = eventEmitter;
+    this.history = history;
+    this.getCode = options.getCode;
+    this.snapshots = [];
+    this.selectedId = null;
+    // Changed-line counts by snapshot id, valid while the editor holds countsCode
+    this.changeCounts = new Map();
+    this.countsCode = null;
+
+    this.createHistoryContent();
+    this.eventEmitter.on(EVENTS.HISTORY_OPEN, this.openHandler = () => this.open());
+  }
+
+  /**
+   * Creates the snapshot list, the diff view and the pruning limits
+   */
+  createHistoryContent() {
+    const body = this.getBody();
+    body.innerHTML = `
+      <p class="descriptor history-intro"></p>
+      <div class="history-layout">
+        <ul class="history-list"></ul>
+        <div class="history-preview">
+          <div class="history-legend">
+            <span class="diff-removed">− only in the snapshot</span>
+            <span class="diff-added">+ only in the editor</span>
+          </div>
+          <div class="history-diff"></div>
+        </div>
+      </div>
+      <div class="history-limits">
+        <label>Keep the last <input type="number" min="0" step="1" class="history-max-snapshots" aria-label="Snapshots to keep"> snapshots</label>
+        <label>for <input type="number" min="0" step="1" class="history-max-age" aria-label="Days to keep snapshots"> days</label>
+        <small>0 = no limit</small>
+        <button type="button" class="remove-btn history-clear-btn" title="Delete the history of this snippet">🗑️</button>
+      </div>
+    `;
+
+    this.intro = body.querySelector('.history-intro');
+    this.snapshotList = body.querySelector('.history-list');
+    this.diffView = body.querySelector('.history-diff');
+    this.maxSnapshotsInput = body.querySelector('.history-max-snapshots');
+    this.maxAgeInput = body.querySelector('.history-max-age');
+
+    this.snapshotList.addEventListener('click', (e) => {
+      const item = e.target.closest('.history-item');
+      if (!item) {
+        return;
+      }
+      if (e.target.closest('[data-action="restore"]')) {
+        this.restore(item.dataset.id);
+      } else {
+        this.select(item.dataset.id);
+      }
+    });
+
+    body.querySelector('.history-limits').addEventListener('change', async (e) => {
+      if (!e.target.matches('input')) {
+        return;
+      }
+      await this.history.setLimits({
+        maxSnapshots: parseInt(this.maxSnapshotsInput.value, 10),
+        maxAgeDays: parseInt(this.maxAgeInput.value, 10)
+      });
+      this.refresh();
+    });
+
+    body.querySelector('.history-clear-btn').addEventListener('click', async () => {
+      const snippet = this.history.workspace.getActive();
+      if (snippet && confirm(`Delete the version history of "${snippet.name}"? This cannot be undone.`)) {
+        await this.history.clear(snippet.id);
+        this.refresh();
+      }
+    });
+  }
+
+  /**
+   * Loads the snapshots when the dialog opens
+   */
+  onBeforeOpen() {
+    // Edits since the last snapshot count as a snapshot too
+    this.history.flush();
+    this.selectedId = null;
+    this.refresh();
+  }
+
+  /**
+   * Loads the snapshots of the open snippet and renders them
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    const snippet = this.history.workspace.getActive();
+    const limits = this.history.getLimits();
+    this.maxSnapshotsInput.value = limits.maxSnapshots;
+    this.maxAgeInput.value = limits.maxAgeDays;
+
+    this.snapshots = snippet ? await this.history.getSnapshots(snippet.id) : [];
+    this.intro.innerHTML = snippet
+      ? `Snapshots of <strong>${escapeHtml(snippet.name)}</strong>, taken while you type and on every run. Select one to compare it with the editor.`
+      : 'No snippet is open.';
+
+    if (!this.snapshots.some(snapshot => snapshot.id === this.selectedId)) {
+      this.selectedId = this.snapshots[0]?.id || null;
+    }
+    this.renderSnapshots();
+    this.renderDiff();
+  }
+
+  /**
+   * Renders one row per snapshot with its time, reason and size of change. The counts are kept
+   * until the editor code changes, so reopening the dialog does not compare every snapshot again.
+   */
+  renderSnapshots() {
+    if (this.snapshots.length === 0) {
+      this.snapshotList.innerHTML = '<li class="history-empty">No snapshots yet</li>';
+      return;
+    }
+
+    const current = this.getCode();
+    if (current !== this.countsCode) {
+      this.changeCounts.clear();
+      this.countsCode = current;
+    }
+
+    this.snapshotList.innerHTML = this.snapshots.map(snapshot => {
+      if (!this.changeCounts.has(snapshot.id)) {
+        this.changeCounts.set(snapshot.id, countChangedLines(snapshot.code, current));
+      }
+      const { added, removed } = this.changeCounts.get(snapshot.id);
+      const change = added || removed
+        ? `<span class="diff-added">+${added}</span> <span class="diff-removed">−${removed}</span>`
+        : '<span class="history-same">same as editor</span>';
+
+      return `
+        <li class="history-item${snapshot.id === this.selectedId ? ' selected' : ''}" data-id="${escapeHtml(snapshot.id)}">
+          <div class="history-item-info">
+            <span class="history-time">${escapeHtml(new Date(snapshot.time).toLocaleString())}</span>
+            <small class="history-details">
+              <span class="history-reason">${escapeHtml(REASON_LABELS[snapshot.reason] || snapshot.reason)}</span>
+              ${change}
+            </small>
+          </div>
+          <button type="button" class="add-btn" data-action="restore" title="Replace the editor code with this snapshot">Restore</button>
+        </li>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Renders the difference between the selected snapshot and the editor, with unchanged stretches
+   * collapsed
+   */
+  renderDiff() {
+    const snapshot = this.snapshots.find(item => item.id === this.selectedId);
+    if (!snapshot) {
+      this.diffView.innerHTML = '<div class="history-empty">Select a snapshot</div>';
+      return;
+    }
+
+    const lines = diffLines(snapshot.code, this.getCode());
+    const changed = lines.map(line => line.type !== 'same');
+    if (!changed.includes(true)) {
+      this.diffView.innerHTML = '<div class="history-empty">The snapshot is the same as the editor</div>';
+      return;
+    }
+
+    // A line is shown if it is within DIFF_CONTEXT_LINES of a change
+    const visible = lines.map((line, i) => changed
+      .slice(Math.max(0, i - DIFF_CONTEXT_LINES), i + DIFF_CONTEXT_LINES + 1)
+      .includes(true));
+
+    const html = [];
+    let hidden = 0;
+    lines.forEach((line, i) => {
+      if (!visible[i]) {
+        hidden++;
+        return;
+      }
+      if (hidden) {
+        html.push(`<div class="diff-line diff-skip">⋯ ${hidden} unchanged line${hidden === 1 ? '' : 's'}</div>`);
+        hidden = 0;
+      }
+      const prefix = line.type === 'added' ? '+' : line.type === 'removed' ? '−' : ' ';
+      html.push(`<div class="diff-line diff-${line.type}">${prefix} ${escapeHtml(line.text)}</div>`);
+    });
+    if (hidden) {
+      html.push(`<div class="diff-line diff-skip">⋯ ${hidden} unchanged line${hidden === 1 ? '' : 's'}</div>`);
+    }
+    this.diffView.innerHTML = html.join('');
+  }
+
+  /**
+   * Selects a snapshot and shows its diff
+   * @param {string} id - Snapshot id
+   */
+  select(id) {
+    this.selectedId = id;
+    this.snapshotList.querySelectorAll('.history-item').forEach(item => {
+      item.classList.toggle('selected', item.dataset.id === id);
+    });
+    this.renderDiff();
+  }
+
+  /**
+   * Replaces the editor code with a snapshot. The replaced code is saved as a snapshot first, so
+   * the restore can be undone from the history.
+   * @param {string} id - Snapshot id
+   * @returns {Promise<void>}
+   */
+  async restore(id) {
+    const snapshot = this.snapshots.find(item => item.id === id);
+    const snippet = this.history.workspace.getActive();
+    if (!snapshot || !snippet) {
+      return;
+    }
+
+    await this.history.snapshot(snippet.id, this.getCode(), 'restore');
+    this.logger.info(`Restoring snapshot from ${new Date(snapshot.time).toLocaleString()}`);
+    this.eventEmitter.emit(EVENTS.HISTORY_RESTORE, { snapshot });
+    this.close();
+  }
+
+  /**
+   * Destroys the dialog and stops listening for open requests
+   */
+  destroy() {
+    this.eventEmitter.off(EVENTS.HISTORY_OPEN, this.openHandler);
+    super.destroy();
+  }
+}
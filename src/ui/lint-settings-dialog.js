@@ -0,0 +1,93 @@
+import { BaseDialog } from './base-dialog.js';
+import { EVENTS } from '../core/constants.js';
+import { escapeHtml } from '../core/utils.js';
+
+/**
+ * Lint Settings Dialog - turns the linter rules on and off
+ * @author Joao Guilherme (Guinetik) <guinetik@gmail.com>
+ */
+export class LintSettingsDialog extends BaseDialog {
+  /**
+   * Creates a new LintSettingsDialog instance
+   * @param {Object} eventEmitter - Event emitter instance
+   * @param {Object} linter - Linter instance (owns and persists the rule configuration)
+   * @param {Object} options - Configuration options
+   * @param {boolean} [options.debug=false] - Enable debug logging
+   */
+  constructor(eventEmitter, linter, options = {}) {
+    super({
+      title: 'Linter Rules',
+      className: 'lint-settings-dialog',
+      debug: options.debug || false,
+      logPrefix: 'LintSettingsDialog',
+      ...options
+    });
+
+    this.eventEmitter = eventEmitter;
+    this.linter = linter;
+
+    this.createLintContent();
+    this.eventEmitter.on(EVENTS.LINT_SETTINGS_OPEN, this.openHandler = () => this.open());
+  }
+
+  /**
+   * Creates the rule list
+   */
+  createLintContent() {
+    const body = this.getBody();
+    body.innerHTML = `
+      <p class="descriptor">Warnings are shown in the editor while you type. Changes apply immediately.</p>
+      <ul class="lint-rules"></ul>
+    `;
+
+    this.ruleList = body.querySelector('.lint-rules');
+    this.ruleList.addEventListener('change', (e) => {
+      const checkbox = e.target.closest('input[data-rule]');
+      if (checkbox) {
+        this.setRuleEnabled(checkbox.dataset.rule, checkbox.checked);
+      }
+    });
+  }
+
+  /**
+   * Renders the rules with their current state when the dialog opens
+   */
+  onBeforeOpen() {
+    this.renderRules();
+  }
+
+  /**
+   * Renders one row per rule
+   */
+  renderRules() {
+    this.ruleList.innerHTML = this.linter.getRules().map(rule => `
+      <li class="lint-rule">
+        <label>
+          <input type="checkbox" data-rule="${escapeHtml(rule.id)}" ${rule.enabled ? 'checked' : ''}>
+          <span class="lint-rule-label">${escapeHtml(rule.label)}</span>
+          <code class="lint-rule-id">${escapeHtml(rule.id)}</code>
+        </label>
+        <small class="lint-rule-description">${escapeHtml(rule.description)}</small>
+      </li>
+    `).join('');
+  }
+
+  /**
+   * Turns a rule on or off and notifies listeners so the code is linted again
+   * @param {string} id - Rule id
+   * @param {boolean} enabled - New state
+   */
+  setRuleEnabled(id, enabled) {
+    this.linter.setRuleEnabled(id, enabled);
+    this.logger.info(`Lint rule ${id} ${enabled ? 'enabled' : 'disabled'}`);
+    this.eventEmitter.emit(EVENTS.LINT_RULES_CHANGE, { rule: id, enabled });
+  }
+
+  /**
+   * Destroys the dialog and stops listening for open requests
+   */
+  destroy() {
+    this.eventEmitter.off(EVENTS.LINT_SETTINGS_OPEN, this.openHandler);
+    super.destroy();
+  }
+}
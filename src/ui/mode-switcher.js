@@ -0,0 +1,324 @@
+import { Logger } from '../core/logger.js';
+import { EVENTS, EXECUTION_MODES, DEFAULT_EXECUTION_MODE, JSX_PRAGMAS, DEFAULT_JSX_PRAGMA } from '../core/constants.js';
+import { storageManager } from '../core/storage-manager.js';
+
+/**
+ * Execution mode switcher UI component (classic script, ES module, ...)
+ * @author Joao Guilherme (Guinetik) <guinetik@gmail.com>
+ */
+export class ModeSwitcher {
+  /**
+   * Creates a new ModeSwitcher instance
+   * @param {HTMLElement} container - The container element for the dropdown
+   * @param {Object} eventEmitter - The event emitter instance
+   * @param {Object} options - Configuration options
+   * @param {string} [options.defaultMode='javascript'] - Default execution mode
+   * @param {boolean} [options.debug=true] - Enable debug logging
+   */
+  constructor(container, eventEmitter, options = {}) {
+    this.container = container;
+    this.eventEmitter = eventEmitter;
+    this.options = {
+      defaultMode: DEFAULT_EXECUTION_MODE,
+      debug: true,
+      storageKey: 'sandbox_current_mode',
+      pragmaStorageKey: 'sandbox_jsx_pragma',
+      ...options
+    };
+
+    this.logger = new Logger({
+      enabled: this.options.debug,
+      level: 'info',
+      prefix: 'ModeSwitcher'
+    });
+
+    this.modes = EXECUTION_MODES;
+
+    // Load saved mode or use default
+    this.currentMode = this.loadSavedMode() || this.options.defaultMode;
+    this.jsxPragma = this.loadSavedPragma() || this.getDefaultPragma(DEFAULT_JSX_PRAGMA);
+    this.logger.info('Initializing mode switcher with mode:', this.currentMode);
+
+    this.createDropdown();
+    this.createPragmaDropdown();
+  }
+
+  /**
+   * Creates the mode switcher dropdown HTML structure
+   */
+  createDropdown() {
+    // Check if dropdown already exists in container
+    const existingDropdown = this.container.querySelector('.mode-switcher');
+    if (existingDropdown) {
+      existingDropdown.remove();
+    }
+
+    this.dropdown = document.createElement('select');
+    this.dropdown.className = 'mode-switcher examples-dropdown'; // Reuse examples dropdown styling
+    this.dropdown.title = 'Switch execution mode';
+
+    this.modes.forEach(mode => {
+      const option = document.createElement('option');
+      option.value = mode.value;
+      option.textContent = mode.label;
+      this.dropdown.appendChild(option);
+    });
+
+    this.dropdown.value = this.currentMode;
+
+    this.dropdown.addEventListener('change', (e) => {
+      const modeValue = e.target.value;
+      if (modeValue && modeValue !== this.currentMode) {
+        this.switchMode(modeValue);
+      }
+    });
+
+    // Insert into the editor controls container
+    this.container.appendChild(this.dropdown);
+  }
+
+  /**
+   * Creates the JSX pragma dropdown (only visible in JSX mode)
+   */
+  createPragmaDropdown() {
+    const existingDropdown = this.container.querySelector('.jsx-pragma-switcher');
+    if (existingDropdown) {
+      existingDropdown.remove();
+    }
+
+    this.pragmaDropdown = document.createElement('select');
+    this.pragmaDropdown.className = 'jsx-pragma-switcher examples-dropdown'; // Reuse examples dropdown styling
+    this.pragmaDropdown.title = 'JSX pragma (function used to create elements)';
+
+    this.populatePragmas();
+
+    this.pragmaDropdown.addEventListener('change', (e) => {
+      if (e.target.value === 'custom') {
+        this.promptCustomPragma();
+      } else {
+        const known = JSX_PRAGMAS.find(p => p.value === e.target.value);
+        this.setJsxPragma(known.value, known.fragment);
+      }
+    });
+
+    this.container.appendChild(this.pragmaDropdown);
+    this.updatePragmaVisibility();
+  }
+
+  /**
+   * Populates the pragma dropdown with the known pragmas, the current custom one and a "Custom…" entry
+   */
+  populatePragmas() {
+    this.pragmaDropdown.innerHTML = '';
+
+    const pragmas = [...JSX_PRAGMAS];
+    if (!pragmas.find(p => p.value === this.jsxPragma.pragma)) {
+      pragmas.push({ value: this.jsxPragma.pragma, label: this.jsxPragma.pragma });
+    }
+
+    pragmas.forEach(pragma => {
+      const option = document.createElement('option');
+      option.value = pragma.value;
+      option.textContent = `⚛️ ${pragma.label}`;
+      this.pragmaDropdown.appendChild(option);
+    });
+
+    const customOption = document.createElement('option');
+    customOption.value = 'custom';
+    customOption.textContent = '✏️ Custom…';
+    this.pragmaDropdown.appendChild(customOption);
+
+    this.pragmaDropdown.value = this.jsxPragma.pragma;
+  }
+
+  /**
+   * Asks the user for a custom pragma ("pragma" or "pragma, fragment")
+   */
+  promptCustomPragma() {
+    const input = prompt(
+      'JSX pragma, optionally followed by the fragment (e.g. "m" or "preact.h, preact.Fragment"):',
+      `${this.jsxPragma.pragma}, ${this.jsxPragma.fragment}`
+    );
+
+    const [pragma, fragment] = (input || '').split(',').map(part => part.trim());
+    if (!pragma) {
+      // Cancelled: restore the previous selection
+      this.pragmaDropdown.value = this.jsxPragma.pragma;
+      return;
+    }
+
+    this.setJsxPragma(pragma, fragment || this.getDefaultPragma(pragma).fragment);
+  }
+
+  /**
+   * Gets the pragma settings for a pragma name, guessing the fragment for unknown ones
+   * @param {string} pragma - Pragma function (e.g. 'h' or 'preact.h')
+   * @returns {Object} Pragma settings ({ pragma, fragment })
+   */
+  getDefaultPragma(pragma) {
+    const known = JSX_PRAGMAS.find(p => p.value === pragma);
+    if (known) {
+      return { pragma: known.value, fragment: known.fragment };
+    }
+
+    // preact.h -> preact.Fragment, h -> Fragment
+    const namespace = pragma.includes('.') ? pragma.slice(0, pragma.lastIndexOf('.') + 1) : '';
+    return { pragma, fragment: `${namespace}Fragment` };
+  }
+
+  /**
+   * Shows the pragma dropdown only when the current mode compiles JSX
+   */
+  updatePragmaVisibility() {
+    if (this.pragmaDropdown) {
+      this.pragmaDropdown.style.display = this.getModeInfo()?.language === 'jsx' ? '' : 'none';
+    }
+  }
+
+  /**
+   * Sets the JSX pragma
+   * @param {string} pragma - Function used for JSX elements
+   * @param {string} [fragment] - Expression used for JSX fragments
+   */
+  setJsxPragma(pragma, fragment) {
+    const oldPragma = this.jsxPragma;
+    this.jsxPragma = { pragma, fragment: fragment || this.getDefaultPragma(pragma).fragment };
+
+    this.populatePragmas();
+    this.savePragma();
+
+    this.logger.info('JSX pragma set to:', this.jsxPragma.pragma, this.jsxPragma.fragment);
+    this.eventEmitter.emit(EVENTS.JSX_PRAGMA_CHANGE, {
+      ...this.jsxPragma,
+      oldPragma
+    });
+  }
+
+  /**
+   * Gets the current JSX pragma settings
+   * @returns {Object} Pragma settings ({ pragma, fragment })
+   */
+  getJsxPragma() {
+    return { ...this.jsxPragma };
+  }
+
+  /**
+   * Loads the saved JSX pragma from storage
+   * @returns {Object|null} Saved pragma settings or null if not found
+   */
+  loadSavedPragma() {
+    try {
+      const saved = JSON.parse(storageManager.getItem(this.options.pragmaStorageKey) || 'null');
+      if (saved && typeof saved.pragma === 'string' && saved.pragma) {
+        return { pragma: saved.pragma, fragment: saved.fragment || this.getDefaultPragma(saved.pragma).fragment };
+      }
+    } catch (error) {
+      this.logger.warn('Failed to load saved JSX pragma:', error);
+    }
+    return null;
+  }
+
+  /**
+   * Saves the JSX pragma to storage
+   */
+  savePragma() {
+    try {
+      storageManager.setItem(this.options.pragmaStorageKey, JSON.stringify(this.jsxPragma));
+    } catch (error) {
+      this.logger.warn('Failed to save JSX pragma:', error);
+    }
+  }
+
+  /**
+   * Loads saved mode from storage
+   * @returns {string|null} Saved mode or null if not found
+   */
+  loadSavedMode() {
+    try {
+      const savedMode = storageManager.getItem(this.options.storageKey);
+      if (savedMode && this.getModeInfo(savedMode)) {
+        this.logger.info('Loaded saved mode from storage:', savedMode);
+        return savedMode;
+      }
+    } catch (error) {
+      this.logger.warn('Failed to load saved mode:', error);
+    }
+    return null;
+  }
+
+  /**
+   * Saves current mode to storage
+   * @param {string} mode - Mode to save
+   */
+  saveMode(mode) {
+    try {
+      storageManager.setItem(this.options.storageKey, mode);
+      this.logger.info('Saved mode to storage:', mode);
+    } catch (error) {
+      this.logger.warn('Failed to save mode:', error);
+    }
+  }
+
+  /**
+   * Switches to a new execution mode
+   * @param {string} mode - The mode to switch to
+   */
+  switchMode(mode) {
+    if (!this.getModeInfo(mode)) {
+      this.logger.warn('Unknown execution mode:', mode);
+      return;
+    }
+
+    const oldMode = this.currentMode;
+    this.currentMode = mode;
+    this.dropdown.value = mode;
+
+    this.logger.info('Switching mode from', oldMode, 'to', mode);
+    this.saveMode(mode);
+    this.updatePragmaVisibility();
+
+    this.eventEmitter.emit(EVENTS.MODE_CHANGE, {
+      mode,
+      oldMode
+    });
+  }
+
+  /**
+   * Gets the definition of an execution mode
+   * @param {string} [mode] - Mode value (defaults to the current mode)
+   * @returns {Object|undefined} Mode definition from EXECUTION_MODES
+   */
+  getModeInfo(mode = this.currentMode) {
+    return this.modes.find(m => m.value === mode);
+  }
+
+  /**
+   * Gets the current execution mode
+   * @returns {string} Current mode value
+   */
+  getCurrentMode() {
+    return this.currentMode;
+  }
+
+  /**
+   * Sets the current mode programmatically
+   * @param {string} mode - The mode to set
+   */
+  setMode(mode) {
+    if (mode !== this.currentMode) {
+      this.switchMode(mode);
+    }
+  }
+
+  /**
+   * Destroys the mode switcher
+   */
+  destroy() {
+    if (this.dropdown && this.dropdown.parentNode) {
+      this.dropdown.parentNode.removeChild(this.dropdown);
+    }
+    if (this.pragmaDropdown && this.pragmaDropdown.parentNode) {
+      this.pragmaDropdown.parentNode.removeChild(this.pragmaDropdown);
+    }
+  }
+}
@@ -0,0 +1,814 @@
+/**
+ * Sandbox runtime shared by the iframe and Web Worker backends. This file is not bundled as a
+ * module: TemplateEngine reads it as text and injects it into the sandbox templates, where it runs
+ * as a classic script next to the user code. Keep it ES5, apart from the dynamic import() in
+ * runModule (the app already needs a browser with ES modules, where classic scripts parse it);
+ * keep it free of template markers, and do not reference anything outside createSandboxRuntime.
+ *
+ * The runtime encodes console arguments, batches protocol messages, overrides the console, maps
+ * stack positions to the editor, answers REPL input, installs the loop guard and live value hooks,
+ * and tracks pending async work. The templates only build the document or worker around it and
+ * start the user code.
+ *
+ * @param {Object} GLOBAL - Global object of the sandbox (window or self)
+ * @param {Object} host - Environment of the sandbox
+ * @param {string} host.secret - Security token sent with every message
+ * @param {number|null} host.lineOffset - Document line right before inline user code (null if none)
+ * @param {number} host.userCodeLines - Number of inline user code lines
+ * @param {Object|null} host.loopGuard - Loop guard budgets ({ budget, maxDepth }), null when disabled
+ * @param {Array<Object>} host.columnMaps - Text spliced into the user code lines by each
+ *   instrumentation pass, in the order applied ({ line: [[column, length], ...] })
+ * @param {Function} host.postMessage - Posts a message to the host page
+ * @param {Function} host.isHostMessage - Tells whether a message event comes from the host page
+ * @returns {Object} { send, formatError, signalDone, runModule, runScript }
+ */
+function createSandboxRuntime(GLOBAL, host) {
+  var SECRET = host.secret;
+  var LINE_OFFSET = host.lineOffset;
+  var USER_CODE_LINES = host.userCodeLines;
+  var COLUMN_MAPS = host.columnMaps || [];
+  // URL of the blob the user code runs from (module code, and classic code in a worker)
+  var userCodeUrl = null;
+
+  // Loop guard: budget checks called by instrumented loops and functions (null when disabled)
+  var LOOP_GUARD = host.loopGuard;
+  if (LOOP_GUARD) {
+    var loopStarts = {};
+    var callDepth = 0;
+    Object.defineProperty(GLOBAL, '__sandboxLoopGuard', {
+      value: {
+        start: function (id) { loopStarts[id] = Date.now(); },
+        check: function (id, line) {
+          if (Date.now() - loopStarts[id] > LOOP_GUARD.budget) {
+            throw new RangeError('Potential infinite loop at line ' + line);
+          }
+        },
+        enter: function (line) {
+          if (++callDepth > LOOP_GUARD.maxDepth) {
+            throw new RangeError('Potential infinite recursion at line ' + line + ' (over ' + LOOP_GUARD.maxDepth + ' nested calls)');
+          }
+        },
+        exit: function () { callDepth--; }
+      }
+    });
+  }
+
+  // Structured encoding of console arguments. Strings, booleans, finite numbers and null pass
+  // through; everything else becomes a { kind, ... } descriptor the host renders. Nesting and
+  // entry counts are limited, and objects already on the current path become circular refs.
+  var ENCODE_MAX_DEPTH = 4;
+  var ENCODE_MAX_ENTRIES = 100;
+  var ENCODE_MAX_ITEMS = 1000;
+  var ENCODE_MAX_NODES = 5000;
+  var ENCODE_MAX_STRING = 10000;
+  var constructorName = function (value) {
+    try {
+      var proto = Object.getPrototypeOf(value);
+      if (proto === null) return null;
+      return (typeof proto.constructor === 'function' && proto.constructor.name) || 'Object';
+    } catch (e) {
+      return 'Object';
+    }
+  };
+  var encodeFunction = function (fn) {
+    var source = '';
+    try { source = Function.prototype.toString.call(fn); } catch (e) { }
+    return {
+      kind: 'function',
+      name: fn.name || '',
+      isClass: source.slice(0, 6) === 'class ' || source.slice(0, 6) === 'class{',
+      isNative: source.indexOf('[native code]') !== -1
+    };
+  };
+  // Prototype chain as [{ name, members }]; members (methods and accessors) are only listed for
+  // prototypes defined by the user code, built-in ones are named
+  var encodePrototypes = function (value) {
+    var chain = [];
+    var proto = Object.getPrototypeOf(value);
+    while (proto && chain.length < 10) {
+      var ctor = Object.prototype.hasOwnProperty.call(proto, 'constructor') ? proto.constructor : null;
+      var level = { name: (typeof ctor === 'function' && ctor.name) || 'Object' };
+      if (typeof ctor === 'function' && !encodeFunction(ctor).isNative) {
+        level.members = [];
+        Object.getOwnPropertyNames(proto).forEach(function (key) {
+          if (key === 'constructor' || level.members.length >= ENCODE_MAX_ENTRIES) return;
+          var descriptor = Object.getOwnPropertyDescriptor(proto, key);
+          if (descriptor.get || descriptor.set) {
+            level.members.push([key, { kind: 'accessor', get: !!descriptor.get, set: !!descriptor.set }]);
+          } else if (typeof descriptor.value === 'function') {
+            level.members.push([key, encodeFunction(descriptor.value)]);
+          }
+        });
+      }
+      chain.push(level);
+      proto = Object.getPrototypeOf(proto);
+    }
+    return chain;
+  };
+  var describeNode = function (node) {
+    if (node.nodeType === 1) {
+      var summary = '<' + node.nodeName.toLowerCase();
+      if (node.id) summary += ' id="' + node.id + '"';
+      var className = node.getAttribute && node.getAttribute('class');
+      if (className) summary += ' class="' + className + '"';
+      return summary + '>';
+    }
+    if (node.nodeType === 3) {
+      var text = String(node.textContent);
+      return '#text ' + JSON.stringify(text.length > 50 ? text.slice(0, 50) + '…' : text);
+    }
+    return node.nodeName;
+  };
+  var encodeEntries = function (value, keys, depth, state) {
+    var entries = [];
+    for (var i = 0; i < keys.length && i < ENCODE_MAX_ENTRIES; i++) {
+      var key = keys[i];
+      var label = typeof key === 'symbol' ? '[' + String(key) + ']' : key;
+      var descriptor = Object.getOwnPropertyDescriptor(value, key);
+      // Accessors are reported, not invoked: a getter may have side effects
+      if (descriptor && (descriptor.get || descriptor.set)) {
+        entries.push([label, { kind: 'accessor', get: !!descriptor.get, set: !!descriptor.set }]);
+      } else {
+        entries.push([label, encodeValue(descriptor ? descriptor.value : value[key], depth + 1, state)]);
+      }
+    }
+    return entries;
+  };
+  var ownKeys = function (value) {
+    var keys = Object.keys(value);
+    if (Object.getOwnPropertySymbols) {
+      Object.getOwnPropertySymbols(value).forEach(function (symbol) {
+        if (Object.prototype.propertyIsEnumerable.call(value, symbol)) keys.push(symbol);
+      });
+    }
+    return keys;
+  };
+  var encodeObject = function (value, depth, state) {
+    var name = constructorName(value);
+    var tag = Object.prototype.toString.call(value);
+    if (tag === '[object Date]') {
+      return { kind: 'date', value: isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString() };
+    }
+    if (tag === '[object RegExp]') {
+      return { kind: 'regexp', value: String(value) };
+    }
+    if (typeof Node !== 'undefined' && value instanceof Node) {
+      return { kind: 'node', name: value.nodeName.toLowerCase(), summary: describeNode(value) };
+    }
+
+    var collapsed = depth >= ENCODE_MAX_DEPTH || state.nodes >= ENCODE_MAX_NODES;
+    var result;
+    state.path.push(value);
+    state.descriptors.push(null);
+    try {
+      if (value instanceof Error || tag === '[object Error]') {
+        result = { kind: 'error', name: value.name || name || 'Error', message: String(value.message), stack: formatFrames(value.stack, 10) };
+        state.descriptors[state.descriptors.length - 1] = result;
+        if ('cause' in value && !collapsed) result.cause = encodeValue(value.cause, depth + 1, state);
+      } else if (Array.isArray(value) || (typeof ArrayBuffer !== 'undefined' && ArrayBuffer.isView(value) && typeof value.length === 'number')) {
+        result = { kind: 'array', name: name, length: value.length };
+        state.descriptors[state.descriptors.length - 1] = result;
+        if (collapsed) {
+          result.collapsed = true;
+        } else {
+          result.items = [];
+          var shown = Math.min(value.length, ENCODE_MAX_ITEMS);
+          for (var i = 0; i < shown; i++) {
+            if (!(i in value)) {
+              var holes = 1;
+              while (i + holes < value.length && !((i + holes) in value)) holes++;
+              result.items.push({ kind: 'hole', count: holes });
+              i += holes - 1;
+              continue;
+            }
+            result.items.push(encodeValue(value[i], depth + 1, state));
+          }
+          if (value.length > shown) result.more = value.length - shown;
+        }
+      } else if (tag === '[object Map]' || tag === '[object Set]') {
+        var isMap = tag === '[object Map]';
+        result = { kind: isMap ? 'map' : 'set', name: name, size: value.size };
+        state.descriptors[state.descriptors.length - 1] = result;
+        if (collapsed) {
+          result.collapsed = true;
+        } else {
+          result.entries = [];
+          value.forEach(function (entryValue, entryKey) {
+            if (result.entries.length >= ENCODE_MAX_ENTRIES) return;
+            result.entries.push(isMap
+              ? [encodeValue(entryKey, depth + 1, state), encodeValue(entryValue, depth + 1, state)]
+              : encodeValue(entryValue, depth + 1, state));
+          });
+          if (value.size > result.entries.length) result.more = value.size - result.entries.length;
+        }
+      } else {
+        result = { kind: 'object', name: name };
+        state.descriptors[state.descriptors.length - 1] = result;
+        var keys = ownKeys(value);
+        if (collapsed) {
+          result.collapsed = true;
+        } else {
+          result.entries = encodeEntries(value, keys, depth, state);
+          if (keys.length > result.entries.length) result.more = keys.length - result.entries.length;
+        }
+      }
+      if (!collapsed) result.prototypes = encodePrototypes(value);
+    } finally {
+      state.path.pop();
+      state.descriptors.pop();
+    }
+    return result;
+  };
+  var encodeValue = function (value, depth, state) {
+    state.nodes++;
+    var type = typeof value;
+    if (value === null || type === 'boolean') return value;
+    if (type === 'string') {
+      return value.length > ENCODE_MAX_STRING ? { kind: 'string', value: value.slice(0, ENCODE_MAX_STRING), length: value.length } : value;
+    }
+    if (type === 'number') {
+      if (value === 0 && 1 / value < 0) return { kind: 'number', value: '-0' };
+      return isFinite(value) ? value : { kind: 'number', value: String(value) };
+    }
+    if (type === 'undefined') return { kind: 'undefined' };
+    if (type === 'bigint') return { kind: 'bigint', value: String(value) };
+    if (type === 'symbol') return { kind: 'symbol', value: String(value) };
+    if (type === 'function') return encodeFunction(value);
+    var index = state.path.indexOf(value);
+    if (index !== -1) {
+      // Number the target so the host can show <ref *N> next to it
+      var target = state.descriptors[index];
+      if (!target.ref) target.ref = ++state.refs;
+      return { kind: 'circular', ref: target.ref };
+    }
+    return encodeObject(value, depth, state);
+  };
+  var serializeArg = function (arg) {
+    try {
+      return encodeValue(arg, 0, { path: [], descriptors: [], refs: 0, nodes: 0 });
+    } catch (e) {
+      return '[Object: ' + Object.prototype.toString.call(arg) + ']';
+    }
+  };
+
+  // Protocol messages are queued and posted to the host in batches: the first message after a
+  // quiet frame goes out at once, later ones once per frame (or every FLUSH_INTERVAL ms while
+  // synchronous code keeps logging). meta carries the time since the run started and the
+  // position of the console call
+  var FLUSH_INTERVAL = 16;
+  // Console messages allowed per second; the rest are dropped and reported as a count.
+  // Errors and structural messages are always delivered, so groups stay balanced
+  var RATE_LIMIT = 1000;
+  var UNLIMITED = { error: true, group: true, groupCollapsed: true, groupEnd: true, clear: true };
+  var queue = [];
+  var flushScheduled = false;
+  var lastFlush = -Infinity;
+  var rateWindowStart = -Infinity;
+  var rateCount = 0;
+  var suppressed = 0;
+  var inConsoleCall = false;
+  var flush = function () {
+    lastFlush = now();
+    if (!queue.length) return;
+    var messages = queue;
+    queue = [];
+    try { host.postMessage({ __sandbox: true, secret: SECRET, type: "batch", messages: messages }); } catch (e) { }
+  };
+  var reportSuppressed = function () {
+    if (!suppressed) return;
+    queue.push({ type: "suppressed", args: [suppressed, RATE_LIMIT], meta: { time: now() - RUN_START } });
+    suppressed = 0;
+  };
+  var flushLater = function () {
+    if (!flushScheduled) return;
+    flushScheduled = false;
+    reportSuppressed();
+    flush();
+  };
+  var scheduleFlush = function () {
+    if (flushScheduled) return;
+    flushScheduled = true;
+    // Animation frames do not run in hidden pages, so a timer backs them up
+    if (typeof nativeRequestFrame === 'function') nativeRequestFrame.call(GLOBAL, flushLater);
+    nativeSetTimeout.call(GLOBAL, flushLater, FLUSH_INTERVAL * 4);
+  };
+  var post = function (type, args) {
+    var meta = { time: now() - RUN_START };
+    if (callSite) {
+      meta.line = callSite.line;
+      meta.column = callSite.column;
+    }
+    queue.push({ type: type, args: args, meta: meta });
+    if (now() - lastFlush >= FLUSH_INTERVAL) {
+      flush();
+    } else {
+      scheduleFlush();
+    }
+  };
+
+  // Rate limit for messages sent while a console method runs (REPL results and status
+  // reports are never limited)
+  var overBudget = function (type) {
+    return !UNLIMITED[type] && now() - rateWindowStart < 1000 && rateCount >= RATE_LIMIT;
+  };
+  var allowMessage = function (type) {
+    if (!inConsoleCall) return true;
+    var time = now();
+    if (time - rateWindowStart >= 1000) {
+      reportSuppressed();
+      rateWindowStart = time;
+      rateCount = 0;
+    }
+    if (UNLIMITED[type] || rateCount < RATE_LIMIT) {
+      rateCount++;
+      return true;
+    }
+    suppressed++;
+    scheduleFlush();
+    return false;
+  };
+
+  var send = function (type) {
+    if (!allowMessage(type)) return;
+    post(type, Array.prototype.slice.call(arguments, 1).map(serializeArg));
+  };
+
+  // Console API: every method is forwarded to the host; stateful ones (count, time) are
+  // computed here. The native console still receives the calls.
+  var counters = {};
+  var consoleTimers = {};
+  var now = function () {
+    return (typeof performance !== 'undefined' && performance.now) ? performance.now() : Date.now();
+  };
+  var labelOf = function (label) {
+    return label === undefined ? 'default' : String(label);
+  };
+  var previewCell = function (value) {
+    if (value === null || typeof value !== 'object') {
+      return typeof value === 'function' ? 'ƒ ' + (value.name || 'anonymous') + '()' : String(value);
+    }
+    return Array.isArray(value) ? 'Array(' + value.length + ')' : ((value.constructor && value.constructor.name) || 'Object');
+  };
+  // console.table model: { columns, valueColumn, rows: [{ index, cells }] }
+  var buildTable = function (data, columns) {
+    var keys = [];
+    var valueColumn = false;
+    var rows = Object.keys(data).map(function (index) {
+      var row = data[index];
+      var cells = {};
+      if (row !== null && typeof row === 'object') {
+        Object.keys(row).forEach(function (key) {
+          if (columns && columns.indexOf(key) === -1) return;
+          if (keys.indexOf(key) === -1) keys.push(key);
+          cells[key] = previewCell(row[key]);
+        });
+      } else {
+        valueColumn = true;
+        cells.Value = previewCell(row);
+      }
+      return { index: index, cells: cells };
+    });
+    return {
+      columns: columns ? columns.filter(function (key) { return keys.indexOf(key) !== -1; }) : keys,
+      valueColumn: valueColumn,
+      rows: rows
+    };
+  };
+  // Time origin for message timestamps, and the user code position of the console call in progress
+  var RUN_START = now();
+  var callSite = null;
+  var override = function (method, handler) {
+    var original = console[method];
+    console[method] = function () {
+      inConsoleCall = true;
+      // Messages over the rate limit are dropped anyway, so the call site is not captured
+      callSite = overBudget(method) ? null : (userFrames(new Error().stack, 1)[0] || null);
+      try {
+        handler.apply(null, arguments);
+      } finally {
+        callSite = null;
+        inConsoleCall = false;
+      }
+      try { if (original) original.apply(console, arguments); } catch (_) { }
+    };
+  };
+  ["log", "info", "warn", "error", "debug", "dir"].forEach(function (m) {
+    override(m, function () { send.apply(null, [m].concat([].slice.call(arguments))); });
+  });
+  override("table", function (data, columns) {
+    if (data === null || typeof data !== 'object') {
+      send("log", data);
+      return;
+    }
+    if (allowMessage("table")) {
+      post("table", [buildTable(data, Array.isArray(columns) ? columns.map(String) : null)]);
+    }
+  });
+  override("group", function () { send.apply(null, ["group"].concat([].slice.call(arguments))); });
+  override("groupCollapsed", function () { send.apply(null, ["groupCollapsed"].concat([].slice.call(arguments))); });
+  override("groupEnd", function () { send("groupEnd"); });
+  override("count", function (label) {
+    label = labelOf(label);
+    counters[label] = (counters[label] || 0) + 1;
+    send("log", label + ': ' + counters[label]);
+  });
+  override("countReset", function (label) {
+    label = labelOf(label);
+    if (counters[label] === undefined) {
+      send("warn", "Count for '" + label + "' does not exist");
+    } else {
+      counters[label] = 0;
+    }
+  });
+  override("time", function (label) {
+    label = labelOf(label);
+    if (consoleTimers[label] !== undefined) {
+      send("warn", "Timer '" + label + "' already exists");
+    } else {
+      consoleTimers[label] = now();
+    }
+  });
+  var logTimer = function (label, end, extra) {
+    label = labelOf(label);
+    if (consoleTimers[label] === undefined) {
+      send("warn", "Timer '" + label + "' does not exist");
+      return;
+    }
+    var elapsed = (now() - consoleTimers[label]).toFixed(3);
+    if (end) delete consoleTimers[label];
+    send.apply(null, ["log", label + ': ' + elapsed + ' ms' + (end ? ' - timer ended' : '')].concat(extra));
+  };
+  override("timeLog", function (label) { logTimer(label, false, [].slice.call(arguments, 1)); });
+  override("timeEnd", function (label) { logTimer(label, true, []); });
+  override("assert", function (condition) {
+    if (condition) return;
+    var data = [].slice.call(arguments, 1);
+    send.apply(null, ["error", data.length ? 'Assertion failed:' : 'Assertion failed'].concat(data));
+  });
+  override("trace", function () {
+    var data = [].slice.call(arguments);
+    // First argument is the cleaned stack (user code frames only)
+    send.apply(null, ["trace", formatFrames(new Error().stack, 10)].concat(data.length ? data : ['console.trace()']));
+  });
+  override("clear", function () { send("clear"); });
+  // Live values: instrumented top-level expressions report their value with their line
+  Object.defineProperty(GLOBAL, '__sandboxValue', {
+    value: function (line, value) {
+      if (value !== undefined) {
+        callSite = { line: line, column: 1 };
+        try {
+          post("value", [serializeArg(value)]);
+        } finally {
+          callSite = null;
+        }
+      }
+      return value;
+    }
+  });
+
+  // Maps a stack or event position to the editor, or returns null when it is outside the user code.
+  // Code run from the user code blob is already relative to the user code; inline user code is
+  // offset by LINE_OFFSET document lines. An empty location is a position in document coordinates.
+  var toUserPosition = function (location, lineNo, colNo) {
+    if (userCodeUrl !== null && location.indexOf(userCodeUrl) !== -1) {
+      return { line: lineNo, column: toSourceColumn(lineNo, colNo) };
+    }
+    if (LINE_OFFSET === null || (location && location.indexOf('srcdoc') === -1)) {
+      return null;
+    }
+    var line = lineNo - LINE_OFFSET;
+    if (line < 1 || line > USER_CODE_LINES) {
+      return null;
+    }
+    return { line: line, column: toSourceColumn(line, colNo) };
+  };
+
+  // Maps a column of the instrumented code to the editor by undoing the instrumentation passes,
+  // last one first. A column inside inserted text maps to where the text was inserted
+  var toSourceColumn = function (line, column) {
+    for (var i = COLUMN_MAPS.length - 1; i >= 0; i--) {
+      var inserted = COLUMN_MAPS[i][line] || [];
+      var shift = 0;
+      for (var j = 0; j < inserted.length; j++) {
+        var start = inserted[j][0] + shift;
+        if (column < start) break;
+        if (column < start + inserted[j][1]) {
+          column = start;
+          break;
+        }
+        shift += inserted[j][1];
+      }
+      column -= shift;
+    }
+    return column;
+  };
+
+  // Stack frames that belong to the user code (at most `limit`), as [{ fnName, line, column }]
+  var userFrames = function (stack, limit) {
+    var frames = [];
+    var lines = String(stack || '').split('\n');
+
+    for (var i = 0; i < lines.length && frames.length < limit; i++) {
+      // Chrome: "at fn (about:srcdoc:12:5)", Firefox: "fn@about:srcdoc:12:5"
+      var match = lines[i].match(/:(\d+):(\d+)\)?\s*$/);
+      if (!match) continue;
+
+      var position = toUserPosition(lines[i], parseInt(match[1], 10), parseInt(match[2], 10));
+      if (!position) continue;
+
+      var fnMatch = lines[i].match(/^\s*([\w$.]+)@|at\s+([\w$.]+)\s+\(/);
+      var fnName = fnMatch ? (fnMatch[1] || fnMatch[2]) : null;
+      frames.push({ fnName: fnName !== 'eval' ? fnName : null, line: position.line, column: position.column });
+    }
+
+    return frames;
+  };
+
+  // Formats up to `limit` stack frames that belong to the user code, one "\n    at ..." line each
+  var formatFrames = function (stack, limit) {
+    return userFrames(stack, limit).map(function (frame) {
+      return frame.fnName
+        ? '\n    at ' + frame.fnName + ' (line ' + frame.line + ', column ' + frame.column + ')'
+        : '\n    at line ' + frame.line + ', column ' + frame.column;
+    }).join('');
+  };
+
+  // Formats an error with the stack frames that belong to the user code; the fallback position
+  // (from an error event) is used when the stack has none
+  var formatError = function (err, fallbackLocation, fallbackLine, fallbackCol) {
+    var errorMsg = (err && typeof err === 'object')
+      ? (err.name || 'Error') + ': ' + (err.message || 'Unknown error')
+      : String(err);
+    var frames = (err && typeof err === 'object') ? formatFrames(err.stack, 3) : '';
+    errorMsg += frames;
+
+    if (!frames && fallbackLine) {
+      var eventPosition = toUserPosition(fallbackLocation || '', fallbackLine, fallbackCol);
+      if (eventPosition) {
+        errorMsg += '\n    at line ' + eventPosition.line + ', column ' + eventPosition.column;
+      }
+    }
+
+    return errorMsg;
+  };
+
+  GLOBAL.addEventListener("error", function (e) {
+    // Prevent browser console logging
+    e.preventDefault();
+    send("error", formatError(e.error || e.message || 'Unknown error', e.filename, e.lineno, e.colno));
+    return true;
+  });
+  GLOBAL.addEventListener("unhandledrejection", function (e) {
+    e.preventDefault();
+    send("error", "Unhandled Promise Rejection: " + formatError(e.reason));
+    return true;
+  });
+
+  // REPL: evaluate console input in the global scope of this run. The result is sent encoded
+  // like a console argument, with its type name next to it
+  var describeType = function (value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'Array(' + value.length + ')';
+    if (typeof value === 'object') return (value.constructor && value.constructor.name) || 'Object';
+    return typeof value;
+  };
+  GLOBAL.addEventListener("message", function (e) {
+    var data = e.data;
+    if (!host.isHostMessage(e) || !data || data.secret !== SECRET) return;
+    if (data.__sandboxStop) {
+      var cleared = stopActivity();
+      if (typeof document !== 'undefined') freezeDocument();
+      post("stopped", [cleared]);
+      return;
+    }
+    if (!data.__sandboxEval) return;
+
+    var fail = function (err) { send("eval-result", data.id, formatError(err), 'error', true); };
+    var result;
+    try {
+      // Indirect eval runs in the global scope, where the user code's declarations live
+      result = (0, eval)(data.code);
+    } catch (err) {
+      fail(err);
+      return;
+    }
+    if (result && typeof result.then === 'function') {
+      result.then(function (value) {
+        send("eval-result", data.id, value, 'Promise<' + describeType(value) + '>', false);
+      }, fail);
+    } else {
+      send("eval-result", data.id, result, describeType(result), false);
+    }
+  });
+
+  // Async activity: timers, animation frames and explicitly created promises still pending after
+  // the synchronous code. Sent with "done", then as "activity" whenever it changes (throttled).
+  var nativeSetTimeout = GLOBAL.setTimeout;
+  var nativeClearTimeout = GLOBAL.clearTimeout;
+  var nativeSetInterval = GLOBAL.setInterval;
+  var nativeClearInterval = GLOBAL.clearInterval;
+  var nativeRequestFrame = GLOBAL.requestAnimationFrame;
+  var nativeCancelFrame = GLOBAL.cancelAnimationFrame;
+  var pendingTimers = {};
+  var pendingFrames = {};
+  var pendingPromises = 0;
+  var syncDone = false;
+  var reportTimer = null;
+  var lastActivity = '';
+  var stopped = false;
+  var getActivity = function () {
+    var activity = { timeouts: 0, intervals: 0, frames: Object.keys(pendingFrames).length, promises: pendingPromises };
+    for (var id in pendingTimers) activity[pendingTimers[id]]++;
+    return activity;
+  };
+  var sendActivity = function (type) {
+    var activity = getActivity();
+    lastActivity = JSON.stringify(activity);
+    post(type, [activity]);
+  };
+  var activityChanged = function () {
+    if (!syncDone || stopped || reportTimer !== null) return;
+    reportTimer = nativeSetTimeout.call(GLOBAL, function () {
+      reportTimer = null;
+      if (!stopped && JSON.stringify(getActivity()) !== lastActivity) sendActivity("activity");
+    }, 100);
+  };
+  var signalDone = function () {
+    syncDone = true;
+    sendActivity("done");
+  };
+  // Stop: cancel everything the user code scheduled and refuse new timers and frames;
+  // pending promises are forgotten (they may never settle now)
+  var stopActivity = function () {
+    var cleared = getActivity();
+    stopped = true;
+    for (var id in pendingTimers) {
+      (pendingTimers[id] === 'intervals' ? nativeClearInterval : nativeClearTimeout).call(GLOBAL, Number(id));
+    }
+    for (var frame in pendingFrames) nativeCancelFrame.call(GLOBAL, Number(frame));
+    pendingTimers = {};
+    pendingFrames = {};
+    pendingPromises = 0;
+    return cleared;
+  };
+
+  // Freezes the preview for inspection after a stop: CSS animations and transitions pause,
+  // media pauses and input events no longer reach the user code
+  var freezeDocument = function () {
+    var style = document.createElement('style');
+    style.textContent = '*, *::before, *::after { animation-play-state: paused !important; transition: none !important; }';
+    (document.head || document.documentElement).appendChild(style);
+    Array.prototype.forEach.call(document.querySelectorAll('audio, video'), function (media) { media.pause(); });
+    ['click', 'dblclick', 'mousedown', 'mouseup', 'mousemove', 'pointerdown', 'pointermove', 'pointerup',
+      'touchstart', 'touchmove', 'touchend', 'keydown', 'keyup', 'input', 'change', 'submit', 'wheel'].forEach(function (type) {
+      GLOBAL.addEventListener(type, function (e) { e.stopImmediatePropagation(); }, true);
+    });
+  };
+  GLOBAL.setTimeout = function (fn, delay) {
+    if (stopped) return 0;
+    if (typeof fn !== 'function') return nativeSetTimeout.apply(GLOBAL, arguments);
+    var args = Array.prototype.slice.call(arguments, 2);
+    var id = nativeSetTimeout.call(GLOBAL, function () {
+      delete pendingTimers[id];
+      activityChanged();
+      fn.apply(GLOBAL, args);
+    }, delay);
+    pendingTimers[id] = 'timeouts';
+    activityChanged();
+    return id;
+  };
+  GLOBAL.setInterval = function (fn, delay) {
+    if (stopped) return 0;
+    if (typeof fn !== 'function') return nativeSetInterval.apply(GLOBAL, arguments);
+    var args = Array.prototype.slice.call(arguments, 2);
+    var id = nativeSetInterval.call(GLOBAL, function () { fn.apply(GLOBAL, args); }, delay);
+    pendingTimers[id] = 'intervals';
+    activityChanged();
+    return id;
+  };
+  GLOBAL.clearTimeout = function (id) {
+    if (pendingTimers[id]) { delete pendingTimers[id]; activityChanged(); }
+    nativeClearTimeout.call(GLOBAL, id);
+  };
+  GLOBAL.clearInterval = function (id) {
+    if (pendingTimers[id]) { delete pendingTimers[id]; activityChanged(); }
+    nativeClearInterval.call(GLOBAL, id);
+  };
+  if (typeof nativeRequestFrame === 'function') {
+    GLOBAL.requestAnimationFrame = function (fn) {
+      if (stopped) return 0;
+      var id = nativeRequestFrame.call(GLOBAL, function (time) {
+        delete pendingFrames[id];
+        activityChanged();
+        fn(time);
+      });
+      pendingFrames[id] = true;
+      activityChanged();
+      return id;
+    };
+    GLOBAL.cancelAnimationFrame = function (id) {
+      if (pendingFrames[id]) { delete pendingFrames[id]; activityChanged(); }
+      nativeCancelFrame.call(GLOBAL, id);
+    };
+  }
+  // Promises built with "new Promise" count until they settle; the Proxy keeps instanceof and statics
+  // intact. Promises the engine creates (async functions, Promise.resolve(), then()) are not counted.
+  if (typeof Proxy === 'function' && typeof Reflect === 'object') {
+    GLOBAL.Promise = new Proxy(GLOBAL.Promise, {
+      construct: function (target, args, newTarget) {
+        var executor = args[0];
+        if (stopped || typeof executor !== 'function') return Reflect.construct(target, args, newTarget);
+        var promise;
+        var resolved = false;
+        var settled = false;
+        var settle = function () {
+          if (!settled && !stopped) { settled = true; pendingPromises--; activityChanged(); }
+        };
+        // Resolves like resolve(value) does: a thenable has its then read and called once, in a job,
+        // and the promise settles with it (nothing else calls the user's then)
+        var follow = function (value, resolve, reject) {
+          var then = null;
+          try {
+            if (value !== promise && value !== null && (typeof value === 'object' || typeof value === 'function')) then = value.then;
+          } catch (err) {
+            settle();
+            return reject(err);
+          }
+          if (typeof then !== 'function') {
+            settle();
+            return resolve(value);
+          }
+          resolve({
+            then: function (onFulfilled, onRejected) {
+              var called = false;
+              try {
+                then.call(value, function (result) {
+                  if (!called) { called = true; follow(result, onFulfilled, onRejected); }
+                }, function (reason) {
+                  if (!called) { called = true; settle(); onRejected(reason); }
+                });
+              } catch (err) {
+                if (!called) { called = true; settle(); onRejected(err); }
+              }
+            }
+          });
+        };
+        pendingPromises++;
+        activityChanged();
+        promise = Reflect.construct(target, [function (resolve, reject) {
+          // Only the first resolve, reject or throw counts, as for the promise itself
+          var first = function () { return !resolved && (resolved = true); };
+          try {
+            executor(function (value) {
+              if (first()) follow(value, resolve, reject); else resolve(value);
+            }, function (reason) {
+              if (first()) settle();
+              reject(reason);
+            });
+          } catch (err) {
+            if (first()) settle();
+            throw err;
+          }
+        }], newTarget);
+        return promise;
+      }
+    });
+  }
+
+  // Runs user code from its own blob URL, so its stack positions are relative to the user code
+  var createUserCodeUrl = function (source) {
+    userCodeUrl = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+    return userCodeUrl;
+  };
+
+  return {
+    send: send,
+    formatError: formatError,
+    // Signals completion after the tasks queued by the synchronous user code
+    signalDone: function () {
+      nativeSetTimeout.call(GLOBAL, signalDone, 0);
+    },
+    // ES module mode: import/export, top-level await and the import map all work, and
+    // completion follows the module evaluation
+    runModule: function (source) {
+      var url = createUserCodeUrl(source);
+      import(url).then(null, function (err) {
+        send("error", formatError(err));
+      }).then(function () {
+        URL.revokeObjectURL(url);
+        signalDone();
+      });
+    },
+    // Classic code in a worker: importScripts() runs it as its own global script, so its
+    // declarations stay reachable from the REPL
+    runScript: function (source) {
+      try {
+        importScripts(createUserCodeUrl(source));
+      } catch (err) {
+        send("error", formatError(err));
+      } finally {
+        nativeSetTimeout.call(GLOBAL, signalDone, 0);
+      }
+    }
+  };
+}
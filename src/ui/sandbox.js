@@ -5,6 +5,8 @@ import {
   DEFAULT_TEMPLATE_PATH,
   TEMPLATE_MARKERS
 } from '../core/constants.js';
+// The runtime shared by the iframe and worker templates, injected as script text
+import SANDBOX_RUNTIME from './sandbox-runtime.js?raw';
 
 /**
  * Template engine for building sandboxed HTML execution environments
@@ -89,7 +91,15 @@ export class TemplateEngine {
       TEMPLATE_MARKERS.SECRET,
       TEMPLATE_MARKERS.USER_CODE,
       TEMPLATE_MARKERS.DYNAMIC_CSP,
-      TEMPLATE_MARKERS.LIBRARY_SCRIPTS
+      TEMPLATE_MARKERS.LIBRARY_SCRIPTS,
+      TEMPLATE_MARKERS.IMPORT_MAP,
+      TEMPLATE_MARKERS.MODULE_SOURCE,
+      TEMPLATE_MARKERS.BODY_HTML,
+      TEMPLATE_MARKERS.LINE_OFFSET,
+      TEMPLATE_MARKERS.USER_CODE_LINES,
+      TEMPLATE_MARKERS.LOOP_GUARD,
+      TEMPLATE_MARKERS.COLUMN_MAPS,
+      TEMPLATE_MARKERS.RUNTIME
     ];
 
     const missingMarkers = requiredMarkers.filter(
@@ -114,170 +124,37 @@ export class TemplateEngine {
 <html><head><meta charset="utf-8">
 <meta http-equiv="Content-Security-Policy" content="${TEMPLATE_MARKERS.DYNAMIC_CSP}">
 <title>Sandbox</title>
+${TEMPLATE_MARKERS.IMPORT_MAP}
 ${TEMPLATE_MARKERS.LIBRARY_SCRIPTS}
 <style>html,body{margin:0;padding:12px;font:14px/1.4 -apple-system, system-ui, Segoe UI, Roboto} body{background:#fff;color:#111}</style>
-</head><body>
+</head><body>${TEMPLATE_MARKERS.BODY_HTML}
 <script>
 (function(){
-  var SECRET = "${TEMPLATE_MARKERS.SECRET}";
-
-  // Debug logging to sandbox console
-  var debug = function(msg) {
-    console.log('[SANDBOX DEBUG]', msg);
-  };
-
-  // Convert any value to a string for sending
-  var stringify = function(val) {
-    if (val === undefined) return 'undefined';
-    if (val === null) return 'null';
-    if (typeof val === 'string') return val;
-    if (typeof val === 'number' || typeof val === 'boolean') return String(val);
-
-    // Handle Error objects specially
-    if (val instanceof Error) {
-      var errorStr = val.name + ': ' + val.message;
-      if (val.stack) {
-        // Clean up the stack trace
-        var lines = val.stack.split('\\n');
-        var cleaned = [];
-        for (var i = 0; i < lines.length; i++) {
-          var line = lines[i];
-          if (i === 0) {
-            cleaned.push(line); // Keep error message
-          } else if (line.indexOf('<anonymous>') !== -1) {
-            // Extract line and column numbers
-            var match = line.match(/:(\d+):(\d+)/);
-            if (match) {
-              cleaned.push('    at line ' + match[1] + ', column ' + match[2]);
-            }
-          }
-        }
-        errorStr = cleaned.join('\\n');
-      }
-      return errorStr;
-    }
-
-    // Try to stringify objects
-    try {
-      return JSON.stringify(val);
-    } catch(e) {
-      return Object.prototype.toString.call(val);
-    }
-  };
-
-  var send = function(type){
-    var args = Array.prototype.slice.call(arguments, 1);
-    // Make sure all arguments are strings
-    var stringArgs = [];
-    for (var i = 0; i < args.length; i++) {
-      stringArgs.push(stringify(args[i]));
-    }
-
-    debug('Sending ' + type + ' message with ' + stringArgs.length + ' args');
-
-    try {
-      parent.postMessage({
-        __sandbox: true,
-        secret: SECRET,
-        type: type,
-        args: stringArgs
-      }, "*");
-    } catch(e) {
-      debug('Failed to send message: ' + e.message);
-    }
-  };
-
-  // Override console methods
-  ["log","info","warn","error"].forEach(function(m){
-    var original = console[m];
-    console[m] = function(){
-      var args = Array.prototype.slice.call(arguments);
-      send.apply(null, [m].concat(args));
-      // Still call original for debugging
-      if (original && original.apply) {
-        try { original.apply(console, arguments); } catch(_) {}
-      }
-    };
+  ${TEMPLATE_MARKERS.RUNTIME}
+  var MODULE_SOURCE = ${TEMPLATE_MARKERS.MODULE_SOURCE};
+  var runtime = createSandboxRuntime(window, {
+    secret: "${TEMPLATE_MARKERS.SECRET}",
+    lineOffset: ${TEMPLATE_MARKERS.LINE_OFFSET},
+    userCodeLines: ${TEMPLATE_MARKERS.USER_CODE_LINES},
+    loopGuard: ${TEMPLATE_MARKERS.LOOP_GUARD},
+    columnMaps: ${TEMPLATE_MARKERS.COLUMN_MAPS},
+    postMessage: function(message){ parent.postMessage(message, "*"); },
+    isHostMessage: function(e){ return e.source === parent; }
   });
 
-  // Global error handler
-  window.addEventListener("error", function(e){
-    debug('Error event caught');
-    debug('Error object: ' + e.error);
-    debug('Error message: ' + e.message);
-    debug('Error lineno: ' + e.lineno);
-
-    var errorMsg = '';
-    if (e.error) {
-      // Extract error details manually since stringify might fail
-      var err = e.error;
-      errorMsg = (err.name || 'Error') + ': ' + (err.message || 'Unknown error');
-
-      // Try to get stack trace
-      if (err.stack) {
-        var lines = err.stack.split('\\n');
-        // First line is usually the error message, skip it if it's redundant
-        var startIdx = (lines[0].indexOf(err.message) !== -1) ? 1 : 0;
-
-        for (var i = startIdx; i < lines.length; i++) {
-          var line = lines[i].trim();
-          if (line) {
-            // Clean up the stack trace line
-            var match = line.match(/at\\s+(?:(.+?)\\s+\\()?(?:.+?):(\\d+):(\\d+)/);
-            if (match) {
-              var fnName = match[1] || 'anonymous';
-              errorMsg += '\\n    at ' + fnName + ' (line ' + match[2] + ', column ' + match[3] + ')';
-            } else if (line.indexOf('at ') === 0) {
-              // Keep other 'at' lines but clean them up
-              errorMsg += '\\n    ' + line;
-            }
-          }
-        }
-      } else if (e.lineno) {
-        // Fallback to basic location info
-        errorMsg += '\\n    at line ' + e.lineno + ', column ' + e.colno;
-      }
-    } else {
-      // Fallback when no error object
-      errorMsg = e.message || 'Unknown error';
-      if (e.lineno) {
-        errorMsg += '\\n    at line ' + e.lineno + ', column ' + e.colno;
-      }
+  // Signal completion once the user code script (below) has run; modules signal it themselves
+  Object.defineProperty(window, '__sandboxUserCodeDone', {
+    value: function(){
+      if (MODULE_SOURCE === null) runtime.signalDone();
     }
-
-    debug('Formatted error: ' + errorMsg);
-    send("error", errorMsg);
-
-    // Prevent default browser error handling
-    e.preventDefault();
-    return true;
   });
-
-  // Handle promise rejections
-  window.addEventListener("unhandledrejection", function(e){
-    debug('Unhandled rejection caught');
-    var errorMsg = "Unhandled Promise Rejection: " + stringify(e.reason);
-    send("error", errorMsg);
-    e.preventDefault();
-    return true;
-  });
-
-  // Execute user code
-  debug('Executing user code...');
-  try {
-${TEMPLATE_MARKERS.USER_CODE}
-  } catch (err) {
-    debug('Caught error in try-catch: ' + err.message);
-    send("error", stringify(err));
-  }
-
-  // Signal completion
-  setTimeout(function(){
-    debug('Sending done signal');
-    send("done");
-  }, 0);
+  if (MODULE_SOURCE !== null) runtime.runModule(MODULE_SOURCE);
 })();
 </script>
+<script>
+${TEMPLATE_MARKERS.USER_CODE}
+</script>
+<script>if (window.__sandboxUserCodeDone) __sandboxUserCodeDone();</script>
 </body></html>`;
   }
 
@@ -287,9 +164,15 @@ ${TEMPLATE_MARKERS.USER_CODE}
    * @param {string} secret - Security token for sandboxed communication
    * @param {string} [libraryScripts=''] - HTML script tags for libraries
    * @param {string} [dynamicCSP] - Dynamic CSP policy string
+   * @param {Object} [options={}] - Build options
+   * @param {boolean} [options.module=false] - Run the code as an ES module
+   * @param {Object} [options.importMap] - Import map ({ imports }) for module specifiers
+   * @param {string} [options.bodyHtml=''] - Single-line markup placed at the top of <body> (e.g. mount roots)
+   * @param {Object} [options.loopGuard] - Loop guard budgets ({ budget, maxDepth }) for instrumented code
+   * @param {Array<Object>} [options.columnMaps] - Column maps of the instrumentation passes, in the order applied
    * @returns {string} Complete HTML document ready for iframe execution
    */
-  buildSrcDoc(userCode, secret, libraryScripts = '', dynamicCSP = null) {
+  buildSrcDoc(userCode, secret, libraryScripts = '', dynamicCSP = null, options = {}) {
     this.logger.debug('Building srcDoc...');
     if (!this.isLoaded) {
       throw new Error('TemplateEngine not initialized. Call initialize() first.');
@@ -299,8 +182,20 @@ ${TEMPLATE_MARKERS.USER_CODE}
     const sanitized = sanitizeCode(userCode);
     const secretValue = String(secret);
 
-    // Add sourceURL to user code for better debugging and line number tracking
-    const userCodeWithSourceMap = `//# sourceURL=user-code.js\n${sanitized}`;
+    // No sourceURL comment: it would make Chrome report lines relative to the script
+    // instead of the document, and LINE_OFFSET is a document line
+    const classicCode = options.module ? '' : sanitized;
+    const userCodeLines = options.module ? 0 : classicCode.split('\n').length;
+
+    // Module code is handed to the runtime as a string literal instead of inline script
+    const moduleSource = options.module ? this.toScriptLiteral(userCode) : 'null';
+    const importMap = options.module && options.importMap
+      ? `<script type="importmap">${this.toScriptLiteral(options.importMap)}</script>`
+      : '';
+
+    const bodyHtml = options.bodyHtml || '';
+    const loopGuard = this.toScriptLiteral(options.loopGuard || null);
+    const columnMaps = this.toScriptLiteral(options.columnMaps || []);
 
     // Use provided CSP or fallback to default
     const cspPolicy = dynamicCSP || "default-src 'self' 'unsafe-inline' 'unsafe-eval' data: blob:; connect-src 'none';";
@@ -310,24 +205,68 @@ ${TEMPLATE_MARKERS.USER_CODE}
     // Replace all markers in sequence
     let result = this.template;
 
+    result = result.replace(
+      new RegExp(this.escapeRegExp(TEMPLATE_MARKERS.RUNTIME), 'g'),
+      () => SANDBOX_RUNTIME
+    );
+
     result = result.replace(
       new RegExp(this.escapeRegExp(TEMPLATE_MARKERS.SECRET), 'g'),
-      secretValue
+      () => secretValue
     );
 
     result = result.replace(
-      new RegExp(this.escapeRegExp(TEMPLATE_MARKERS.USER_CODE), 'g'),
-      userCodeWithSourceMap
+      new RegExp(this.escapeRegExp(TEMPLATE_MARKERS.MODULE_SOURCE), 'g'),
+      () => moduleSource
+    );
+
+    result = result.replace(
+      new RegExp(this.escapeRegExp(TEMPLATE_MARKERS.LOOP_GUARD), 'g'),
+      () => loopGuard
+    );
+
+    result = result.replace(
+      new RegExp(this.escapeRegExp(TEMPLATE_MARKERS.COLUMN_MAPS), 'g'),
+      () => columnMaps
+    );
+
+    result = result.replace(
+      new RegExp(this.escapeRegExp(TEMPLATE_MARKERS.IMPORT_MAP), 'g'),
+      () => importMap
+    );
+
+    result = result.replace(
+      new RegExp(this.escapeRegExp(TEMPLATE_MARKERS.BODY_HTML), 'g'),
+      () => bodyHtml
     );
 
     result = result.replace(
       new RegExp(this.escapeRegExp(TEMPLATE_MARKERS.LIBRARY_SCRIPTS), 'g'),
-      libraryScripts
+      () => libraryScripts
     );
 
     result = result.replace(
       new RegExp(this.escapeRegExp(TEMPLATE_MARKERS.DYNAMIC_CSP), 'g'),
-      cspPolicy
+      () => cspPolicy
+    );
+
+    result = result.replace(
+      new RegExp(this.escapeRegExp(TEMPLATE_MARKERS.USER_CODE_LINES), 'g'),
+      () => String(userCodeLines)
+    );
+
+    // Everything above the user code is final now, so its document line can be measured
+    const lineOffset = this.getLineOffset(result, TEMPLATE_MARKERS.USER_CODE);
+    this.logger.debug(`User code starts after document line ${lineOffset}`);
+
+    result = result.replace(
+      new RegExp(this.escapeRegExp(TEMPLATE_MARKERS.LINE_OFFSET), 'g'),
+      () => String(lineOffset)
+    );
+
+    result = result.replace(
+      new RegExp(this.escapeRegExp(TEMPLATE_MARKERS.USER_CODE), 'g'),
+      () => classicCode
     );
 
     this.logger.debug('Template replacement complete');
@@ -340,6 +279,117 @@ ${TEMPLATE_MARKERS.USER_CODE}
     return result;
   }
 
+  /**
+   * Counts the lines that precede a marker, i.e. the offset between document and user code lines
+   * @param {string} source - Document or script source
+   * @param {string} marker - Marker the user code replaces
+   * @returns {number} Number of lines before the marker's line
+   */
+  getLineOffset(source, marker) {
+    const index = source.indexOf(marker);
+    return index === -1 ? 0 : source.slice(0, index).split('\n').length - 1;
+  }
+
+  /**
+   * Returns the runtime template for the Web Worker backend. It speaks the same
+   * message protocol as the iframe template but has no DOM.
+   * @returns {string} The worker script template
+   */
+  getWorkerTemplate() {
+    return `(function () {
+${TEMPLATE_MARKERS.RUNTIME}
+var MODULE_SOURCE = ${TEMPLATE_MARKERS.MODULE_SOURCE};
+var CLASSIC_SOURCE = ${TEMPLATE_MARKERS.USER_CODE};
+var LIBRARY_URLS = ${TEMPLATE_MARKERS.LIBRARY_URLS};
+
+// Libraries load before the runtime, like the library scripts of the iframe document
+var libraryError = null;
+try {
+  if (LIBRARY_URLS.length) importScripts.apply(self, LIBRARY_URLS);
+} catch (err) {
+  libraryError = err;
+}
+
+var runtime = createSandboxRuntime(self, {
+  secret: "${TEMPLATE_MARKERS.SECRET}",
+  // All user code runs from its own blob, so no positions need an offset
+  lineOffset: null,
+  userCodeLines: 0,
+  loopGuard: ${TEMPLATE_MARKERS.LOOP_GUARD},
+  columnMaps: ${TEMPLATE_MARKERS.COLUMN_MAPS},
+  postMessage: function (message) { self.postMessage(message); },
+  isHostMessage: function () { return true; }
+});
+
+if (libraryError) {
+  runtime.send("error", "Failed to load libraries in worker: " + libraryError.message);
+}
+if (CLASSIC_SOURCE !== null) {
+  runtime.runScript(CLASSIC_SOURCE);
+} else {
+  runtime.runModule(MODULE_SOURCE);
+}
+})();
+`;
+  }
+
+  /**
+   * Builds the Web Worker script for the worker backend
+   * @param {string} userCode - The user's JavaScript code to execute
+   * @param {string} secret - Security token for message validation
+   * @param {Object} [options={}] - Build options
+   * @param {boolean} [options.module=false] - Run the code as an ES module
+   * @param {Object} [options.importMap] - Import map ({ imports }); workers have no import maps,
+   *   so mapped specifiers are rewritten to their URLs
+   * @param {string[]} [options.libraryUrls=[]] - Classic library scripts to load with importScripts()
+   * @param {Object} [options.loopGuard] - Loop guard budgets ({ budget, maxDepth }) for instrumented code
+   * @param {Array<Object>} [options.columnMaps] - Column maps of the instrumentation passes, in the order applied
+   * @returns {string} Worker script source
+   */
+  buildWorkerSource(userCode, secret, options = {}) {
+    const template = this.getWorkerTemplate();
+
+    // Both kinds of user code are handed over as string literals and run from their own blob
+    const classicSource = options.module ? 'null' : this.toScriptLiteral(sanitizeCode(userCode));
+    const moduleSource = options.module
+      ? this.toScriptLiteral(this.applyImportMap(userCode, options.importMap))
+      : 'null';
+
+    return template
+      .replace(TEMPLATE_MARKERS.RUNTIME, () => SANDBOX_RUNTIME)
+      .replace(TEMPLATE_MARKERS.SECRET, () => String(secret))
+      .replace(TEMPLATE_MARKERS.MODULE_SOURCE, () => moduleSource)
+      .replace(TEMPLATE_MARKERS.LIBRARY_URLS, () => this.toScriptLiteral(options.libraryUrls || []))
+      .replace(TEMPLATE_MARKERS.LOOP_GUARD, () => this.toScriptLiteral(options.loopGuard || null))
+      .replace(TEMPLATE_MARKERS.COLUMN_MAPS, () => this.toScriptLiteral(options.columnMaps || []))
+      .replace(TEMPLATE_MARKERS.USER_CODE, () => classicSource);
+  }
+
+  /**
+   * Rewrites bare import specifiers to the URLs from an import map
+   * @param {string} code - Module source
+   * @param {Object} [importMap] - Import map ({ imports })
+   * @returns {string} Module source with mapped specifiers replaced
+   */
+  applyImportMap(code, importMap) {
+    const imports = importMap?.imports || {};
+    return Object.entries(imports).reduce((source, [specifier, url]) => {
+      const pattern = new RegExp(`(\\bfrom\\s*|\\bimport\\s*\\(?\\s*)(['"])${this.escapeRegExp(specifier)}\\2`, 'g');
+      return source.replace(pattern, (match, prefix, quote) => `${prefix}${quote}${url}${quote}`);
+    }, code);
+  }
+
+  /**
+   * Serializes a value to JSON that is safe to embed inside an inline script
+   * @param {any} value - The value to serialize
+   * @returns {string} JSON text with script-breaking sequences escaped
+   */
+  toScriptLiteral(value) {
+    return JSON.stringify(value)
+      .replace(/<\/(script)/gi, '<\\/$1')
+      .replace(/<!--/g, '<\\!--');
+  }
+
   /**
    * Escapes special regex characters in a string
    * @param {string} str - String to escape
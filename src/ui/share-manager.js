@@ -1,5 +1,6 @@
 import { Logger } from '../core/logger.js';
 import { EVENTS } from '../core/constants.js';
+import { copyToClipboard } from '../core/utils.js';
 
 /**
  * Share manager for generating and handling shareable links
@@ -82,32 +83,9 @@ export class ShareManager {
    */
   async copyToClipboard(url) {
     try {
-      if (navigator.clipboard && window.isSecureContext) {
-        // Use modern clipboard API
-        await navigator.clipboard.writeText(url);
-        this.logger.info('URL copied to clipboard using modern API');
-        return true;
-      } else {
-        // Fallback for older browsers or non-secure contexts
-        const textArea = document.createElement('textarea');
-        textArea.value = url;
-        textArea.style.position = 'fixed';
-        textArea.style.left = '-999999px';
-        textArea.style.top = '-999999px';
-        document.body.appendChild(textArea);
-        textArea.focus();
-        textArea.select();
-        
-        const successful = document.execCommand('copy');
-        document.body.removeChild(textArea);
-        
-        if (successful) {
-          this.logger.info('URL copied to clipboard using fallback method');
-          return true;
-        } else {
-          throw new Error('Fallback copy failed');
-        }
-      }
+      await copyToClipboard(url);
+      this.logger.info('URL copied to clipboard');
+      return true;
     } catch (error) {
       this.logger.error('Failed to copy URL to clipboard:', error);
       return false;
@@ -0,0 +1,214 @@
+import { BaseDialog } from './base-dialog.js';
+import { EVENTS } from '../core/constants.js';
+import { escapeHtml } from '../core/utils.js';
+
+/**
+ * Snippets Dialog - lists the snippets of the workspace with their tags and lets the user search,
+ * create, rename, tag, duplicate, delete and open them
+ * @author Joao Guilherme (Guinetik) <guinetik@gmail.com>
+ */
+export class SnippetsDialog extends BaseDialog {
+  /**
+   * Creates a new SnippetsDialog instance
+   * @param {Object} eventEmitter - Event emitter instance
+   * @param {Object} workspace - SnippetWorkspace instance (owns and persists the snippets)
+   * @param {Object} options - Configuration options
+   * @param {boolean} [options.debug=false] - Enable debug logging
+   */
+  constructor(eventEmitter, workspace, options = {}) {
+    super({
+      title: 'Snippets',
+      className: 'snippets-dialog',
+      debug: options.debug || false,
+      logPrefix: 'SnippetsDialog',
+      ...options
+    });
+
+    this.eventEmitter = eventEmitter;
+    this.workspace = workspace;
+
+    this.createSnippetsContent();
+    this.eventEmitter.on(EVENTS.SNIPPETS_OPEN, this.openHandler = () => this.open());
+  }
+
+  /**
+   * Creates the search field, the new snippet button and the list
+   */
+  createSnippetsContent() {
+    const body = this.getBody();
+    body.innerHTML = `
+      <p class="descriptor">Each snippet keeps its own code and libraries. Search matches names, tags and code; <code>#tag</code> matches tags only.</p>
+      <div class="snippet-toolbar">
+        <input type="search" class="snippet-search" placeholder="Search snippets..." aria-label="Search snippets">
+        <button type="button" class="add-btn snippet-new-btn">New snippet</button>
+      </div>
+      <ul class="snippet-list"></ul>
+    `;
+
+    this.searchInput = body.querySelector('.snippet-search');
+    this.snippetList = body.querySelector('.snippet-list');
+
+    this.searchInput.addEventListener('input', () => this.renderSnippets());
+    body.querySelector('.snippet-new-btn').addEventListener('click', () => {
+      this.openSnippet(this.workspace.create().id);
+    });
+
+    this.snippetList.addEventListener('click', (e) => {
+      const tag = e.target.closest('[data-tag]');
+      if (tag) {
+        this.searchInput.value = `#${tag.dataset.tag}`;
+        this.renderSnippets();
+        return;
+      }
+      const button = e.target.closest('button[data-action]');
+      if (button) {
+        this.handleAction(button.dataset.action, button.closest('.snippet-item').dataset.id);
+      }
+    });
+
+    // Names and tags are saved when the field is left
+    this.snippetList.addEventListener('change', (e) => {
+      const id = e.target.closest('.snippet-item')?.dataset.id;
+      if (e.target.matches('.snippet-name')) {
+        this.workspace.update(id, { name: e.target.value });
+      } else if (e.target.matches('.snippet-tags-input')) {
+        this.workspace.update(id, { tags: e.target.value });
+      } else {
+        return;
+      }
+      this.notifyChange();
+      this.renderSnippets();
+    });
+  }
+
+  /**
+   * Renders the list with the current search when the dialog opens
+   */
+  onBeforeOpen() {
+    this.renderSnippets();
+  }
+
+  /**
+   * Focuses the search field
+   */
+  onFocus() {
+    this.searchInput.focus();
+  }
+
+  /**
+   * Renders the snippets matching the search
+   */
+  renderSnippets() {
+    const query = this.searchInput.value.trim();
+    const snippets = query ? this.workspace.search(query) : this.workspace.getSnippets();
+    const activeId = this.workspace.getActive()?.id;
+
+    if (snippets.length === 0) {
+      this.snippetList.innerHTML = `<li class="snippet-empty">${query ? 'No snippets match the search' : 'No snippets yet'}</li>`;
+      return;
+    }
+
+    this.snippetList.innerHTML = snippets.map(snippet => {
+      const active = snippet.id === activeId;
+      const lines = snippet.code ? snippet.code.split('\n').length : 0;
+      const libraries = snippet.libraries?.length || 0;
+      const details = [
+        `${lines} line${lines === 1 ? '' : 's'}`,
+        libraries ? `${libraries} librar${libraries === 1 ? 'y' : 'ies'}` : '',
+        `last run ${snippet.lastRunAt ? this.formatTime(snippet.lastRunAt) : 'never'}`
+      ].filter(Boolean).join(' · ');
+
+      return `
+        <li class="snippet-item${active ? ' active' : ''}" data-id="${escapeHtml(snippet.id)}">
+          <div class="snippet-info">
+            <input type="text" class="snippet-name" value="${escapeHtml(snippet.name)}" aria-label="Snippet name">
+            <div class="snippet-tags">
+              ${snippet.tags.map(tag => `<button type="button" class="snippet-tag" data-tag="${escapeHtml(tag)}">#${escapeHtml(tag)}</button>`).join('')}
+              <input type="text" class="snippet-tags-input" value="${escapeHtml(snippet.tags.join(', '))}" placeholder="tags, comma separated" aria-label="Tags">
+            </div>
+            <small class="snippet-details">${escapeHtml(details)}</small>
+          </div>
+          <div class="snippet-actions">
+            ${active ? '<span class="snippet-open-badge">Open</span>' : '<button type="button" class="add-btn" data-action="open">Open</button>'}
+            <button type="button" class="snippet-action-btn" data-action="duplicate" title="Duplicate">⧉</button>
+            <button type="button" class="remove-btn" data-action="delete" title="Delete">🗑️</button>
+          </div>
+        </li>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Runs a list action on a snippet
+   * @param {string} action - 'open', 'duplicate' or 'delete'
+   * @param {string} id - Snippet id
+   */
+  handleAction(action, id) {
+    const snippet = this.workspace.get(id);
+    if (!snippet) {
+      return;
+    }
+
+    if (action === 'open') {
+      this.openSnippet(id);
+    } else if (action === 'duplicate') {
+      this.workspace.duplicate(id);
+      this.notifyChange();
+      this.renderSnippets();
+    } else if (action === 'delete') {
+      if (!confirm(`Delete the snippet "${snippet.name}"? This cannot be undone.`)) {
+        return;
+      }
+      const wasActive = this.workspace.getActive()?.id === id;
+      const active = this.workspace.remove(id);
+      if (wasActive) {
+        this.eventEmitter.emit(EVENTS.SNIPPET_SWITCH, { snippet: active });
+      }
+      this.notifyChange();
+      this.renderSnippets();
+    }
+  }
+
+  /**
+   * Opens a snippet in the editor and closes the dialog
+   * @param {string} id - Snippet id
+   */
+  openSnippet(id) {
+    const snippet = this.workspace.setActive(id);
+    if (snippet) {
+      this.logger.info(`Opening snippet: ${snippet.name}`);
+      this.eventEmitter.emit(EVENTS.SNIPPET_SWITCH, { snippet });
+      this.notifyChange();
+      this.close();
+    }
+  }
+
+  /**
+   * Tells listeners that snippets were added, changed or removed
+   */
+  notifyChange() {
+    this.eventEmitter.emit(EVENTS.SNIPPETS_CHANGE, { active: this.workspace.getActive() });
+  }
+
+  /**
+   * Formats a time relative to now ("5 min ago"), or as a date when older than a week
+   * @param {number} time - Time in milliseconds
+   * @returns {string} Formatted time
+   */
+  formatTime(time) {
+    const minutes = Math.floor((Date.now() - time) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    if (minutes < 60 * 24) return `${Math.floor(minutes / 60)} h ago`;
+    if (minutes < 60 * 24 * 7) return `${Math.floor(minutes / (60 * 24))} d ago`;
+    return new Date(time).toLocaleDateString();
+  }
+
+  /**
+   * Destroys the dialog and stops listening for open requests
+   */
+  destroy() {
+    this.eventEmitter.off(EVENTS.SNIPPETS_OPEN, this.openHandler);
+    super.destroy();
+  }
+}
@@ -0,0 +1,148 @@
+import { BaseDialog } from './base-dialog.js';
+import { EVENTS, STORAGE_AREAS } from '../core/constants.js';
+import { escapeHtml, formatBytes } from '../core/utils.js';
+
+/** Labels and descriptions of the storage areas */
+const AREA_INFO = {
+  [STORAGE_AREAS.SETTINGS]: {
+    label: 'Snippets & settings',
+    description: 'Your snippets, libraries and preferences'
+  },
+  [STORAGE_AREAS.LIBRARIES]: {
+    label: 'Cached library code',
+    description: 'Library files fetched from CDNs, downloaded again when needed',
+    clearable: true
+  },
+  [STORAGE_AREAS.HISTORY]: {
+    label: 'Run history',
+    description: 'Earlier versions of your snippets',
+    clearable: true
+  }
+};
+
+/**
+ * Storage Dialog - shows where data is saved, how much space it uses out of the browser quota,
+ * and clears the areas that can be rebuilt
+ * @author Joao Guilherme (Guinetik) <guinetik@gmail.com>
+ */
+export class StorageDialog extends BaseDialog {
+  /**
+   * Creates a new StorageDialog instance
+   * @param {Object} eventEmitter - Event emitter instance
+   * @param {Object} storage - StorageManager instance
+   * @param {Object} options - Configuration options
+   * @param {boolean} [options.debug=false] - Enable debug logging
+   */
+  constructor(eventEmitter, storage, options = {}) {
+    super({
+      title: 'Storage',
+      className: 'storage-dialog',
+      debug: options.debug || false,
+      logPrefix: 'StorageDialog',
+      ...options
+    });
+
+    this.eventEmitter = eventEmitter;
+    this.storage = storage;
+
+    this.createStorageContent();
+    this.eventEmitter.on(EVENTS.STORAGE_OPEN, this.openHandler = () => this.open());
+  }
+
+  /**
+   * Creates the usage meter and the area list
+   */
+  createStorageContent() {
+    const body = this.getBody();
+    body.innerHTML = `
+      <p class="descriptor storage-backend"></p>
+      <div class="storage-usage">
+        <div class="storage-meter"><div class="storage-meter-fill"></div></div>
+        <small class="storage-usage-text"></small>
+      </div>
+      <ul class="storage-areas"></ul>
+      <div class="storage-feedback input-feedback" role="status"></div>
+    `;
+
+    this.backendText = body.querySelector('.storage-backend');
+    this.meterFill = body.querySelector('.storage-meter-fill');
+    this.usageText = body.querySelector('.storage-usage-text');
+    this.areaList = body.querySelector('.storage-areas');
+    this.feedback = body.querySelector('.storage-feedback');
+
+    this.areaList.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-area]');
+      if (button) {
+        this.clearArea(button.dataset.area);
+      }
+    });
+  }
+
+  /**
+   * Measures the storage when the dialog opens
+   */
+  onBeforeOpen() {
+    this.feedback.textContent = '';
+    this.refresh();
+  }
+
+  /**
+   * Measures the storage and renders the usage and the areas
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    this.usageText.textContent = 'Measuring...';
+    const estimate = await this.storage.estimate();
+
+    this.backendText.innerHTML = estimate.backend === 'IndexedDB'
+      ? 'Data is saved in <strong>IndexedDB</strong> in this browser.'
+      : 'IndexedDB is not available, so data is saved in <strong>localStorage</strong> (about 5 MB).';
+
+    const ratio = estimate.quota ? estimate.usage / estimate.quota : 0;
+    this.meterFill.style.width = `${Math.min(100, ratio * 100)}%`;
+    this.meterFill.classList.toggle('warning', ratio > 0.8);
+    this.usageText.textContent = estimate.quota
+      ? `${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)} used (${(ratio * 100).toFixed(1)}%)${estimate.persisted ? ' · persistent' : ''}`
+      : `${formatBytes(estimate.usage)} used (the browser does not report its quota)`;
+
+    this.areaList.innerHTML = estimate.areas.map(({ area, count, size }) => {
+      const info = AREA_INFO[area] || { label: area, description: '' };
+      return `
+        <li class="storage-area">
+          <div class="storage-area-info">
+            <span class="storage-area-label">${escapeHtml(info.label)}</span>
+            <small class="storage-area-description">${escapeHtml(info.description)}</small>
+          </div>
+          <span class="storage-area-size">${count} item${count === 1 ? '' : 's'} · ${formatBytes(size)}</span>
+          ${info.clearable ? `<button type="button" class="remove-btn" data-area="${escapeHtml(area)}" title="Clear ${escapeHtml(info.label.toLowerCase())}" ${count ? '' : 'disabled'}>🗑️</button>` : ''}
+        </li>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Clears an area after confirmation
+   * @param {string} area - Storage area
+   * @returns {Promise<void>}
+   */
+  async clearArea(area) {
+    const info = AREA_INFO[area];
+    if (!info?.clearable || !confirm(`Clear ${info.label.toLowerCase()}?`)) {
+      return;
+    }
+
+    const cleared = await this.storage.clear(area);
+    this.logger.info(`Storage area ${area} ${cleared ? 'cleared' : 'could not be cleared'}`);
+    this.feedback.className = `storage-feedback input-feedback ${cleared ? 'info' : 'warning'}`;
+    this.feedback.textContent = cleared ? `${info.label} cleared` : `Could not clear ${info.label.toLowerCase()}`;
+    await this.refresh();
+  }
+
+  /**
+   * Destroys the dialog and stops listening for open requests
+   */
+  destroy() {
+    this.eventEmitter.off(EVENTS.STORAGE_OPEN, this.openHandler);
+    super.destroy();
+  }
+}
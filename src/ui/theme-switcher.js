@@ -1,5 +1,6 @@
 import { Logger } from '../core/logger.js';
 import { EVENTS, EDITOR_THEMES } from '../core/constants.js';
+import { storageManager } from '../core/storage-manager.js';
 
 /**
  * Theme switcher UI component
@@ -32,7 +33,7 @@ export class ThemeSwitcher {
     });
 
     // Check for saved editor preference to initialize with correct themes
-    const savedEditor = localStorage.getItem('sandbox_current_editor') || 'ace';
+    const savedEditor = storageManager.getItem('sandbox_current_editor') || 'ace';
     this.logger.info('Initializing theme switcher with saved editor:', savedEditor);
     
     // Initialize with themes for the saved editor
@@ -232,12 +233,12 @@ export class ThemeSwitcher {
   }
 
   /**
-   * Loads saved theme from localStorage
+   * Loads saved theme from storage
    * @returns {string|null} Saved theme name or null if not found
    */
   loadSavedTheme() {
     try {
-      const savedTheme = localStorage.getItem(this.options.storageKey);
+      const savedTheme = storageManager.getItem(this.options.storageKey);
       if (savedTheme && this.themes.find(t => t.value === savedTheme)) {
         this.logger.info('Loaded saved theme from storage:', savedTheme);
         return savedTheme;
@@ -249,12 +250,12 @@ export class ThemeSwitcher {
   }
 
   /**
-   * Saves current theme to localStorage
+   * Saves current theme to storage
    * @param {string} themeName - Theme name to save
    */
   saveTheme(themeName) {
     try {
-      localStorage.setItem(this.options.storageKey, themeName);
+      storageManager.setItem(this.options.storageKey, themeName);
       this.logger.info('Saved theme to storage:', themeName);
     } catch (error) {
       this.logger.warn('Failed to save theme:', error);
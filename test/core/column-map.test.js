@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { getColumnMap } from '../../src/core/column-map.js';
+
+describe('getColumnMap', () => {
+  it('lists insertions by line with 1-based columns and lengths', () => {
+    const code = 'a();\nb();';
+    expect(getColumnMap(code, [{ offset: 5, text: 'guard;' }])).toEqual({ 2: [[1, 6]] });
+  });
+
+  it('sorts several insertions on one line by column', () => {
+    const code = 'let x = f(1) + g(2);';
+    const insertions = [
+      { offset: 19, text: '))' },
+      { offset: 15, text: 'wrap((' },
+      { offset: 12, text: ')' },
+      { offset: 8, text: 'v(' }
+    ];
+    expect(getColumnMap(code, insertions)).toEqual({ 1: [[9, 2], [13, 1], [16, 6], [20, 2]] });
+  });
+
+  it('keeps insertions on their own lines', () => {
+    const code = 'for (;;) x();\n\nwhile (y) { z(); }';
+    const insertions = [
+      { offset: 0, text: '{start(1);' },
+      { offset: 9, text: '{check(1);' },
+      { offset: 13, text: '}}' },
+      { offset: 25, text: 'check(2);' }
+    ];
+    expect(getColumnMap(code, insertions)).toEqual({
+      1: [[1, 10], [10, 10], [14, 2]],
+      3: [[11, 9]]
+    });
+  });
+
+  it('puts an insertion at a line start on that line', () => {
+    expect(getColumnMap('a\nb\nc', [{ offset: 4, text: 'x' }, { offset: 2, text: 'y' }])).toEqual({
+      2: [[1, 1]],
+      3: [[1, 1]]
+    });
+  });
+
+  it('rejects inserted text with a line break', () => {
+    expect(() => getColumnMap('a();', [{ offset: 0, text: 'x;\n' }])).toThrow(/one line/);
+    expect(() => getColumnMap('a();', [{ offset: 0, text: 'x;\u2028' }])).toThrow(/one line/);
+  });
+});
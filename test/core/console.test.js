@@ -0,0 +1,42 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ConsoleOutput } from '../../src/core/console.js';
+
+describe('ConsoleOutput lines', () => {
+  let output;
+
+  beforeEach(() => {
+    output = new ConsoleOutput(document.createElement('div'));
+  });
+
+  afterEach(() => {
+    output.destroy();
+  });
+
+  it('collapses identical consecutive messages into a repeat count', () => {
+    output.addLine('log', ['tick', { kind: 'bigint', value: '1' }], { line: 3 });
+    output.addLine('log', ['tick', { kind: 'bigint', value: '1' }], { line: 3 });
+    output.addLine('log', ['tick', { kind: 'bigint', value: '1' }], { line: 4 });
+    expect(output.entries.map(entry => entry.repeat)).toEqual([2, 1]);
+    expect(output.counts.log).toBe(3);
+  });
+
+  it('keeps messages that do not serialize as separate lines', () => {
+    const cyclic = {};
+    cyclic.self = cyclic;
+    output.addLine('log', [10n]);
+    output.addLine('log', [10n]);
+    output.addLine('log', [cyclic]);
+    expect(output.entries).toHaveLength(3);
+    expect(output.entries[0]).toMatchObject({ key: null, text: '10' });
+  });
+
+  it('formats a line when its text is first needed', () => {
+    const formatArg = vi.spyOn(output, 'formatArg');
+    output.addLine('log', ['a', 1]);
+    expect(formatArg).not.toHaveBeenCalled();
+
+    expect(output.getRunRecords()[0].text).toBe('a 1');
+    expect(output.entries[0].text).toBe('a 1');
+    expect(formatArg).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { diffLines, countChangedLines } from '../../src/core/diff.js';
+
+const render = lines => lines.map(({ type, text }) => `${{ same: ' ', removed: '-', added: '+' }[type]}${text}`);
+
+describe('diffLines', () => {
+  it('marks every line as the same for equal texts', () => {
+    expect(render(diffLines('a\nb', 'a\nb'))).toEqual([' a', ' b']);
+  });
+
+  it('finds added and removed lines between common ones', () => {
+    expect(render(diffLines('a\nb\nc\nd', 'a\nc\nx\nd'))).toEqual([' a', '-b', ' c', '+x', ' d']);
+  });
+
+  it('shows a changed line as removed then added', () => {
+    expect(render(diffLines('let x = 1;', 'let x = 2;'))).toEqual(['-let x = 1;', '+let x = 2;']);
+  });
+
+  it('handles an empty side', () => {
+    expect(render(diffLines('', 'a'))).toEqual(['-', '+a']);
+    expect(render(diffLines('a\nb', 'a'))).toEqual([' a', '-b']);
+  });
+
+  it('keeps every line of both texts in order', () => {
+    const oldText = 'one\ntwo\nthree\nfour\nfive';
+    const newText = 'zero\none\nthree\nfour\nfive\nsix';
+    const lines = diffLines(oldText, newText);
+    expect(lines.filter(line => line.type !== 'added').map(line => line.text).join('\n')).toBe(oldText);
+    expect(lines.filter(line => line.type !== 'removed').map(line => line.text).join('\n')).toBe(newText);
+  });
+
+  it('replaces the changed middle as a whole when it is too large to diff', () => {
+    const oldLines = Array.from({ length: 2100 }, (_, i) => `old ${i}`);
+    const newLines = Array.from({ length: 2100 }, (_, i) => `new ${i}`);
+    const lines = diffLines(['head', ...oldLines, 'tail'].join('\n'), ['head', ...newLines, 'tail'].join('\n'));
+    expect(lines[0]).toEqual({ type: 'same', text: 'head' });
+    expect(lines[1]).toEqual({ type: 'removed', text: 'old 0' });
+    expect(lines[2101]).toEqual({ type: 'added', text: 'new 0' });
+    expect(lines[lines.length - 1]).toEqual({ type: 'same', text: 'tail' });
+    expect(lines).toHaveLength(4202);
+  });
+});
+
+describe('countChangedLines', () => {
+  it('counts the lines of the diff', () => {
+    expect(countChangedLines('a\nb\nc\nd', 'a\nc\nx\nd')).toEqual({ added: 1, removed: 1 });
+    expect(countChangedLines('same', 'same')).toEqual({ added: 0, removed: 0 });
+  });
+
+  it('compares large texts as sets of lines', () => {
+    const oldLines = Array.from({ length: 600 }, (_, i) => `line ${i}`);
+    const newLines = [...oldLines.slice(1), 'line 0', 'new 1', 'new 2'];
+    newLines.splice(10, 1);
+    // Moving "line 0" to the end is not counted; the diff would count it as removed and added
+    expect(countChangedLines(oldLines.join('\n'), newLines.join('\n'))).toEqual({ added: 2, removed: 1 });
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SnippetHistory } from '../../src/core/history.js';
+import { SnippetWorkspace } from '../../src/core/snippets.js';
+import { EventEmitter } from '../../src/core/events.js';
+import { storageManager } from '../../src/core/storage-manager.js';
+import { getRetryDelay } from '../../src/core/utils.js';
+import { STORAGE_AREAS } from '../../src/core/constants.js';
+
+describe('SnippetHistory', () => {
+  let workspace;
+  let history;
+  let snippet;
+
+  beforeEach(async () => {
+    localStorage.clear();
+    workspace = new SnippetWorkspace();
+    snippet = workspace.create({ name: 'Demo', code: 'let a;' });
+    history = new SnippetHistory(new EventEmitter(), workspace);
+    await history.ready;
+  });
+
+  afterEach(() => {
+    history.destroy();
+    workspace.destroy();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('saves snapshots and skips one equal to the newest', async () => {
+    await history.snapshot(snippet.id, 'let a = 1;', 'run');
+    expect(await history.snapshot(snippet.id, 'let a = 1;', 'run')).toBe(null);
+    const saved = await storageManager.get(STORAGE_AREAS.HISTORY, snippet.id);
+    expect(saved.map(({ code, reason }) => [code, reason])).toEqual([['let a = 1;', 'run']]);
+  });
+
+  it('writes a list again after a failed write', async () => {
+    vi.useFakeTimers();
+    const set = vi.spyOn(storageManager, 'set').mockResolvedValueOnce(false);
+
+    await history.snapshot(snippet.id, 'let a = 1;', 'run');
+    expect(set).toHaveBeenCalledTimes(1);
+    expect(await storageManager.get(STORAGE_AREAS.HISTORY, snippet.id)).toBe(undefined);
+
+    await vi.advanceTimersByTimeAsync(getRetryDelay(1));
+    expect(set).toHaveBeenCalledTimes(2);
+    const saved = await storageManager.get(STORAGE_AREAS.HISTORY, snippet.id);
+    expect(saved.map(({ code }) => code)).toEqual(['let a = 1;']);
+  });
+
+  it('does not save code set by a restore as an edit', async () => {
+    history.onCodeChange('let a = 1;');
+    workspace.updateActive({ code: 'let a = 1;' });
+
+    history.reset(snippet, 'let a;');
+    workspace.updateActive({ code: 'let a;' });
+    history.onCodeChange('let a;');
+
+    expect(history.timer).toBe(null);
+    expect((await history.getSnapshots(snippet.id)).map(({ code, reason }) => [code, reason])).toEqual([
+      ['let a = 1;', 'edit'],
+      ['let a;', 'edit']
+    ]);
+  });
+});
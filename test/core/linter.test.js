@@ -0,0 +1,70 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { Linter } from '../../src/core/linter.js';
+
+const rules = warnings => warnings.map(({ rule, line }) => `${rule}@${line}`);
+
+describe('Linter', () => {
+  let linter;
+
+  beforeEach(() => {
+    localStorage.clear();
+    linter = new Linter();
+  });
+
+  it('reports nothing for clean code', () => {
+    expect(linter.lint('const a = 1;\nconsole.log(a === null);')).toEqual([]);
+  });
+
+  it('reports unused variables but not ignored names, parameters or exports', () => {
+    const code = 'const unused = 1;\nlet _ignored = 2;\nfunction f(x) {}\nf();';
+    expect(rules(linter.lint(code))).toEqual(['no-unused-vars@1']);
+    expect(linter.lint('export const shared = 1;', { module: true })).toEqual([]);
+  });
+
+  it('reports reads before a let or const declaration in the same function', () => {
+    const code = 'console.log(a);\nconst a = 1;\nfunction later() { return a; }\nlater();';
+    const [warning] = linter.lint(code);
+    expect(warning).toMatchObject({ rule: 'no-use-before-define', line: 1, column: 13, message: "'a' is used before it is defined" });
+  });
+
+  it('reports assignments to undeclared variables', () => {
+    expect(rules(linter.lint('total = 1;'))).toEqual(['no-implicit-globals@1']);
+  });
+
+  it('reports loose equality at the operator, except with null', () => {
+    const [warning, ...rest] = linter.lint('const a = 1;\nif (a == 2 || a != null) {}');
+    expect(rest).toEqual([]);
+    expect(warning).toMatchObject({ rule: 'eqeqeq', line: 2, column: 7, endColumn: 9 });
+  });
+
+  it('reports code after return but not hoisted declarations', () => {
+    const code = 'function f() {\n  return 1;\n  function g() {}\n  f();\n}\nf();';
+    expect(rules(linter.lint(code))).toEqual(['no-unused-vars@3', 'no-unreachable@4']);
+  });
+
+  it('reports shadowed declarations', () => {
+    const code = 'const x = 1;\nfunction f() { const x = 2; return x; }\nf(x);';
+    expect(rules(linter.lint(code))).toEqual(['no-shadow@2']);
+  });
+
+  it('reports dropped and misused promises of async functions', () => {
+    const code = 'async function load() { return 1; }\nasync function main() {\n  load();\n  const value = load();\n  return value.length;\n}\nmain().then(() => {});';
+    expect(rules(linter.lint(code))).toEqual(['missing-await@3', 'missing-await@4']);
+  });
+
+  it('parses TypeScript and JSX by language', () => {
+    expect(linter.lint('const n: number = 1;\nconsole.log(n);', { language: 'typescript' })).toEqual([]);
+    expect(linter.lint('const React = {};\nconst el = <div />;\nconsole.log(el, React);', { language: 'jsx' })).toEqual([]);
+  });
+
+  it('returns no warnings for code that does not parse', () => {
+    expect(linter.lint('const = ;')).toEqual([]);
+  });
+
+  it('skips disabled rules and saves the configuration', () => {
+    linter.setRuleEnabled('no-implicit-globals', false);
+    expect(linter.lint('total = 1;')).toEqual([]);
+    expect(new Linter().isRuleEnabled('no-implicit-globals')).toBe(false);
+    expect(new Linter().isRuleEnabled('eqeqeq')).toBe(true);
+  });
+});
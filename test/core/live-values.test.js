@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { LiveValues } from '../../src/core/live-values.js';
+
+/**
+ * Runs instrumented code and collects the reported values as [line, value] pairs
+ */
+function run(code) {
+  const values = [];
+  const report = (line, value) => {
+    if (value !== undefined) {
+      values.push([line, value]);
+    }
+    return value;
+  };
+  new Function('__sandboxValue', 'console', code)(report, { log: () => {} });
+  return values;
+}
+
+describe('LiveValues', () => {
+  const liveValues = new LiveValues();
+
+  it('reports top-level expression values with their line', () => {
+    const { code } = liveValues.instrument('const a = 2;\na * 3;\n\n[a, a + 1];');
+    expect(run(code)).toEqual([[2, 6], [4, [2, 3]]]);
+  });
+
+  it('skips console calls, declarations and nested expressions', () => {
+    const { code } = liveValues.instrument('console.log(1);\nlet b = 1;\nif (b) { b + 1; }\nfunction f() { return 2; }\nf();');
+    expect(run(code)).toEqual([[5, 2]]);
+  });
+
+  it('keeps the value of the wrapped expression', () => {
+    const { code } = liveValues.instrument('let x = 1;\nx = x + 1, x * 10;\nx;');
+    expect(run(code)).toEqual([[2, 20], [3, 2]]);
+  });
+
+  it('maps several expressions on one line', () => {
+    const source = '1; 2;';
+    const { code, columnMap } = liveValues.instrument(source);
+    expect(code.split('\n')).toHaveLength(1);
+    expect(columnMap[1].map(([column]) => column)).toEqual([1, 2, 4, 5]);
+    expect(run(code)).toEqual([[1, 1], [1, 2]]);
+  });
+
+  it('parses modules with top-level await', () => {
+    const result = liveValues.instrument('await 1;', { module: true });
+    expect(result.code).toContain('__sandboxValue(1,(await 1))');
+  });
+
+  it('reports syntax errors instead of instrumenting', () => {
+    expect(liveValues.instrument('1 +')).toHaveProperty('error');
+  });
+});
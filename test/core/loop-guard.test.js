@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { LoopGuard } from '../../src/core/loop-guard.js';
+
+/**
+ * Runs instrumented code with a guard that allows a number of loop iterations and nested calls
+ * (the sandbox runtime's guard uses a time budget instead of an iteration count)
+ */
+function run(code, { iterations = 1000, maxDepth = 100 } = {}) {
+  const counts = {};
+  let depth = 0;
+  const guard = {
+    start: id => { counts[id] = 0; },
+    check: (id, line) => {
+      if (++counts[id] > iterations) {
+        throw new RangeError(`Potential infinite loop at line ${line}`);
+      }
+    },
+    enter: line => {
+      if (++depth > maxDepth) {
+        throw new RangeError(`Potential infinite recursion at line ${line}`);
+      }
+    },
+    exit: () => { depth--; }
+  };
+  return new Function('__sandboxLoopGuard', code)(guard);
+}
+
+describe('LoopGuard', () => {
+  const loopGuard = new LoopGuard();
+
+  it('stops an infinite loop at its line', () => {
+    const { code } = loopGuard.instrument('let i = 0;\nwhile (true) {\n  i++;\n}');
+    expect(() => run(code)).toThrow('Potential infinite loop at line 2');
+  });
+
+  it('stops a loop without a block body', () => {
+    const { code } = loopGuard.instrument('\n\nfor (;;) void 0;');
+    expect(() => run(code)).toThrow('Potential infinite loop at line 3');
+  });
+
+  it('stops runaway recursion at the function line', () => {
+    const { code } = loopGuard.instrument('function f(n) {\n  return f(n + 1);\n}\nf(0);');
+    expect(() => run(code)).toThrow('Potential infinite recursion at line 1');
+  });
+
+  it('keeps the results of code that finishes', () => {
+    const source = [
+      'const square = x => x * x;',
+      'outer: for (let i = 0; i < 3; i++) {',
+      '  for (const j of [1, 2]) { if (j === 2) continue outer; }',
+      '}',
+      'let total = 0, n = 0;',
+      'do total += square(n); while (++n < 4)'
+    ].join('\n');
+    const { code } = loopGuard.instrument(source);
+    expect(run(`${code}\nreturn total;`)).toBe(14);
+  });
+
+  it('keeps line numbers and directives in place', () => {
+    const source = 'function f() {\n  "use strict";\n  while (x) {}\n}\nconst g = () => ({ a: 1 });';
+    const { code, columnMap } = loopGuard.instrument(source);
+    expect(code.split('\n')).toHaveLength(5);
+    expect(code.split('\n')[1]).toMatch(/^\s+"use strict";try\{/);
+    // The parenthesized object literal body is left alone
+    expect(code.split('\n')[4]).toBe('const g = () => ({ a: 1 });');
+    expect(Object.keys(columnMap)).toEqual(['2', '3', '4']);
+  });
+
+  it('maps every inserted fragment to its column', () => {
+    const source = 'while (a) b();';
+    const { code, columnMap } = loopGuard.instrument(source);
+    const inserted = columnMap[1].reduce((total, [, length]) => total + length, 0);
+    expect(code.length - source.length).toBe(inserted);
+  });
+
+  it('leaves loops that await or yield alone', () => {
+    const source = 'async function f() { while (true) { await null; } }\nfunction* g() { for (;;) yield 1; }';
+    const { code } = loopGuard.instrument(source);
+    expect(code).not.toContain('.start(');
+  });
+
+  it('reports syntax errors instead of instrumenting', () => {
+    expect(loopGuard.instrument('while (')).toHaveProperty('error');
+  });
+});
@@ -0,0 +1,21 @@
+import { describe, it, expect } from 'vitest';
+import { SandboxEngine } from '../../src/core/sandbox.js';
+import { SyntaxChecker } from '../../src/core/syntax-checker.js';
+
+describe('SandboxEngine.validateSyntax', () => {
+  // Validation does not use the iframe, so the engine is not constructed
+  const sandbox = Object.assign(Object.create(SandboxEngine.prototype), { syntaxChecker: new SyntaxChecker() });
+
+  it('validates the code in its language', () => {
+    const code = 'const el = <div>{1}</div>;';
+    expect(sandbox.validateSyntax(code).valid).toBe(false);
+    expect(sandbox.validateSyntax(code, { language: 'jsx' })).toEqual({ valid: true, errors: [] });
+    expect(sandbox.validateSyntax('let n: number = 1;', { language: 'typescript', module: true }).valid).toBe(true);
+  });
+
+  it('reports the first error with its position', () => {
+    const validation = sandbox.validateSyntax('let a = 1;\nlet a = 2;');
+    expect(validation).toMatchObject({ valid: false, line: 2, column: 5, error: "Identifier 'a' has already been declared." });
+    expect(String(validation)).toBe("SyntaxError: Identifier 'a' has already been declared.\n    at line 2, column 5");
+  });
+});
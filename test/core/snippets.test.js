@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SnippetWorkspace } from '../../src/core/snippets.js';
+import { storageManager } from '../../src/core/storage-manager.js';
+import { getRetryDelay } from '../../src/core/utils.js';
+import { SNIPPETS_JOURNAL_KEY, SNIPPETS_STORAGE_KEY, SNIPPET_SAVE_DELAY_MS } from '../../src/core/constants.js';
+
+describe('SnippetWorkspace', () => {
+  let workspace;
+
+  beforeEach(() => {
+    localStorage.clear();
+    workspace = new SnippetWorkspace();
+  });
+
+  afterEach(() => {
+    workspace.destroy();
+  });
+
+  it('journals an unsaved code edit when the page is hidden', () => {
+    const snippet = workspace.create({ name: 'Demo', code: 'let a;' });
+    workspace.updateActive({ code: 'let a = 1;' });
+    expect(JSON.parse(localStorage.getItem(SNIPPETS_STORAGE_KEY)).snippets[0].code).toBe('let a;');
+
+    vi.spyOn(document, 'visibilityState', 'get').mockReturnValue('hidden');
+    document.dispatchEvent(new Event('visibilitychange'));
+    vi.restoreAllMocks();
+
+    expect(JSON.parse(localStorage.getItem(SNIPPETS_JOURNAL_KEY))).toEqual([
+      { id: snippet.id, code: 'let a = 1;', updatedAt: snippet.updatedAt }
+    ]);
+    expect(JSON.parse(localStorage.getItem(SNIPPETS_STORAGE_KEY)).snippets[0].code).toBe('let a = 1;');
+  });
+
+  it('does not journal when nothing is waiting for a save', () => {
+    workspace.create({ name: 'Demo', code: 'let a;' });
+    window.dispatchEvent(new Event('pagehide'));
+    expect(localStorage.getItem(SNIPPETS_JOURNAL_KEY)).toBe(null);
+  });
+
+  it('replays journaled edits newer than the saved snippet', () => {
+    const snippet = workspace.create({ name: 'Demo', code: 'let a;' });
+    const other = workspace.create({ name: 'Other', code: 'let b;' });
+    localStorage.setItem(SNIPPETS_JOURNAL_KEY, JSON.stringify([
+      { id: snippet.id, code: 'let a = 2;', updatedAt: snippet.updatedAt + 1 },
+      { id: other.id, code: 'stale', updatedAt: other.updatedAt },
+      { id: 'snippet_deleted', code: 'gone', updatedAt: Date.now() }
+    ]));
+    workspace.destroy();
+
+    workspace = new SnippetWorkspace();
+    expect(workspace.get(snippet.id).code).toBe('let a = 2;');
+    expect(workspace.get(other.id).code).toBe('let b;');
+    expect(localStorage.getItem(SNIPPETS_JOURNAL_KEY)).toBe(null);
+    expect(JSON.parse(localStorage.getItem(SNIPPETS_STORAGE_KEY)).snippets[0].code).toBe('let a = 2;');
+  });
+});
+
+describe('SnippetWorkspace saves', () => {
+  let workspace;
+
+  beforeEach(() => {
+    localStorage.clear();
+    vi.useFakeTimers();
+    workspace = new SnippetWorkspace();
+  });
+
+  afterEach(() => {
+    workspace.destroy();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('retries a failed save', async () => {
+    workspace.create({ name: 'Demo', code: 'let a;' });
+    const setItem = vi.spyOn(storageManager, 'setItem').mockResolvedValueOnce(false);
+
+    workspace.updateActive({ code: 'let a = 1;' });
+    await vi.advanceTimersByTimeAsync(SNIPPET_SAVE_DELAY_MS);
+    expect(setItem).toHaveBeenCalledTimes(1);
+    expect(workspace.saveTimer).not.toBe(null);
+
+    await vi.advanceTimersByTimeAsync(getRetryDelay(1));
+    expect(setItem).toHaveBeenCalledTimes(2);
+    expect(workspace.saveTimer).toBe(null);
+    expect(JSON.parse(localStorage.getItem(SNIPPETS_STORAGE_KEY)).snippets[0].code).toBe('let a = 1;');
+  });
+
+  it('journals an edit whose write has not completed when the page is hidden', async () => {
+    const snippet = workspace.create({ name: 'Demo', code: 'let a;' });
+    let completeWrite;
+    vi.spyOn(storageManager, 'setItem').mockReturnValueOnce(new Promise(resolve => { completeWrite = resolve; }));
+
+    workspace.updateActive({ code: 'let a = 1;' });
+    await vi.advanceTimersByTimeAsync(SNIPPET_SAVE_DELAY_MS);
+    window.dispatchEvent(new Event('pagehide'));
+    expect(JSON.parse(localStorage.getItem(SNIPPETS_JOURNAL_KEY))).toEqual([
+      { id: snippet.id, code: 'let a = 1;', updatedAt: snippet.updatedAt }
+    ]);
+
+    completeWrite(true);
+    await vi.advanceTimersByTimeAsync(0);
+    localStorage.removeItem(SNIPPETS_JOURNAL_KEY);
+    window.dispatchEvent(new Event('pagehide'));
+    expect(localStorage.getItem(SNIPPETS_JOURNAL_KEY)).toBe(null);
+  });
+});
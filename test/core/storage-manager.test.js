@@ -0,0 +1,120 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import { StorageManager } from '../../src/core/storage-manager.js';
+import { IndexedDBBackend } from '../../src/core/storage-backends.js';
+import { STORAGE_AREAS, STORAGE_MIGRATED_KEY, STORAGE_DIRTY_KEY } from '../../src/core/constants.js';
+
+/**
+ * Reads the saved settings straight from the database
+ */
+async function savedSettings() {
+  const backend = new IndexedDBBackend();
+  await backend.open();
+  const entries = Object.fromEntries(await backend.entries(STORAGE_AREAS.SETTINGS));
+  backend.db.close();
+  return entries;
+}
+
+describe('StorageManager migration', () => {
+  beforeEach(() => {
+    globalThis.indexedDB = new IDBFactory();
+    localStorage.clear();
+  });
+
+  it('moves the sandbox keys from localStorage to IndexedDB', async () => {
+    localStorage.setItem('sandbox_theme', 'dark');
+    localStorage.setItem('js-sandbox-code', 'let a = 1;');
+    localStorage.setItem('custom-code', 'custom');
+    localStorage.setItem('other-app', 'kept');
+
+    const storage = new StorageManager();
+    expect(await storage.init({ keys: ['custom-code'] })).toBe('IndexedDB');
+
+    expect(storage.getItem('sandbox_theme')).toBe('dark');
+    expect(storage.getItem('js-sandbox-code')).toBe('let a = 1;');
+    expect(storage.getItem('custom-code')).toBe('custom');
+    expect(localStorage.getItem('sandbox_theme')).toBe(null);
+    expect(localStorage.getItem('custom-code')).toBe(null);
+    expect(localStorage.getItem('other-app')).toBe('kept');
+
+    const saved = await savedSettings();
+    expect(saved).toMatchObject({ sandbox_theme: 'dark', 'js-sandbox-code': 'let a = 1;', 'custom-code': 'custom' });
+    expect(saved[STORAGE_MIGRATED_KEY]).toBeDefined();
+  });
+
+  it('never replaces a value IndexedDB already has', async () => {
+    const first = new StorageManager();
+    await first.init();
+    first.setItem('sandbox_theme', 'light');
+    await first.flush();
+
+    localStorage.setItem('sandbox_theme', 'dark');
+    const second = new StorageManager();
+    await second.init();
+    expect(second.getItem('sandbox_theme')).toBe('light');
+    expect(localStorage.getItem('sandbox_theme')).toBe('dark');
+  });
+
+  it('writes settings to localStorage until init() has completed', async () => {
+    const storage = new StorageManager();
+    storage.setItem('sandbox_toggle', 'on');
+    expect(localStorage.getItem('sandbox_toggle')).toBe('on');
+
+    await storage.init();
+    expect(storage.getItem('sandbox_toggle')).toBe('on');
+    expect((await savedSettings()).sandbox_toggle).toBe('on');
+  });
+
+  it('merges settings written before init() after the first move', async () => {
+    const first = new StorageManager();
+    await first.init();
+    first.setItem('sandbox_theme', 'light');
+    await first.flush();
+
+    const second = new StorageManager();
+    second.setItem('sandbox_theme', 'dark');
+    expect(JSON.parse(localStorage.getItem(STORAGE_DIRTY_KEY))).toEqual(['sandbox_theme']);
+
+    await second.init();
+    expect(second.getItem('sandbox_theme')).toBe('dark');
+    expect((await savedSettings()).sandbox_theme).toBe('dark');
+    expect(localStorage.getItem('sandbox_theme')).toBe(null);
+    expect(localStorage.getItem(STORAGE_DIRTY_KEY)).toBe(null);
+  });
+
+  it('merges a session that could not open IndexedDB on the next load', async () => {
+    const first = new StorageManager();
+    await first.init();
+    first.setItem('sandbox_theme', 'light');
+    first.setItem('sandbox_toggle', 'on');
+    await first.flush();
+
+    const database = globalThis.indexedDB;
+    globalThis.indexedDB = { open: () => { throw new Error('Blocked'); } };
+    const fallback = new StorageManager();
+    expect(await fallback.init()).toBe('localStorage');
+    fallback.setItem('sandbox_theme', 'dark');
+    fallback.removeItem('sandbox_toggle');
+    globalThis.indexedDB = database;
+
+    const next = new StorageManager();
+    await next.init();
+    expect(next.getItem('sandbox_theme')).toBe('dark');
+    expect(next.getItem('sandbox_toggle')).toBe(null);
+    const saved = await savedSettings();
+    expect(saved.sandbox_theme).toBe('dark');
+    expect(saved).not.toHaveProperty('sandbox_toggle');
+  });
+
+  it('keeps the settings in localStorage when IndexedDB is missing', async () => {
+    delete globalThis.indexedDB;
+    localStorage.setItem('sandbox_theme', 'dark');
+
+    const storage = new StorageManager();
+    expect(await storage.init()).toBe('localStorage');
+    storage.setItem('sandbox_toggle', 'on');
+    expect(storage.getItem('sandbox_theme')).toBe('dark');
+    expect(localStorage.getItem('sandbox_toggle')).toBe('on');
+    expect(localStorage.getItem(STORAGE_DIRTY_KEY)).toBe(null);
+  });
+});
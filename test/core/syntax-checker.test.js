@@ -0,0 +1,41 @@
+import { describe, it, expect, vi } from 'vitest';
+import { SyntaxChecker } from '../../src/core/syntax-checker.js';
+
+const checker = new SyntaxChecker();
+
+describe('SyntaxChecker', () => {
+  it('accepts valid code', () => {
+    expect(checker.check('const a = 1;\nconsole.log(a);')).toEqual({ valid: true, errors: [] });
+  });
+
+  it('reports every error it recovers from with its location', () => {
+    const { valid, errors } = checker.check('let a = 1;\nlet a = 2;\nconst b;');
+    expect(valid).toBe(false);
+    expect(errors).toEqual([
+      expect.objectContaining({ message: "Identifier 'a' has already been declared.", line: 2, column: 5, start: 15, end: 16 }),
+      expect.objectContaining({ message: 'Missing initializer in const declaration.', line: 3, column: 8 })
+    ]);
+  });
+
+  it('reports the first error it cannot recover from', () => {
+    const { errors } = checker.check('let a = (;');
+    expect(errors).toEqual([
+      expect.objectContaining({ message: 'Unexpected token', line: 1, column: 10, endLine: 1, endColumn: 11 })
+    ]);
+  });
+
+  it('parses module code, TypeScript and JSX', () => {
+    expect(checker.check('import x from "y";\nawait x;').valid).toBe(false);
+    expect(checker.check('import x from "y";\nawait x;', { module: true }).valid).toBe(true);
+    expect(checker.check('const n: number = 1;', { language: 'typescript' }).valid).toBe(true);
+    expect(checker.check('const el = <div>{1}</div>;', { language: 'jsx' }).valid).toBe(true);
+    expect(checker.check('const el = <div>{1}</div>;').valid).toBe(false);
+  });
+
+  it('only parses the code', () => {
+    const transform = vi.spyOn(Babel, 'transform');
+    checker.check('const n: number = 1;', { language: 'typescript' });
+    expect(transform).not.toHaveBeenCalled();
+    transform.mockRestore();
+  });
+});
@@ -0,0 +1,4 @@
+import * as Babel from '@babel/standalone';
+
+// The app loads Babel standalone as a global script
+globalThis.Babel = Babel;
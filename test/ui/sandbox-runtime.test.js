@@ -0,0 +1,103 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { readFileSync } from 'fs';
+
+const RUNTIME_SOURCE = readFileSync('src/ui/sandbox-runtime.js', 'utf8');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('sandbox runtime promise tracking', () => {
+  let SandboxPromise;
+  let runtime;
+  let messages;
+
+  /**
+   * Pending promise counts of the activity messages sent so far
+   */
+  const promiseCounts = () => messages
+    .filter(({ type }) => type === 'done' || type === 'activity')
+    .map(({ args }) => args[0].promises);
+
+  beforeEach(() => {
+    messages = [];
+    // The runtime overrides the console it sees, so it gets one of its own
+    const createSandboxRuntime = new Function('console', `${RUNTIME_SOURCE}\nreturn createSandboxRuntime;`)({});
+    const sandboxGlobal = {
+      Promise,
+      setTimeout: (fn, delay) => setTimeout(fn, delay),
+      clearTimeout: id => clearTimeout(id),
+      setInterval: (fn, delay) => setInterval(fn, delay),
+      clearInterval: id => clearInterval(id),
+      addEventListener: () => {}
+    };
+    runtime = createSandboxRuntime(sandboxGlobal, {
+      secret: 'secret',
+      lineOffset: null,
+      userCodeLines: 0,
+      loopGuard: null,
+      postMessage: data => messages.push(...data.messages),
+      isHostMessage: () => true
+    });
+    SandboxPromise = sandboxGlobal.Promise;
+  });
+
+  it('counts constructed promises until they settle', async () => {
+    let resolve;
+    let reject;
+    const fulfilled = new SandboxPromise(done => { resolve = done; });
+    const rejected = new SandboxPromise((_, fail) => { reject = fail; });
+    const resolvedEarly = new SandboxPromise(done => done(1));
+    expect(resolvedEarly).toBeInstanceOf(Promise);
+
+    runtime.signalDone();
+    await wait(50);
+    expect(promiseCounts()).toEqual([2]);
+
+    resolve('a');
+    reject(new Error('b'));
+    await expect(fulfilled).resolves.toBe('a');
+    await expect(rejected).rejects.toThrow('b');
+    await wait(200);
+    expect(promiseCounts()).toEqual([2, 0]);
+  });
+
+  it('calls the then of a resolved thenable once and settles with it', async () => {
+    let fulfil;
+    const thenable = { then: vi.fn(onFulfilled => { fulfil = onFulfilled; }) };
+    const promise = new SandboxPromise(resolve => resolve(thenable));
+
+    runtime.signalDone();
+    await wait(50);
+    expect(promiseCounts()).toEqual([1]);
+    expect(thenable.then).toHaveBeenCalledTimes(1);
+
+    fulfil(Promise.resolve('value'));
+    await expect(promise).resolves.toBe('value');
+    await wait(200);
+    expect(promiseCounts()).toEqual([1, 0]);
+    expect(thenable.then).toHaveBeenCalledTimes(1);
+  });
+
+  it('settles like the native promise when the thenable fails', async () => {
+    const throwing = new SandboxPromise(resolve => resolve({ then() { throw new Error('then failed'); } }));
+    const getter = new SandboxPromise(resolve => resolve({ get then() { throw new Error('getter failed'); } }));
+    const ignored = new SandboxPromise((resolve, reject) => {
+      resolve(Promise.resolve('first'));
+      reject(new Error('ignored'));
+    });
+
+    await expect(throwing).rejects.toThrow('then failed');
+    await expect(getter).rejects.toThrow('getter failed');
+    await expect(ignored).resolves.toBe('first');
+    runtime.signalDone();
+    await wait(50);
+    expect(promiseCounts()).toEqual([0]);
+  });
+
+  it('does not count promises the engine creates', async () => {
+    const run = async () => 'done';
+    await Promise.all([run(), SandboxPromise.resolve(1).then(value => value)]);
+    runtime.signalDone();
+    await wait(50);
+    expect(promiseCounts()).toEqual([0]);
+  });
+});
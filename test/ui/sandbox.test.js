@@ -0,0 +1,104 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { readFileSync } from 'fs';
+import { TemplateEngine } from '../../src/ui/sandbox.js';
+import { LibraryManager } from '../../src/libraries/manager.js';
+import { EventEmitter } from '../../src/core/events.js';
+
+const TLA_MODULE = [
+  "import { chunk } from 'lodash-es';",
+  'const data = await Promise.resolve([1, 2, 3]);',
+  "console.log(chunk(data, 2), '</script><!--');"
+].join('\n');
+
+/**
+ * Creates a template engine with a template already loaded
+ */
+function createEngine(template) {
+  const engine = new TemplateEngine(undefined, { debug: false });
+  engine.template = template === 'fallback' ? engine.getFallbackTemplate() : template;
+  engine.isLoaded = true;
+  engine.validateTemplate();
+  return engine;
+}
+
+/**
+ * Reads the directives of the CSP meta tag of a document
+ */
+function getCSP(srcdoc) {
+  const [, policy] = srcdoc.match(/<meta http-equiv="Content-Security-Policy" content="([^"]*)">/);
+  return Object.fromEntries(policy.split(';').map(directive => directive.trim()).filter(Boolean)
+    .map(directive => {
+      const [name, ...sources] = directive.split(/\s+/);
+      return [name, sources];
+    }));
+}
+
+describe.each([
+  ['sandbox.html', () => readFileSync('src/ui/sandbox.html', 'utf8')],
+  ['fallback template', () => 'fallback']
+])('TemplateEngine with the %s', (name, loadTemplate) => {
+  let engine;
+  let csp;
+
+  beforeAll(() => {
+    engine = createEngine(loadTemplate());
+    const libraryManager = new LibraryManager(new EventEmitter());
+    csp = libraryManager.generateCSP();
+  });
+
+  describe('module mode', () => {
+    let srcdoc;
+
+    beforeAll(() => {
+      srcdoc = engine.buildSrcDoc(TLA_MODULE, 'secret', '', csp, {
+        module: true,
+        importMap: { imports: { 'lodash-es': 'https://esm.sh/lodash-es@4.17.21' } }
+      });
+    });
+
+    it('lets the opaque-origin document import the user code blob', () => {
+      // The sandboxed iframe has no allow-same-origin, so 'self' matches nothing there: the
+      // runtime script runs as inline code and the module is imported from a blob: URL
+      const directives = getCSP(srcdoc);
+      expect(directives['script-src']).toEqual(expect.arrayContaining(["'unsafe-inline'", 'blob:']));
+      expect(directives['script-src']).toContain('https://unpkg.com');
+      expect(directives['connect-src']).toEqual(["'none'"]);
+    });
+
+    it('hands the module source to the runtime as a literal that cannot close the script', () => {
+      const [, literal] = srcdoc.match(/var MODULE_SOURCE = (.*);\n/);
+      expect(literal).not.toMatch(/<\/script|<!--/i);
+      expect(JSON.parse(literal.replace(/<\\\//g, '</').replace(/<\\!--/g, '<!--'))).toBe(TLA_MODULE);
+      expect(srcdoc).toContain('runtime.runModule(MODULE_SOURCE)');
+    });
+
+    it('leaves the classic user code script empty', () => {
+      const lineOffset = Number(srcdoc.match(/lineOffset: (\d+),/)[1]);
+      expect(srcdoc.split('\n')[lineOffset]).toBe('');
+      expect(srcdoc).toMatch(/userCodeLines: 0,/);
+    });
+
+    it('adds the import map before any module script', () => {
+      const importMap = srcdoc.indexOf('<script type="importmap">{"imports":{"lodash-es":"https://esm.sh/lodash-es@4.17.21"}}</script>');
+      expect(importMap).toBeGreaterThan(-1);
+      expect(importMap).toBeLessThan(srcdoc.indexOf('createSandboxRuntime(window'));
+    });
+  });
+
+  describe('classic mode', () => {
+    it('places the user code right after the document line offset', () => {
+      const srcdoc = engine.buildSrcDoc('const a = 1;\nconsole.log(a);', 'secret', '', csp);
+      const lineOffset = Number(srcdoc.match(/lineOffset: (\d+),/)[1]);
+      const lines = srcdoc.split('\n');
+      expect(lines[lineOffset]).toBe('const a = 1;');
+      expect(lines[lineOffset + 1]).toBe('console.log(a);');
+      expect(srcdoc).toMatch(/userCodeLines: 2,/);
+      expect(srcdoc).toMatch(/var MODULE_SOURCE = null;/);
+    });
+
+    it('falls back to the default policy without a CSP', () => {
+      const srcdoc = engine.buildSrcDoc('1;', 'secret');
+      expect(getCSP(srcdoc)['connect-src']).toEqual(["'none'"]);
+    });
+  });
+});
@@ -43,6 +43,13 @@ export default defineConfig({
   // Handle static assets
   publicDir: 'public',
 
+  // Unit tests (vitest) run against jsdom, with Babel standalone loaded as in the app
+  test: {
+    environment: 'jsdom',
+    include: ['test/**/*.test.js'],
+    setupFiles: ['test/setup.js']
+  },
+
   // Build plugins
   plugins: [
     {